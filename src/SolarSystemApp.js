@@ -0,0 +1,976 @@
+// Wires the input sources, the 3D scene and the DOM overlay together
+
+import { detailPageCount, detailPageIndex, findBody, loadCatalog } from './scene/catalog.js';
+import { SCALE_MODES } from './scene/scaleModes.js';
+import { SimulationClock, SPEED_PRESETS } from './sim/SimulationClock.js';
+import { SolarSystemScene } from './scene/SolarSystemScene.js';
+import { ActionBus, ACTIONS } from './input/ActionBus.js';
+import { HandTracker } from './input/HandTracker.js';
+import { HandGestureSource } from './input/HandGestureSource.js';
+import { KeyboardSource } from './input/KeyboardSource.js';
+import { PointerSource } from './input/PointerSource.js';
+import { TouchSource } from './input/TouchSource.js';
+import { LandmarkRecorder } from './input/LandmarkRecorder.js';
+import { ReplaySource } from './input/ReplaySource.js';
+import { ProfileStore } from './input/ProfileStore.js';
+import { BindingStore } from './input/BindingStore.js';
+import { GestureSetStore } from './input/GestureSetStore.js';
+import { VoiceSource } from './input/VoiceSource.js';
+import { parseRecording } from './input/landmarkStream.js';
+import { loadTour, parseTour } from './tour/tourScript.js';
+import { TourPlayer } from './tour/TourPlayer.js';
+import { QuizSession } from './quiz/QuizSession.js';
+import { questionText } from './quiz/quizQuestions.js';
+import { Overlay } from './ui/Overlay.js';
+import { DebugView } from './ui/DebugView.js';
+import { GestureHud } from './ui/GestureHud.js';
+import { CalibrationWizard } from './ui/CalibrationWizard.js';
+import { BindingsPanel } from './ui/BindingsPanel.js';
+import { GestureTrainer } from './ui/GestureTrainer.js';
+import { Narrator } from './ui/Narrator.js';
+import { buildFacts, REFERENCE_BODY, UNIT_SYSTEMS } from './ui/factSheet.js';
+import { Localizer, pickLocale } from './i18n/Localizer.js';
+import { DEFAULT_THRESHOLDS } from './gestures/gestureProfile.js';
+import { MS_PER_DAY } from './sim/ephemeris.js';
+import { cameraViewFromParams, normalizeResults } from './gestures/cameraView.js';
+import { createInteractionMachine, LOCKED_STATES } from './interaction/interactionStates.js';
+
+const DEFAULT_CATALOG_URL = 'data/solar-system.json';
+const DEFAULT_TOUR_URL = 'data/tours/grand-tour.json';
+const MAX_FRAME_SECONDS = 0.1; // Cap per-frame time so a backgrounded tab doesn't jump ahead
+const CAMERA_STEP = 1.1; // Zoom factor of one camera step, e.g. a dial detent
+
+export class SolarSystemApp {
+    constructor() {
+        this.detailPage = 0; // Index into the current body's description pages
+        // Units in the data panel: metric, or ?units=imperial
+        const units = new URLSearchParams(window.location.search).get('units');
+        this.units = UNIT_SYSTEMS.includes(units) ? units : 'metric';
+        this.isPointing = false; // Hand pointing mode: the index fingertip is a cursor
+        this.hovered = null; // { planetIndex, moonIndex } under the mouse or hand cursor
+        this.tour = null; // TourPlayer while a guided tour is playing
+        this.quiz = null; // QuizSession while a quiz round runs
+        this.lastQuiz = null; // The latest round, kept for downloading its results
+        // Quiz rounds: ?quizQuestions=<count> (default 10), ?quizSeconds=<seconds per question> for timed rounds
+        const quizParams = new URLSearchParams(window.location.search);
+        this.quizOptions = {
+            questionCount: Number(quizParams.get('quizQuestions')) || 10,
+            secondsPerQuestion: Number(quizParams.get('quizSeconds')) || null
+        };
+        this.results = null;
+        this.frameTime = Date.now(); // Timestamp of the frame being processed (live or replayed)
+
+        // Simulation date driving the orbits, starting from today (or ?date=YYYY-MM-DD)
+        this.clock = new SimulationClock();
+        const startDate = new URLSearchParams(window.location.search).get('date');
+        if (startDate) {
+            try {
+                this.clock.jumpTo(startDate);
+            } catch (error) {
+                console.error(error.message);
+            }
+        }
+        this.lastFrameTime = null;
+
+        // UI language: ?lang=<code>, or else the browser's preferred languages
+        this.localizer = new Localizer();
+        this.overlay = new Overlay({ localizer: this.localizer });
+        this.solarSystem = new SolarSystemScene({
+            canvas: document.getElementById('webgl')
+        });
+
+        // Which body is explored and how closely (see interactionStates.js); the scene
+        // reports when a lock/unlock camera animation has settled
+        this.interaction = createInteractionMachine({
+            effects: {
+                follow: ({ planetIndex, moonIndex }) => (moonIndex >= 0
+                    ? this.solarSystem.focusOnMoon(planetIndex, moonIndex)
+                    : this.solarSystem.focusOnPlanet(planetIndex)),
+                halt: ({ planetIndex }) => this.solarSystem.haltPlanet(planetIndex),
+                release: ({ planetIndex }) => this.solarSystem.releasePlanet(planetIndex),
+                zoomIn: () => this.solarSystem.zoomToCloseUp(),
+                zoomOut: () => this.solarSystem.zoomToOverview(),
+                spin: ({ planetIndex }) => this.solarSystem.setSpinning(planetIndex, true),
+                stopSpinning: ({ planetIndex }) => this.solarSystem.setSpinning(planetIndex, false)
+            }
+        });
+        this.solarSystem.onRigSettled = () => this.interaction.send('arrived');
+
+        // Every input source dispatches semantic actions on this bus
+        this.actions = new ActionBus();
+        this.registerActionHandlers();
+        this.handSource = new HandGestureSource({
+            now: () => this.frameTime,
+            // ?hands=left puts navigation on the left hand and detail/time control on the right
+            navigationHand: new URLSearchParams(window.location.search).get('hands') === 'left' ? 'Left' : 'Right',
+            // Opening a fist resets the description to the overview
+            onCalibrate: () => this.setDetailPage(0)
+        });
+        this.gestures = this.handSource.interpreter;
+
+        // Per-user gesture thresholds; ?profile=<name> picks a saved profile (e.g. on a shared kiosk)
+        this.profiles = new ProfileStore();
+        const profileName = new URLSearchParams(window.location.search).get('profile');
+        if (profileName && !this.profiles.setActive(profileName)) {
+            console.warn(`Unknown gesture profile "${profileName}", keeping the active one`);
+        }
+        this.applyProfile(this.profiles.getActive());
+        this.calibration = new CalibrationWizard({
+            store: this.profiles,
+            localizer: this.localizer,
+            onApply: profile => this.applyProfile(profile)
+        });
+
+        // Which gesture runs which action, edited in the bindings panel (K), and the
+        // gestures taught in the training panel (L)
+        this.gestureSets = new GestureSetStore();
+        this.bindingStore = new BindingStore({ customGestures: this.gestureSets.get().gestures });
+        this.handSource.applyCustomGestures(this.gestureSets.get());
+        this.handSource.applyBindings(this.bindingStore.get());
+        this.bindingsPanel = new BindingsPanel({
+            store: this.bindingStore,
+            localizer: this.localizer,
+            onApply: bindings => this.handSource.applyBindings(bindings)
+        });
+        this.trainer = new GestureTrainer({
+            store: this.gestureSets,
+            localizer: this.localizer,
+            getBindings: () => this.bindingStore.get(),
+            onChange: set => this.applyGestureSet(set)
+        });
+        // How the camera's picture maps to the person in front of it: ?camera=environment for
+        // a rear camera, ?mirror=on|off and ?rotate=90|180|270 for a camera turned on its side
+        this.cameraView = cameraViewFromParams(new URLSearchParams(window.location.search));
+        this.handTracker = new HandTracker({
+            facingMode: this.cameraView.facing,
+            // A replay has the hand source to itself until it ends, so live frames can't mix in
+            onResults: (results, timestamp) => {
+                if (!this.isReplaying) {
+                    this.processGestureResults(results, timestamp);
+                }
+            }
+        });
+        this.debugView = null;
+        this.hud = null;
+
+        // Spoken descriptions and voice commands; ?narration=on reads each description aloud,
+        // ?narrationRate=1.2 and ?narrationVoice=<name> set the speech, ?voice=on starts listening
+        const speechParams = new URLSearchParams(window.location.search);
+        this.narrator = new Narrator({
+            rate: Number(speechParams.get('narrationRate')) || 1,
+            voiceName: speechParams.get('narrationVoice')
+        });
+        this.voiceSource = new VoiceSource({
+            bodyNames: () => this.bodyNames(),
+            localNames: () => this.localBodyNames(),
+            isMuted: () => this.narrator.isSpeaking,
+            onHeard: (transcript, command) => this.overlay.showVoiceStatus(command ? 'voice.heard' : 'voice.notUnderstood', { transcript }),
+            onStateChange: (isListening, error) => this.showVoiceCommands(isListening, error)
+        });
+
+        // Gesture session recording and replay
+        this.recorder = new LandmarkRecorder();
+        this.replaySource = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Initialize Three.js
+            this.solarSystem.init(window.innerWidth, window.innerHeight);
+            window.addEventListener('resize', () => this.onWindowResize());
+
+            const params = new URLSearchParams(window.location.search);
+            await this.loadLocale(pickLocale(params.has('lang') ? [params.get('lang')] : navigator.languages || [navigator.language]));
+
+            // A ?catalog=<file.json> URL loads a different system
+            let catalog;
+            try {
+                catalog = await loadCatalog(params.get('catalog') || DEFAULT_CATALOG_URL);
+            } catch (error) {
+                this.overlay.showLoadingError(error.message);
+                throw error;
+            }
+
+            // Create solar system
+            this.solarSystem.createSolarSystem(catalog.bodies);
+            this.updatePlanetInfo();
+            this.overlay.showScaleMode(SCALE_MODES[0].id);
+
+            // Start animation loop
+            this.animate();
+
+            // A ?tour=<file.json> URL starts a guided tour, e.g. on a museum kiosk
+            const tourUrl = params.get('tour');
+            if (tourUrl) {
+                this.loadAndStartTour(tourUrl);
+            } else if (params.get('quiz') === 'on') {
+                this.actions.dispatch(ACTIONS.START_QUIZ, undefined, 'url');
+            }
+
+            // Keyboard, mouse and touch work with or without a camera
+            const canvas = document.getElementById('webgl');
+            this.actions.addSource(new KeyboardSource());
+            this.actions.addSource(new PointerSource({ target: canvas }));
+            this.actions.addSource(new TouchSource({ target: canvas }));
+            this.actions.addSource(this.handSource);
+            this.actions.addSource(this.voiceSource);
+            if (params.get('narration') === 'on') {
+                this.setNarration(true);
+            }
+            if (params.get('voice') === 'on') {
+                this.voiceSource.start();
+            }
+            this.overlay.onDateInput(date => this.actions.dispatch(ACTIONS.JUMP_TO_DATE, date, 'overlay'));
+            this.overlay.onUnitsToggle(() => this.actions.dispatch(ACTIONS.TOGGLE_UNITS, undefined, 'overlay'));
+            this.overlay.onQuizExport(() => this.lastQuiz && this.lastQuiz.download());
+            this.overlay.onQuizClose(() => this.overlay.hideQuiz());
+
+            // The developer view of the landmarks stays hidden unless ?debug=on (or D)
+            this.debugView = new DebugView({
+                localizer: this.localizer,
+                visible: params.get('debug') === 'on',
+                view: this.cameraView
+            });
+            this.hud = new GestureHud({ localizer: this.localizer });
+            this.initRecordingControls();
+
+            // A ?replay=<file.jsonl> URL replays a recorded session instead of using the camera
+            const replayUrl = params.get('replay');
+            if (replayUrl) {
+                await this.replayFromUrl(replayUrl);
+            } else {
+                // Initialize MediaPipe HandGestureRecognizer
+                const handTrackingStarted = await this.handTracker.start();
+                if (!handTrackingStarted) {
+                    this.overlay.showNotice('notice.cameraUnavailable');
+                }
+            }
+
+            // Hide loading screen
+            setTimeout(() => this.overlay.hideLoading(), 1000);
+
+        } catch (error) {
+            console.error('Initialization error:', error);
+        }
+    }
+
+    // Switch the UI language, staying in English if the locale can't be loaded
+    async loadLocale(code) {
+        try {
+            await this.localizer.load(code);
+        } catch (error) {
+            console.error('❌ Error loading locale:', error);
+        }
+        this.localizer.applyTo(document);
+        this.narrator.setLanguage(this.localizer.locale);
+        this.voiceSource.setLanguage(this.localizer.locale);
+    }
+
+    // rawResults: the recognizer's output for the camera's picture. Recordings keep it as it
+    // is; everything else works on it in view coordinates (see cameraView.js). view: the
+    // camera view to read it with, a replay's own or the live one
+    processGestureResults(rawResults, timestamp = Date.now(), view = this.cameraView) {
+        const results = normalizeResults(rawResults, view);
+        this.results = results;
+        if (!results) return;
+
+        this.frameTime = timestamp;
+        this.recorder.capture(rawResults, timestamp);
+        this.calibration.processFrame(results, timestamp);
+        this.trainer.processFrame(results, timestamp);
+
+        // Update debug panel before the interpreter consumes this frame
+        const body = this.currentBody();
+        this.debugView.updatePanel({
+            results,
+            detailLabel: body ? this.localizer.detailLabel(this.detailPage, detailPageCount(body)) : '',
+            bodyName: body?.name,
+            isLocked: this.isLocked,
+            interactionState: this.interaction.state,
+            lastPalmPosition: this.gestures.lastPalmPosition,
+            now: timestamp,
+            webcamRunning: this.handTracker.webcamRunning,
+            profileName: this.activeProfileName
+        });
+
+        // Gestures made while calibrating or training shouldn't drive the app
+        if (!this.calibration.isRunning && !this.trainer.isRunning) {
+            this.handSource.processResults(results);
+        }
+        this.hud.update(this.handSource.feedback(), timestamp);
+        this.debugView.drawHandLandmarks(results, this.handTracker.video);
+    }
+
+    registerActionHandlers() {
+        // During a guided tour, next/previous skip and rewind steps and pause holds the step.
+        // During a quiz they move between the answer candidates and locking answers.
+        this.actions.handle(ACTIONS.NEXT, () => {
+            if (this.quiz) return this.quiz.step(1);
+            return this.tour ? this.tour.next() : this.nextPlanet();
+        });
+        this.actions.handle(ACTIONS.PREVIOUS, () => {
+            if (this.quiz) return this.quiz.step(-1);
+            return this.tour ? this.tour.previous() : this.previousPlanet();
+        });
+        this.actions.handle(ACTIONS.LOCK, () => (this.quiz ? this.answerQuiz() : this.lock()));
+        this.actions.handle(ACTIONS.UNLOCK, () => this.unlock());
+        this.actions.handle(ACTIONS.TOGGLE_LOCK, () => (
+            this.actions.dispatch(this.isLocked ? ACTIONS.UNLOCK : ACTIONS.LOCK, undefined, 'toggle')
+        ));
+        this.actions.handle(ACTIONS.DETAIL_UP, () => this.stepDetailPage(1));
+        this.actions.handle(ACTIONS.DETAIL_DOWN, () => this.stepDetailPage(-1));
+        this.actions.handle(ACTIONS.SET_DETAIL, level => this.setDetailPage(typeof level === 'number' ? level : detailPageIndex(level)));
+        this.actions.handle(ACTIONS.GO_TO, name => this.goToBody(name));
+        this.actions.handle(ACTIONS.SET_UNITS, units => this.setUnits(units));
+        this.actions.handle(ACTIONS.TOGGLE_UNITS, () => (
+            this.actions.dispatch(ACTIONS.SET_UNITS, this.units === 'metric' ? 'imperial' : 'metric', 'toggle')
+        ));
+
+        // Simulation time
+        this.actions.handle(ACTIONS.PAUSE_TIME, () => this.setPaused(true));
+        this.actions.handle(ACTIONS.RESUME_TIME, () => this.setPaused(false));
+        this.actions.handle(ACTIONS.TOGGLE_PAUSE, () => (this.tour ? this.toggleTourPause() : this.clock.togglePause()));
+        this.actions.handle(ACTIONS.REVERSE_TIME, () => this.clock.reverse());
+        this.actions.handle(ACTIONS.FASTER_TIME, () => this.clock.faster());
+        this.actions.handle(ACTIONS.SLOWER_TIME, () => this.clock.slower());
+        this.actions.handle(ACTIONS.CYCLE_TIME_SPEED, () => this.clock.cycleSpeed());
+        this.actions.handle(ACTIONS.JUMP_TO_DATE, date => this.jumpToDate(date));
+        this.actions.handle(ACTIONS.JUMP_TO_NOW, () => this.jumpToDate(Date.now()));
+        this.actions.handle(ACTIONS.DATE_FORWARD, () => (
+            this.actions.dispatch(ACTIONS.JUMP_TO_DATE, this.clock.getDate().getTime() + MS_PER_DAY, 'step')
+        ));
+        this.actions.handle(ACTIONS.DATE_BACK, () => (
+            this.actions.dispatch(ACTIONS.JUMP_TO_DATE, this.clock.getDate().getTime() - MS_PER_DAY, 'step')
+        ));
+
+        this.actions.handle(ACTIONS.CYCLE_SCALE_MODE, () => this.cycleScaleMode());
+        this.actions.handle(ACTIONS.OPEN_CALIBRATION, () => this.calibration.open());
+        this.actions.handle(ACTIONS.OPEN_BINDINGS, () => this.bindingsPanel.open());
+        this.actions.handle(ACTIONS.OPEN_TRAINING, () => this.trainer.open());
+        this.actions.handle(ACTIONS.TOGGLE_DEBUG, () => this.debugView && this.debugView.setVisible(!this.debugView.isVisible));
+        this.actions.handle(ACTIONS.TOGGLE_MIRROR, () => this.setMirror(!this.cameraView.mirror));
+        this.actions.handle(ACTIONS.TOGGLE_RECORDING, () => this.toggleRecording());
+
+        // Narration and voice commands
+        this.actions.handle(ACTIONS.TOGGLE_NARRATION, () => this.setNarration(!this.narrator.isEnabled));
+        this.actions.handle(ACTIONS.READ_ALOUD, () => this.readAloud());
+        this.actions.handle(ACTIONS.STOP_NARRATION, () => this.narrator.stop());
+        this.actions.handle(ACTIONS.NARRATION_RATE, factor => this.narrator.setRate(this.narrator.rate * factor));
+        this.actions.handle(ACTIONS.TOGGLE_VOICE_COMMANDS, () => this.toggleVoiceCommands());
+
+        // Guided tours
+        this.actions.handle(ACTIONS.START_TOUR, tour => this.startTour(tour));
+        this.actions.handle(ACTIONS.STOP_TOUR, () => this.stopTour());
+        this.actions.handle(ACTIONS.TOGGLE_TOUR, () => (
+            this.tour ? this.actions.dispatch(ACTIONS.STOP_TOUR, undefined, 'toggle') : this.loadAndStartTour(DEFAULT_TOUR_URL)
+        ));
+
+        // Quiz
+        this.actions.handle(ACTIONS.START_QUIZ, options => this.startQuiz(options));
+        this.actions.handle(ACTIONS.STOP_QUIZ, () => this.stopQuiz());
+        this.actions.handle(ACTIONS.TOGGLE_QUIZ, () => (
+            this.actions.dispatch(this.quiz ? ACTIONS.STOP_QUIZ : ACTIONS.START_QUIZ, undefined, 'toggle')
+        ));
+
+        // Analog camera control (two-hand pinch and twist)
+        this.actions.handle(ACTIONS.CAMERA_ZOOM, factor => this.solarSystem.zoomCamera(factor));
+        this.actions.handle(ACTIONS.CAMERA_CLOSER, () => this.actions.dispatch(ACTIONS.CAMERA_ZOOM, CAMERA_STEP, 'step'));
+        this.actions.handle(ACTIONS.CAMERA_FARTHER, () => this.actions.dispatch(ACTIONS.CAMERA_ZOOM, 1 / CAMERA_STEP, 'step'));
+        this.actions.handle(ACTIONS.CAMERA_ORBIT, ({ azimuth, elevation }) => this.solarSystem.orbitCamera(azimuth, elevation));
+        this.actions.handle(ACTIONS.CAMERA_PAN, ({ x, y }) => this.solarSystem.panCamera(x, y));
+        this.actions.handle(ACTIONS.ENTER_FREE_LOOK, () => this.setFreeLook(true));
+        this.actions.handle(ACTIONS.EXIT_FREE_LOOK, () => this.setFreeLook(false));
+        this.actions.handle(ACTIONS.TOGGLE_FREE_LOOK, () => (
+            this.actions.dispatch(this.solarSystem.isFreeLook ? ACTIONS.EXIT_FREE_LOOK : ACTIONS.ENTER_FREE_LOOK, undefined, 'toggle')
+        ));
+
+        // Picking bodies with the mouse or the hand cursor
+        this.actions.handle(ACTIONS.POINT_AT, point => this.pointAt(point));
+        this.actions.handle(ACTIONS.SELECT_POINTED, () => this.selectBody(this.hovered));
+        this.actions.handle(ACTIONS.ENTER_POINTING, () => this.setPointing(true));
+        this.actions.handle(ACTIONS.EXIT_POINTING, () => this.setPointing(false));
+        this.actions.handle(ACTIONS.TOGGLE_POINTING, () => (
+            this.actions.dispatch(this.isPointing ? ACTIONS.EXIT_POINTING : ACTIONS.ENTER_POINTING, undefined, 'toggle')
+        ));
+    }
+
+    // Compressed → logarithmic → true scale → compressed
+    cycleScaleMode() {
+        const index = SCALE_MODES.findIndex(mode => mode.id === this.solarSystem.scaleMode);
+        const nextMode = SCALE_MODES[(index + 1) % SCALE_MODES.length];
+        this.solarSystem.setScaleMode(nextMode.id);
+        this.overlay.showScaleMode(nextMode.id);
+        return nextMode.id;
+    }
+
+    // Read the camera's picture as a mirror or as the camera sees it. The hands being followed
+    // start afresh, as their landmarks all jump sides.
+    setMirror(mirror) {
+        this.cameraView = { ...this.cameraView, mirror };
+        this.handSource.resetHands();
+        if (this.debugView) {
+            this.debugView.setView(this.cameraView);
+        }
+        return mirror;
+    }
+
+    jumpToDate(date) {
+        try {
+            this.clock.jumpTo(date);
+            return true;
+        } catch (error) {
+            console.error(error.message);
+            return false;
+        }
+    }
+
+    // R toggles recording (the file downloads when it stops); dropping a .jsonl file
+    // replays it and dropping a .json tour script plays the tour
+    initRecordingControls() {
+        window.addEventListener('dragover', event => event.preventDefault());
+        window.addEventListener('drop', event => {
+            event.preventDefault();
+            const file = event.dataTransfer.files[0];
+            if (file && file.name.endsWith('.json')) {
+                file.text().then(text => this.actions.dispatch(ACTIONS.START_TOUR, parseTour(text, this.solarSystem.planetData), 'file'))
+                    .catch(error => this.showTourError(error));
+            } else if (file) {
+                file.text().then(text => this.replayRecording(text))
+                    .catch(error => console.error('❌ Error replaying recording:', error));
+            }
+        });
+    }
+
+    toggleRecording() {
+        if (this.recorder.isRecording) {
+            const frames = this.recorder.stop();
+            this.overlay.hideNotice();
+            if (frames.length > 0) {
+                this.recorder.download();
+            }
+        } else {
+            this.recorder.start(this.cameraView);
+            this.overlay.showNotice('notice.recording');
+        }
+    }
+
+    async replayFromUrl(url) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for ${url}`);
+            }
+            this.replayRecording(await response.text());
+        } catch (error) {
+            console.error('❌ Error replaying recording:', error);
+        }
+    }
+
+    // The frames are read with the camera view they were recorded in; version 1 recordings
+    // don't say, so they get the current one. Live camera frames are ignored until the replay
+    // ends, and the hands being followed start afresh at either end, as the replayed ones
+    // needn't be where the live ones were.
+    replayRecording(text) {
+        const { cameraView, frames } = parseRecording(text);
+        const view = cameraView || this.cameraView;
+
+        if (this.replaySource) {
+            this.replaySource.stop();
+        }
+        this.handSource.resetHands();
+        this.replaySource = new ReplaySource({
+            frames,
+            startTime: Date.now(),
+            onResults: (results, timestamp) => this.processGestureResults(results, timestamp, view),
+            onEnd: () => {
+                this.overlay.hideNotice();
+                this.handSource.resetHands();
+            }
+        });
+
+        this.overlay.showNotice('notice.replaying', { count: frames.length });
+        this.replaySource.start();
+    }
+
+    get isReplaying() {
+        return Boolean(this.replaySource && this.replaySource.isPlaying);
+    }
+
+    // Locked = zoomed in on the current body, or on the way there
+    get isLocked() {
+        return this.interaction.is(...LOCKED_STATES);
+    }
+
+    get currentPlanetIndex() {
+        return this.interaction.context.planetIndex;
+    }
+
+    // A moon of the current planet, or -1
+    get currentMoonIndex() {
+        return this.interaction.context.moonIndex;
+    }
+
+    nextPlanet() {
+        if (this.stepMoon(1)) return;
+
+        const count = this.solarSystem.planets.length;
+        this.focusOn((this.currentPlanetIndex + 1) % count);
+    }
+
+    previousPlanet() {
+        if (this.stepMoon(-1)) return;
+
+        const count = this.solarSystem.planets.length;
+        this.focusOn((this.currentPlanetIndex - 1 + count) % count);
+    }
+
+    // While locked on a planet with moons, next/previous step through the planet and
+    // its moons in catalog order, wrapping back to the planet; returns false otherwise
+    stepMoon(step) {
+        const planet = this.solarSystem.planets[this.currentPlanetIndex];
+        if (!this.isLocked || !planet || planet.moons.length === 0) return false;
+
+        // -1 (the planet itself) takes a slot in the cycle
+        const slots = planet.moons.length + 1;
+        this.focusOn(this.currentPlanetIndex, (this.currentMoonIndex + 1 + step + slots) % slots - 1);
+        return true;
+    }
+
+    // Focus a planet, or one of its moons. While locked, the new body is halted and
+    // zoomed in on in turn and the previous one let go.
+    focusOn(planetIndex, moonIndex = -1) {
+        // Selecting a body hands the camera back from free look to tracking
+        if (this.solarSystem.isFreeLook) {
+            this.actions.dispatch(ACTIONS.EXIT_FREE_LOOK, undefined, 'focus');
+        }
+        this.interaction.send('select', { planetIndex, moonIndex });
+        // Moving on cuts off whatever was being read about the previous body
+        this.narrator.stop();
+        this.updatePlanetInfo();
+    }
+
+    // Catalog entry of the focused planet or moon
+    currentBody() {
+        const planet = this.solarSystem.planets[this.currentPlanetIndex];
+        if (!planet) return null;
+        return this.currentMoonIndex >= 0 ? planet.moons[this.currentMoonIndex].data : planet.data;
+    }
+
+    // Returns true when the camera mode changed
+    setFreeLook(enabled) {
+        const changed = enabled ? this.solarSystem.enterFreeLook() : this.solarSystem.exitFreeLook({ closeUp: this.isLocked });
+        if (changed) {
+            this.overlay.showFreeLook(enabled);
+        }
+        return changed;
+    }
+
+    // Returns true when pointing mode changed
+    setPointing(enabled) {
+        if (enabled === this.isPointing) return false;
+
+        this.isPointing = enabled;
+        this.overlay.showPointing(enabled);
+        if (!enabled) {
+            this.pointAt(null);
+        }
+        return true;
+    }
+
+    // Highlight the body under point ({ x, y } from 0 to 1 across the view, null when the
+    // pointer leaves); a hand cursor also reports its dwell progress. Returns the body's name or null.
+    pointAt(point) {
+        this.hovered = point ? this.solarSystem.pickBody(point.x, point.y) : null;
+        this.solarSystem.setHighlight(this.hovered);
+
+        if (point && point.dwell !== undefined) {
+            this.overlay.showHandCursor(point.x, point.y, this.hovered ? point.dwell : 0);
+        } else if (!point) {
+            this.overlay.hideHandCursor();
+        }
+        return this.hovered ? this.solarSystem.bodyAt(this.hovered).data.name : null;
+    }
+
+    // Jump straight to a picked planet or moon. A moon is shown zoomed in on its planet,
+    // as when stepping through moons; picking another body unlocks the current one.
+    // Returns false if nothing is picked or it's already the focus.
+    selectBody(target) {
+        if (!target) return false;
+
+        // During a quiz, picking a candidate planet focuses it as the answer to give
+        if (this.quiz) {
+            return target.moonIndex < 0 && this.quiz.choose(target.planetIndex);
+        }
+
+        // Picking a body takes over from a guided tour
+        this.stopTour();
+
+        const { planetIndex, moonIndex } = target;
+        const isFocused = !this.interaction.is('idle') &&
+            planetIndex === this.currentPlanetIndex && moonIndex === this.currentMoonIndex;
+        if (isFocused) return false;
+
+        if (this.isLocked && planetIndex !== this.currentPlanetIndex) {
+            this.actions.dispatch(ACTIONS.UNLOCK, undefined, 'select');
+        }
+        this.focusOn(planetIndex, moonIndex);
+        if (moonIndex >= 0 && !this.isLocked) {
+            this.actions.dispatch(ACTIONS.LOCK, undefined, 'select');
+        }
+        return true;
+    }
+
+    // Focus a planet or moon by name, e.g. from "go to Mars"; false if unknown or already focused
+    goToBody(name) {
+        return this.selectBody(findBody(this.solarSystem.planetData, name));
+    }
+
+    // Every planet and moon name, for the voice command grammar
+    bodyNames() {
+        return this.solarSystem.planetData.flatMap(body => [body.name, ...body.moons.map(moon => moon.name)]);
+    }
+
+    // Catalog name → display name in the UI language, for every body and moon
+    localBodyNames() {
+        return Object.fromEntries(this.solarSystem.planetData.flatMap(body => [body, ...body.moons])
+            .map(body => [body.name, this.localizer.bodyName(body)]));
+    }
+
+    // Pause or resume simulation time (holding the step during a tour); true if it changed
+    setPaused(paused) {
+        if (this.tour) {
+            return paused !== this.tour.isPaused ? this.toggleTourPause() === paused : false;
+        }
+        if (paused === this.clock.isPaused) return false;
+
+        this.clock.togglePause();
+        return true;
+    }
+
+    setNarration(enabled) {
+        const changed = this.narrator.setEnabled(enabled);
+        if (!changed) {
+            if (enabled && !this.narrator.isSupported) {
+                this.overlay.showNotice('notice.narrationUnsupported');
+            }
+            return false;
+        }
+
+        this.overlay.showNarration(enabled);
+        if (enabled) {
+            this.updatePlanetInfo();
+        }
+        return true;
+    }
+
+    // Read the current description once, whether or not narration is on
+    readAloud() {
+        const body = this.currentBody();
+        return body ? this.narrator.say(this.narrationText(body)) : false;
+    }
+
+    // What the narrator reads for a body: its name, then the description at the current level
+    narrationText(body) {
+        return `${this.localizer.bodyName(body)}. ${this.localizer.describe(body, this.detailPage)}`;
+    }
+
+    toggleVoiceCommands() {
+        if (!this.voiceSource.isSupported) {
+            this.overlay.showNotice('notice.voiceUnsupported');
+            return false;
+        }
+        return this.voiceSource.toggle();
+    }
+
+    showVoiceCommands(isListening, error) {
+        this.overlay.showVoiceStatus(isListening ? 'voice.listening' : null);
+        if (error) {
+            this.overlay.showNotice('notice.microphoneUnavailable');
+        }
+    }
+
+    async loadAndStartTour(url) {
+        try {
+            const tour = await loadTour(url, this.solarSystem.planetData);
+            return this.actions.dispatch(ACTIONS.START_TOUR, tour, 'tour');
+        } catch (error) {
+            this.showTourError(error);
+            return false;
+        }
+    }
+
+    showTourError(error) {
+        console.error('❌ Error loading tour:', error);
+        this.overlay.showNotice('notice.tourError', { error: error.message });
+    }
+
+    // tour: a validated tour from tourScript.js; replaces any tour already playing
+    startTour(tour) {
+        this.stopTour();
+        this.stopQuiz();
+        this.overlay.hideQuiz();
+        this.tour = new TourPlayer({
+            tour,
+            onStep: (step, index) => this.showTourStep(step, index),
+            onEnd: () => {
+                this.tour = null;
+                this.overlay.hideTour();
+            }
+        });
+        this.tour.start();
+        return true;
+    }
+
+    stopTour() {
+        return this.tour ? this.tour.stop() : false;
+    }
+
+    // Apply a tour step: focus its body from the scripted angle, then set the date,
+    // time speed and detail level and show the caption
+    showTourStep(step, index) {
+        if (this.isLocked) {
+            this.actions.dispatch(ACTIONS.UNLOCK, undefined, 'tour');
+        }
+        this.focusOn(step.target.planetIndex, step.target.moonIndex);
+        this.solarSystem.frameBody(step.target, step.camera || {});
+
+        if (step.date !== null) {
+            this.jumpToDate(step.date);
+        }
+        if (step.timeSpeed === 'paused') {
+            this.clock.pause();
+        } else if (step.timeSpeed) {
+            this.clock.setSpeedIndex(SPEED_PRESETS.findIndex(preset => preset.label === step.timeSpeed));
+            if (!this.tour.isPaused) {
+                this.clock.resume();
+            }
+        }
+        this.setDetailPage(step.detail);
+        this.showTourCaption(index);
+    }
+
+    // Pausing a tour holds the current step and stops simulation time with it
+    toggleTourPause() {
+        this.tour.togglePause();
+        if (this.tour.isPaused) {
+            this.clock.pause();
+        } else if (this.tour.step.timeSpeed !== 'paused') {
+            this.clock.resume();
+        }
+        this.showTourCaption(this.tour.index);
+        return this.tour.isPaused;
+    }
+
+    showTourCaption(index) {
+        this.overlay.showTourStep({
+            name: this.tour.tour.name,
+            caption: this.tour.tour.steps[index].caption,
+            index,
+            count: this.tour.stepCount,
+            isPaused: this.tour.isPaused
+        });
+    }
+
+    // options: { questionCount, secondsPerQuestion } over the ?quiz… defaults; replaces any
+    // round already running and ends a guided tour
+    startQuiz(options = {}) {
+        this.stopTour();
+        this.stopQuiz();
+        const bodies = this.solarSystem.planetData;
+        const quiz = new QuizSession({
+            bodies,
+            ...this.quizOptions,
+            ...options,
+            describe: question => questionText(question, bodies, this.localizer),
+            onQuestion: question => this.showQuizQuestion(question),
+            onChoice: (planetIndex, choice) => this.showQuizChoice(planetIndex, choice),
+            onAnswer: record => this.showQuizAnswer(record),
+            onEnd: results => {
+                this.quiz = null;
+                const params = { score: results.score, count: results.answered, bestStreak: results.bestStreak };
+                this.overlay.showQuizResults('quiz.results', params);
+                this.narrator.narrate(this.localizer.t('quiz.results', params));
+            }
+        });
+
+        this.quiz = quiz;
+        if (!quiz.start()) {
+            this.quiz = null;
+            this.overlay.showNotice('notice.quizUnavailable');
+            return false;
+        }
+        this.lastQuiz = quiz;
+        return true;
+    }
+
+    stopQuiz() {
+        return this.quiz ? this.quiz.stop() : false;
+    }
+
+    // Show a question and focus its first candidate, zoomed out so all of them are in reach
+    showQuizQuestion(question) {
+        if (this.isLocked) {
+            this.actions.dispatch(ACTIONS.UNLOCK, undefined, 'quiz');
+        }
+        const text = questionText(question, this.solarSystem.planetData, this.localizer);
+        this.overlay.showQuizQuestion(text, question.candidates.map(index => this.localizer.bodyName(this.solarSystem.planetData[index])));
+        this.showQuizChoice(question.candidates[0], 0);
+        this.narrator.narrate(text);
+    }
+
+    showQuizChoice(planetIndex, choice) {
+        this.focusOn(planetIndex);
+        this.overlay.showQuizChoice(choice);
+    }
+
+    // Answer with the focused candidate. Returns false: the fist (or Enter) answers instead
+    // of zooming in, so the other input sources stay in swipe mode.
+    answerQuiz() {
+        this.quiz.answer();
+        return false;
+    }
+
+    showQuizAnswer(record) {
+        const question = this.quiz.question;
+        const name = this.localizer.bodyName(this.solarSystem.planetData[question.answer]);
+        let key = 'quiz.correct';
+        if (record.timedOut) {
+            key = 'quiz.timeUp';
+        } else if (!record.correct) {
+            key = 'quiz.wrong';
+        }
+        this.overlay.showQuizAnswer({
+            answer: question.candidates.indexOf(question.answer),
+            chosen: record.timedOut ? -1 : this.quiz.choice
+        }, key, { name });
+        this.narrator.narrate(this.localizer.t(key, { name }));
+    }
+
+    // Score, streak and time left under the quiz question; called every frame
+    showQuizStatus() {
+        const params = {
+            number: this.quiz.index + 1,
+            count: this.quiz.questionCount,
+            score: this.quiz.score,
+            streak: this.quiz.streak
+        };
+        const seconds = this.quiz.remainingSeconds;
+        if (seconds === null) {
+            this.overlay.showQuizStatus('quiz.status', params);
+        } else {
+            this.overlay.showQuizStatus('quiz.statusTimed', { status: this.localizer.t('quiz.status', params), seconds: Math.ceil(seconds) });
+        }
+    }
+
+    // Lock: zoom in on the current body and halt it for reading
+    lock() {
+        if (!this.interaction.send('lock')) return false;
+
+        this.overlay.setZoomed(true);
+        return true;
+    }
+
+    // Unlock: zoom back out and let the body continue its orbit. A focused moon is let
+    // go too: the camera returns to its planet.
+    unlock() {
+        const wasOnMoon = this.currentMoonIndex >= 0;
+        if (!this.interaction.send('unlock')) return false;
+
+        this.overlay.setZoomed(false);
+        if (wasOnMoon) {
+            this.updatePlanetInfo();
+        }
+        return true;
+    }
+
+    // Move a detail page up or down within the current body's pages; returns true if it
+    // changed
+    stepDetailPage(step) {
+        const body = this.currentBody();
+        const page = this.detailPage + step;
+        if (!body || page < 0 || page >= detailPageCount(body)) return false;
+
+        this.setDetailPage(page);
+        return true;
+    }
+
+    // Returns true when the unit system changed
+    setUnits(units) {
+        if (units === this.units || !UNIT_SYSTEMS.includes(units)) return false;
+
+        this.units = units;
+        this.updatePlanetInfo();
+        return true;
+    }
+
+    // page: index into the current body's description pages; unknown ones (-1) are ignored
+    setDetailPage(page) {
+        if (page < 0) return;
+
+        this.detailPage = page;
+        this.updatePlanetInfo();
+    }
+
+    // profile: { name, thresholds } from the ProfileStore, or null for the defaults
+    applyProfile(profile) {
+        this.handSource.applyThresholds(profile ? profile.thresholds : DEFAULT_THRESHOLDS);
+        this.activeProfileName = profile ? profile.name : null;
+    }
+
+    // A trained gesture set was recorded, edited or imported: recognize its gestures and
+    // bind them (new ones start unbound, or with the action they were exported with)
+    applyGestureSet(set) {
+        this.handSource.applyCustomGestures(set);
+        this.handSource.applyBindings(this.bindingStore.setCustomGestures(set.gestures));
+    }
+
+    updatePlanetInfo() {
+        const body = this.currentBody();
+        if (!body) return;
+
+        // Bodies have their own number of pages: stay on the last one this body has
+        this.detailPage = Math.min(this.detailPage, detailPageCount(body) - 1);
+        this.overlay.showBody(body, this.detailPage);
+        this.overlay.showFacts(buildFacts(body, {
+            detailPage: this.detailPage,
+            units: this.units,
+            reference: this.solarSystem.planetData.find(planet => planet.name === REFERENCE_BODY) || null,
+            isMoon: this.currentMoonIndex >= 0,
+            localizer: this.localizer
+        }), this.units);
+        // A quiz reads its questions instead, since descriptions would give answers away
+        if (!this.quiz) {
+            this.narrator.narrate(this.narrationText(body));
+        }
+    }
+
+    onWindowResize() {
+        this.solarSystem.resize(window.innerWidth, window.innerHeight);
+    }
+
+    animate(frameTime = performance.now()) {
+        requestAnimationFrame(time => this.animate(time));
+
+        const deltaSeconds = this.lastFrameTime === null
+            ? 0
+            : Math.min((frameTime - this.lastFrameTime) / 1000, MAX_FRAME_SECONDS);
+        this.lastFrameTime = frameTime;
+
+        if (this.tour) {
+            this.tour.update();
+        }
+        if (this.quiz) {
+            this.quiz.update();
+            // The round may have just ended
+            if (this.quiz) {
+                this.showQuizStatus();
+            }
+        }
+        this.clock.advance(deltaSeconds);
+        this.overlay.showTime(this.clock);
+        this.solarSystem.update(this.clock.date, deltaSeconds);
+        this.solarSystem.render();
+    }
+}
@@ -0,0 +1,82 @@
+// Recognizes the poses and motions of a trained gesture set (customGestures.js) in live
+// landmarks. Poses: k nearest neighbours over the static samples. Motions: template
+// matching of the last moments of the hand against each dynamic sample. Scores run from
+// 0 to 1 like the recognizer's, so bindings treat both alike. Keeps no per-hand state;
+// the GestureInterpreter holds the recent frames of its hand.
+
+import { isCompleteHand } from './handLandmarks.js';
+import { frameDistance, normalizeFrame, normalizeMotion, sequenceDistance } from './customGestures.js';
+
+const NEIGHBOURS = 3;
+// Landmark distance (palm sizes, see frameDistance) at which a match scores 0
+const POSE_DISTANCE_LIMIT = 0.4;
+const MOTION_DISTANCE_LIMIT = 1;
+// A motion is only matched once the frames cover most of its sample's duration
+const MIN_MOTION_COVERAGE = 0.8;
+
+export class CustomGestureClassifier {
+    constructor(gestureSet = { gestures: [] }) {
+        this.setGestures(gestureSet);
+    }
+
+    setGestures(gestureSet) {
+        this.gestures = gestureSet.gestures.map(({ name, type }) => ({ name, type }));
+        this.poseSamples = [];
+        this.motionSamples = [];
+        gestureSet.gestures.forEach(({ name, type, samples }) => {
+            samples.forEach(sample => (type === 'static' ? this.poseSamples : this.motionSamples).push({ name, sample }));
+        });
+        // How far back the interpreter needs to keep frames
+        this.maxMotionMs = Math.max(0, ...this.motionSamples.map(({ sample }) => sample.durationMs));
+    }
+
+    get hasPoses() {
+        return this.poseSamples.length > 0;
+    }
+
+    get hasMotions() {
+        return this.motionSamples.length > 0;
+    }
+
+    // { categoryName, score } for the closest trained pose, or null
+    classifyPose(landmarks) {
+        if (!this.hasPoses || !isCompleteHand(landmarks)) return null;
+
+        const frame = normalizeFrame(landmarks);
+        const nearest = this.poseSamples
+            .map(({ name, sample }) => ({ name, distance: frameDistance(frame, sample) }))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, NEIGHBOURS);
+
+        // Majority of the nearest samples, the closest one breaking ties
+        const votes = {};
+        nearest.forEach(({ name }) => {
+            votes[name] = (votes[name] || 0) + 1;
+        });
+        const winner = nearest.reduce((best, candidate) => (votes[candidate.name] > votes[best.name] ? candidate : best));
+        const closeness = Math.max(0, 1 - winner.distance / POSE_DISTANCE_LIMIT);
+        return { categoryName: winner.name, score: closeness * votes[winner.name] / nearest.length };
+    }
+
+    // frames: [{ landmarks, time }] of one hand, oldest first, ending now.
+    // { categoryName, score } for the best matching motion, or null
+    classifyMotion(frames) {
+        if (!this.hasMotions || frames.length < 2) return null;
+
+        const now = frames[frames.length - 1].time;
+        let best = null;
+        this.motionSamples.forEach(({ name, sample }) => {
+            const recent = frames.filter(frame => now - frame.time <= sample.durationMs);
+            if (recent.length < 2 || now - recent[0].time < sample.durationMs * MIN_MOTION_COVERAGE) return;
+
+            const motion = normalizeMotion(recent);
+            if (!motion) return;
+
+            const score = Math.max(0, 1 - sequenceDistance(motion, sample.frames) / MOTION_DISTANCE_LIMIT);
+            if (!best || score > best.score) {
+                best = { categoryName: name, score };
+            }
+        });
+        return best;
+    }
+}
@@ -0,0 +1,70 @@
+// Free-look camera control from one hand: moving the palm across the camera image
+// orbits (left/right = azimuth, up/down = elevation) and moving the hand towards or
+// away from the camera dollies in or out. Emits per-frame deltas relative to where
+// the hand was when it came into view, so the view doesn't jump when it reappears.
+// Palm size stands in for depth: MediaPipe's landmark z is relative to the wrist.
+
+import { isCompleteHand, WRIST, PALM_CENTER } from './handLandmarks.js';
+
+const NOOP = () => {};
+
+export class FreeLookGestures {
+    // actions: { orbit(deltaAzimuth, deltaElevation), dolly(factor) } with factor > 1 moving closer
+    constructor({ actions = {} } = {}) {
+        this.actions = { orbit: NOOP, dolly: NOOP, ...actions };
+
+        this.azimuthGain = 2 * Math.PI; // Radians per full image width
+        this.elevationGain = Math.PI / 2; // Radians per full image height
+        this.smoothing = 0.3; // Weight of the newest frame in the running average
+        this.deadZone = 0.002; // Ignore palm movement below this per frame (jitter)
+        this.minDollyChange = 0.003;
+
+        this.last = null;
+    }
+
+    process(landmarks) {
+        if (!isCompleteHand(landmarks)) {
+            this.reset();
+            return;
+        }
+
+        const palm = landmarks[PALM_CENTER];
+        const wrist = landmarks[WRIST];
+        const measured = {
+            x: palm.x,
+            y: palm.y,
+            size: Math.hypot(palm.x - wrist.x, palm.y - wrist.y)
+        };
+
+        if (!this.last) {
+            this.last = measured;
+            return;
+        }
+
+        // Exponential smoothing keeps landmark jitter from shaking the camera
+        const current = {
+            x: this.last.x + (measured.x - this.last.x) * this.smoothing,
+            y: this.last.y + (measured.y - this.last.y) * this.smoothing,
+            size: this.last.size + (measured.size - this.last.size) * this.smoothing
+        };
+
+        const deltaX = current.x - this.last.x;
+        const deltaY = current.y - this.last.y;
+        if (Math.abs(deltaX) > this.deadZone || Math.abs(deltaY) > this.deadZone) {
+            // View x grows to the user's right and y downwards; moving the hand right orbits right, up tilts up
+            this.actions.orbit(-deltaX * this.azimuthGain, -deltaY * this.elevationGain);
+        }
+
+        // A bigger palm means the hand moved towards the camera: dolly in
+        const dollyFactor = current.size / Math.max(this.last.size, 1e-6);
+        if (Math.abs(dollyFactor - 1) > this.minDollyChange) {
+            this.actions.dolly(dollyFactor);
+        }
+
+        this.last = current;
+    }
+
+    reset() {
+        this.last = null;
+    }
+}
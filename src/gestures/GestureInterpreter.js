@@ -0,0 +1,595 @@
+// Turns MediaPipe gesture recognizer results into app actions. Landmarks are expected in
+// view coordinates (cameraView.js): x grows to the user's right and y downwards.
+// Has no DOM, camera or Three.js dependencies: everything it needs comes in through
+// the constructor, so it can be driven by synthetic 21-point landmark arrays.
+
+import {
+    THUMB_TIP,
+    PALM_CENTER,
+    FINGER_TIPS,
+    FINGER_BASES,
+    isCompleteHand,
+    fingerTipCenter,
+    snapshotFingerTips,
+    normalizeAngle,
+    pinchRatio
+} from './handLandmarks.js';
+import { DEFAULT_THRESHOLDS } from './gestureProfile.js';
+import { DEFAULT_BINDINGS, POINTING_ACTIONS, gestureKinds } from './gestureBindings.js';
+import { CustomGestureClassifier } from './CustomGestureClassifier.js';
+import { ACTIONS } from '../input/ActionBus.js';
+
+const NOOP = () => {};
+
+// What a hand is allowed to do when two hands share the work:
+//   navigation: swipes, the fist/palm lock and the pointing toggle
+//   control:    the rotary dial, time gestures and the free-look toggle
+//   both:       everything (a single hand in view)
+export const HAND_ROLES = ['both', 'navigation', 'control'];
+
+export class GestureInterpreter {
+    // actions: a function per bound action name (next, previous, lock, unlock, detailUp,
+    // detailDown, togglePause, cycleTimeSpeed, toggleFreeLook, togglePointing with the default
+    // bindings, or any of BINDABLE_ACTIONS), plus calibrate. Actions without a function do nothing.
+    // now: clock in milliseconds, replaceable for tests and replays.
+    constructor({ actions = {}, now = () => Date.now() } = {}) {
+        this.actions = {
+            next: NOOP,
+            previous: NOOP,
+            lock: NOOP,
+            unlock: NOOP,
+            detailUp: () => false,
+            detailDown: () => false,
+            togglePause: NOOP,
+            cycleTimeSpeed: NOOP,
+            toggleFreeLook: NOOP,
+            togglePointing: NOOP,
+            calibrate: NOOP,
+            ...actions
+        };
+        this.now = now;
+
+        // Mode: locked = rotary dial (or fist swipes through moons), unlocked = swipe
+        this.isLocked = false;
+        this.isPointing = false; // The hand is a cursor (PointingGestures); only the pointing toggle applies
+        this.role = 'both';
+        this.minGestureConfidence = DEFAULT_THRESHOLDS.minGestureConfidence; // For bindings without their own
+        this.bindings = DEFAULT_BINDINGS; // Gesture → { action, minConfidence, holdMs }, see gestureBindings.js
+        this.gestureKinds = gestureKinds(); // Gesture → { kind, role }, including trained gestures
+        this.customGestures = new CustomGestureClassifier(); // Trained poses and motions (none until a set is applied)
+
+        // Gesture detection
+        this.lastGesture = null;
+        this.lastRecognizedGesture = null; // Recognizer category from the previous frame
+        this.poseStart = 0; // When the current category was first recognized
+        this.poseFired = false; // Its one-shot action has run (or was skipped) for this hold
+        this.lastHandPosition = { x: 0, y: 0, z: 0 };
+
+        // One-shot poses (time, free look, pointing, ...) fire once per hold, then wait out a cooldown
+        this.lastTimeGestureTime = 0;
+        this.timeGestureCooldown = 1000;
+
+        // One-hand pinch (thumb tip to index tip), with hysteresis like the two-hand pinch
+        this.pinchThreshold = 0.35;
+        this.pinchReleaseThreshold = 0.5;
+        this.isPinching = false;
+        this.pinchStart = 0;
+        this.pinchFired = false;
+
+        // Trained motions: the hand's recent frames, matched against the motion samples
+        this.motionFrames = [];
+        this.lastMotionTime = 0;
+        this.motionCooldown = 1000;
+
+        // Rotary dial detection: the turn builds up a signed angle in degrees (clockwise
+        // positive); each detent of the bound action's stepDegrees fires it once
+        this.lastFingerPositions = null;
+        this.rotationHistory = [];
+        this.dialAngle = 0; // Turned since the last detent
+        this.lastDetentTime = 0;
+        this.rotationThreshold = DEFAULT_THRESHOLDS.rotationThreshold;
+        this.dialSpreadThreshold = DEFAULT_THRESHOLDS.dialSpreadThreshold;
+        this.dialCenterMovementThreshold = DEFAULT_THRESHOLDS.dialCenterMovementThreshold;
+
+        // Swipe gesture detection
+        this.lastSwipeTime = 0;
+        this.swipeCooldown = 500; // Cooldown between swipes
+
+        // Continuous swipe detection
+        this.lastPalmPosition = null;
+        this.swipeVelocityThreshold = DEFAULT_THRESHOLDS.swipeVelocityThreshold;
+        this.swipeMinDeltaX = DEFAULT_THRESHOLDS.swipeMinDeltaX;
+        this.swipeDirectionRatio = DEFAULT_THRESHOLDS.swipeDirectionRatio;
+        this.swipeMinFrameInterval = 16; // ~60fps
+        this.swipeProgress = null; // { gesture, progress }: the movement's speed against the swipe velocity
+    }
+
+    // What the HUD shows of this hand: its mode, how close a swipe or the next dial detent is
+    // (0 to 1, the dial signed by direction), when the last detent fired and the share of
+    // each cooldown still to run
+    feedback() {
+        const currentTime = this.now();
+        const remaining = (since, cooldown) => Math.min(Math.max(1 - (currentTime - since) / cooldown, 0), 1);
+        return {
+            isLocked: this.isLocked,
+            isPointing: this.isPointing,
+            swipe: this.swipeProgress,
+            dial: this.dialAngle / this.dialStep(this.dialAngle),
+            lastDetentTime: this.lastDetentTime,
+            cooldowns: {
+                swipe: remaining(this.lastSwipeTime, this.swipeCooldown),
+                pose: remaining(this.lastTimeGestureTime, this.timeGestureCooldown)
+            }
+        };
+    }
+
+    // Entry point for one frame of recognizer output; uses the first hand
+    processResults(results) {
+        if (!results) return;
+
+        this.processHand({
+            landmarks: results.landmarks && results.landmarks.length > 0 ? results.landmarks[0] : null,
+            gesture: results.gestures && results.gestures.length > 0 ? results.gestures[0][0] || null : null
+        });
+    }
+
+    // One hand's frame: { landmarks, gesture: { categoryName, score } | null }
+    processHand(hand) {
+        // Process gestures
+        const recognizedGesture = this.recognizePose(hand);
+        if (recognizedGesture) {
+            if (recognizedGesture !== this.lastRecognizedGesture) {
+                this.poseStart = this.now();
+                this.poseFired = false;
+            }
+            this.handleGesture(recognizedGesture);
+        }
+        this.lastRecognizedGesture = recognizedGesture;
+
+        // Process hand position for swipes and the rotary dial
+        if (hand.landmarks) {
+            this.processHandPosition(hand.landmarks);
+        }
+        if (this.customGestures.hasMotions) {
+            this.processMotion(hand.landmarks);
+        }
+    }
+
+    // The recognizer's category when it's confident enough, or else the closest trained pose
+    // when that is; null when neither is
+    recognizePose(hand) {
+        const { gesture } = hand;
+        if (gesture && gesture.categoryName !== 'None' && gesture.score > this.minConfidenceFor(gesture.categoryName)) {
+            return gesture.categoryName;
+        }
+
+        const pose = this.customGestures.classifyPose(hand.landmarks);
+        return pose && pose.score > this.minConfidenceFor(pose.categoryName) ? pose.categoryName : null;
+    }
+
+    get handlesNavigation() {
+        return this.role !== 'control';
+    }
+
+    get handlesControl() {
+        return this.role !== 'navigation';
+    }
+
+    setRole(role) {
+        if (!HAND_ROLES.includes(role)) {
+            throw new Error(`Unknown hand role "${role}", expected one of ${HAND_ROLES.join(', ')}`);
+        }
+        if (role === this.role) return;
+
+        this.role = role;
+        this.lastGesture = null;
+        this.lastRecognizedGesture = null;
+        this.resetSwipe();
+        this.resetDial();
+        this.resetPinch();
+    }
+
+    // Use a binding table (see gestureBindings.js, sanitized); the profile's confidence still
+    // applies to bindings without their own
+    applyBindings(bindings) {
+        this.bindings = bindings;
+        this.lastRecognizedGesture = null;
+        this.resetPinch();
+    }
+
+    // Recognize the gestures of a trained set (a CustomGestureClassifier); their bindings
+    // come with the next applyBindings
+    applyCustomGestures(classifier) {
+        this.customGestures = classifier;
+        this.gestureKinds = gestureKinds(classifier.gestures);
+        this.lastRecognizedGesture = null;
+        this.motionFrames = [];
+    }
+
+    minConfidenceFor(gestureName) {
+        const binding = this.bindings[gestureName];
+        return binding && binding.minConfidence !== null ? binding.minConfidence : this.minGestureConfidence;
+    }
+
+    // The action bound to a gesture, or null when it's unbound, belongs to the other hand, or
+    // the hand is pointing (then only leaving pointing mode gets through)
+    boundAction(gestureName) {
+        const binding = this.bindings[gestureName];
+        if (!binding || !binding.action) return null;
+        const { role } = this.gestureKinds[gestureName];
+        if (role === 'navigation' ? !this.handlesNavigation : role === 'control' && !this.handlesControl) return null;
+        if (this.isPointing && !POINTING_ACTIONS.includes(binding.action)) return null;
+        return binding.action;
+    }
+
+    // Run a bound action; returns its result (false when there is no such action)
+    perform(action) {
+        const handler = this.actions[action];
+        return handler ? handler() : false;
+    }
+
+    // Lock switches to the dial (or fist swipes through moons), unlock back to swiping;
+    // the action is only emitted when the mode actually changes
+    switchLock(isLocked) {
+        if (this.isLocked !== isLocked) {
+            this.isLocked = isLocked;
+            this.perform(isLocked ? ACTIONS.LOCK : ACTIONS.UNLOCK);
+        }
+        // Reset any ongoing swipe, and the rotary dial state when unlocking
+        this.resetSwipe();
+        if (!isLocked) {
+            this.resetDial();
+        }
+    }
+
+    // A swipe, dial turn, pinch or trained motion happened: run its bound action. Returns the action's result,
+    // or false when the gesture is unbound.
+    trigger(gestureName) {
+        const action = this.boundAction(gestureName);
+        if (!action) return false;
+
+        if (action === ACTIONS.LOCK || action === ACTIONS.UNLOCK) {
+            this.switchLock(action === ACTIONS.LOCK);
+            return true;
+        }
+        return this.perform(action);
+    }
+
+    // A recognizer category seen this frame (and on the frames before, while it's held)
+    handleGesture(gestureName) {
+        const action = this.boundAction(gestureName);
+        if (!action) return;
+
+        const binding = this.bindings[gestureName];
+        if (this.now() - this.poseStart < binding.holdMs) return;
+
+        if (action === ACTIONS.LOCK || action === ACTIONS.UNLOCK) {
+            // Lock and unlock follow the pose for as long as it's held
+            this.switchLock(action === ACTIONS.LOCK);
+        } else if (this.isNewTimeGesture()) {
+            this.perform(action);
+        }
+    }
+
+    // True once per hold of a one-shot pose, when its hold time is up, if the cooldown has passed
+    isNewTimeGesture() {
+        if (this.poseFired) return false;
+        this.poseFired = true;
+
+        const currentTime = this.now();
+        if (currentTime - this.lastTimeGestureTime < this.timeGestureCooldown) return false;
+
+        this.lastTimeGestureTime = currentTime;
+        return true;
+    }
+
+    // Use a calibrated profile's thresholds (see gestureProfile.js); missing keys keep their current value
+    applyThresholds(thresholds) {
+        Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+            if (typeof thresholds[key] === 'number') {
+                this[key] = thresholds[key];
+            }
+        });
+    }
+
+    // Follow a lock change made elsewhere (keyboard, mouse, ...) without emitting an action
+    setLocked(isLocked) {
+        if (this.isLocked === isLocked) return;
+
+        this.isLocked = isLocked;
+        this.resetSwipe();
+        this.resetDial();
+    }
+
+    // Follow pointing mode, however it was entered or left
+    setPointing(isPointing) {
+        if (this.isPointing === isPointing) return;
+
+        this.isPointing = isPointing;
+        this.lastGesture = null;
+        this.resetSwipe();
+        this.resetDial();
+    }
+
+    resetSwipe() {
+        this.lastPalmPosition = null;
+        this.swipeProgress = null;
+    }
+
+    resetDial() {
+        this.lastFingerPositions = null;
+        this.rotationHistory = [];
+        this.dialAngle = 0;
+    }
+
+    resetPinch() {
+        this.isPinching = false;
+        this.pinchFired = false;
+    }
+
+    // The hand this interpreter followed is gone, or another hand took its place: forget its
+    // poses and movement, so the next hand's first frame isn't read against the last one's
+    resetHand() {
+        this.resetSwipe();
+        this.resetDial();
+        this.resetPinch();
+        this.motionFrames = [];
+        this.lastGesture = null;
+        this.lastRecognizedGesture = null;
+    }
+
+    processHandPosition(landmarks) {
+        if (!isCompleteHand(landmarks) || this.isPointing) return;
+
+        const center = fingerTipCenter(landmarks);
+        if (this.boundAction('pinch')) {
+            this.processPinch(landmarks);
+        }
+
+        // Check for fist-to-palm transition for calibration
+        const isFist = this.detectFist(landmarks);
+        const wasFist = this.lastGesture === 'Closed_Fist';
+
+        // Calibration: When transitioning from fist to open palm
+        if (wasFist && !isFist && this.handlesNavigation) {
+            // User just opened their palm - calibrate Z-depth
+            this.actions.calibrate(landmarks[THUMB_TIP].z); // Use thumb tip Z for calibration
+        }
+
+        // Update last gesture for next frame
+        this.lastGesture = isFist ? 'Closed_Fist' : 'Open_Palm';
+
+        if (!this.isLocked) {
+            // Process continuous swipe gestures (only when unlocked)
+            if (this.handlesNavigation) {
+                this.processContinuousSwipe(landmarks);
+            }
+            // Ensure rotary dial state is cleared when in swipe mode
+            this.resetDial();
+        } else if (isFist && this.handlesNavigation) {
+            // Locked, a fist moved sideways steps through the planet's moons (an open
+            // palm would unlock, and a fist can't form the dial)
+            this.processContinuousSwipe(landmarks);
+            this.resetDial();
+        } else {
+            // Ensure swipe state is cleared when in rotary dial mode
+            this.resetSwipe();
+
+            // Simple check: if we have a center point and fingers are spread out enough
+            if (this.handlesControl && this.checkSimpleDialFormation(landmarks)) {
+                const rotation = this.calculateCenterRotation(landmarks);
+
+                if (rotation !== 0) {
+                    this.handleRotaryDial(rotation);
+                }
+            }
+        }
+
+        // Update last position (normalized coordinates)
+        this.lastHandPosition = center;
+    }
+
+    // Continuous swipe detection using palm center
+    processContinuousSwipe(landmarks) {
+        if (!isCompleteHand(landmarks)) return;
+
+        const palmCenter = landmarks[PALM_CENTER];
+        const currentTime = this.now();
+
+        if (!this.lastPalmPosition) {
+            this.lastPalmPosition = { x: palmCenter.x, y: palmCenter.y, time: currentTime };
+            return;
+        }
+
+        const deltaX = palmCenter.x - this.lastPalmPosition.x;
+        const deltaY = palmCenter.y - this.lastPalmPosition.y;
+        const deltaTime = currentTime - this.lastPalmPosition.time;
+
+        // Only process if enough time has passed (avoid too frequent updates)
+        if (deltaTime < this.swipeMinFrameInterval) return;
+
+        // Check for fast movement along one axis (swipe)
+        const isHorizontal = Math.abs(deltaX) > this.swipeMinDeltaX && Math.abs(deltaX) > Math.abs(deltaY) * this.swipeDirectionRatio;
+        const isVertical = Math.abs(deltaY) > this.swipeMinDeltaX && Math.abs(deltaY) > Math.abs(deltaX) * this.swipeDirectionRatio;
+        this.swipeProgress = null;
+        if (isHorizontal || isVertical) {
+            const velocity = Math.abs(isHorizontal ? deltaX : deltaY) / deltaTime;
+            // Swipe right (to the user's right) is the next planet and swipe left the previous
+            // one by default; y grows downwards
+            let gestureName;
+            if (isHorizontal) {
+                gestureName = deltaX > 0 ? 'swipeRight' : 'swipeLeft';
+            } else {
+                gestureName = deltaY > 0 ? 'swipeDown' : 'swipeUp';
+            }
+
+            if (this.boundAction(gestureName)) {
+                this.swipeProgress = { gesture: gestureName, progress: Math.min(velocity / this.swipeVelocityThreshold, 1) };
+            }
+
+            // Check if velocity is high enough and cooldown has passed
+            if (velocity > this.swipeVelocityThreshold && currentTime - this.lastSwipeTime > this.swipeCooldown &&
+                this.boundAction(gestureName)) {
+                this.trigger(gestureName);
+                this.lastSwipeTime = currentTime;
+            }
+        }
+
+        // Update last palm position
+        this.lastPalmPosition = { x: palmCenter.x, y: palmCenter.y, time: currentTime };
+    }
+
+    // Simple dial formation check - just check if fingers are spread out enough
+    checkSimpleDialFormation(landmarks) {
+        if (!isCompleteHand(landmarks)) {
+            return false;
+        }
+
+        const center = fingerTipCenter(landmarks);
+
+        // Check if fingers are spread out enough from the center
+        const avgDistance = FINGER_TIPS.reduce((sum, tip) => (
+            sum + Math.hypot(landmarks[tip].x - center.x, landmarks[tip].y - center.y)
+        ), 0) / FINGER_TIPS.length;
+
+        return avgDistance > this.dialSpreadThreshold;
+    }
+
+    // Calculate rotation based on center point movement and finger tip positions.
+    // Returns this frame's turn in radians, clockwise as the user sees it positive, or 0
+    // while the smoothed turn is slower than rotationThreshold (jitter of a hand held still).
+    // Only the change of the thumb's angle counts, so it reads the same whichever side of
+    // the center the thumb sits on, left hand or right.
+    calculateCenterRotation(landmarks) {
+        if (!this.lastFingerPositions) {
+            // First time, just store positions for all five fingers
+            this.lastFingerPositions = snapshotFingerTips(landmarks);
+            this.rotationHistory = [];
+            return 0;
+        }
+
+        const last = this.lastFingerPositions;
+        const lastCenterX = (last.thumb.x + last.index.x + last.middle.x + last.ring.x + last.pinky.x) / 5;
+        const lastCenterY = (last.thumb.y + last.index.y + last.middle.y + last.ring.y + last.pinky.y) / 5;
+        const current = fingerTipCenter(landmarks);
+
+        // Check if center has moved too much (indicates hand movement, not rotation)
+        const centerMovement = Math.hypot(current.x - lastCenterX, current.y - lastCenterY);
+
+        if (centerMovement > this.dialCenterMovementThreshold) {
+            // Hand moved too much, reset positions
+            this.lastFingerPositions = snapshotFingerTips(landmarks);
+            this.rotationHistory = [];
+            this.dialAngle = 0;
+            return 0;
+        }
+
+        // Use the thumb as our reference point for rotation around the center
+        const lastThumbAngle = Math.atan2(last.thumb.y - lastCenterY, last.thumb.x - lastCenterX);
+        const currentThumbAngle = Math.atan2(
+            landmarks[THUMB_TIP].y - current.y,
+            landmarks[THUMB_TIP].x - current.x
+        );
+
+        const angleDiff = normalizeAngle(currentThumbAngle - lastThumbAngle);
+
+        // Store rotation in history for smoothing
+        this.rotationHistory.push(angleDiff);
+        if (this.rotationHistory.length > 8) {
+            this.rotationHistory.shift();
+        }
+
+        // Calculate average rotation over last few frames
+        const avgRotation = this.rotationHistory.reduce((sum, val) => sum + val, 0) / this.rotationHistory.length;
+
+        this.lastFingerPositions = snapshotFingerTips(landmarks);
+
+        // Only a turn in the smoothed direction counts, so a jittery frame can't step back
+        if (Math.abs(avgRotation) > this.rotationThreshold && Math.sign(angleDiff) === Math.sign(avgRotation)) {
+            return angleDiff;
+        }
+
+        return 0;
+    }
+
+    // Degrees between detents for a turn in the direction of angle
+    dialStep(angle) {
+        const binding = this.bindings[angle < 0 ? 'dialCounterClockwise' : 'dialClockwise'];
+        return binding.stepDegrees;
+    }
+
+    // Add a frame's turn (radians) to the dial; each time it passes a detent the bound action
+    // runs once, so a quick turn can scrub several steps in one frame. What is left over
+    // carries on, so turning back has to undo it before stepping the other way.
+    handleRotaryDial(rotation) {
+        this.dialAngle += rotation * 180 / Math.PI;
+
+        let step = this.dialStep(this.dialAngle);
+        while (Math.abs(this.dialAngle) >= step) {
+            const direction = Math.sign(this.dialAngle);
+            this.dialAngle -= direction * step;
+            this.lastDetentTime = this.now();
+            this.trigger(direction > 0 ? 'dialClockwise' : 'dialCounterClockwise');
+            step = this.dialStep(this.dialAngle);
+        }
+    }
+
+    // Fire the pinch binding once per pinch, when its hold time is up
+    processPinch(landmarks) {
+        const threshold = this.isPinching ? this.pinchReleaseThreshold : this.pinchThreshold;
+        if (pinchRatio(landmarks) >= threshold) {
+            this.resetPinch();
+            return;
+        }
+
+        if (!this.isPinching) {
+            this.isPinching = true;
+            this.pinchStart = this.now();
+        }
+        if (!this.pinchFired && this.now() - this.pinchStart >= this.bindings.pinch.holdMs) {
+            this.pinchFired = true;
+            this.trigger('pinch');
+        }
+    }
+
+    // Trained motions: match the hand's last moments against the motion samples, firing the
+    // best match's binding once, then waiting out a cooldown with a fresh buffer
+    processMotion(landmarks) {
+        if (!isCompleteHand(landmarks)) {
+            this.motionFrames = [];
+            return;
+        }
+
+        const currentTime = this.now();
+        this.motionFrames.push({ landmarks, time: currentTime });
+        this.motionFrames = this.motionFrames.filter(frame => currentTime - frame.time <= this.customGestures.maxMotionMs);
+        if (currentTime - this.lastMotionTime < this.motionCooldown) return;
+
+        const motion = this.customGestures.classifyMotion(this.motionFrames);
+        if (motion && motion.score > this.minConfidenceFor(motion.categoryName) && this.boundAction(motion.categoryName)) {
+            this.trigger(motion.categoryName);
+            this.lastMotionTime = currentTime;
+            this.motionFrames = [];
+        }
+    }
+
+    // Detect a closed fist from finger tip positions relative to their base joints
+    detectFist(landmarks) {
+        let closedFingers = 0;
+
+        FINGER_TIPS.forEach((tip, index) => {
+            const base = landmarks[FINGER_BASES[index]];
+
+            if (index === 0) {
+                // For thumb, check X position instead
+                if (Math.abs(landmarks[tip].x - base.x) < 0.05) {
+                    closedFingers++;
+                }
+            } else if (landmarks[tip].y > base.y) {
+                closedFingers++;
+            }
+        });
+
+        return closedFingers >= 4; // At least 4 fingers closed
+    }
+}
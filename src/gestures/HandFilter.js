@@ -0,0 +1,151 @@
+// Cleans up the recognizer's hands before the gesture code sees them. Each hand is followed
+// from frame to frame as a track with an id; a frame in which a hand's palm jumps further
+// than a hand can move is dropped, a landmark that leaps away from the rest of its hand is
+// held where it was relative to the palm, and every coordinate then goes through a One Euro
+// filter. A hand that vanishes keeps its track for a grace period, so a dropped frame or two
+// doesn't end a swipe or a dial turn; one that comes back later is a new track.
+// No DOM dependencies: hands are the { landmarks, gesture, handedness } entries of splitHands.
+
+import { PALM_CENTER, isCompleteHand, palmSize } from './handLandmarks.js';
+import { OneEuroFilter } from './OneEuroFilter.js';
+
+const COORDINATES = ['x', 'y', 'z'];
+
+export const HAND_FILTER_DEFAULTS = {
+    minCutoff: 1.5, // Hz: smoothing of a hand held still
+    beta: 5, // How quickly movement (normalized units per second) cuts the lag
+    dCutoff: 1, // Hz: smoothing of the speed estimate
+    lossGraceMs: 300, // A hand missing for longer than this is gone
+    maxHandSpeed: 0.01, // Palm center, normalized units per ms: anything faster is a glitch
+    maxLandmarkSpeed: 0.02, // A landmark's movement relative to the palm, palm sizes per ms
+    jumpFrames: 3 // Frames in a row a hand must stay past a jump to count as a new hand there
+};
+
+const MIN_FRAME_MS = 16; // Floor for the time between frames when judging a jump
+
+export class HandFilter {
+    // options: any of HAND_FILTER_DEFAULTS
+    constructor(options = {}) {
+        this.options = { ...HAND_FILTER_DEFAULTS, ...options };
+        // { id, landmarks (the last accepted, unfiltered), filters, lastSeen, jumps, held }
+        this.tracks = [];
+        this.nextId = 1;
+    }
+
+    reset() {
+        this.tracks = [];
+    }
+
+    // True while the track is alive, seen within the grace period
+    isTracking(id) {
+        return this.tracks.some(track => track.id === id);
+    }
+
+    // hands: one frame's splitHands entries; time: the frame's timestamp in milliseconds.
+    // Returns the hands to interpret, in the same order, each with its track id and filtered
+    // landmarks; a hand whose frame was dropped is left out. Incomplete hands pass through
+    // unfiltered, with a null id.
+    process(hands, time) {
+        this.tracks = this.tracks.filter(track => time - track.lastSeen <= this.options.lossGraceMs);
+
+        const complete = hands.filter(hand => isCompleteHand(hand.landmarks));
+        const matches = this.match(complete);
+        return hands.flatMap(hand => {
+            if (!isCompleteHand(hand.landmarks)) return [{ ...hand, id: null }];
+
+            const track = matches.get(hand) || this.startTrack(hand.landmarks, time);
+            const accepted = this.accept(track, hand.landmarks, time);
+            return accepted ? [{ ...hand, ...accepted }] : [];
+        });
+    }
+
+    // Pair hands with tracks, nearest palms first; returns hand → track
+    match(hands) {
+        const pairs = [];
+        hands.forEach(hand => this.tracks.forEach(track => {
+            pairs.push({ hand, track, distance: palmDistance(hand.landmarks, track.landmarks) });
+        }));
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matches = new Map();
+        const matched = new Set();
+        pairs.forEach(({ hand, track }) => {
+            if (matches.has(hand) || matched.has(track)) return;
+            matches.set(hand, track);
+            matched.add(track);
+        });
+        return matches;
+    }
+
+    startTrack(landmarks, time) {
+        const track = {
+            id: this.nextId++,
+            landmarks,
+            filters: landmarks.map(() => COORDINATES.map(() => new OneEuroFilter(this.options))),
+            lastSeen: time,
+            jumps: 0, // Frames dropped in a row
+            held: landmarks.map(() => 0) // Frames in a row each landmark was held
+        };
+        this.tracks.push(track);
+        return track;
+    }
+
+    // { id, landmarks } for a track's new frame, filtered, or null when the frame is dropped.
+    // The id is a new track's when a jump has lasted long enough to replace the old one.
+    accept(track, landmarks, time) {
+        const elapsed = Math.max(time - track.lastSeen, MIN_FRAME_MS);
+        if (palmDistance(landmarks, track.landmarks) > this.options.maxHandSpeed * elapsed) {
+            // A jump: the detector glitched, or a hand appeared elsewhere as this one left
+            track.jumps++;
+            if (track.jumps < this.options.jumpFrames) return null;
+
+            this.tracks = this.tracks.filter(other => other !== track);
+            return this.accept(this.startTrack(landmarks, time), landmarks, time);
+        }
+
+        track.landmarks = this.holdOutliers(track, landmarks, elapsed);
+        track.lastSeen = time;
+        track.jumps = 0;
+        const filtered = track.landmarks.map((point, index) => {
+            const smoothed = { ...point };
+            COORDINATES.forEach((coordinate, axis) => {
+                if (typeof point[coordinate] === 'number') {
+                    smoothed[coordinate] = track.filters[index][axis].filter(point[coordinate], time);
+                }
+            });
+            return smoothed;
+        });
+        return { id: track.id, landmarks: filtered };
+    }
+
+    // Landmarks that moved too far relative to the palm since the last frame keep their last
+    // offset from the palm instead, until one stays put there for jumpFrames frames
+    holdOutliers(track, landmarks, elapsed) {
+        const previous = track.landmarks;
+        const palm = landmarks[PALM_CENTER];
+        const previousPalm = previous[PALM_CENTER];
+        const limit = this.options.maxLandmarkSpeed * elapsed * Math.max(palmSize(previous), 1e-6);
+        return landmarks.map((point, index) => {
+            const last = previous[index];
+            const shift = Math.hypot(
+                (point.x - palm.x) - (last.x - previousPalm.x),
+                (point.y - palm.y) - (last.y - previousPalm.y)
+            );
+            if (shift <= limit || track.held[index] + 1 >= this.options.jumpFrames) {
+                track.held[index] = 0;
+                return point;
+            }
+            track.held[index]++;
+            return {
+                ...point,
+                x: palm.x + last.x - previousPalm.x,
+                y: palm.y + last.y - previousPalm.y,
+                z: last.z
+            };
+        });
+    }
+}
+
+function palmDistance(a, b) {
+    return Math.hypot(a[PALM_CENTER].x - b[PALM_CENTER].x, a[PALM_CENTER].y - b[PALM_CENTER].y);
+}
@@ -0,0 +1,42 @@
+// The One Euro filter (Casiez, Roussel and Vogel, CHI 2012): a low-pass filter whose cutoff
+// frequency rises with the signal's speed, so a hand held still stops jittering while a
+// fast one is followed with little lag.
+
+const alpha = (cutoff, seconds) => 1 / (1 + 1 / (2 * Math.PI * cutoff * seconds));
+
+export class OneEuroFilter {
+    // minCutoff: cutoff (Hz) at rest, lower is smoother; beta: how quickly speed (units per
+    // second) raises the cutoff, higher lags less; dCutoff: cutoff (Hz) of the speed estimate
+    constructor({ minCutoff = 1, beta = 0, dCutoff = 1 } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.speed = 0;
+        this.lastTime = null;
+    }
+
+    // value at time (milliseconds); returns the filtered value
+    filter(value, time) {
+        if (this.lastTime === null) {
+            this.value = value;
+            this.lastTime = time;
+            return value;
+        }
+        // A frame with the same timestamp as the last one adds nothing
+        if (time <= this.lastTime) return this.value;
+
+        const seconds = (time - this.lastTime) / 1000;
+        const speed = (value - this.value) / seconds;
+        this.speed += alpha(this.dCutoff, seconds) * (speed - this.speed);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.speed);
+        this.value += alpha(cutoff, seconds) * (value - this.value);
+        this.lastTime = time;
+        return this.value;
+    }
+}
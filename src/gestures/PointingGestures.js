@@ -0,0 +1,82 @@
+// Pointing mode for one hand: the index fingertip is a cursor over the scene. Holding
+// it on a body for dwellTime, or pinching thumb and index together, selects the body.
+// The app does the picking: point() returns the name of the body under the cursor
+// (or null), which is all this needs to time the dwell.
+
+import { isCompleteHand, INDEX_TIP, pinchRatio } from './handLandmarks.js';
+
+const NOOP = () => {};
+
+export class PointingGestures {
+    // actions: { point({ x, y, dwell }) → hovered body name or null, select(), leave() }
+    // x and y run from 0 to 1 across the view (cameraView.js); dwell is the dwell progress from 0 to 1
+    constructor({ actions = {}, now = () => Date.now() } = {}) {
+        this.actions = { point: () => null, select: NOOP, leave: NOOP, ...actions };
+        this.now = now;
+
+        this.dwellTime = 1200; // Milliseconds on the same body to select it
+        this.pinchThreshold = 0.35; // Thumb-index distance in palm sizes that counts as a pinch
+        this.releaseThreshold = 0.5; // Hysteresis: the pinch ends above this
+        this.smoothing = 0.5; // Weight of the newest frame in the running average
+
+        this.reset();
+    }
+
+    process(landmarks) {
+        if (!isCompleteHand(landmarks)) {
+            if (this.cursor) {
+                this.actions.leave();
+            }
+            this.reset();
+            return;
+        }
+
+        // The cursor holds still while the fingers close, so a pinch doesn't drag it off target
+        const ratio = pinchRatio(landmarks);
+        const tip = landmarks[INDEX_TIP];
+        if (!this.cursor) {
+            this.cursor = { x: tip.x, y: tip.y };
+        } else if (ratio > this.releaseThreshold) {
+            this.cursor = {
+                x: this.cursor.x + (tip.x - this.cursor.x) * this.smoothing,
+                y: this.cursor.y + (tip.y - this.cursor.y) * this.smoothing
+            };
+        }
+
+        const currentTime = this.now();
+        const hovered = this.actions.point({ ...this.cursor, dwell: this.dwellProgress(currentTime) });
+
+        // Dwell restarts whenever the cursor moves onto another body, and fires once per body
+        if (hovered !== this.dwellTarget) {
+            this.dwellTarget = hovered;
+            this.dwellStart = currentTime;
+            this.dwellFired = false;
+        } else if (hovered && !this.dwellFired && currentTime - this.dwellStart >= this.dwellTime) {
+            this.dwellFired = true;
+            this.actions.select();
+        }
+
+        if (!this.isPinching && ratio < this.pinchThreshold) {
+            this.isPinching = true;
+            if (hovered) {
+                this.dwellFired = true;
+                this.actions.select();
+            }
+        } else if (this.isPinching && ratio > this.releaseThreshold) {
+            this.isPinching = false;
+        }
+    }
+
+    dwellProgress(currentTime) {
+        if (!this.dwellTarget || this.dwellFired) return 0;
+        return Math.min((currentTime - this.dwellStart) / this.dwellTime, 1);
+    }
+
+    reset() {
+        this.cursor = null;
+        this.dwellTarget = null;
+        this.dwellStart = 0;
+        this.dwellFired = false;
+        this.isPinching = false;
+    }
+}
@@ -0,0 +1,78 @@
+// Two-handed camera control: with both hands pinching (thumb tip to index tip),
+// spreading the hands apart zooms in, bringing them together zooms out, twisting the
+// pair orbits the camera around the focused body and raising/lowering them tilts it.
+
+import { isCompleteHand, pinchRatio, pinchPoint, normalizeAngle } from './handLandmarks.js';
+
+const NOOP = () => {};
+
+export class TwoHandGestures {
+    // actions: { zoom(factor), orbit(deltaAzimuth, deltaElevation), start(), end() }
+    constructor({ actions = {} } = {}) {
+        this.actions = { zoom: NOOP, orbit: NOOP, start: NOOP, end: NOOP, ...actions };
+
+        this.pinchThreshold = 0.35; // Thumb-index distance relative to palm size
+        this.releaseThreshold = 0.5; // Hysteresis so a wobbly pinch doesn't drop out
+        this.minZoomChange = 0.002; // Ignore spread changes below 0.2% per frame
+        this.twistGain = 1; // Radians of orbit per radian of twist
+        this.tiltGain = 3; // Radians of elevation per normalized unit of vertical movement
+
+        this.isActive = false;
+        this.last = null;
+    }
+
+    // Returns true while the two-hand gesture owns the frame
+    process(handA, handB) {
+        if (!handA || !handB || !isCompleteHand(handA.landmarks) || !isCompleteHand(handB.landmarks)) {
+            this.reset();
+            return false;
+        }
+
+        const threshold = this.isActive ? this.releaseThreshold : this.pinchThreshold;
+        const bothPinching = pinchRatio(handA.landmarks) < threshold && pinchRatio(handB.landmarks) < threshold;
+        if (!bothPinching) {
+            this.reset();
+            return false;
+        }
+
+        // Order the hands left-to-right in the view so the twist angle doesn't flip
+        let a = pinchPoint(handA.landmarks);
+        let b = pinchPoint(handB.landmarks);
+        if (a.x > b.x) {
+            [a, b] = [b, a];
+        }
+
+        const current = {
+            spread: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            midY: (a.y + b.y) / 2
+        };
+
+        if (!this.isActive) {
+            this.isActive = true;
+            this.actions.start();
+        } else if (this.last) {
+            const zoomFactor = current.spread / Math.max(this.last.spread, 1e-6);
+            if (Math.abs(zoomFactor - 1) > this.minZoomChange) {
+                this.actions.zoom(zoomFactor);
+            }
+
+            const deltaAzimuth = normalizeAngle(current.angle - this.last.angle) * this.twistGain;
+            const deltaElevation = (current.midY - this.last.midY) * this.tiltGain;
+            if (deltaAzimuth !== 0 || deltaElevation !== 0) {
+                this.actions.orbit(deltaAzimuth, deltaElevation);
+            }
+        }
+
+        this.last = current;
+        return true;
+    }
+
+    reset() {
+        if (this.isActive) {
+            this.isActive = false;
+            this.actions.end();
+        }
+        this.last = null;
+    }
+}
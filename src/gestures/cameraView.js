@@ -0,0 +1,74 @@
+// From the camera's picture to the view the person in front of it has: recognizer results
+// come in as normalized image coordinates of the unflipped video frame, so with a front
+// camera moving the hand to your right moves it left in the picture, and a tablet turned on
+// its side sees the hand sideways. normalizeResults turns the picture upright, mirrors it
+// (as a selfie preview does, by default for the front camera) and names each hand by the
+// hand it really is, so every gesture reads right as moving to your right, a clockwise dial
+// as clockwise on screen, and 'Right' as your right hand.
+// Plain module with no DOM dependencies.
+
+export const CAMERA_FACINGS = ['user', 'environment']; // Front and rear cameras, as in getUserMedia
+export const CAMERA_ROTATIONS = [0, 90, 180, 270];
+
+// facing: the camera in use; mirror: read the picture as a mirror, on by default for the
+// front camera; rotation: degrees clockwise that turn the camera's picture upright
+export function createCameraView({ facing = 'user', mirror, rotation = 0 } = {}) {
+    return {
+        facing: CAMERA_FACINGS.includes(facing) ? facing : 'user',
+        mirror: typeof mirror === 'boolean' ? mirror : facing !== 'environment',
+        rotation: CAMERA_ROTATIONS.includes(rotation) ? rotation : 0
+    };
+}
+
+// The view from URL parameters: ?camera=environment, ?mirror=on|off, ?rotate=90|180|270
+export function cameraViewFromParams(params) {
+    const mirror = params.get('mirror');
+    return createCameraView({
+        facing: params.get('camera') || undefined,
+        mirror: mirror === 'on' ? true : mirror === 'off' ? false : undefined,
+        rotation: Number(params.get('rotate')) || 0
+    });
+}
+
+// The picture-to-view transform as [a, b, c, d, e, f], mapping a normalized point to
+// (a x + c y + e, b x + d y + f) like a canvas transform
+export function viewMatrix({ mirror, rotation }) {
+    const turns = {
+        0: [1, 0, 0, 1, 0, 0],
+        90: [0, 1, -1, 0, 1, 0],
+        180: [-1, 0, 0, -1, 1, 1],
+        270: [0, -1, 1, 0, 0, 1]
+    };
+    const [a, b, c, d, e, f] = turns[rotation];
+    return mirror ? [-a, b, -c, d, 1 - e, f] : [a, b, c, d, e, f];
+}
+
+export function toView(point, matrix) {
+    const [a, b, c, d, e, f] = matrix;
+    return { ...point, x: a * point.x + c * point.y + e, y: b * point.x + d * point.y + f };
+}
+
+// The recognizer names hands as if the front camera's picture were mirrored, so on the
+// unflipped frames it is given here Left and Right come out swapped; on the rear camera,
+// which sees the back of the hands, they are right.
+const swapHandedness = category => ({
+    ...category,
+    categoryName: category.categoryName === 'Left' ? 'Right' : category.categoryName === 'Right' ? 'Left' : category.categoryName
+});
+
+// A copy of one frame of recognizer results in view coordinates, with true handedness
+export function normalizeResults(results, view) {
+    if (!results || !results.landmarks) return results;
+
+    const matrix = viewMatrix(view);
+    const normalized = {
+        ...results,
+        landmarks: results.landmarks.map(landmarks => landmarks.map(point => toView(point, matrix)))
+    };
+    if (view.facing === 'user') {
+        ['handedness', 'handednesses'].filter(key => results[key]).forEach(key => {
+            normalized[key] = results[key].map(categories => categories.map(swapHandedness));
+        });
+    }
+    return normalized;
+}
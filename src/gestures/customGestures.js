@@ -0,0 +1,279 @@
+// Trained gesture sets: poses and short motions taught from recorded landmark samples, on
+// top of the recognizer's canned categories. Samples are stored normalized (wrist-relative,
+// in palm sizes) so they match whatever the hand's distance from the camera; see
+// CustomGestureClassifier for the matching and the README under "Custom Gestures" for the
+// file format. Validation errors name the offending field, e.g. "gestures[1].samples[0]",
+// like catalog and tour errors do. Plain module with no DOM dependencies.
+
+import { LANDMARK_COUNT, WRIST, PALM_CENTER, isCompleteHand } from './handLandmarks.js';
+import { GESTURES } from './gestureBindings.js';
+
+// Version 2 samples are in view coordinates (cameraView.js); version 1 sets were recorded in
+// the front camera's unflipped picture and are mirrored into the default view when read
+export const GESTURE_SET_VERSION = 2;
+
+// 'static': a pose held still (an "OK" sign, thumbs sideways); 'dynamic': a short motion
+export const CUSTOM_GESTURE_TYPES = ['static', 'dynamic'];
+
+export const MAX_NAME_LENGTH = 32;
+export const MAX_SAMPLES = 40; // Per gesture; older samples give way to new ones
+export const SEQUENCE_LENGTH = 16; // Frames a motion is resampled to
+export const MAX_MOTION_MS = 3000;
+
+// Frames at either end of a motion whose wrist is within this many palm sizes of where it
+// started (or stopped) are trimmed as stillness before and after the gesture
+const STILL_DISTANCE = 0.15;
+
+export class CustomGestureError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'CustomGestureError';
+        this.path = path;
+    }
+}
+
+export function emptyGestureSet() {
+    return { version: GESTURE_SET_VERSION, gestures: [] };
+}
+
+function palmSize(landmarks) {
+    const wrist = landmarks[WRIST];
+    const palm = landmarks[PALM_CENTER];
+    return Math.max(Math.hypot(palm.x - wrist.x, palm.y - wrist.y, (palm.z || 0) - (wrist.z || 0)), 1e-6);
+}
+
+const round = value => Math.round(value * 10000) / 10000;
+
+// A frame as 21 [x, y, z] points relative to the origin frame's wrist, in its palm sizes.
+// A pose is its own origin; a motion's frames all use its first frame, so the hand's
+// movement through the picture is kept.
+export function normalizeFrame(landmarks, origin = landmarks) {
+    const wrist = origin[WRIST];
+    const scale = palmSize(origin);
+    return landmarks.slice(0, LANDMARK_COUNT).map(point => [
+        round((point.x - wrist.x) / scale),
+        round((point.y - wrist.y) / scale),
+        round(((point.z || 0) - (wrist.z || 0)) / scale)
+    ]);
+}
+
+// Root mean square distance between matching points of two normalized frames, in palm
+// sizes; a few fingers far off weigh more than all of them slightly off
+export function frameDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < LANDMARK_COUNT; i++) {
+        total += (a[i][0] - b[i][0]) ** 2 + (a[i][1] - b[i][1]) ** 2 + (a[i][2] - b[i][2]) ** 2;
+    }
+    return Math.sqrt(total / LANDMARK_COUNT);
+}
+
+// Mean frame distance between two motions of SEQUENCE_LENGTH frames
+export function sequenceDistance(a, b) {
+    let total = 0;
+    for (let i = 0; i < SEQUENCE_LENGTH; i++) {
+        total += frameDistance(a[i], b[i]);
+    }
+    return total / SEQUENCE_LENGTH;
+}
+
+// Linear interpolation of normalized frames to SEQUENCE_LENGTH evenly spaced ones
+function resample(frames) {
+    if (frames.length === 1) return Array(SEQUENCE_LENGTH).fill(frames[0]);
+
+    return Array.from({ length: SEQUENCE_LENGTH }, (unused, index) => {
+        const position = index * (frames.length - 1) / (SEQUENCE_LENGTH - 1);
+        const before = Math.floor(position);
+        const after = Math.min(before + 1, frames.length - 1);
+        const weight = position - before;
+        return frames[before].map((point, i) => point.map((value, axis) =>
+            round(value + (frames[after][i][axis] - value) * weight)));
+    });
+}
+
+// frames: [{ landmarks, time }] of one hand, oldest first. Returns the motion as
+// SEQUENCE_LENGTH normalized frames, or null without enough complete hands.
+export function normalizeMotion(frames) {
+    const complete = frames.filter(frame => isCompleteHand(frame.landmarks));
+    if (complete.length < 2) return null;
+
+    const origin = complete[0].landmarks;
+    return resample(complete.map(frame => normalizeFrame(frame.landmarks, origin)));
+}
+
+// Drop the still frames before and after a recorded motion, so its template holds only
+// the movement. Returns { frames, durationMs }, or null when the hand hardly moved.
+export function trimMotion(frames) {
+    const complete = frames.filter(frame => isCompleteHand(frame.landmarks));
+    if (complete.length < 2) return null;
+
+    const movedFrom = reference => frame => {
+        const scale = palmSize(reference.landmarks);
+        const from = reference.landmarks[WRIST];
+        const to = frame.landmarks[WRIST];
+        return Math.hypot(to.x - from.x, to.y - from.y) / scale > STILL_DISTANCE;
+    };
+    const first = complete.findIndex(movedFrom(complete[0]));
+    const fromEnd = [...complete].reverse().findIndex(movedFrom(complete[complete.length - 1]));
+    if (first === -1 || fromEnd === -1) return null;
+
+    const last = complete.length - 1 - fromEnd;
+    const trimmed = complete.slice(Math.max(first - 1, 0), last + 2);
+    return { frames: trimmed, durationMs: trimmed[trimmed.length - 1].time - trimmed[0].time };
+}
+
+// Add a sample to a gesture set, creating the gesture if needed (a gesture of the other
+// type under the same name is replaced). Returns the new set; the old one is unchanged.
+// sample: a normalized frame for static gestures, { durationMs, frames } for dynamic ones
+export function addSample(set, name, type, sample) {
+    const gestures = set.gestures.filter(gesture => gesture.name !== name);
+    const existing = set.gestures.find(gesture => gesture.name === name && gesture.type === type);
+    const samples = [...(existing ? existing.samples : []), sample].slice(-MAX_SAMPLES);
+    gestures.push({ ...existing, name, type, samples });
+    return { version: GESTURE_SET_VERSION, gestures };
+}
+
+export function removeGesture(set, name) {
+    return { version: GESTURE_SET_VERSION, gestures: set.gestures.filter(gesture => gesture.name !== name) };
+}
+
+// An imported set on top of the current one: samples of a gesture with the same name and
+// type are pooled (so a team can train together), anything else from the import wins
+export function mergeGestureSets(base, incoming) {
+    let merged = base;
+    incoming.gestures.forEach(gesture => {
+        const existing = merged.gestures.find(other => other.name === gesture.name && other.type === gesture.type);
+        const samples = existing ? [...existing.samples, ...gesture.samples].slice(-MAX_SAMPLES) : gesture.samples;
+        merged = {
+            version: GESTURE_SET_VERSION,
+            gestures: [...merged.gestures.filter(other => other.name !== gesture.name), { ...existing, ...gesture, samples }]
+        };
+    });
+    return merged;
+}
+
+function expectObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new CustomGestureError(path, 'must be an object');
+    }
+}
+
+function expectArray(value, path, { length, minLength = 1 } = {}) {
+    if (!Array.isArray(value)) {
+        throw new CustomGestureError(path, 'must be an array');
+    }
+    if (length !== undefined && value.length !== length) {
+        throw new CustomGestureError(path, `must have ${length} entries, got ${value.length}`);
+    }
+    if (value.length < minLength) {
+        throw new CustomGestureError(path, `must have at least ${minLength} ${minLength === 1 ? 'entry' : 'entries'}`);
+    }
+}
+
+function validateFrame(frame, path) {
+    expectArray(frame, path, { length: LANDMARK_COUNT });
+    frame.forEach((point, index) => {
+        expectArray(point, `${path}[${index}]`, { length: 3 });
+        point.forEach((value, axis) => {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                throw new CustomGestureError(`${path}[${index}][${axis}]`, 'must be a number');
+            }
+        });
+    });
+    return frame;
+}
+
+function validateSample(sample, type, path) {
+    if (type === 'static') return validateFrame(sample, path);
+
+    expectObject(sample, path);
+    if (typeof sample.durationMs !== 'number' || !(sample.durationMs > 0 && sample.durationMs <= MAX_MOTION_MS)) {
+        throw new CustomGestureError(`${path}.durationMs`, `must be a number of milliseconds up to ${MAX_MOTION_MS}`);
+    }
+    expectArray(sample.frames, `${path}.frames`, { length: SEQUENCE_LENGTH });
+    sample.frames.forEach((frame, index) => validateFrame(frame, `${path}.frames[${index}]`));
+    return { durationMs: sample.durationMs, frames: sample.frames };
+}
+
+function validateGesture(gesture, path, names) {
+    expectObject(gesture, path);
+    const { name, type } = gesture;
+    if (typeof name !== 'string' || name.trim() === '' || name !== name.trim() || name.length > MAX_NAME_LENGTH) {
+        throw new CustomGestureError(`${path}.name`, `must be a non-empty string of up to ${MAX_NAME_LENGTH} characters without surrounding spaces`);
+    }
+    if (name in GESTURES || name === 'None') {
+        throw new CustomGestureError(`${path}.name`, `"${name}" is a built-in gesture`);
+    }
+    if (names.has(name)) {
+        throw new CustomGestureError(`${path}.name`, `duplicate gesture "${name}"`);
+    }
+    names.add(name);
+    if (!CUSTOM_GESTURE_TYPES.includes(type)) {
+        throw new CustomGestureError(`${path}.type`, `must be one of ${CUSTOM_GESTURE_TYPES.join(', ')}, got ${JSON.stringify(type)}`);
+    }
+    if (gesture.action !== undefined && gesture.action !== null && typeof gesture.action !== 'string') {
+        throw new CustomGestureError(`${path}.action`, 'must be an action name or null');
+    }
+
+    expectArray(gesture.samples, `${path}.samples`);
+    if (gesture.samples.length > MAX_SAMPLES) {
+        throw new CustomGestureError(`${path}.samples`, `must have at most ${MAX_SAMPLES} entries`);
+    }
+    const validated = {
+        name,
+        type,
+        samples: gesture.samples.map((sample, index) => validateSample(sample, type, `${path}.samples[${index}]`))
+    };
+    // The action the gesture was bound to where it was exported; bindings decide what it does here
+    if (typeof gesture.action === 'string') {
+        validated.action = gesture.action;
+    }
+    return validated;
+}
+
+const mirrorFrame = frame => frame.map(([x, y, z]) => [x === 0 ? 0 : -x, y, z]);
+
+function mirrorGesture(gesture) {
+    const samples = gesture.samples.map(sample => (
+        gesture.type === 'static' ? mirrorFrame(sample) : { ...sample, frames: sample.frames.map(mirrorFrame) }
+    ));
+    return { ...gesture, samples };
+}
+
+// Validate a parsed gesture set, returning a clean copy (upgraded from version 1)
+export function validateGestureSet(data) {
+    expectObject(data, 'gestureSet');
+    if (data.version !== GESTURE_SET_VERSION && data.version !== 1) {
+        throw new CustomGestureError('version', `must be ${GESTURE_SET_VERSION}, got ${JSON.stringify(data.version)}`);
+    }
+    expectArray(data.gestures, 'gestures', { minLength: 0 });
+
+    const names = new Set();
+    const gestures = data.gestures.map((gesture, index) => validateGesture(gesture, `gestures[${index}]`, names));
+    return {
+        version: GESTURE_SET_VERSION,
+        gestures: data.version === 1 ? gestures.map(mirrorGesture) : gestures
+    };
+}
+
+export function parseGestureSet(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new CustomGestureError('gestureSet', `invalid JSON (${error.message})`);
+    }
+    return validateGestureSet(data);
+}
+
+// bindings: the current binding table, so a shared file says what each gesture did
+export function gestureSetToJson(set, bindings = {}) {
+    return JSON.stringify({
+        version: GESTURE_SET_VERSION,
+        gestures: set.gestures.map(({ name, type, samples }) => ({
+            name,
+            type,
+            action: bindings[name] ? bindings[name].action : null,
+            samples
+        }))
+    });
+}
@@ -0,0 +1,156 @@
+// Which gesture does what: a table from gestures to app actions, edited in the bindings
+// panel and stored per browser (BindingStore). Gestures are the recognizer's categories
+// plus the motions the interpreter detects itself (swipes, dial turns, a one-hand pinch)
+// and any trained custom gestures (customGestures.js).
+// Plain module with no DOM dependencies.
+
+import { ACTIONS } from '../input/ActionBus.js';
+
+// kind: 'category' (a recognizer pose; per-binding confidence and hold time apply),
+// 'pinch' (hold time applies), 'swipe' (an instant motion) or 'dial' (fires once per
+// detent of its step angle); trained gestures are 'pose' (like a category) or 'motion'
+// (confidence applies).
+// role: the hand that makes it when two hands share the work (see HAND_ROLES); trained
+// gestures have none and work with either hand
+export const GESTURES = {
+    Open_Palm: { kind: 'category', role: 'navigation' },
+    Closed_Fist: { kind: 'category', role: 'navigation' },
+    ILoveYou: { kind: 'category', role: 'navigation' },
+    Victory: { kind: 'category', role: 'control' },
+    Pointing_Up: { kind: 'category', role: 'control' },
+    Thumb_Up: { kind: 'category', role: 'control' },
+    Thumb_Down: { kind: 'category', role: 'control' },
+    swipeLeft: { kind: 'swipe', role: 'navigation' },
+    swipeRight: { kind: 'swipe', role: 'navigation' },
+    swipeUp: { kind: 'swipe', role: 'navigation' },
+    swipeDown: { kind: 'swipe', role: 'navigation' },
+    dialClockwise: { kind: 'dial', role: 'control' },
+    dialCounterClockwise: { kind: 'dial', role: 'control' },
+    pinch: { kind: 'pinch', role: 'control' }
+};
+
+// Actions a gesture can be bound to: the ones that take no payload
+export const BINDABLE_ACTIONS = [
+    ACTIONS.NEXT,
+    ACTIONS.PREVIOUS,
+    ACTIONS.LOCK,
+    ACTIONS.UNLOCK,
+    ACTIONS.TOGGLE_LOCK,
+    ACTIONS.DETAIL_UP,
+    ACTIONS.DETAIL_DOWN,
+    ACTIONS.TOGGLE_UNITS,
+    ACTIONS.PAUSE_TIME,
+    ACTIONS.RESUME_TIME,
+    ACTIONS.TOGGLE_PAUSE,
+    ACTIONS.REVERSE_TIME,
+    ACTIONS.FASTER_TIME,
+    ACTIONS.SLOWER_TIME,
+    ACTIONS.CYCLE_TIME_SPEED,
+    ACTIONS.JUMP_TO_NOW,
+    ACTIONS.DATE_FORWARD,
+    ACTIONS.DATE_BACK,
+    ACTIONS.CAMERA_CLOSER,
+    ACTIONS.CAMERA_FARTHER,
+    ACTIONS.CYCLE_SCALE_MODE,
+    ACTIONS.TOGGLE_FREE_LOOK,
+    ACTIONS.TOGGLE_POINTING,
+    ACTIONS.TOGGLE_TOUR,
+    ACTIONS.TOGGLE_QUIZ,
+    ACTIONS.TOGGLE_NARRATION,
+    ACTIONS.READ_ALOUD,
+    ACTIONS.STOP_NARRATION,
+    ACTIONS.TOGGLE_VOICE_COMMANDS,
+    ACTIONS.OPEN_CALIBRATION,
+    ACTIONS.OPEN_BINDINGS,
+    ACTIONS.OPEN_TRAINING
+];
+
+// The only actions a hand in pointing mode still takes, so it can leave pointing mode
+export const POINTING_ACTIONS = [ACTIONS.TOGGLE_POINTING];
+
+// action: null leaves the gesture unbound; minConfidence: recognizer score needed, null
+// for the gesture profile's minGestureConfidence; holdMs: how long the pose (or pinch)
+// must be held before the action runs; stepDegrees (dial turns only): how far the dial
+// turns between detents, each running the action once
+export const DEFAULT_BINDINGS = {
+    Open_Palm: { action: ACTIONS.UNLOCK, minConfidence: null, holdMs: 0 },
+    Closed_Fist: { action: ACTIONS.LOCK, minConfidence: null, holdMs: 0 },
+    ILoveYou: { action: ACTIONS.TOGGLE_POINTING, minConfidence: null, holdMs: 0 },
+    Victory: { action: ACTIONS.TOGGLE_PAUSE, minConfidence: null, holdMs: 0 },
+    Pointing_Up: { action: ACTIONS.CYCLE_TIME_SPEED, minConfidence: null, holdMs: 0 },
+    Thumb_Up: { action: ACTIONS.TOGGLE_FREE_LOOK, minConfidence: null, holdMs: 0 },
+    Thumb_Down: { action: null, minConfidence: null, holdMs: 0 },
+    swipeLeft: { action: ACTIONS.PREVIOUS, minConfidence: null, holdMs: 0 },
+    swipeRight: { action: ACTIONS.NEXT, minConfidence: null, holdMs: 0 },
+    swipeUp: { action: null, minConfidence: null, holdMs: 0 },
+    swipeDown: { action: null, minConfidence: null, holdMs: 0 },
+    dialClockwise: { action: ACTIONS.DETAIL_UP, minConfidence: null, holdMs: 0, stepDegrees: 30 },
+    dialCounterClockwise: { action: ACTIONS.DETAIL_DOWN, minConfidence: null, holdMs: 0, stepDegrees: 30 },
+    pinch: { action: null, minConfidence: null, holdMs: 0 }
+};
+
+export const CONFIDENCE_KINDS = ['category', 'pose', 'motion'];
+export const HOLD_KINDS = ['category', 'pose', 'pinch'];
+export const STEP_KINDS = ['dial'];
+
+// The built-in gestures plus the trained ones ([{ name, type }] from a gesture set). A
+// trained gesture can't take over a name already in the table; the first one keeps it.
+export function gestureKinds(customGestures = []) {
+    const kinds = { ...GESTURES };
+    customGestures.forEach(({ name, type }) => {
+        if (Object.hasOwn(kinds, name)) return;
+        kinds[name] = { kind: type === 'static' ? 'pose' : 'motion', role: null };
+    });
+    return kinds;
+}
+
+export const BINDING_LIMITS = {
+    minConfidence: [0.3, 0.95],
+    holdMs: [0, 3000],
+    stepDegrees: [5, 180]
+};
+
+// A full binding table from stored or hand-edited bindings: unknown gestures are dropped,
+// unknown actions and bad numbers keep the default, and numbers are clamped to their limits.
+// customGestures: [{ name, type, action }] from a gesture set; a trained gesture is unbound
+// by default, or bound to the action it was exported with. A name bound twice (a trained
+// gesture named like a built-in or an earlier trained one) keeps its first binding.
+export function sanitizeBindings(bindings, customGestures = []) {
+    const defaults = { ...DEFAULT_BINDINGS };
+    customGestures.forEach(({ name, action }) => {
+        if (Object.hasOwn(defaults, name)) return;
+        defaults[name] = { action: BINDABLE_ACTIONS.includes(action) ? action : null, minConfidence: null, holdMs: 0 };
+    });
+    const kinds = gestureKinds(customGestures);
+
+    const sanitized = {};
+    Object.keys(defaults).forEach(gesture => {
+        const binding = { ...defaults[gesture] };
+        const { kind } = kinds[gesture];
+        const stored = bindings && typeof bindings === 'object' ? bindings[gesture] : null;
+        if (stored && typeof stored === 'object') {
+            if (stored.action === null || BINDABLE_ACTIONS.includes(stored.action)) {
+                binding.action = stored.action;
+            }
+            if (CONFIDENCE_KINDS.includes(kind) && isNumber(stored.minConfidence)) {
+                binding.minConfidence = clamp(stored.minConfidence, ...BINDING_LIMITS.minConfidence);
+            }
+            if (HOLD_KINDS.includes(kind) && isNumber(stored.holdMs)) {
+                binding.holdMs = Math.round(clamp(stored.holdMs, ...BINDING_LIMITS.holdMs));
+            }
+            if (STEP_KINDS.includes(kind) && isNumber(stored.stepDegrees)) {
+                binding.stepDegrees = clamp(stored.stepDegrees, ...BINDING_LIMITS.stepDegrees);
+            }
+        }
+        sanitized[gesture] = binding;
+    });
+    return sanitized;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
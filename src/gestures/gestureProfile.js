@@ -0,0 +1,168 @@
+// Per-user gesture thresholds: the defaults, the calibration steps that measure them
+// and the statistics that turn recorded landmark frames into a personal profile.
+// Plain module with no DOM dependencies; CalibrationWizard drives the steps and
+// ProfileStore persists the result.
+
+import {
+    THUMB_TIP,
+    PALM_CENTER,
+    FINGER_TIPS,
+    isCompleteHand,
+    fingerTipCenter,
+    normalizeAngle
+} from './handLandmarks.js';
+
+// The GestureInterpreter fields a profile may override
+export const DEFAULT_THRESHOLDS = {
+    minGestureConfidence: 0.6, // Recognizer score needed to accept a gesture
+    swipeVelocityThreshold: 0.001, // Palm speed in normalized units per ms
+    swipeMinDeltaX: 0.01, // Horizontal palm movement per frame
+    swipeDirectionRatio: 1.5, // Horizontal movement must dominate vertical by this much
+    dialSpreadThreshold: 0.05, // Average finger tip distance from their center
+    dialCenterMovementThreshold: 0.03, // Center movement that counts as moving the hand, not turning
+    rotationThreshold: 0.02 // Average thumb angle change per frame (radians)
+};
+
+// Sane bounds so a sloppy calibration can't make gestures impossible or trigger-happy
+export const THRESHOLD_LIMITS = {
+    minGestureConfidence: [0.3, 0.9],
+    swipeVelocityThreshold: [0.0003, 0.004],
+    swipeMinDeltaX: [0.003, 0.05],
+    swipeDirectionRatio: [1.1, 3],
+    dialSpreadThreshold: [0.02, 0.15],
+    dialCenterMovementThreshold: [0.01, 0.1],
+    rotationThreshold: [0.005, 0.1]
+};
+
+// duration: milliseconds recorded per repetition; each step's prompt is the
+// 'calibration.step.<id>' message (src/i18n/messages.js)
+export const CALIBRATION_STEPS = [
+    { id: 'still', gesture: 'Open_Palm', repetitions: 1, duration: 3000 },
+    { id: 'swipe', gesture: 'Open_Palm', repetitions: 4, duration: 2000 },
+    { id: 'fist', gesture: 'Closed_Fist', repetitions: 2, duration: 1500 },
+    { id: 'dial', gesture: null, repetitions: 3, duration: 2500 },
+    { id: 'victory', gesture: 'Victory', repetitions: 2, duration: 1500 },
+    { id: 'pointing', gesture: 'Pointing_Up', repetitions: 2, duration: 1500 }
+];
+
+// Keep only known, finite thresholds, clamped to their limits (for stored or hand-edited profiles)
+export function sanitizeThresholds(thresholds) {
+    const sanitized = {};
+    if (!thresholds || typeof thresholds !== 'object') return sanitized;
+
+    Object.keys(DEFAULT_THRESHOLDS).forEach(key => {
+        const value = thresholds[key];
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            sanitized[key] = clamp(value, ...THRESHOLD_LIMITS[key]);
+        }
+    });
+    return sanitized;
+}
+
+// recording: { [stepId]: [repetition, ...] } where a repetition is an array of
+// { landmarks, gesture: { categoryName, score } | null, time } frames for one hand.
+// Returns a full threshold set; anything that couldn't be measured keeps its default.
+export function deriveThresholds(recording) {
+    const thresholds = { ...DEFAULT_THRESHOLDS };
+    const repetitions = stepId => (recording[stepId] || []).map(frames => frames.filter(frame => isCompleteHand(frame.landmarks)));
+
+    // Noise floor: how much a hand held still appears to move
+    const still = repetitions('still').flatMap(frames => framePairs(frames).map(palmMotion));
+    const stillVelocity = percentile(still.map(motion => motion.velocity), 0.95) || 0;
+    const stillDeltaX = percentile(still.map(motion => Math.abs(motion.deltaX)), 0.95) || 0;
+    const stillCenterMovement = percentile(repetitions('still').flatMap(frames => framePairs(frames).map(centerMovement)), 0.95) || 0;
+
+    // Swipes: the fastest frame of each repetition
+    const peaks = repetitions('swipe')
+        .map(frames => framePairs(frames).map(palmMotion))
+        .filter(motions => motions.length > 0)
+        .map(motions => motions.reduce((best, motion) => (motion.velocity > best.velocity ? motion : best)));
+    if (peaks.length > 0) {
+        thresholds.swipeVelocityThreshold = Math.max(median(peaks.map(peak => peak.velocity)) * 0.5, stillVelocity * 2);
+        thresholds.swipeMinDeltaX = Math.max(median(peaks.map(peak => Math.abs(peak.deltaX))) * 0.5, stillDeltaX * 2);
+        thresholds.swipeDirectionRatio = median(peaks.map(peak => Math.abs(peak.deltaX) / Math.max(Math.abs(peak.deltaY), 1e-6))) * 0.7;
+    }
+
+    // Dial: how far the finger tips spread, how fast they turn and how much the hand drifts meanwhile
+    const dialFrames = repetitions('dial');
+    const spreads = dialFrames.flat().map(frame => fingerSpread(frame.landmarks));
+    if (spreads.length > 0) {
+        thresholds.dialSpreadThreshold = median(spreads) * 0.7;
+    }
+    const dialPairs = dialFrames.flatMap(framePairs);
+    const turns = dialPairs.map(thumbTurn).filter(turn => turn > 0.002);
+    if (turns.length > 0) {
+        thresholds.rotationThreshold = median(turns) * 0.5;
+    }
+    if (dialPairs.length > 0) {
+        thresholds.dialCenterMovementThreshold = Math.max(percentile(dialPairs.map(centerMovement), 0.9) * 1.5, stillCenterMovement * 2);
+    }
+
+    // Confidence: low enough to accept each of the user's own poses most of the time,
+    // so the least confidently recognized pose sets the bar
+    const lowScores = CALIBRATION_STEPS
+        .filter(step => step.gesture)
+        .map(step => repetitions(step.id).flat()
+            .filter(frame => frame.gesture && frame.gesture.categoryName === step.gesture)
+            .map(frame => frame.gesture.score))
+        .filter(scores => scores.length > 0)
+        .map(scores => percentile(scores, 0.1));
+    if (lowScores.length > 0) {
+        thresholds.minGestureConfidence = Math.min(...lowScores) - 0.1;
+    }
+
+    return { ...DEFAULT_THRESHOLDS, ...sanitizeThresholds(thresholds) };
+}
+
+// Consecutive frame pairs at least one video frame apart, as the interpreter samples them
+function framePairs(frames) {
+    const pairs = [];
+    for (let i = 1; i < frames.length; i++) {
+        if (frames[i].time - frames[i - 1].time >= 16) {
+            pairs.push([frames[i - 1], frames[i]]);
+        }
+    }
+    return pairs;
+}
+
+function palmMotion([previous, current]) {
+    const deltaX = current.landmarks[PALM_CENTER].x - previous.landmarks[PALM_CENTER].x;
+    const deltaY = current.landmarks[PALM_CENTER].y - previous.landmarks[PALM_CENTER].y;
+    return { deltaX, deltaY, velocity: Math.abs(deltaX) / (current.time - previous.time) };
+}
+
+function centerMovement([previous, current]) {
+    const a = fingerTipCenter(previous.landmarks);
+    const b = fingerTipCenter(current.landmarks);
+    return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Absolute thumb angle change around the finger tip center, as calculateCenterRotation measures it
+function thumbTurn([previous, current]) {
+    const angle = landmarks => {
+        const center = fingerTipCenter(landmarks);
+        return Math.atan2(landmarks[THUMB_TIP].y - center.y, landmarks[THUMB_TIP].x - center.x);
+    };
+    return Math.abs(normalizeAngle(angle(current.landmarks) - angle(previous.landmarks)));
+}
+
+function fingerSpread(landmarks) {
+    const center = fingerTipCenter(landmarks);
+    return FINGER_TIPS.reduce((sum, tip) => (
+        sum + Math.hypot(landmarks[tip].x - center.x, landmarks[tip].y - center.y)
+    ), 0) / FINGER_TIPS.length;
+}
+
+function percentile(values, fraction) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+function median(values) {
+    return percentile(values, 0.5);
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
@@ -0,0 +1,94 @@
+// MediaPipe hand landmark indices and geometry helpers shared by the gesture code.
+// Landmarks are the normalized { x, y, z } points reported by the recognizer (21 per hand).
+
+export const LANDMARK_COUNT = 21;
+
+export const WRIST = 0;
+export const THUMB_TIP = 4;
+export const INDEX_TIP = 8;
+export const MIDDLE_TIP = 12;
+export const RING_TIP = 16;
+export const PINKY_TIP = 20;
+export const PALM_CENTER = 9; // Middle finger MCP, used as the palm center
+
+export const FINGER_TIPS = [THUMB_TIP, INDEX_TIP, MIDDLE_TIP, RING_TIP, PINKY_TIP];
+export const FINGER_BASES = [3, 5, 9, 13, 17]; // thumb IP, then the MCP joints
+export const FINGER_NAMES = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+// Bone connections used to draw the hand skeleton
+export const HAND_CONNECTIONS = [
+    [0, 1], [1, 2], [2, 3], [3, 4], // thumb
+    [0, 5], [5, 6], [6, 7], [7, 8], // index finger
+    [0, 9], [9, 10], [10, 11], [11, 12], // middle finger
+    [0, 13], [13, 14], [14, 15], [15, 16], // ring finger
+    [0, 17], [17, 18], [18, 19], [19, 20], // pinky
+    [5, 9], [9, 13], [13, 17] // palm connections
+];
+
+export function isCompleteHand(landmarks) {
+    return Array.isArray(landmarks) && landmarks.length >= LANDMARK_COUNT;
+}
+
+// Center point of the five finger tips
+export function fingerTipCenter(landmarks) {
+    let x = 0;
+    let y = 0;
+    let z = 0;
+    FINGER_TIPS.forEach(tip => {
+        x += landmarks[tip].x;
+        y += landmarks[tip].y;
+        z += landmarks[tip].z || 0;
+    });
+    return { x: x / FINGER_TIPS.length, y: y / FINGER_TIPS.length, z: z / FINGER_TIPS.length };
+}
+
+// Snapshot of the five finger tips keyed by finger name
+export function snapshotFingerTips(landmarks) {
+    const snapshot = {};
+    FINGER_TIPS.forEach((tip, index) => {
+        snapshot[FINGER_NAMES[index]] = { x: landmarks[tip].x, y: landmarks[tip].y };
+    });
+    return snapshot;
+}
+
+// Normalize angles to -π to π range
+export function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
+
+// Wrist to middle finger MCP in the image, a yardstick that scales with the hand's distance
+// from the camera
+export function palmSize(landmarks) {
+    return Math.hypot(landmarks[PALM_CENTER].x - landmarks[WRIST].x, landmarks[PALM_CENTER].y - landmarks[WRIST].y);
+}
+
+// Thumb-to-index tip distance relative to palm size, so the value doesn't change as the
+// hand moves towards or away from the camera
+export function pinchRatio(landmarks) {
+    const thumb = landmarks[THUMB_TIP];
+    const index = landmarks[INDEX_TIP];
+    return Math.hypot(thumb.x - index.x, thumb.y - index.y) / Math.max(palmSize(landmarks), 1e-6);
+}
+
+// Midpoint between the thumb and index tips
+export function pinchPoint(landmarks) {
+    return {
+        x: (landmarks[THUMB_TIP].x + landmarks[INDEX_TIP].x) / 2,
+        y: (landmarks[THUMB_TIP].y + landmarks[INDEX_TIP].y) / 2
+    };
+}
+
+// Split recognizer results into one entry per hand:
+// { landmarks, gesture: { categoryName, score } | null, handedness: 'Left' | 'Right' | null }
+export function splitHands(results) {
+    if (!results || !results.landmarks) return [];
+
+    const handedness = results.handedness || results.handednesses || [];
+    return results.landmarks.map((landmarks, index) => ({
+        landmarks,
+        gesture: results.gestures && results.gestures[index] ? results.gestures[index][0] || null : null,
+        handedness: handedness[index] && handedness[index][0] ? handedness[index][0].categoryName : null
+    }));
+}
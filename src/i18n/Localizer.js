@@ -0,0 +1,212 @@
+// Locale selection and lookup for UI strings and body descriptions.
+// A locale file (data/locales/<code>.json) holds translated UI messages and per-body
+// names and descriptions; anything it leaves out falls back to English key by key:
+// MESSAGES for the UI, the system catalog for bodies. See the README under "Languages".
+
+import { DETAIL_KEYS, describe } from '../scene/catalog.js';
+import { DEFAULT_LOCALE, MESSAGES } from './messages.js';
+
+// Locales with a file in data/locales/ (English is built in); add new ones here too
+export const LOCALES = {
+    en: 'English',
+    es: 'Español',
+    ar: 'العربية'
+};
+
+const DEFAULT_LOCALES_URL = 'data/locales';
+const DIRECTIONS = ['ltr', 'rtl'];
+
+export class LocaleError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'LocaleError';
+        this.path = path;
+    }
+}
+
+function expectObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new LocaleError(path, 'must be an object');
+    }
+}
+
+function expectString(value, path) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new LocaleError(path, 'must be a non-empty string');
+    }
+}
+
+// Unknown message keys are most likely typos or leftovers from a renamed key: they are
+// dropped with a warning rather than failing the whole locale
+function validateMessages(messages, path) {
+    if (messages === undefined) return {};
+    expectObject(messages, path);
+
+    const validated = {};
+    Object.entries(messages).forEach(([key, text]) => {
+        if (!(key in MESSAGES)) {
+            console.warn(`${path}.${key}: unknown message key, ignored`);
+            return;
+        }
+        expectString(text, `${path}.${key}`);
+        validated[key] = text;
+    });
+    return validated;
+}
+
+// Keyed by the body's catalog name: { "Mars": { "name": "Marte", "description": { ... } } },
+// plus "clues" translating the catalog's quiz clues in the same order. A description is
+// given like the catalog's, by level name or as an array of pages, and kept as pages.
+function validateBodies(bodies, path) {
+    if (bodies === undefined) return {};
+    expectObject(bodies, path);
+
+    const validated = {};
+    Object.entries(bodies).forEach(([catalogName, body]) => {
+        const bodyPath = `${path}.${catalogName}`;
+        expectObject(body, bodyPath);
+
+        const translation = { name: null, description: [], clues: [] };
+        if (body.name !== undefined) {
+            expectString(body.name, `${bodyPath}.name`);
+            translation.name = body.name;
+        }
+        if (Array.isArray(body.description)) {
+            body.description.forEach((page, index) => expectString(page, `${bodyPath}.description[${index}]`));
+            translation.description = body.description.slice();
+        } else if (body.description !== undefined) {
+            expectObject(body.description, `${bodyPath}.description`);
+            DETAIL_KEYS.forEach((key, page) => {
+                if (body.description[key] !== undefined) {
+                    expectString(body.description[key], `${bodyPath}.description.${key}`);
+                    translation.description[page] = body.description[key];
+                }
+            });
+        }
+        if (body.clues !== undefined) {
+            if (!Array.isArray(body.clues)) {
+                throw new LocaleError(`${bodyPath}.clues`, 'must be an array');
+            }
+            body.clues.forEach((clue, index) => expectString(clue, `${bodyPath}.clues[${index}]`));
+            translation.clues = body.clues.slice();
+        }
+        validated[catalogName] = translation;
+    });
+    return validated;
+}
+
+// Validate a parsed locale file
+export function validateLocale(locale) {
+    expectObject(locale, 'locale');
+    const direction = locale.direction ?? 'ltr';
+    if (!DIRECTIONS.includes(direction)) {
+        throw new LocaleError('direction', `must be one of ${DIRECTIONS.join(', ')}, got ${JSON.stringify(direction)}`);
+    }
+
+    return {
+        direction,
+        messages: validateMessages(locale.messages, 'messages'),
+        bodies: validateBodies(locale.bodies, 'bodies')
+    };
+}
+
+// First available locale for a list of language tags in order of preference (e.g.
+// navigator.languages): an exact match, or else the same base language ("es-MX" → "es")
+export function pickLocale(requested, available = Object.keys(LOCALES)) {
+    for (const tag of requested) {
+        const code = tag.toLowerCase();
+        const match = available.find(locale => locale.toLowerCase() === code) ||
+            available.find(locale => locale.toLowerCase() === code.split('-')[0]);
+        if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+}
+
+export class Localizer {
+    constructor({ baseUrl = DEFAULT_LOCALES_URL } = {}) {
+        this.baseUrl = baseUrl;
+        this.use(DEFAULT_LOCALE, { direction: 'ltr', messages: {}, bodies: {} });
+    }
+
+    // Switch to a validated locale
+    use(code, { direction, messages, bodies }) {
+        this.locale = code;
+        this.direction = direction;
+        this.messages = messages;
+        this.bodies = bodies;
+    }
+
+    // Fetch and switch to a locale; English needs no file
+    async load(code) {
+        if (code === DEFAULT_LOCALE) {
+            this.use(DEFAULT_LOCALE, { direction: 'ltr', messages: {}, bodies: {} });
+            return;
+        }
+
+        const url = `${this.baseUrl}/${code}.json`;
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not load locale ${url}: HTTP ${response.status}`);
+        }
+        let locale;
+        try {
+            locale = await response.json();
+        } catch (error) {
+            throw new Error(`Locale ${url} is not valid JSON: ${error.message}`);
+        }
+        this.use(code, validateLocale(locale));
+    }
+
+    // Message for key with {placeholders} filled in from params
+    t(key, params = {}) {
+        const template = this.messages[key] ?? MESSAGES[key];
+        if (template === undefined) {
+            console.warn(`Missing message "${key}"`);
+            return key;
+        }
+        return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in params ? String(params[name]) : placeholder));
+    }
+
+    // Display name of a catalog body or moon
+    bodyName(body) {
+        const translation = this.bodies[body.name];
+        return (translation && translation.name) || body.name;
+    }
+
+    // Description on a detail page: the translation of that page, else the English text of
+    // that page, else the overview (translated first)
+    describe(body, page) {
+        const translated = this.bodies[body.name] ? this.bodies[body.name].description : [];
+        return translated[page] || body.description[page] || translated[0] || describe(body, page);
+    }
+
+    // Label of a detail page: the level name for the first three pages, then "Page 4" and
+    // so on, with the position among the body's pageCount pages when there is more than one
+    detailLabel(page, pageCount) {
+        const level = page < DETAIL_KEYS.length ? this.t(`detail.${DETAIL_KEYS[page]}`) : this.t('detail.page', { page: page + 1 });
+        return pageCount > 1 ? this.t('detail.position', { level, page: page + 1, count: pageCount }) : level;
+    }
+
+    // Quiz clue at index in the body's catalog clues, translated if the locale has it
+    clue(body, index) {
+        const translation = this.bodies[body.name];
+        return (translation && translation.clues[index]) || body.clues[index];
+    }
+
+    // Set the page language and direction and translate elements marked with data-i18n
+    // (text), data-i18n-placeholder and data-i18n-aria-label
+    applyTo(doc) {
+        doc.documentElement.lang = this.locale;
+        doc.documentElement.dir = this.direction;
+        doc.title = this.t('page.title');
+        doc.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        doc.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        doc.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+    }
+}
@@ -0,0 +1,250 @@
+// English UI strings: the message catalog every locale falls back to, key by key.
+// Placeholders in braces ({name}) are filled in by Localizer.t(). Body names and
+// descriptions come from the system catalog instead; see data/locales/ for translations.
+
+export const DEFAULT_LOCALE = 'en';
+
+export const MESSAGES = {
+    'page.title': '3D Solar System - Hand Gesture Control',
+    'loading': 'Loading Solar System...',
+    'welcome': 'Welcome to the Solar System! Use hand gestures to explore.',
+    'system.name': 'Solar System',
+
+    'detail.overview': 'Overview',
+    'detail.detailed': 'Detailed',
+    'detail.deep': 'Deep',
+    'detail.page': 'Page {page}',
+    'detail.position': '{level} · {page}/{count}',
+
+    'facts.diameter': 'Diameter',
+    'facts.year': 'Year',
+    'facts.orbit': 'Orbit',
+    'facts.moons': 'Known moons',
+    'facts.mass': 'Mass',
+    'facts.gravity': 'Surface gravity',
+    'facts.day': 'Day',
+    'facts.temperature': 'Mean temperature',
+    'facts.axialTilt': 'Axial tilt',
+    'facts.discovery': 'Discovered',
+    'facts.value': '{value} {unit}',
+    'facts.degrees': '{value}°',
+    'facts.retrograde': '{value}, retrograde',
+    'facts.vsReference': '{ratio} × {name}',
+    'facts.antiquity': 'Known since antiquity',
+    'facts.discoveredBy': '{name}, {year}',
+    'units.metric': 'Metric',
+    'units.imperial': 'Imperial',
+    'unit.km': 'km',
+    'unit.mi': 'mi',
+    'unit.kg': 'kg',
+    'unit.lb': 'lb',
+    'unit.ms2': 'm/s²',
+    'unit.fts2': 'ft/s²',
+    'unit.c': '°C',
+    'unit.f': '°F',
+    'unit.hours': 'hours',
+    'unit.days': 'days',
+    'unit.years': 'years',
+
+    'time.paused': 'Paused ({speed})',
+    'time.jumpToDate': 'Jump to date',
+    'speed.day': '1 day/s',
+    'speed.month': '1 month/s',
+    'speed.year': '1 year/s',
+    'scale.compressed': 'Compressed scale',
+    'scale.logarithmic': 'Logarithmic distances',
+    'scale.true': 'True scale',
+
+    'mode.freeLook': 'Free look',
+    'mode.pointing': 'Pointing',
+    'mode.narration': 'Narration',
+    'hud.unlocked': 'Swipe to browse',
+    'hud.locked': 'Locked: turn the dial',
+    'hud.pointing': 'Pointing',
+    'hud.swipe': 'Swipe',
+    'hud.dial': 'Dial',
+    'hud.pose': 'Pose',
+    'hud.handLost': 'Hand lost: raise it back into view',
+
+    'tour.progress': '{name} · {step}/{count}',
+    'tour.paused': '{progress} · Paused',
+
+    'quiz.question.clue': 'Which planet {clue}?',
+    'quiz.question.mostMoons': 'Which of these planets has the most known moons?',
+    'quiz.question.largest': 'Which of these planets is the largest?',
+    'quiz.question.smallest': 'Which of these planets is the smallest?',
+    'quiz.question.longestYear': 'Which of these planets has the longest year?',
+    'quiz.question.shortestYear': 'Which of these planets has the shortest year?',
+    'quiz.question.hottest': 'Which of these planets is the hottest on average?',
+    'quiz.question.coldest': 'Which of these planets is the coldest on average?',
+    'quiz.question.strongestGravity': 'Which of these planets has the strongest surface gravity?',
+    'quiz.question.yearLength': 'Which planet\'s year lasts about {days} Earth days?',
+    'quiz.question.dayLength': 'On which planet does a day last about {hours} hours?',
+    'quiz.hint': 'Swipe to a planet, then make a fist to answer.',
+    'quiz.status': 'Question {number}/{count} · Score {score} · Streak {streak}',
+    'quiz.statusTimed': '{status} · {seconds} s',
+    'quiz.correct': 'Correct!',
+    'quiz.wrong': 'Not quite: it was {name}.',
+    'quiz.timeUp': 'Time\'s up: it was {name}.',
+    'quiz.results': 'Quiz over: {score} of {count} right, best streak {bestStreak}.',
+    'quiz.export': 'Download results',
+    'quiz.close': 'Close',
+
+    'voice.listening': 'Listening…',
+    'voice.heard': '“{transcript}”',
+    'voice.notUnderstood': '“{transcript}” ?',
+
+    'notice.cameraUnavailable': 'Camera unavailable: use the arrow keys, mouse drag and wheel, or touch swipes to explore.',
+    'notice.narrationUnsupported': 'Narration is not supported in this browser.',
+    'notice.voiceUnsupported': 'Voice commands are not supported in this browser.',
+    'notice.microphoneUnavailable': 'Voice commands unavailable: the microphone could not be used.',
+    'notice.tourError': 'Could not start the tour: {error}',
+    'notice.quizUnavailable': 'The catalog has too little planet data for a quiz.',
+    'notice.recording': 'Recording the gesture session: press R again to stop and download it.',
+    'notice.replaying': 'Replaying a recorded session ({count} frames).',
+
+    'calibration.title': 'Gesture Calibration',
+    'calibration.profile': 'Gesture profile',
+    'calibration.use': 'Use',
+    'calibration.delete': 'Delete',
+    'calibration.namePlaceholder': 'Your name',
+    'calibration.nameLabel': 'New profile name',
+    'calibration.start': 'Calibrate',
+    'calibration.close': 'Close',
+    'calibration.intro': 'Pick a saved profile, or enter a name and calibrate a new one.',
+    'calibration.defaultThresholds': 'Default thresholds',
+    'calibration.usingProfile': 'Using profile "{name}".',
+    'calibration.usingDefaults': 'Using the default thresholds.',
+    'calibration.deleted': 'Deleted profile "{name}".',
+    'calibration.enterName': 'Enter a name for the new profile first.',
+    'calibration.repetition': '{prompt} ({repetition}/{count})',
+    'calibration.getReady': 'Get ready…',
+    'calibration.now': 'Now!',
+    'calibration.noHand': 'No hand was seen during calibration. Check the camera and try again.',
+    'calibration.saved': 'Saved and using profile "{name}".',
+    'calibration.step.still': 'Hold your open hand still in front of the camera',
+    'calibration.step.swipe': 'Swipe your open hand sideways, as if flicking to the next planet',
+    'calibration.step.fist': 'Make a fist',
+    'calibration.step.dial': 'Spread your finger tips and turn them like a dial',
+    'calibration.step.victory': 'Show a victory sign',
+    'calibration.step.pointing': 'Point one finger up',
+
+    'bindings.title': 'Gesture Bindings',
+    'bindings.intro': 'Pick what each gesture does. Leave the confidence empty to use the gesture profile\'s. A dial turn runs its action once per step.',
+    'bindings.gesture': 'Gesture',
+    'bindings.action': 'Action',
+    'bindings.actionFor': 'Action for {gesture}',
+    'bindings.confidence': 'Min. confidence',
+    'bindings.hold': 'Hold (ms)',
+    'bindings.step': 'Step (°)',
+    'bindings.none': 'Nothing',
+    'bindings.profileDefault': 'Profile',
+    'bindings.save': 'Save',
+    'bindings.reset': 'Reset to defaults',
+    'bindings.close': 'Close',
+    'bindings.saved': 'Bindings saved.',
+    'bindings.resetDone': 'Back to the default bindings.',
+
+    'training.title': 'Custom Gestures',
+    'training.gesture': 'Trained gesture',
+    'training.newGesture': 'New gesture',
+    'training.entry': '{name} ({type}, {count} samples)',
+    'training.delete': 'Delete',
+    'training.namePlaceholder': 'Gesture name',
+    'training.type': 'Gesture type',
+    'training.static': 'Pose',
+    'training.dynamic': 'Motion',
+    'training.record': 'Record sample',
+    'training.export': 'Export',
+    'training.import': 'Import',
+    'training.close': 'Close',
+    'training.intro': 'Name a new pose or motion and record a few samples of it, then bind it in the gesture bindings (K).',
+    'training.enterName': 'Enter a name for the gesture first.',
+    'training.builtIn': '"{name}" is a built-in gesture; pick another name.',
+    'training.nameTooLong': 'Gesture names can be at most {count} characters long.',
+    'training.holdPose': 'Hold the "{name}" pose still',
+    'training.makeMotion': 'Make the "{name}" motion once',
+    'training.getReady': 'Get ready…',
+    'training.now': 'Now!',
+    'training.noHand': 'No hand was seen. Check the camera and try again.',
+    'training.noMotion': 'The hand hardly moved. Start still, make the motion, then hold still again.',
+    'training.saved': '"{name}" now has {count} samples.',
+    'training.more': 'Record a few more, varying the angle a little.',
+    'training.deleted': 'Deleted "{name}".',
+    'training.imported': 'Imported {count} gestures.',
+    'training.importError': 'Could not import the gestures: {error}',
+
+    'gesture.Open_Palm': 'Open palm ✋',
+    'gesture.Closed_Fist': 'Fist ✊',
+    'gesture.ILoveYou': 'I love you 🤟',
+    'gesture.Victory': 'Victory ✌️',
+    'gesture.Pointing_Up': 'Pointing up ☝️',
+    'gesture.Thumb_Up': 'Thumb up 👍',
+    'gesture.Thumb_Down': 'Thumb down 👎',
+    'gesture.swipeLeft': 'Swipe left',
+    'gesture.swipeRight': 'Swipe right',
+    'gesture.swipeUp': 'Swipe up',
+    'gesture.swipeDown': 'Swipe down',
+    'gesture.dialClockwise': 'Dial clockwise',
+    'gesture.dialCounterClockwise': 'Dial counter-clockwise',
+    'gesture.pinch': 'Pinch (one hand)',
+
+    'action.next': 'Next body',
+    'action.previous': 'Previous body',
+    'action.lock': 'Lock (zoom in)',
+    'action.unlock': 'Unlock (zoom out)',
+    'action.toggleLock': 'Toggle lock',
+    'action.detailUp': 'More detail',
+    'action.detailDown': 'Less detail',
+    'action.toggleUnits': 'Metric / imperial units',
+    'action.pauseTime': 'Pause time',
+    'action.resumeTime': 'Resume time',
+    'action.togglePause': 'Pause / resume time',
+    'action.reverseTime': 'Reverse time',
+    'action.fasterTime': 'Faster time',
+    'action.slowerTime': 'Slower time',
+    'action.cycleTimeSpeed': 'Next time speed',
+    'action.jumpToNow': 'Jump to today',
+    'action.dateForward': 'Date: a day forward',
+    'action.dateBack': 'Date: a day back',
+    'action.cameraCloser': 'Camera closer',
+    'action.cameraFarther': 'Camera farther',
+    'action.cycleScaleMode': 'Cycle scale mode',
+    'action.toggleFreeLook': 'Toggle free look',
+    'action.togglePointing': 'Toggle hand pointing',
+    'action.toggleTour': 'Start / stop the guided tour',
+    'action.toggleQuiz': 'Start / stop a quiz',
+    'action.toggleNarration': 'Toggle narration',
+    'action.readAloud': 'Read aloud',
+    'action.stopNarration': 'Stop reading',
+    'action.toggleVoiceCommands': 'Toggle voice commands',
+    'action.openCalibration': 'Gesture calibration',
+    'action.openBindings': 'Gesture bindings',
+    'action.openTraining': 'Custom gesture training',
+
+    'debug.title': 'Debug Info:',
+    'debug.waiting': 'Waiting for camera...',
+    'debug.gesture': 'Gesture: {name}',
+    'debug.noGesture': 'Gesture: None detected',
+    'debug.confidence': 'Confidence: {value}%',
+    'debug.hands': 'Hands: {count} ({labels})',
+    'debug.detail': 'Current Detail: {level}',
+    'debug.body': 'Planet: {name}',
+    'debug.unknownBody': 'Unknown',
+    'debug.locked': 'Mode: LOCKED (Rotary Dial)',
+    'debug.unlocked': 'Mode: UNLOCKED (Swipe)',
+    'debug.state': 'State: {state}',
+    'debug.palmVelocity': 'Palm Velocity: {value}',
+    'debug.deltaX': 'Delta X: {value}',
+    'debug.deltaTime': 'Delta Time: {value}ms',
+    'debug.noHand': 'Hand: Not detected',
+    'debug.noResults': 'No results yet',
+    'debug.webcamActive': 'Status: Webcam Active',
+    'debug.webcamInactive': 'Status: Webcam Inactive',
+    'debug.profile': 'Profile: {name}',
+    'debug.finger.thumb': 'THUMB',
+    'debug.finger.index': 'INDEX',
+    'debug.finger.middle': 'MIDDLE',
+    'debug.finger.ring': 'RING',
+    'debug.finger.pinky': 'PINKY'
+};
@@ -0,0 +1,104 @@
+// Semantic app actions and the bus that input sources dispatch them on.
+// Sources (keyboard, pointer, touch, hand tracking) never call the app directly:
+// they dispatch an action and the app registers one handler per action.
+
+export const ACTIONS = {
+    NEXT: 'next',
+    PREVIOUS: 'previous',
+    LOCK: 'lock',
+    UNLOCK: 'unlock',
+    TOGGLE_LOCK: 'toggleLock',
+    DETAIL_UP: 'detailUp',
+    DETAIL_DOWN: 'detailDown',
+    SET_DETAIL: 'setDetail', // payload: 'overview', 'detailed' or 'deep', or a page index from 0
+    GO_TO: 'goTo', // payload: planet or moon name
+    SET_UNITS: 'setUnits', // payload: 'metric' or 'imperial'
+    TOGGLE_UNITS: 'toggleUnits',
+    PAUSE_TIME: 'pauseTime',
+    RESUME_TIME: 'resumeTime',
+    TOGGLE_PAUSE: 'togglePause',
+    REVERSE_TIME: 'reverseTime',
+    FASTER_TIME: 'fasterTime',
+    SLOWER_TIME: 'slowerTime',
+    CYCLE_TIME_SPEED: 'cycleTimeSpeed',
+    JUMP_TO_DATE: 'jumpToDate', // payload: Date, ISO string or milliseconds
+    JUMP_TO_NOW: 'jumpToNow',
+    DATE_FORWARD: 'dateForward', // Step the simulation date a day forward
+    DATE_BACK: 'dateBack',
+    CYCLE_SCALE_MODE: 'cycleScaleMode',
+    CAMERA_ZOOM: 'cameraZoom', // payload: distance factor, > 1 moves closer
+    CAMERA_ORBIT: 'cameraOrbit', // payload: { azimuth, elevation } deltas in radians
+    CAMERA_PAN: 'cameraPan', // payload: { x, y } in multiples of the camera distance (free look only)
+    CAMERA_CLOSER: 'cameraCloser', // Step the camera distance in or out (e.g. per dial detent)
+    CAMERA_FARTHER: 'cameraFarther',
+    ENTER_FREE_LOOK: 'enterFreeLook',
+    EXIT_FREE_LOOK: 'exitFreeLook',
+    TOGGLE_FREE_LOOK: 'toggleFreeLook',
+    POINT_AT: 'pointAt', // payload: { x, y } from 0 to 1 across the view, plus dwell progress from a hand cursor; null clears
+    SELECT_POINTED: 'selectPointed', // Focus the body under the pointer
+    ENTER_POINTING: 'enterPointing',
+    EXIT_POINTING: 'exitPointing',
+    TOGGLE_POINTING: 'togglePointing',
+    START_TOUR: 'startTour', // payload: a validated tour (see tourScript.js)
+    STOP_TOUR: 'stopTour',
+    TOGGLE_TOUR: 'toggleTour', // Starts the default tour, or stops the one playing
+    START_QUIZ: 'startQuiz', // payload: optional { questionCount, secondsPerQuestion }
+    STOP_QUIZ: 'stopQuiz',
+    TOGGLE_QUIZ: 'toggleQuiz',
+    TOGGLE_NARRATION: 'toggleNarration', // Read each new description aloud
+    READ_ALOUD: 'readAloud', // Read the current description once
+    STOP_NARRATION: 'stopNarration',
+    NARRATION_RATE: 'narrationRate', // payload: speaking rate factor, > 1 speaks faster
+    TOGGLE_VOICE_COMMANDS: 'toggleVoiceCommands',
+    OPEN_CALIBRATION: 'openCalibration',
+    OPEN_BINDINGS: 'openBindings', // Gesture bindings settings
+    OPEN_TRAINING: 'openTraining', // Custom gesture training
+    TOGGLE_DEBUG: 'toggleDebug', // Developer view of the hand landmarks and recognizer output
+    TOGGLE_MIRROR: 'toggleMirror', // Read the camera's picture as a mirror, or as the camera sees it
+    TOGGLE_RECORDING: 'toggleRecording' // Record the recognizer output, or stop and download the recording
+};
+
+export class ActionBus {
+    constructor() {
+        this.handlers = new Map();
+        this.listeners = [];
+        this.sources = [];
+    }
+
+    // Register the handler for an action; its return value is passed back to the dispatcher
+    handle(action, handler) {
+        this.handlers.set(action, handler);
+    }
+
+    // Observe every dispatched action as { action, payload, source, result }
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+
+    dispatch(action, payload, source = 'unknown') {
+        const handler = this.handlers.get(action);
+        if (!handler) {
+            console.warn(`No handler for action "${action}"`);
+            return undefined;
+        }
+
+        const result = handler(payload);
+        this.listeners.forEach(listener => listener({ action, payload, source, result }));
+        return result;
+    }
+
+    // Sources implement attach(dispatch, bus) and detach()
+    addSource(source) {
+        source.attach((action, payload) => this.dispatch(action, payload, source.name), this);
+        this.sources.push(source);
+        return source;
+    }
+
+    removeSource(source) {
+        source.detach();
+        this.sources = this.sources.filter(other => other !== source);
+    }
+}
@@ -0,0 +1,65 @@
+// The gesture binding table (gestureBindings.js) saved in localStorage, so a kiosk or a
+// user keeps their own mapping. Falls back to memory when storage is unavailable.
+// Bindings of trained gestures are kept for the gestures of the current gesture set.
+
+import { DEFAULT_BINDINGS, sanitizeBindings } from '../gestures/gestureBindings.js';
+
+const STORAGE_KEY = 'solar-system.gesture-bindings';
+
+export class BindingStore {
+    // customGestures: [{ name, type, action }] of the trained gesture set
+    constructor({ storage = globalThis.localStorage, customGestures = [] } = {}) {
+        this.storage = storage;
+        this.customGestures = customGestures;
+        this.bindings = this.read();
+    }
+
+    read() {
+        try {
+            const parsed = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (parsed && typeof parsed === 'object') {
+                return sanitizeBindings(parsed, this.customGestures);
+            }
+        } catch (error) {
+            console.warn('Could not read gesture bindings:', error.message);
+        }
+        return sanitizeBindings(DEFAULT_BINDINGS, this.customGestures);
+    }
+
+    write() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save gesture bindings:', error.message);
+        }
+    }
+
+    get() {
+        return this.bindings;
+    }
+
+    // The gesture set changed: new gestures get their default binding, removed ones are dropped
+    setCustomGestures(customGestures) {
+        this.customGestures = customGestures;
+        this.bindings = sanitizeBindings(this.bindings, customGestures);
+        return this.bindings;
+    }
+
+    // Returns the sanitized table that was saved
+    save(bindings) {
+        this.bindings = sanitizeBindings(bindings, this.customGestures);
+        this.write();
+        return this.bindings;
+    }
+
+    // Back to the built-in bindings
+    reset() {
+        this.bindings = sanitizeBindings(DEFAULT_BINDINGS, this.customGestures);
+        try {
+            this.storage.removeItem(STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not reset gesture bindings:', error.message);
+        }
+        return this.bindings;
+    }
+}
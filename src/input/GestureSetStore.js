@@ -0,0 +1,45 @@
+// The trained gesture set (customGestures.js) saved in localStorage, so taught gestures
+// survive a reload. Falls back to memory when storage is unavailable; a stored set that
+// no longer validates is ignored with a warning.
+
+import { emptyGestureSet, validateGestureSet } from '../gestures/customGestures.js';
+
+const STORAGE_KEY = 'solar-system.custom-gestures';
+
+export class GestureSetStore {
+    constructor({ storage = globalThis.localStorage } = {}) {
+        this.storage = storage;
+        this.set = this.read();
+    }
+
+    read() {
+        try {
+            const stored = this.storage.getItem(STORAGE_KEY);
+            if (stored) {
+                return validateGestureSet(JSON.parse(stored));
+            }
+        } catch (error) {
+            console.warn('Could not read custom gestures:', error.message);
+        }
+        return emptyGestureSet();
+    }
+
+    write() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.set));
+        } catch (error) {
+            console.warn('Could not save custom gestures:', error.message);
+        }
+    }
+
+    get() {
+        return this.set;
+    }
+
+    // Returns the validated set that was saved; throws CustomGestureError on a bad set
+    save(set) {
+        this.set = validateGestureSet(set);
+        this.write();
+        return this.set;
+    }
+}
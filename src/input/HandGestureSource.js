@@ -0,0 +1,247 @@
+// Hand tracking as an input source: recognizer results go through the
+// GestureInterpreter, whose swipes, poses, dial turns and pinches become the actions they
+// are bound to (gestureBindings.js; by default fist/palm lock and unlock, and so on),
+// along with the poses and motions of a trained gesture set.
+// With two hands in view, one hand navigates (swipes, fist/palm lock) and the other
+// controls detail and time (dial, time gestures); pinching with both hands zooms and
+// orbits the camera instead. In free look the navigation hand also steers the camera,
+// and in pointing mode its index fingertip is a cursor that selects bodies.
+// Hands are smoothed and followed from frame to frame by a HandFilter first; an interpreter
+// given a different hand, or whose hand has been gone past the filter's grace period,
+// starts afresh.
+
+import { ACTIONS } from './ActionBus.js';
+import { GestureInterpreter } from '../gestures/GestureInterpreter.js';
+import { TwoHandGestures } from '../gestures/TwoHandGestures.js';
+import { FreeLookGestures } from '../gestures/FreeLookGestures.js';
+import { PointingGestures } from '../gestures/PointingGestures.js';
+import { splitHands } from '../gestures/handLandmarks.js';
+import { BINDABLE_ACTIONS } from '../gestures/gestureBindings.js';
+import { CustomGestureClassifier } from '../gestures/CustomGestureClassifier.js';
+import { HandFilter } from '../gestures/HandFilter.js';
+
+export class HandGestureSource {
+    // navigationHand: 'Right' or 'Left', the user's hand (cameraView.js corrects the recognizer's handedness)
+    constructor({ now = () => Date.now(), onCalibrate = () => {}, navigationHand = 'Right' } = {}) {
+        this.name = 'hand';
+        this.dispatch = () => undefined;
+        this.unsubscribe = null;
+        this.navigationHand = navigationHand;
+        this.isFreeLook = false;
+        this.isPointing = false;
+        this.handCount = 0; // Hands in the latest frame
+        this.now = now;
+        this.filter = new HandFilter();
+        this.handIds = { navigation: null, control: null }; // Track ids of the hands the interpreters follow
+
+        // Interpreter action names are the bus actions themselves, so any bindable action can be bound
+        const actions = { calibrate: onCalibrate };
+        BINDABLE_ACTIONS.forEach(action => {
+            actions[action] = () => this.dispatch(action);
+        });
+
+        // The navigation interpreter also handles a lone hand, with every gesture enabled
+        this.interpreter = new GestureInterpreter({ actions, now });
+        this.controlInterpreter = new GestureInterpreter({ actions, now });
+        this.controlInterpreter.setRole('control');
+
+        this.twoHands = new TwoHandGestures({
+            actions: {
+                zoom: factor => this.dispatch(ACTIONS.CAMERA_ZOOM, factor),
+                orbit: (azimuth, elevation) => this.dispatch(ACTIONS.CAMERA_ORBIT, { azimuth, elevation })
+            }
+        });
+        this.freeLook = new FreeLookGestures({
+            actions: {
+                orbit: (azimuth, elevation) => this.dispatch(ACTIONS.CAMERA_ORBIT, { azimuth, elevation }),
+                dolly: factor => this.dispatch(ACTIONS.CAMERA_ZOOM, factor)
+            }
+        });
+        this.pointing = new PointingGestures({
+            now,
+            actions: {
+                point: point => this.dispatch(ACTIONS.POINT_AT, point) ?? null,
+                select: () => this.dispatch(ACTIONS.SELECT_POINTED),
+                leave: () => this.dispatch(ACTIONS.POINT_AT, null)
+            }
+        });
+    }
+
+    attach(dispatch, bus) {
+        this.dispatch = dispatch;
+
+        // Keep swipe/dial mode in step when another source (or the other hand) locks or unlocks,
+        // and follow free look and pointing however they were entered or left
+        this.unsubscribe = bus.subscribe(({ action, result }) => {
+            if (result === false) return;
+            if (action === ACTIONS.LOCK) {
+                this.setLocked(true);
+            } else if (action === ACTIONS.UNLOCK) {
+                this.setLocked(false);
+            } else if (action === ACTIONS.ENTER_FREE_LOOK) {
+                this.isFreeLook = true;
+            } else if (action === ACTIONS.EXIT_FREE_LOOK) {
+                this.isFreeLook = false;
+                this.freeLook.reset();
+            } else if (action === ACTIONS.ENTER_POINTING) {
+                this.setPointing(true);
+            } else if (action === ACTIONS.EXIT_POINTING) {
+                this.setPointing(false);
+            }
+        });
+    }
+
+    detach() {
+        this.dispatch = () => undefined;
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    applyThresholds(thresholds) {
+        this.interpreter.applyThresholds(thresholds);
+        this.controlInterpreter.applyThresholds(thresholds);
+    }
+
+    // gestureSet: a validated set from customGestures.js; apply the bindings afterwards, so
+    // its gestures are bound
+    applyCustomGestures(gestureSet) {
+        const classifier = new CustomGestureClassifier(gestureSet);
+        this.interpreter.applyCustomGestures(classifier);
+        this.controlInterpreter.applyCustomGestures(classifier);
+    }
+
+    // bindings: a sanitized table from gestureBindings.js
+    applyBindings(bindings) {
+        this.interpreter.applyBindings(bindings);
+        this.controlInterpreter.applyBindings(bindings);
+    }
+
+    setLocked(locked) {
+        this.interpreter.setLocked(locked);
+        this.controlInterpreter.setLocked(locked);
+    }
+
+    // Only the navigation hand (or a lone hand) points; the control hand keeps the dial and time gestures
+    setPointing(isPointing) {
+        this.isPointing = isPointing;
+        this.interpreter.setPointing(isPointing);
+        this.pointing.reset();
+    }
+
+    // The gesture HUD's state (see GestureInterpreter.feedback): the navigation hand's mode
+    // and swipe, the dial of whichever hand turns it, and the cooldowns of both hands
+    feedback() {
+        const navigation = this.interpreter.feedback();
+        const control = this.handCount >= 2 ? this.controlInterpreter.feedback() : navigation;
+        const inView = this.handCount > 0; // A swipe or turn in progress ends when the hand leaves
+        return {
+            handCount: this.handCount,
+            isLocked: navigation.isLocked,
+            isPointing: this.isPointing,
+            swipe: inView ? navigation.swipe : null,
+            dial: inView ? control.dial : 0,
+            lastDetentTime: control.lastDetentTime,
+            cooldowns: {
+                swipe: navigation.cooldowns.swipe,
+                pose: Math.max(navigation.cooldowns.pose, control.cooldowns.pose)
+            }
+        };
+    }
+
+    processResults(results) {
+        const hands = this.filter.process(splitHands(results), this.now());
+        this.handCount = hands.length;
+        this.releaseLostHands();
+
+        // Both hands pinching: camera zoom/orbit owns the frame
+        if (this.twoHands.process(hands[0], hands[1])) {
+            this.interpreter.resetSwipe();
+            this.interpreter.resetDial();
+            this.controlInterpreter.resetDial();
+            this.freeLook.reset();
+            return;
+        }
+
+        if (hands.length < 2) {
+            this.interpreter.setRole('both');
+            if (hands.length === 1) {
+                this.processNavigationHand(hands[0]);
+            } else {
+                this.freeLook.reset();
+                if (this.isPointing) {
+                    this.pointing.process(null);
+                }
+            }
+            return;
+        }
+
+        const [navigation, control] = this.routeHands(hands);
+        this.interpreter.setRole('navigation');
+        this.processNavigationHand(navigation);
+        this.followHand('control', control);
+        this.controlInterpreter.processHand(control);
+    }
+
+    // [navigation, control] of two hands. The hands keep their roles while both stay tracked,
+    // as handedness can flip for a frame when they cross; new hands are routed by handedness,
+    // falling back to detection order if it's missing or ambiguous.
+    routeHands([first, second]) {
+        const { navigation, control } = this.handIds;
+        if (first.id === navigation && second.id === control) return [first, second];
+        if (first.id === control && second.id === navigation) return [second, first];
+
+        if (second.handedness === this.navigationHand && first.handedness !== this.navigationHand) {
+            return [second, first];
+        }
+        return [first, second];
+    }
+
+    interpreterFor(role) {
+        return role === 'navigation' ? this.interpreter : this.controlInterpreter;
+    }
+
+    // Before an interpreter gets a hand: a different hand than the one it followed starts it
+    // afresh, so the jump between the two isn't read as a swipe or a dial turn
+    followHand(role, hand) {
+        if (hand.id === this.handIds[role]) return;
+
+        this.handIds[role] = hand.id;
+        this.interpreterFor(role).resetHand();
+        if (role === 'navigation') {
+            this.freeLook.reset();
+        }
+    }
+
+    // Forget the hands being followed, e.g. when the camera's picture is mirrored: they start
+    // afresh on the next frame
+    resetHands() {
+        this.filter.reset();
+        this.releaseLostHands();
+    }
+
+    // Hands missing past the filter's grace period end the gestures they were making
+    releaseLostHands() {
+        Object.keys(this.handIds).forEach(role => {
+            const id = this.handIds[role];
+            if (id !== null && !this.filter.isTracking(id)) {
+                this.handIds[role] = null;
+                this.interpreterFor(role).resetHand();
+            }
+        });
+    }
+
+    processNavigationHand(hand) {
+        this.followHand('navigation', hand);
+        // A pointing hand is busy being the cursor, so it doesn't steer free look as well
+        if (this.isPointing) {
+            this.pointing.process(hand.landmarks);
+            this.freeLook.reset();
+        } else if (this.isFreeLook) {
+            // Free look runs first, so a swipe that selects a new body (and ends free look) wins
+            this.freeLook.process(hand.landmarks);
+        }
+        this.interpreter.processHand(hand);
+    }
+}
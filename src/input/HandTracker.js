@@ -0,0 +1,91 @@
+// Webcam capture and MediaPipe gesture recognition.
+// Calls onResults(results, timestamp) with the recognizer output for every new video frame,
+// in the coordinates of the unflipped camera picture (see gestures/cameraView.js).
+
+import {
+    GestureRecognizer,
+    FilesetResolver
+} from "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3";
+
+const VISION_WASM_URL = "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm";
+const GESTURE_MODEL_URL =
+    "https://storage.googleapis.com/mediapipe-models/gesture_recognizer/gesture_recognizer/float16/1/gesture_recognizer.task";
+
+export class HandTracker {
+    // facingMode: 'user' for the front camera, 'environment' for the rear one
+    constructor({ onResults, facingMode = 'user' }) {
+        this.onResults = onResults;
+        this.facingMode = facingMode;
+        this.gestureRecognizer = null;
+        this.video = null;
+        this.webcamRunning = false;
+        this.lastVideoTime = -1;
+    }
+
+    // Resolves to true once the camera is streaming, false if the camera or model is unavailable
+    async start() {
+        try {
+            // Create video element for camera
+            this.video = document.createElement('video');
+            this.video.style.display = 'none';
+            this.video.autoplay = true;
+            this.video.playsinline = true;
+            document.body.appendChild(this.video);
+
+            // Initialize MediaPipe HandGestureRecognizer
+            const vision = await FilesetResolver.forVisionTasks(VISION_WASM_URL);
+
+            this.gestureRecognizer = await GestureRecognizer.createFromOptions(vision, {
+                baseOptions: {
+                    modelAssetPath: GESTURE_MODEL_URL,
+                    delegate: "CPU"
+                },
+                runningMode: "VIDEO",
+                numHands: 2
+            });
+
+            // Start webcam
+            return await this.startWebcam();
+
+        } catch (error) {
+            console.error('❌ Error creating gesture recognizer:', error);
+            return false;
+        }
+    }
+
+    async startWebcam() {
+        try {
+            const constraints = {
+                video: {
+                    width: 640,
+                    height: 480,
+                    facingMode: this.facingMode
+                }
+            };
+            const stream = await navigator.mediaDevices.getUserMedia(constraints);
+            this.video.srcObject = stream;
+            this.video.addEventListener('loadeddata', () => {
+                this.webcamRunning = true;
+                this.predictWebcam();
+            });
+            return true;
+        } catch (error) {
+            console.error('❌ Error starting webcam:', error);
+            return false;
+        }
+    }
+
+    predictWebcam() {
+        if (!this.webcamRunning) return;
+
+        // Process video frame for gesture recognition
+        if (this.video.currentTime !== this.lastVideoTime) {
+            this.lastVideoTime = this.video.currentTime;
+            const timestamp = Date.now();
+            const results = this.gestureRecognizer.recognizeForVideo(this.video, timestamp);
+            this.onResults(results, timestamp);
+        }
+
+        requestAnimationFrame(() => this.predictWebcam());
+    }
+}
@@ -0,0 +1,88 @@
+// Keyboard navigation: arrows move between bodies and detail levels,
+// Enter locks (zooms in), Escape unlocks and Space toggles the lock.
+// Time: P pauses, B reverses, [ and ] change speed, T returns to today.
+// S cycles the scale mode, F toggles free look, H toggles hand pointing, G starts or
+// stops the guided tour, Q starts or stops the quiz, C opens gesture calibration, K the
+// gesture bindings and L custom gesture training.
+// D toggles the developer view of the hand landmarks, M mirrors the camera's picture and R
+// starts or stops recording the recognizer output.
+// N toggles narration, V toggles voice commands and U switches metric/imperial units.
+
+import { ACTIONS } from './ActionBus.js';
+
+const KEY_ACTIONS = {
+    ArrowRight: ACTIONS.NEXT,
+    ArrowLeft: ACTIONS.PREVIOUS,
+    ArrowUp: ACTIONS.DETAIL_UP,
+    ArrowDown: ACTIONS.DETAIL_DOWN,
+    Enter: ACTIONS.LOCK,
+    Escape: ACTIONS.UNLOCK,
+    ' ': ACTIONS.TOGGLE_LOCK,
+    p: ACTIONS.TOGGLE_PAUSE,
+    P: ACTIONS.TOGGLE_PAUSE,
+    b: ACTIONS.REVERSE_TIME,
+    B: ACTIONS.REVERSE_TIME,
+    ']': ACTIONS.FASTER_TIME,
+    '[': ACTIONS.SLOWER_TIME,
+    t: ACTIONS.JUMP_TO_NOW,
+    T: ACTIONS.JUMP_TO_NOW,
+    s: ACTIONS.CYCLE_SCALE_MODE,
+    S: ACTIONS.CYCLE_SCALE_MODE,
+    f: ACTIONS.TOGGLE_FREE_LOOK,
+    F: ACTIONS.TOGGLE_FREE_LOOK,
+    h: ACTIONS.TOGGLE_POINTING,
+    H: ACTIONS.TOGGLE_POINTING,
+    g: ACTIONS.TOGGLE_TOUR,
+    G: ACTIONS.TOGGLE_TOUR,
+    q: ACTIONS.TOGGLE_QUIZ,
+    Q: ACTIONS.TOGGLE_QUIZ,
+    c: ACTIONS.OPEN_CALIBRATION,
+    C: ACTIONS.OPEN_CALIBRATION,
+    k: ACTIONS.OPEN_BINDINGS,
+    K: ACTIONS.OPEN_BINDINGS,
+    l: ACTIONS.OPEN_TRAINING,
+    L: ACTIONS.OPEN_TRAINING,
+    d: ACTIONS.TOGGLE_DEBUG,
+    D: ACTIONS.TOGGLE_DEBUG,
+    m: ACTIONS.TOGGLE_MIRROR,
+    M: ACTIONS.TOGGLE_MIRROR,
+    r: ACTIONS.TOGGLE_RECORDING,
+    R: ACTIONS.TOGGLE_RECORDING,
+    n: ACTIONS.TOGGLE_NARRATION,
+    N: ACTIONS.TOGGLE_NARRATION,
+    v: ACTIONS.TOGGLE_VOICE_COMMANDS,
+    V: ACTIONS.TOGGLE_VOICE_COMMANDS,
+    u: ACTIONS.TOGGLE_UNITS,
+    U: ACTIONS.TOGGLE_UNITS
+};
+
+export class KeyboardSource {
+    constructor({ target = window } = {}) {
+        this.name = 'keyboard';
+        this.target = target;
+        this.onKeyDown = this.onKeyDown.bind(this);
+    }
+
+    attach(dispatch) {
+        this.dispatch = dispatch;
+        this.target.addEventListener('keydown', this.onKeyDown);
+    }
+
+    detach() {
+        this.target.removeEventListener('keydown', this.onKeyDown);
+    }
+
+    onKeyDown(event) {
+        // Leave typing in form fields alone
+        const tagName = event.target && event.target.tagName;
+        if (tagName === 'INPUT' || tagName === 'TEXTAREA' || tagName === 'SELECT') return;
+        // Leave browser shortcuts (Ctrl/Cmd+R, Ctrl+F, ...) alone; Shift only changes the letter's case
+        if (event.ctrlKey || event.metaKey || event.altKey) return;
+
+        const action = KEY_ACTIONS[event.key];
+        if (!action) return;
+
+        event.preventDefault();
+        this.dispatch(action);
+    }
+}
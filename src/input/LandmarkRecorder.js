@@ -0,0 +1,54 @@
+// Captures recognizer results frame by frame so a gesture session can be replayed later
+
+import { serializeFrame, framesToJsonl, recordingHeader } from './landmarkStream.js';
+import { createCameraView } from '../gestures/cameraView.js';
+
+export class LandmarkRecorder {
+    constructor() {
+        this.frames = [];
+        this.isRecording = false;
+        this.startTime = 0;
+        this.cameraView = createCameraView();
+    }
+
+    // cameraView: the view the results are read with, saved in the header so a replay
+    // reads them the same way
+    start(cameraView = createCameraView()) {
+        this.frames = [];
+        this.isRecording = true;
+        this.startTime = null;
+        this.cameraView = cameraView;
+    }
+
+    stop() {
+        this.isRecording = false;
+        return this.frames;
+    }
+
+    // timestamp: the same milliseconds value passed to recognizeForVideo
+    capture(results, timestamp) {
+        if (!this.isRecording || !results) return;
+
+        if (this.startTime === null) {
+            this.startTime = timestamp;
+        }
+        this.frames.push(serializeFrame(results, timestamp - this.startTime));
+    }
+
+    toJsonl() {
+        return framesToJsonl(this.frames, recordingHeader(this.cameraView));
+    }
+
+    // Save the recording through a temporary download link
+    download(fileName = `gesture-recording-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`) {
+        const blob = new Blob([this.toJsonl()], { type: 'application/x-ndjson' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
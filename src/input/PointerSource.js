@@ -0,0 +1,184 @@
+// Mouse navigation: horizontal drag moves between bodies (right = next, matching the
+// hand swipe), the wheel steps the detail level and a double click toggles the lock.
+// Hovering highlights the body under the mouse and clicking selects it.
+// In free look, dragging orbits the camera, right- or shift-dragging pans and the wheel dollies.
+// Touch pointers are left to TouchSource.
+
+import { ACTIONS } from './ActionBus.js';
+
+export class PointerSource {
+    constructor({ target, dragThreshold = 60, clickSlop = 5, wheelStep = 100 }) {
+        this.name = 'mouse';
+        this.target = target;
+        this.dragThreshold = dragThreshold; // Pixels of horizontal drag for one step
+        this.clickSlop = clickSlop; // Pixels the mouse may move between press and release of a click
+        this.wheelStep = wheelStep; // Accumulated wheel delta for one detail step
+        this.orbitSpeed = Math.PI; // Radians per drag across the full height of the target
+        this.panSpeed = 1; // Camera distances per drag across the full height of the target
+        this.dollyStep = 1.1; // Zoom factor per 100 wheel delta in free look
+        this.dragStart = null;
+        this.freeLookDrag = null;
+        this.wheelAccumulator = 0;
+        this.isFreeLook = false;
+        this.unsubscribe = null;
+
+        this.onPointerDown = this.onPointerDown.bind(this);
+        this.onPointerMove = this.onPointerMove.bind(this);
+        this.onPointerUp = this.onPointerUp.bind(this);
+        this.onWheel = this.onWheel.bind(this);
+        this.onDoubleClick = this.onDoubleClick.bind(this);
+        this.onContextMenu = this.onContextMenu.bind(this);
+        this.onPointerLeave = this.onPointerLeave.bind(this);
+    }
+
+    attach(dispatch, bus) {
+        this.dispatch = dispatch;
+        this.target.addEventListener('pointerdown', this.onPointerDown);
+        this.target.addEventListener('pointermove', this.onPointerMove);
+        this.target.addEventListener('pointerup', this.onPointerUp);
+        this.target.addEventListener('wheel', this.onWheel, { passive: false });
+        this.target.addEventListener('dblclick', this.onDoubleClick);
+        this.target.addEventListener('contextmenu', this.onContextMenu);
+        this.target.addEventListener('pointerleave', this.onPointerLeave);
+
+        this.unsubscribe = bus.subscribe(({ action, result }) => {
+            if (result === false) return;
+            if (action === ACTIONS.ENTER_FREE_LOOK) {
+                this.isFreeLook = true;
+            } else if (action === ACTIONS.EXIT_FREE_LOOK) {
+                this.isFreeLook = false;
+                this.freeLookDrag = null;
+            }
+        });
+    }
+
+    detach() {
+        this.target.removeEventListener('pointerdown', this.onPointerDown);
+        this.target.removeEventListener('pointermove', this.onPointerMove);
+        this.target.removeEventListener('pointerup', this.onPointerUp);
+        this.target.removeEventListener('wheel', this.onWheel);
+        this.target.removeEventListener('dblclick', this.onDoubleClick);
+        this.target.removeEventListener('contextmenu', this.onContextMenu);
+        this.target.removeEventListener('pointerleave', this.onPointerLeave);
+        if (this.unsubscribe) {
+            this.unsubscribe();
+            this.unsubscribe = null;
+        }
+    }
+
+    onPointerDown(event) {
+        if (event.pointerType !== 'mouse') return;
+
+        if (this.isFreeLook) {
+            const pan = event.button === 2 || (event.button === 0 && event.shiftKey);
+            if (pan || event.button === 0) {
+                this.freeLookDrag = { x: event.clientX, y: event.clientY, startX: event.clientX, startY: event.clientY, pan };
+            }
+            return;
+        }
+
+        if (event.button !== 0) return;
+        this.dragStart = { x: event.clientX, y: event.clientY };
+    }
+
+    // Free-look drags move the camera continuously, scaled to the target's height;
+    // otherwise the mouse hovers over bodies
+    onPointerMove(event) {
+        if (event.pointerType !== 'mouse') return;
+        if (!this.freeLookDrag) {
+            this.dispatch(ACTIONS.POINT_AT, this.viewportPoint(event));
+            return;
+        }
+
+        const height = this.target.clientHeight || window.innerHeight;
+        const deltaX = (event.clientX - this.freeLookDrag.x) / height;
+        const deltaY = (event.clientY - this.freeLookDrag.y) / height;
+        this.freeLookDrag.x = event.clientX;
+        this.freeLookDrag.y = event.clientY;
+
+        if (this.freeLookDrag.pan) {
+            this.dispatch(ACTIONS.CAMERA_PAN, { x: deltaX * this.panSpeed, y: deltaY * this.panSpeed });
+        } else {
+            // Dragging right swings the camera left around the focus, as if turning the scene by hand
+            this.dispatch(ACTIONS.CAMERA_ORBIT, { azimuth: -deltaX * this.orbitSpeed, elevation: deltaY * this.orbitSpeed });
+        }
+    }
+
+    onPointerUp(event) {
+        if (event.pointerType !== 'mouse') return;
+        if (this.freeLookDrag) {
+            const { startX, startY, pan } = this.freeLookDrag;
+            this.freeLookDrag = null;
+            if (!pan && this.isClick(event, startX, startY)) {
+                this.select(event);
+            }
+            return;
+        }
+        if (!this.dragStart) return;
+
+        const deltaX = event.clientX - this.dragStart.x;
+        const deltaY = event.clientY - this.dragStart.y;
+        const isClick = this.isClick(event, this.dragStart.x, this.dragStart.y);
+        this.dragStart = null;
+
+        if (isClick) {
+            this.select(event);
+        } else if (Math.abs(deltaX) > this.dragThreshold && Math.abs(deltaX) > Math.abs(deltaY)) {
+            this.dispatch(deltaX > 0 ? ACTIONS.NEXT : ACTIONS.PREVIOUS);
+        }
+    }
+
+    isClick(event, startX, startY) {
+        return Math.hypot(event.clientX - startX, event.clientY - startY) <= this.clickSlop;
+    }
+
+    // Pick at the click position, in case the mouse hasn't moved since the last hover
+    select(event) {
+        this.dispatch(ACTIONS.POINT_AT, this.viewportPoint(event));
+        this.dispatch(ACTIONS.SELECT_POINTED);
+    }
+
+    onPointerLeave(event) {
+        if (event.pointerType !== 'mouse') return;
+        this.dispatch(ACTIONS.POINT_AT, null);
+    }
+
+    // Event position as { x, y } from 0 to 1 across the target
+    viewportPoint(event) {
+        const rect = this.target.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) / Math.max(rect.width, 1),
+            y: (event.clientY - rect.top) / Math.max(rect.height, 1)
+        };
+    }
+
+    onWheel(event) {
+        event.preventDefault();
+
+        // Free look: wheel up dollies in
+        if (this.isFreeLook) {
+            this.dispatch(ACTIONS.CAMERA_ZOOM, Math.pow(this.dollyStep, -event.deltaY / 100));
+            return;
+        }
+
+        this.wheelAccumulator += event.deltaY;
+
+        // Wheel up (negative delta) reveals more detail
+        while (Math.abs(this.wheelAccumulator) >= this.wheelStep) {
+            const direction = Math.sign(this.wheelAccumulator);
+            this.dispatch(direction < 0 ? ACTIONS.DETAIL_UP : ACTIONS.DETAIL_DOWN);
+            this.wheelAccumulator -= direction * this.wheelStep;
+        }
+    }
+
+    onDoubleClick() {
+        this.dispatch(ACTIONS.TOGGLE_LOCK);
+    }
+
+    // Right-drag pans in free look, so keep the browser menu out of the way
+    onContextMenu(event) {
+        if (this.isFreeLook) {
+            event.preventDefault();
+        }
+    }
+}
@@ -0,0 +1,79 @@
+// Named gesture profiles (thresholds from the calibration wizard) saved in localStorage,
+// so several people can keep their own calibration on a shared kiosk.
+// Falls back to memory when storage is unavailable (private browsing, file:// pages).
+
+import { sanitizeThresholds } from '../gestures/gestureProfile.js';
+
+const STORAGE_KEY = 'solar-system.gesture-profiles';
+
+export class ProfileStore {
+    constructor({ storage = globalThis.localStorage } = {}) {
+        this.storage = storage;
+        this.data = this.read();
+    }
+
+    read() {
+        try {
+            const parsed = JSON.parse(this.storage.getItem(STORAGE_KEY));
+            if (parsed && typeof parsed.profiles === 'object' && parsed.profiles !== null) {
+                return { active: typeof parsed.active === 'string' ? parsed.active : null, profiles: parsed.profiles };
+            }
+        } catch (error) {
+            console.warn('Could not read gesture profiles:', error.message);
+        }
+        return { active: null, profiles: {} };
+    }
+
+    write() {
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Could not save gesture profiles:', error.message);
+        }
+    }
+
+    names() {
+        return Object.keys(this.data.profiles).sort((a, b) => a.localeCompare(b));
+    }
+
+    // { name, thresholds, savedAt } or null
+    get(name) {
+        const profile = this.data.profiles[name];
+        if (!profile) return null;
+        return { name, thresholds: sanitizeThresholds(profile.thresholds), savedAt: profile.savedAt };
+    }
+
+    save(name, thresholds) {
+        const trimmed = name.trim();
+        if (!trimmed) {
+            throw new Error('Profile name must not be empty');
+        }
+        this.data.profiles[trimmed] = { thresholds: sanitizeThresholds(thresholds), savedAt: new Date().toISOString() };
+        this.write();
+        return this.get(trimmed);
+    }
+
+    remove(name) {
+        if (!this.data.profiles[name]) return false;
+
+        delete this.data.profiles[name];
+        if (this.data.active === name) {
+            this.data.active = null;
+        }
+        this.write();
+        return true;
+    }
+
+    getActive() {
+        return this.data.active ? this.get(this.data.active) : null;
+    }
+
+    // Pass null to go back to the built-in defaults
+    setActive(name) {
+        if (name !== null && !this.data.profiles[name]) return false;
+
+        this.data.active = name;
+        this.write();
+        return true;
+    }
+}
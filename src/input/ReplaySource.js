@@ -0,0 +1,69 @@
+// Feeds recorded frames back as if they came from the live recognizer.
+// onResults receives (results, timestamp) exactly like HandTracker's callback.
+
+export class ReplaySource {
+    constructor({ frames, onResults, onEnd = () => {}, startTime = 0 }) {
+        this.frames = frames;
+        this.onResults = onResults;
+        this.onEnd = onEnd;
+        this.startTime = startTime; // Added to each frame's t to form the replay timestamp
+        this.frameIndex = 0;
+        this.timer = null;
+        this.isPlaying = false;
+    }
+
+    // Play back at the original timing
+    start() {
+        this.stop();
+        this.frameIndex = 0;
+        this.isPlaying = true;
+        this.scheduleNextFrame();
+    }
+
+    stop() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.isPlaying = false;
+    }
+
+    // Feed every frame synchronously; timestamps still follow the recording,
+    // so time-based gesture logic behaves the same as in a timed replay
+    runToEnd() {
+        this.stop();
+        this.frames.forEach(frame => this.emit(frame));
+        this.frameIndex = this.frames.length;
+        this.onEnd();
+    }
+
+    scheduleNextFrame() {
+        if (this.frameIndex >= this.frames.length) {
+            this.isPlaying = false;
+            this.onEnd();
+            return;
+        }
+
+        const frame = this.frames[this.frameIndex];
+        const previousTime = this.frameIndex > 0 ? this.frames[this.frameIndex - 1].t : frame.t;
+
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.frameIndex++;
+            this.emit(frame);
+            if (this.isPlaying) {
+                this.scheduleNextFrame();
+            }
+        }, frame.t - previousTime);
+    }
+
+    emit(frame) {
+        this.onResults({
+            landmarks: frame.landmarks,
+            worldLandmarks: frame.worldLandmarks,
+            handedness: frame.handedness,
+            handednesses: frame.handedness,
+            gestures: frame.gestures
+        }, this.startTime + frame.t);
+    }
+}
@@ -0,0 +1,71 @@
+// Touch navigation: horizontal swipes move between bodies (right = next, matching the
+// hand swipe), vertical swipes step the detail level (up = more detail) and a double
+// tap toggles the lock.
+
+import { ACTIONS } from './ActionBus.js';
+
+export class TouchSource {
+    constructor({ target, swipeThreshold = 50, doubleTapInterval = 300, now = () => Date.now() }) {
+        this.name = 'touch';
+        this.target = target;
+        this.swipeThreshold = swipeThreshold; // Pixels
+        this.doubleTapInterval = doubleTapInterval; // Milliseconds
+        this.now = now;
+        this.touchStart = null;
+        this.lastTapTime = 0;
+
+        this.onTouchStart = this.onTouchStart.bind(this);
+        this.onTouchEnd = this.onTouchEnd.bind(this);
+    }
+
+    attach(dispatch) {
+        this.dispatch = dispatch;
+        this.target.addEventListener('touchstart', this.onTouchStart, { passive: true });
+        this.target.addEventListener('touchend', this.onTouchEnd);
+    }
+
+    detach() {
+        this.target.removeEventListener('touchstart', this.onTouchStart);
+        this.target.removeEventListener('touchend', this.onTouchEnd);
+    }
+
+    onTouchStart(event) {
+        if (event.touches.length !== 1) {
+            this.touchStart = null;
+            return;
+        }
+        const touch = event.touches[0];
+        this.touchStart = { x: touch.clientX, y: touch.clientY };
+    }
+
+    onTouchEnd(event) {
+        if (!this.touchStart || event.changedTouches.length === 0) return;
+
+        const touch = event.changedTouches[0];
+        const deltaX = touch.clientX - this.touchStart.x;
+        const deltaY = touch.clientY - this.touchStart.y;
+        this.touchStart = null;
+
+        if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < this.swipeThreshold) {
+            this.handleTap();
+            return;
+        }
+
+        if (Math.abs(deltaX) > Math.abs(deltaY)) {
+            this.dispatch(deltaX > 0 ? ACTIONS.NEXT : ACTIONS.PREVIOUS);
+        } else {
+            // Screen y grows downwards, so an upward swipe has negative deltaY
+            this.dispatch(deltaY < 0 ? ACTIONS.DETAIL_UP : ACTIONS.DETAIL_DOWN);
+        }
+    }
+
+    handleTap() {
+        const currentTime = this.now();
+        if (currentTime - this.lastTapTime < this.doubleTapInterval) {
+            this.dispatch(ACTIONS.TOGGLE_LOCK);
+            this.lastTapTime = 0;
+        } else {
+            this.lastTapTime = currentTime;
+        }
+    }
+}
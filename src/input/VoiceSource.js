@@ -0,0 +1,131 @@
+// Voice commands through the browser's speech recognition (Web Speech API).
+// Every final transcript goes through the grammar in voiceCommands.js and, if it is a
+// command, is dispatched like any other input. handleTranscript() takes typed text the
+// same way, so commands work (and can be tried) without a speech service.
+
+import { ACTIONS } from './ActionBus.js';
+import { parseVoiceCommand, speechLanguage, voiceLanguage } from './voiceCommands.js';
+
+const NOOP = () => {};
+
+export class VoiceSource {
+    // bodyNames() → names "go to" accepts; localNames() → catalog name → the body's name in
+    // the UI language, accepted too; isMuted() → true while the narrator is speaking, so the
+    // microphone picking up the narration doesn't trigger commands;
+    // onHeard(transcript, command) reports every transcript (command null if it wasn't
+    // understood); onStateChange(isListening, error) follows the microphone;
+    // language: the UI locale, whose grammar is used if there is one (see voiceCommands.js)
+    constructor({
+        bodyNames = () => [],
+        localNames = () => ({}),
+        isMuted = () => false,
+        onHeard = NOOP,
+        onStateChange = NOOP,
+        language = 'en',
+        Recognition = globalThis.SpeechRecognition || globalThis.webkitSpeechRecognition
+    } = {}) {
+        this.name = 'voice';
+        this.bodyNames = bodyNames;
+        this.localNames = localNames;
+        this.isMuted = isMuted;
+        this.onHeard = onHeard;
+        this.onStateChange = onStateChange;
+        this.Recognition = Recognition;
+        this.recognition = null;
+        this.isListening = false;
+        this.dispatch = NOOP;
+        this.setLanguage(language);
+    }
+
+    // Listen for the commands of a UI locale; English for a locale without a grammar.
+    // A running recognizer switches when it next restarts.
+    setLanguage(locale) {
+        this.language = voiceLanguage(locale);
+        this.lang = speechLanguage(this.language);
+        if (this.recognition) {
+            this.recognition.lang = this.lang;
+        }
+    }
+
+    get isSupported() {
+        return Boolean(this.Recognition);
+    }
+
+    attach(dispatch) {
+        this.dispatch = dispatch;
+    }
+
+    detach() {
+        this.stop();
+        this.dispatch = NOOP;
+    }
+
+    // Start listening; false when the browser has no speech recognition
+    start() {
+        if (!this.isSupported) return false;
+        if (this.isListening) return true;
+
+        if (!this.recognition) {
+            this.recognition = new this.Recognition();
+            this.recognition.continuous = true;
+            this.recognition.interimResults = false;
+            this.recognition.lang = this.lang;
+            this.recognition.onresult = event => this.onResult(event);
+            this.recognition.onerror = event => this.onError(event);
+            // Recognition ends by itself after a stretch of silence; keep it going until stopped
+            this.recognition.onend = () => {
+                if (this.isListening) {
+                    this.recognition.start();
+                }
+            };
+        }
+
+        this.isListening = true;
+        this.recognition.start();
+        this.onStateChange(true, null);
+        return true;
+    }
+
+    stop() {
+        if (!this.isListening) return false;
+
+        this.isListening = false;
+        this.recognition.stop();
+        this.onStateChange(false, null);
+        return true;
+    }
+
+    toggle() {
+        return this.isListening ? this.stop() : this.start();
+    }
+
+    onResult(event) {
+        for (let i = event.resultIndex; i < event.results.length; i++) {
+            const result = event.results[i];
+            if (result.isFinal) {
+                this.handleTranscript(result[0].transcript);
+            }
+        }
+    }
+
+    // A denied microphone won't come back by restarting; silence and network hiccups will
+    onError(event) {
+        if (event.error === 'not-allowed' || event.error === 'service-not-allowed' || event.error === 'audio-capture') {
+            this.isListening = false;
+            this.onStateChange(false, event.error);
+        }
+    }
+
+    // Dispatch the command in a transcript; returns { action, payload } or null.
+    // While muted, only asking the narrator to stop gets through.
+    handleTranscript(transcript) {
+        const command = parseVoiceCommand(transcript, this.bodyNames(), { language: this.language, localNames: this.localNames() });
+        if (this.isMuted() && (!command || command.action !== ACTIONS.STOP_NARRATION)) return null;
+
+        this.onHeard(transcript, command);
+        if (command) {
+            this.dispatch(command.action, command.payload);
+        }
+        return command;
+    }
+}
@@ -0,0 +1,117 @@
+// JSON Lines format for recorded gesture recognizer output.
+// A header line { version, cameraView: { facing, mirror, rotation } } with the camera view
+// the session was recorded in (see gestures/cameraView.js), then one frame per line:
+// { t, landmarks, worldLandmarks, handedness, gestures } where t is milliseconds since the
+// first recorded frame. Version 1 recordings have no header and are read with the current
+// camera view.
+
+import { CAMERA_FACINGS, CAMERA_ROTATIONS } from '../gestures/cameraView.js';
+
+export const RECORDING_FORMAT_VERSION = 2;
+
+function copyCategories(categoryLists = []) {
+    return categoryLists.map(categories => categories.map(category => ({
+        categoryName: category.categoryName,
+        displayName: category.displayName || '',
+        score: category.score,
+        index: category.index
+    })));
+}
+
+function copyLandmarks(landmarkLists = []) {
+    return landmarkLists.map(landmarks => landmarks.map(point => ({
+        x: point.x,
+        y: point.y,
+        z: point.z
+    })));
+}
+
+// Plain-object copy of one recognizer result (MediaPipe hands out class instances)
+export function serializeFrame(results, t) {
+    return {
+        t,
+        landmarks: copyLandmarks(results.landmarks),
+        worldLandmarks: copyLandmarks(results.worldLandmarks),
+        // The recognizer renamed handednesses to handedness in later releases
+        handedness: copyCategories(results.handedness || results.handednesses),
+        gestures: copyCategories(results.gestures)
+    };
+}
+
+// The header line for a recording made with cameraView
+export function recordingHeader({ facing, mirror, rotation }) {
+    return { version: RECORDING_FORMAT_VERSION, cameraView: { facing, mirror, rotation } };
+}
+
+// header: from recordingHeader(), or null for a bare list of frames
+export function framesToJsonl(frames, header = null) {
+    const lines = header ? [header, ...frames] : frames;
+    return lines.map(line => JSON.stringify(line)).join('\n') + '\n';
+}
+
+function validateHeader(header, lineNumber) {
+    const fail = message => {
+        throw new Error(`Recording line ${lineNumber}: ${message}`);
+    };
+    if (!Number.isInteger(header.version) || header.version < 2 || header.version > RECORDING_FORMAT_VERSION) {
+        fail(`unsupported version ${JSON.stringify(header.version)}`);
+    }
+    const view = header.cameraView;
+    if (view === null || typeof view !== 'object') fail('missing "cameraView"');
+    if (!CAMERA_FACINGS.includes(view.facing)) fail(`cameraView.facing must be one of ${CAMERA_FACINGS.join(', ')}`);
+    if (typeof view.mirror !== 'boolean') fail('cameraView.mirror must be true or false');
+    if (!CAMERA_ROTATIONS.includes(view.rotation)) fail(`cameraView.rotation must be one of ${CAMERA_ROTATIONS.join(', ')}`);
+    return { facing: view.facing, mirror: view.mirror, rotation: view.rotation };
+}
+
+// Parse a recording into { version, cameraView, frames }, cameraView null for a version 1
+// recording. Throws with the offending line number on bad input.
+export function parseRecording(text) {
+    const frames = [];
+    let version = 1;
+    let cameraView = null;
+    let lastTime = -Infinity;
+    let isFirstLine = true;
+
+    text.split('\n').forEach((line, index) => {
+        if (line.trim() === '') return;
+
+        let frame;
+        try {
+            frame = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Recording line ${index + 1}: invalid JSON (${error.message})`);
+        }
+
+        if (frame === null || typeof frame !== 'object' || Array.isArray(frame)) {
+            throw new Error(`Recording line ${index + 1}: must be a JSON object`);
+        }
+
+        // Only the first line may be a header
+        const isHeader = isFirstLine && 'version' in frame;
+        isFirstLine = false;
+        if (isHeader) {
+            cameraView = validateHeader(frame, index + 1);
+            version = frame.version;
+            return;
+        }
+
+        if (typeof frame.t !== 'number' || !Number.isFinite(frame.t)) {
+            throw new Error(`Recording line ${index + 1}: missing numeric "t"`);
+        }
+        if (frame.t < lastTime) {
+            throw new Error(`Recording line ${index + 1}: timestamps must not go backwards`);
+        }
+        lastTime = frame.t;
+
+        frames.push({
+            t: frame.t,
+            landmarks: frame.landmarks || [],
+            worldLandmarks: frame.worldLandmarks || [],
+            handedness: frame.handedness || [],
+            gestures: frame.gestures || []
+        });
+    });
+
+    return { version, cameraView, frames };
+}
@@ -0,0 +1,154 @@
+// Voice command grammar: turns a spoken transcript ("go to Mars", "more detail",
+// "pause time") into an action on the bus. Pure text in, { action, payload } out, so it
+// can be exercised with typed transcripts without a speech service.
+// There is a grammar per spoken language (English and Spanish); other UI languages listen
+// for English commands.
+
+import { ACTIONS } from './ActionBus.js';
+
+const ENGLISH = {
+    speechLang: 'en-US', // Language the speech recognizer listens for
+
+    // Politeness and wake words that don't change the command
+    filler: /^(?:(?:ok|okay|hey|please|now|and|so|can you|could you|would you|let's|lets|i want to|i'd like to)\s+)+|(?:\s+(?:please|thanks|thank you))+$/g,
+
+    // Each pattern must match the whole (normalized) transcript; the first match wins
+    commands: [
+        { pattern: /^(?:next|next (?:planet|body|one|step)|skip)$/, action: ACTIONS.NEXT },
+        { pattern: /^(?:previous|back|go back|previous (?:planet|body|one|step)|last (?:planet|one))$/, action: ACTIONS.PREVIOUS },
+
+        { pattern: /^(?:more|more details?|tell me more|go deeper|deeper)$/, action: ACTIONS.DETAIL_UP },
+        { pattern: /^(?:less|less details?|simpler|shorter)$/, action: ACTIONS.DETAIL_DOWN },
+        { pattern: /^(?:show )?(?:the )?(overview|detailed|deep)(?: (?:view|level|description))?$/, action: ACTIONS.SET_DETAIL, payload: match => match[1] },
+
+        { pattern: /^(?:zoom in|closer|lock(?: on)?|(?:final )?answer|that one|confirm)$/, action: ACTIONS.LOCK },
+        { pattern: /^(?:zoom out|further|unlock)$/, action: ACTIONS.UNLOCK },
+
+        { pattern: /^(?:pause|stop)(?: (?:time|the clock))?$|^freeze(?: time)?$/, action: ACTIONS.PAUSE_TIME },
+        { pattern: /^(?:resume|play|continue|unpause|start)(?: (?:time|the clock))?$/, action: ACTIONS.RESUME_TIME },
+        { pattern: /^(?:faster|speed up)(?: time)?$/, action: ACTIONS.FASTER_TIME },
+        { pattern: /^(?:slower|slow down)(?: time)?$/, action: ACTIONS.SLOWER_TIME },
+        { pattern: /^(?:reverse|rewind|backwards?)(?: time)?$/, action: ACTIONS.REVERSE_TIME },
+        { pattern: /^(?:(?:back to |jump to |go to )?(?:today|now|the present))$/, action: ACTIONS.JUMP_TO_NOW },
+        { pattern: /^(?:change|next|switch) scale$|^scale(?: mode)?$/, action: ACTIONS.CYCLE_SCALE_MODE },
+        { pattern: /^(?:(?:use|switch to|show) )?(metric|imperial)(?: units)?$/, action: ACTIONS.SET_UNITS, payload: match => match[1] },
+
+        { pattern: /^(?:stop|end|leave|exit) (?:the )?tour$/, action: ACTIONS.STOP_TOUR },
+        { pattern: /^(?:(?:start|begin|take) (?:a |the )?quiz|quiz me)$/, action: ACTIONS.START_QUIZ },
+        { pattern: /^(?:stop|end|leave|exit) (?:the )?quiz$/, action: ACTIONS.STOP_QUIZ },
+
+        { pattern: /^(?:read|read (?:this|it|that)(?: aloud| out)?|read aloud)$/, action: ACTIONS.READ_ALOUD },
+        { pattern: /^(?:quiet|silence|be quiet|stop (?:talking|reading))$/, action: ACTIONS.STOP_NARRATION },
+        { pattern: /^(?:speak|talk|read) faster$/, action: ACTIONS.NARRATION_RATE, payload: () => 1.25 },
+        { pattern: /^(?:speak|talk|read) slower$/, action: ACTIONS.NARRATION_RATE, payload: () => 0.8 }
+    ],
+
+    // "go to Mars", "show me the Moon", "take me to Io", or just "Jupiter"
+    goTo: /^(?:(?:go|fly|travel|jump|take me|take us|zoom) to|show(?: me)?|visit|find|where is|focus on)\s+(.+)$/,
+    article: /^the\s+/
+};
+
+// Patterns are written without accents: transcripts lose them in normalizeTranscript
+const SPANISH_DETAIL_LEVELS = { resumen: 'overview', detalle: 'detailed', 'a fondo': 'deep' };
+
+const SPANISH = {
+    speechLang: 'es-ES',
+    filler: /^(?:(?:oye|vale|venga|bueno|por favor|ahora|y|puedes|podrias|quiero|me gustaria)\s+)+|(?:\s+(?:por favor|gracias))+$/g,
+    commands: [
+        { pattern: /^(?:(?:el |la )?(?:siguiente|proximo|proxima)(?: (?:planeta|cuerpo|paso))?|(?:planeta|paso) siguiente|salta)$/, action: ACTIONS.NEXT },
+        { pattern: /^(?:(?:el |la )?anterior(?: (?:planeta|cuerpo|paso))?|(?:planeta|paso) anterior|atras|vuelve|volver)$/, action: ACTIONS.PREVIOUS },
+
+        { pattern: /^(?:mas|mas detalles?|cuentame mas|mas a fondo)$/, action: ACTIONS.DETAIL_UP },
+        { pattern: /^(?:menos|menos detalles?|mas simple|mas corto)$/, action: ACTIONS.DETAIL_DOWN },
+        { pattern: /^(?:(?:muestra|ver) )?(?:el )?(resumen|detalle|a fondo)$/, action: ACTIONS.SET_DETAIL, payload: match => SPANISH_DETAIL_LEVELS[match[1]] },
+
+        { pattern: /^(?:acercate|acercar|acerca|bloquea|bloquear|fija|(?:respuesta )?final|ese|esa|confirma|confirmar)$/, action: ACTIONS.LOCK },
+        { pattern: /^(?:alejate|alejar|aleja|desbloquea|desbloquear|suelta)$/, action: ACTIONS.UNLOCK },
+
+        { pattern: /^(?:pausa|para|deten|detener|congela)(?: el (?:tiempo|reloj))?$/, action: ACTIONS.PAUSE_TIME },
+        { pattern: /^(?:reanuda|continua|sigue|arranca)(?: el (?:tiempo|reloj))?$/, action: ACTIONS.RESUME_TIME },
+        { pattern: /^(?:mas rapido|acelera)(?: el tiempo)?$/, action: ACTIONS.FASTER_TIME },
+        { pattern: /^(?:mas lento|mas despacio|frena)(?: el tiempo)?$/, action: ACTIONS.SLOWER_TIME },
+        { pattern: /^(?:invierte|rebobina|hacia atras|marcha atras)(?: el tiempo)?$/, action: ACTIONS.REVERSE_TIME },
+        { pattern: /^(?:(?:vuelve a |ve a |ir a )?(?:hoy|ahora|el presente))$/, action: ACTIONS.JUMP_TO_NOW },
+        { pattern: /^(?:cambia|cambiar|siguiente) (?:la )?escala$|^escala$/, action: ACTIONS.CYCLE_SCALE_MODE },
+        { pattern: /^(?:(?:usa|cambia a|muestra) )?(?:(?:las )?unidades |(?:el )?sistema )?(metric|imperial)(?:os?|as?|es)?$/, action: ACTIONS.SET_UNITS, payload: match => match[1] },
+
+        { pattern: /^(?:(?:para|termina|deten|acaba) (?:el )?|(?:sal|salir) del )recorrido$/, action: ACTIONS.STOP_TOUR },
+        { pattern: /^(?:(?:empieza|comienza|inicia|hazme) (?:un |el )?(?:cuestionario|examen)|preguntame)$/, action: ACTIONS.START_QUIZ },
+        { pattern: /^(?:(?:para|termina|deten|acaba) (?:el )?|(?:sal|salir) del )(?:cuestionario|examen)$/, action: ACTIONS.STOP_QUIZ },
+
+        { pattern: /^(?:lee|leelo|lee esto|lee en voz alta)$/, action: ACTIONS.READ_ALOUD },
+        { pattern: /^(?:silencio|calla|callate|deja de (?:hablar|leer))$/, action: ACTIONS.STOP_NARRATION },
+        { pattern: /^(?:habla|lee) mas rapido$/, action: ACTIONS.NARRATION_RATE, payload: () => 1.25 },
+        { pattern: /^(?:habla|lee) mas (?:lento|despacio)$/, action: ACTIONS.NARRATION_RATE, payload: () => 0.8 }
+    ],
+
+    // "ve a Marte", "muéstrame la Luna", "llévame a Ío", or just "Júpiter"
+    goTo: /^(?:(?:ve|ir|vamos|viaja|vuela|llevame|llevanos|salta) (?:a|al|hasta)|muestrame|muestra|ensename|visita|busca|donde esta|enfoca)\s+(.+)$/,
+    article: /^(?:el|la|los|las)\s+/
+};
+
+const GRAMMARS = { en: ENGLISH, es: SPANISH };
+
+// Languages with a grammar
+export const VOICE_LANGUAGES = Object.keys(GRAMMARS);
+
+// The grammar language for a UI locale: its own if there is one, else English
+export function voiceLanguage(locale) {
+    return VOICE_LANGUAGES.includes(locale) ? locale : 'en';
+}
+
+// The speech recognizer's language tag for a grammar language, e.g. 'es-ES'
+export function speechLanguage(language) {
+    return GRAMMARS[voiceLanguage(language)].speechLang;
+}
+
+// Lowercase, drop accents and punctuation
+function simplify(text) {
+    return text
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .replace(/[^\p{L}\p{N}'\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Lowercase, drop accents, punctuation and filler words
+export function normalizeTranscript(transcript, language = 'en') {
+    return simplify(transcript).replace(GRAMMARS[voiceLanguage(language)].filler, '').trim();
+}
+
+// Match a spoken name to a catalog name, or to its name in the current language.
+// Recognizers sometimes spell short names out ("i o" for Io), so spaces are ignored too.
+function matchBodyName(spoken, bodyNames, localNames, grammar) {
+    const name = spoken.replace(grammar.article, '');
+    const compact = name.replace(/\s+/g, '');
+    const matches = candidate => {
+        const lower = simplify(candidate);
+        return lower === name || lower.replace(/\s+/g, '') === compact;
+    };
+    return bodyNames.find(bodyName => matches(bodyName) || (localNames[bodyName] && matches(localNames[bodyName]))) || null;
+}
+
+// Parse a transcript into { action, payload } (payload undefined for plain actions), or
+// null when it isn't a command. bodyNames: the planet and moon names that "go to" accepts,
+// and the payload it gives; language: the grammar to use (see VOICE_LANGUAGES);
+// localNames: catalog name → the body's name in that language, accepted as well.
+export function parseVoiceCommand(transcript, bodyNames = [], { language = 'en', localNames = {} } = {}) {
+    const grammar = GRAMMARS[voiceLanguage(language)];
+    const text = normalizeTranscript(transcript, language);
+    if (!text) return null;
+
+    for (const command of grammar.commands) {
+        const match = text.match(command.pattern);
+        if (match) {
+            return { action: command.action, payload: command.payload ? command.payload(match) : undefined };
+        }
+    }
+
+    const goTo = text.match(grammar.goTo);
+    const name = matchBodyName(goTo ? goTo[1] : text, bodyNames, localNames, grammar);
+    return name ? { action: ACTIONS.GO_TO, payload: name } : null;
+}
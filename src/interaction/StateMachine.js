@@ -0,0 +1,123 @@
+// A small finite state machine driven by named events. Each state may have entry and exit
+// actions and lists the transitions its events take; a transition may have a guard and
+// actions of its own. On an event, the first transition whose guard passes runs the old
+// state's exit actions, the transition's actions, then the new state's entry actions (also
+// when it leads back to the same state). Actions and guards are names, resolved against the
+// definition's own (pure context updates and checks) and then the effects the host passes
+// in, so a machine can be driven and tested without rendering. Every event is logged.
+
+const NOOP = () => {};
+
+export const LOG_LIMIT = 100;
+
+export class StateMachine {
+    // definition: { initial, states: { <state>: { entry, exit, on: { <event>: transition } } },
+    // guards: { <name>(context, payload) }, actions: { <name>(context, payload) } } where a
+    // transition is a target state, { target, guard, actions }, or a list of those tried in order.
+    // effects: the host's actions by name, called with (context, payload).
+    // onTransition(entry) is called with each log entry; now: clock in milliseconds.
+    constructor({ definition, context = {}, effects = {}, onTransition = NOOP, now = () => Date.now() }) {
+        this.definition = definition;
+        this.context = context;
+        this.effects = effects;
+        this.now = now;
+        this.listeners = [onTransition];
+
+        this.state = definition.initial;
+        this.log = []; // { time, event, from, to }, to: null when the event was ignored
+        this.validate();
+    }
+
+    // Catch unknown states, guards and actions when the machine is built, not when an event
+    // first takes the broken transition
+    validate() {
+        const { states, guards = {} } = this.definition;
+        const check = (condition, message) => {
+            if (!condition) throw new Error(`State machine: ${message}`);
+        };
+        const checkActions = (names = [], where) => names.forEach(name => {
+            check(this.resolveAction(name), `unknown action "${name}" in ${where}`);
+        });
+
+        check(this.definition.initial in states, `unknown initial state "${this.definition.initial}"`);
+        Object.entries(states).forEach(([state, { entry, exit, on = {} }]) => {
+            checkActions(entry, `${state}.entry`);
+            checkActions(exit, `${state}.exit`);
+            Object.entries(on).forEach(([event, transitions]) => {
+                this.transitionsFor(transitions).forEach(transition => {
+                    check(transition.target in states, `unknown target "${transition.target}" in ${state}.on.${event}`);
+                    check(!transition.guard || guards[transition.guard], `unknown guard "${transition.guard}" in ${state}.on.${event}`);
+                    checkActions(transition.actions, `${state}.on.${event}`);
+                });
+            });
+        });
+    }
+
+    transitionsFor(transitions) {
+        return (Array.isArray(transitions) ? transitions : [transitions])
+            .map(transition => (typeof transition === 'string' ? { target: transition } : transition));
+    }
+
+    resolveAction(name) {
+        const { actions = {} } = this.definition;
+        return actions[name] || this.effects[name] || null;
+    }
+
+    // True in any of the given states
+    is(...states) {
+        return states.includes(this.state);
+    }
+
+    // The transition an event would take now, or null
+    transitionFor(event, payload) {
+        const transitions = this.definition.states[this.state].on || {};
+        if (!(event in transitions)) return null;
+
+        const { guards = {} } = this.definition;
+        return this.transitionsFor(transitions[event])
+            .find(transition => !transition.guard || guards[transition.guard](this.context, payload)) || null;
+    }
+
+    can(event, payload) {
+        return this.transitionFor(event, payload) !== null;
+    }
+
+    // Handle an event; returns true when it took a transition, false when it was ignored
+    send(event, payload) {
+        const transition = this.transitionFor(event, payload);
+        const from = this.state;
+        if (!transition) {
+            this.record({ event, from, to: null });
+            return false;
+        }
+
+        const { states } = this.definition;
+        this.run(states[from].exit, payload);
+        this.run(transition.actions, payload);
+        this.state = transition.target;
+        this.run(states[transition.target].entry, payload);
+        this.record({ event, from, to: transition.target });
+        return true;
+    }
+
+    run(names = [], payload) {
+        names.forEach(name => this.resolveAction(name)(this.context, payload));
+    }
+
+    record({ event, from, to }) {
+        const entry = { time: this.now(), event, from, to };
+        this.log.push(entry);
+        if (this.log.length > LOG_LIMIT) {
+            this.log.shift();
+        }
+        this.listeners.forEach(listener => listener(entry));
+    }
+
+    // listener(entry) is called after every event; returns a function that unsubscribes
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => {
+            this.listeners = this.listeners.filter(other => other !== listener);
+        };
+    }
+}
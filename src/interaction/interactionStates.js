@@ -0,0 +1,100 @@
+// The interaction states of the app and how lock, unlock and picking a body move between
+// them (see StateMachine). The context is the body being explored: { planetIndex, moonIndex },
+// moonIndex -1 for the planet itself. What happens on screen is left to the host's effects:
+//   follow        track the context's planet or moon with the camera
+//   halt/release  stop the planet on its orbit for reading / let it glide back onto it
+//                 (releasing its focused moon too)
+//   zoomIn/Out    animate the camera rig to the close-up / overview
+//   spin/stopSpinning  the faster axial spin of a planet being read
+// The host sends 'arrived' when a camera rig animation settles.
+
+import { StateMachine } from './StateMachine.js';
+
+export const INTERACTION_EFFECTS = ['follow', 'halt', 'release', 'zoomIn', 'zoomOut', 'spin', 'stopSpinning'];
+
+// Zoomed in on a body (or on the way there): the gesture interpreters' locked mode
+export const LOCKED_STATES = ['zoomingIn', 'focused'];
+
+export const INTERACTION_MACHINE = {
+    initial: 'idle',
+
+    guards: {
+        samePlanet: (context, target) => target.planetIndex === context.planetIndex,
+        otherPlanet: (context, target) => target.planetIndex !== context.planetIndex
+    },
+
+    // Context updates; payload: { planetIndex, moonIndex }
+    actions: {
+        setTarget: (context, target) => {
+            context.planetIndex = target.planetIndex;
+            context.moonIndex = target.moonIndex;
+        },
+        clearMoon: context => {
+            context.moonIndex = -1;
+        }
+    },
+
+    states: {
+        // Nothing picked yet: the camera shows the whole system
+        idle: {
+            on: {
+                select: { target: 'browsing', actions: ['setTarget', 'follow'] },
+                lock: { target: 'zoomingIn', actions: ['follow'] }
+            }
+        },
+        // Following a body on its orbit from the overview
+        browsing: {
+            on: {
+                select: { target: 'browsing', actions: ['setTarget', 'follow'] },
+                lock: 'zoomingIn'
+            }
+        },
+        // The body is halted and the camera closing in
+        zoomingIn: {
+            entry: ['halt', 'zoomIn'],
+            on: {
+                arrived: 'focused',
+                unlock: { target: 'zoomingOut', actions: ['clearMoon'] },
+                // A moon of the same planet, or another planet to read next
+                select: [
+                    { target: 'zoomingIn', guard: 'samePlanet', actions: ['setTarget', 'follow'] },
+                    { target: 'zoomingIn', guard: 'otherPlanet', actions: ['release', 'setTarget', 'follow'] }
+                ]
+            }
+        },
+        // Close up on a halted body for reading
+        focused: {
+            entry: ['spin'],
+            exit: ['stopSpinning'],
+            on: {
+                unlock: { target: 'zoomingOut', actions: ['clearMoon'] },
+                select: [
+                    { target: 'focused', guard: 'samePlanet', actions: ['setTarget', 'follow', 'zoomIn'] },
+                    { target: 'zoomingIn', guard: 'otherPlanet', actions: ['release', 'setTarget', 'follow'] }
+                ]
+            }
+        },
+        // The body rejoins its orbit while the camera backs off to the overview
+        zoomingOut: {
+            entry: ['release', 'zoomOut'],
+            on: {
+                arrived: 'browsing',
+                lock: 'zoomingIn',
+                select: { target: 'browsing', actions: ['setTarget', 'follow'] }
+            }
+        }
+    }
+};
+
+export const INTERACTION_STATES = Object.keys(INTERACTION_MACHINE.states);
+
+// effects: a function for each of INTERACTION_EFFECTS, called with (context, payload)
+export function createInteractionMachine({ effects, onTransition, now } = {}) {
+    return new StateMachine({
+        definition: INTERACTION_MACHINE,
+        context: { planetIndex: 0, moonIndex: -1 },
+        effects,
+        onTransition,
+        now
+    });
+}
@@ -0,0 +1,224 @@
+// One round of the quiz: a set number of questions from quizQuestions.js, optionally
+// timed. The player steps between each question's candidates and answers with the one in
+// focus; after a short look at the right answer the next question comes up. Score, streaks
+// and every answer are kept for the results, which can be saved as JSON.
+
+import { generateQuestion } from './quizQuestions.js';
+
+const NOOP = () => {};
+
+export class QuizSession {
+    // bodies: the catalog's top-level bodies; questionCount: questions in the round;
+    // secondsPerQuestion: time to answer each one, or null for an untimed round;
+    // feedbackSeconds: how long the right answer shows before the next question.
+    // onQuestion(question, index) shows a question, onChoice(planetIndex, choice) the candidate
+    // in focus, onAnswer(record) the verdict; onEnd(results) runs once when the round ends or
+    // is stopped. describe(question) → the question's text, kept in the results.
+    // now and random: clock in milliseconds and random source, replaceable for tests.
+    constructor({
+        bodies,
+        questionCount = 10,
+        secondsPerQuestion = null,
+        feedbackSeconds = 2,
+        onQuestion = NOOP,
+        onChoice = NOOP,
+        onAnswer = NOOP,
+        onEnd = NOOP,
+        describe = () => null,
+        now = () => Date.now(),
+        random = Math.random
+    }) {
+        this.bodies = bodies;
+        this.questionCount = questionCount;
+        this.secondsPerQuestion = secondsPerQuestion;
+        this.feedbackSeconds = feedbackSeconds;
+        this.onQuestion = onQuestion;
+        this.onChoice = onChoice;
+        this.onAnswer = onAnswer;
+        this.onEnd = onEnd;
+        this.describe = describe;
+        this.now = now;
+        this.random = random;
+
+        this.index = -1; // Current question, -1 when not running
+        this.question = null;
+        this.choice = 0; // Candidate in focus
+        this.isAnswered = false; // Showing the right answer before moving on
+        this.questionStart = 0;
+        this.answeredAt = 0;
+        this.score = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.records = [];
+        this.startedAt = null;
+        this.finishedAt = null;
+    }
+
+    get isRunning() {
+        return this.index >= 0;
+    }
+
+    get isTimed() {
+        return this.secondsPerQuestion !== null;
+    }
+
+    // Milliseconds since the current question came up
+    get elapsed() {
+        return this.now() - this.questionStart;
+    }
+
+    // Seconds left to answer, or null when untimed or already answered
+    get remainingSeconds() {
+        if (!this.isRunning || !this.isTimed || this.isAnswered) return null;
+        return Math.max(this.secondsPerQuestion - this.elapsed / 1000, 0);
+    }
+
+    // Start (or restart) the round; false, without onEnd, if the catalog can't make a single question
+    start() {
+        this.index = -1;
+        this.score = 0;
+        this.streak = 0;
+        this.bestStreak = 0;
+        this.records = [];
+        this.startedAt = this.now();
+        this.finishedAt = null;
+        return this.nextQuestion();
+    }
+
+    // Ask the next question; running out of questions (or of new ones) ends the round
+    nextQuestion() {
+        const question = this.index + 1 < this.questionCount
+            ? generateQuestion(this.bodies, { exclude: this.records.map(record => record.id), random: this.random })
+            : null;
+        if (!question) {
+            if (this.isRunning) {
+                this.finish();
+            }
+            return false;
+        }
+
+        this.index++;
+        this.question = question;
+        this.choice = 0;
+        this.isAnswered = false;
+        this.questionStart = this.now();
+        this.onQuestion(question, this.index);
+        return true;
+    }
+
+    // Move the focus step candidates along, wrapping around
+    step(step) {
+        if (!this.isRunning || this.isAnswered) return false;
+
+        const count = this.question.candidates.length;
+        this.choice = (this.choice + step + count) % count;
+        this.onChoice(this.question.candidates[this.choice], this.choice);
+        return true;
+    }
+
+    // Focus a candidate directly (picked with the mouse or by name); false if it isn't one
+    choose(planetIndex) {
+        if (!this.isRunning || this.isAnswered) return false;
+
+        const choice = this.question.candidates.indexOf(planetIndex);
+        if (choice < 0) return false;
+
+        this.choice = choice;
+        this.onChoice(planetIndex, choice);
+        return true;
+    }
+
+    // Answer with the candidate in focus; returns true if it was right
+    answer() {
+        if (!this.isRunning || this.isAnswered) return false;
+        return this.record(this.question.candidates[this.choice], false).correct;
+    }
+
+    record(chosen, timedOut) {
+        const question = this.question;
+        const correct = chosen === question.answer;
+        if (correct) {
+            this.score++;
+            this.streak++;
+            this.bestStreak = Math.max(this.bestStreak, this.streak);
+        } else {
+            this.streak = 0;
+        }
+        this.isAnswered = true;
+        this.answeredAt = this.now();
+
+        const name = index => (index === null ? null : this.bodies[index].name);
+        const record = {
+            id: question.id,
+            kind: question.kind,
+            text: this.describe(question),
+            candidates: question.candidates.map(name),
+            answer: name(question.answer),
+            chosen: name(chosen),
+            correct,
+            timedOut,
+            seconds: Math.round(this.elapsed) / 1000
+        };
+        this.records.push(record);
+        this.onAnswer(record);
+        return record;
+    }
+
+    // End the round early; the current question, if unanswered, doesn't count
+    stop() {
+        if (!this.isRunning) return false;
+
+        this.finish();
+        return true;
+    }
+
+    finish() {
+        this.index = -1;
+        this.question = null;
+        this.finishedAt = this.now();
+        this.onEnd(this.results());
+    }
+
+    // Call once per frame: runs out the answer time and moves on after the feedback
+    update() {
+        if (!this.isRunning) return;
+
+        if (this.isAnswered) {
+            if (this.now() - this.answeredAt >= this.feedbackSeconds * 1000) {
+                this.nextQuestion();
+            }
+        } else if (this.isTimed && this.elapsed >= this.secondsPerQuestion * 1000) {
+            this.record(null, true);
+        }
+    }
+
+    results() {
+        return {
+            startedAt: new Date(this.startedAt).toISOString(),
+            finishedAt: this.finishedAt === null ? null : new Date(this.finishedAt).toISOString(),
+            questionCount: this.questionCount,
+            secondsPerQuestion: this.secondsPerQuestion,
+            answered: this.records.length,
+            score: this.score,
+            bestStreak: this.bestStreak,
+            questions: this.records
+        };
+    }
+
+    toJson() {
+        return JSON.stringify(this.results(), null, 2);
+    }
+
+    // Save the results through a temporary download link
+    download(fileName = `quiz-results-${new Date(this.startedAt).toISOString().replace(/[:.]/g, '-')}.json`) {
+        const blob = new Blob([this.toJson()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,145 @@
+// Multiple-choice quiz questions generated from the catalog: catalog clues ("Which planet
+// has the Great Red Spot?"), superlatives among the candidates ("Which of these planets is
+// the largest?") and matching a value to its planet ("Which planet's year lasts about 687
+// Earth days?"). Every answer is a planet, so it can be picked by swiping to it.
+
+import { formatNumber } from '../ui/factSheet.js';
+
+export const DEFAULT_CANDIDATE_COUNT = 4;
+
+// Questions about the candidate with the highest (max) or lowest (min) value
+const SUPERLATIVES = {
+    mostMoons: { value: body => body.facts.knownMoons, extreme: 'max' },
+    largest: { value: body => body.radiusKm, extreme: 'max' },
+    smallest: { value: body => body.radiusKm, extreme: 'min' },
+    longestYear: { value: body => body.orbitalPeriod, extreme: 'max' },
+    shortestYear: { value: body => body.orbitalPeriod, extreme: 'min' },
+    hottest: { value: body => body.facts.meanTemperature, extreme: 'max' },
+    coldest: { value: body => body.facts.meanTemperature, extreme: 'min' },
+    strongestGravity: { value: body => body.facts.surfaceGravity, extreme: 'max' }
+};
+
+// Questions naming the answer's value; other candidates must differ from it by at least
+// MIN_VALUE_DIFFERENCE so "about" can't fit two of them (Earth's and Mars' days are close)
+const MATCHES = {
+    yearLength: body => body.orbitalPeriod,
+    dayLength: body => (body.facts.dayLengthHours === null ? null : Math.abs(body.facts.dayLengthHours))
+};
+const MIN_VALUE_DIFFERENCE = 0.1;
+
+export const QUESTION_KINDS = ['clue', ...Object.keys(SUPERLATIVES), ...Object.keys(MATCHES)];
+
+const ATTEMPTS_PER_KIND = 8; // Random draws before giving up on a kind (ties, repeats)
+
+function pickOne(items, random) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// count items in random order (all of them when count is larger)
+function sample(items, count, random) {
+    const pool = items.slice();
+    for (let i = pool.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, count);
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined;
+}
+
+function buildClue(bodies, eligible, candidateCount, random) {
+    const withClues = eligible.filter(index => bodies[index].clues.length > 0);
+    if (withClues.length === 0) return null;
+
+    const answer = pickOne(withClues, random);
+    const clue = Math.floor(random() * bodies[answer].clues.length);
+    const others = sample(eligible.filter(index => index !== answer), candidateCount - 1, random);
+    return {
+        id: `clue:${bodies[answer].name}:${clue}`,
+        kind: 'clue',
+        answer,
+        candidates: sample([answer, ...others], candidateCount, random),
+        clue,
+        value: null
+    };
+}
+
+function buildSuperlative(kind, bodies, eligible, candidateCount, random) {
+    const { value, extreme } = SUPERLATIVES[kind];
+    const pool = eligible.filter(index => hasValue(value(bodies[index])));
+    if (pool.length < 2) return null;
+
+    const candidates = sample(pool, candidateCount, random);
+    const values = candidates.map(index => value(bodies[index]));
+    const best = extreme === 'max' ? Math.max(...values) : Math.min(...values);
+    // A tie has no single right answer
+    if (values.filter(candidate => candidate === best).length > 1) return null;
+
+    const answer = candidates[values.indexOf(best)];
+    return { id: `${kind}:${bodies[answer].name}`, kind, answer, candidates, clue: null, value: null };
+}
+
+function buildMatch(kind, bodies, eligible, candidateCount, random) {
+    const value = MATCHES[kind];
+    const pool = eligible.filter(index => hasValue(value(bodies[index])));
+    if (pool.length < 2) return null;
+
+    const answer = pickOne(pool, random);
+    const answerValue = value(bodies[answer]);
+    const distinct = pool.filter(index => (
+        Math.abs(value(bodies[index]) - answerValue) >= MIN_VALUE_DIFFERENCE * Math.abs(answerValue)
+    ));
+    if (distinct.length === 0) return null;
+
+    const others = sample(distinct, candidateCount - 1, random);
+    return {
+        id: `${kind}:${bodies[answer].name}`,
+        kind,
+        answer,
+        candidates: sample([answer, ...others], candidateCount, random),
+        clue: null,
+        value: answerValue
+    };
+}
+
+// Generate a question about bodies (the catalog's top-level bodies; the star is left out),
+// skipping ids in exclude so a round doesn't repeat itself. Returns
+// { id, kind, answer, candidates, clue, value } with answer and candidates as indices into
+// bodies, or null when the catalog has too little data for any new question.
+// random: a Math.random stand-in, replaceable for tests.
+export function generateQuestion(bodies, { exclude = [], candidateCount = DEFAULT_CANDIDATE_COUNT, random = Math.random } = {}) {
+    const eligible = bodies.map((body, index) => index).filter(index => bodies[index].type !== 'star');
+    if (eligible.length < 2) return null;
+
+    for (const kind of sample(QUESTION_KINDS, QUESTION_KINDS.length, random)) {
+        for (let attempt = 0; attempt < ATTEMPTS_PER_KIND; attempt++) {
+            let question;
+            if (kind === 'clue') {
+                question = buildClue(bodies, eligible, candidateCount, random);
+            } else if (kind in SUPERLATIVES) {
+                question = buildSuperlative(kind, bodies, eligible, candidateCount, random);
+            } else {
+                question = buildMatch(kind, bodies, eligible, candidateCount, random);
+            }
+            if (question && !exclude.includes(question.id)) return question;
+        }
+    }
+    return null;
+}
+
+// The question as shown and read aloud, in the localizer's language
+export function questionText(question, bodies, localizer) {
+    const key = `quiz.question.${question.kind}`;
+    switch (question.kind) {
+        case 'clue':
+            return localizer.t(key, { clue: localizer.clue(bodies[question.answer], question.clue) });
+        case 'yearLength':
+            return localizer.t(key, { days: formatNumber(question.value, localizer.locale) });
+        case 'dayLength':
+            return localizer.t(key, { hours: formatNumber(question.value, localizer.locale) });
+        default:
+            return localizer.t(key);
+    }
+}
@@ -0,0 +1,893 @@
+// Three.js scene for the Sun, planets, moons and orbit rings, plus the camera that tracks them.
+// Uses the global THREE loaded by index.html.
+
+import { orbitalPosition, orbitPath, J2000, MS_PER_DAY } from '../sim/ephemeris.js';
+import { SCALE_MODES, computeLayout, interpolateSize } from './scaleModes.js';
+import { createMarker, updateMarker, createHighlight, updateHighlight } from './markers.js';
+import {
+    createSurfaceMaterial,
+    createAtmosphere,
+    createRings,
+    createSunMaterial,
+    updateSunViewPosition
+} from './materials.js';
+
+export class SolarSystemScene {
+    constructor({ canvas }) {
+        this.canvas = canvas;
+        this.planetData = [];
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.planets = [];
+        this.sunMaterial = null;
+        this.nightSideMaterials = []; // Materials whose city lights follow the night side
+
+        // Picking: body meshes tagged with userData.pick = { planetIndex, moonIndex }
+        this.pickTargets = [];
+        this.raycaster = new THREE.Raycaster();
+        this.pickRadius = 20; // Pixels around a body too small to hit that still count as pointing at it
+        this.highlight = null;
+        this.highlightTarget = null;
+
+        // Planet tracking
+        this.trackingPlanetIndex = -1; // -1 while no body is tracked
+        this.trackingMoonIndex = -1; // A moon of the tracked planet, or -1 for the planet itself
+        this.cameraOffset = new THREE.Vector3(0, 10, 20);
+        this.isOrbitingOrigin = false; // Set once the user zooms or orbits before picking a body
+
+        // Free look: the user steers the rig directly and can pan away from the focus
+        this.isFreeLook = false;
+        this.panOffset = new THREE.Vector3();
+        this.freeLookDamping = 0.2; // Faster follow than tracking, so the camera feels attached to the input
+
+        // Camera rig: the offset from the focused body in spherical coordinates.
+        // Lock/unlock animate between the overview and close-up views; two-hand
+        // pinch and twist adjust distance and angles continuously in between.
+        // onRigSettled() is called when an animation ends or is taken over.
+        this.overviewView = { distance: Math.hypot(10, 20), elevation: Math.atan2(10, 20) };
+        this.closeUpView = { distance: Math.hypot(2, 8), elevation: Math.atan2(2, 8) };
+        this.cameraRig = { azimuth: 0, ...this.overviewView };
+        this.rigTransition = null;
+        this.zoomTransitionDuration = 1000; // Lock/unlock animations and bodies rejoining their orbits
+        this.onRigSettled = () => {};
+        this.maxCameraDistance = 400;
+        this.maxCameraElevation = 1.4; // Just short of straight down/up, where lookAt flips
+        this.updateCameraOffset();
+
+        // Scale mode (see scaleModes.js) and the animated transition between layouts
+        this.scaleMode = SCALE_MODES[0].id;
+        this.scaleTransition = null;
+        this.scaleTransitionDuration = 2000;
+        this.viewportHeight = 1;
+    }
+
+    init(width, height) {
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color(0x000011);
+
+        // Camera
+        this.camera = new THREE.PerspectiveCamera(75, width / height, 0.1, 1000);
+        this.camera.position.set(0, 20, 50);
+
+        // Renderer
+        this.renderer = new THREE.WebGLRenderer({
+            canvas: this.canvas,
+            antialias: true
+        });
+        this.renderer.setSize(width, height);
+        this.viewportHeight = height;
+        this.renderer.shadowMap.enabled = true;
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+
+        // Enhanced lighting system
+        const ambientLight = new THREE.AmbientLight(0x404040, 0.4);
+        this.scene.add(ambientLight);
+
+        // Main sun light
+        const sunLight = new THREE.PointLight(0xffffff, 3, 200);
+        sunLight.position.set(0, 0, 0);
+        sunLight.castShadow = true;
+        sunLight.shadow.mapSize.width = 2048;
+        sunLight.shadow.mapSize.height = 2048;
+        this.scene.add(sunLight);
+
+        // Additional rim lighting for better planet visibility
+        const rimLight = new THREE.DirectionalLight(0xffffff, 0.5);
+        rimLight.position.set(50, 50, 50);
+        this.scene.add(rimLight);
+
+        // Stars background
+        this.createStarField();
+    }
+
+    createStarField() {
+        const starsGeometry = new THREE.BufferGeometry();
+        const starsMaterial = new THREE.PointsMaterial({
+            color: 0xffffff,
+            size: 0.1,
+            transparent: true,
+            opacity: 0.8
+        });
+
+        const starsVertices = [];
+        for (let i = 0; i < 1000; i++) {
+            const x = (Math.random() - 0.5) * 2000;
+            const y = (Math.random() - 0.5) * 2000;
+            const z = (Math.random() - 0.5) * 2000;
+            starsVertices.push(x, y, z);
+        }
+
+        starsGeometry.setAttribute('position', new THREE.Float32BufferAttribute(starsVertices, 3));
+        const stars = new THREE.Points(starsGeometry, starsMaterial);
+        this.scene.add(stars);
+    }
+
+    // bodies: the validated catalog bodies (see catalog.js).
+    // Each body is a group positioned on its orbit holding the spinning mesh, its moons
+    // and its marker, so the mesh can spin and rescale without dragging the moons along.
+    // Rings and moon orbits sit in an equator group tilted by the body's axial tilt; each
+    // moon hangs off its own pivot, inclined within that plane and turned by update().
+    createSolarSystem(bodies) {
+        this.planetData = bodies;
+        this.planets = [];
+        this.pickTargets = [];
+        const layout = computeLayout(bodies, this.scaleMode);
+
+        this.highlight = createHighlight();
+        this.scene.add(this.highlight);
+
+        this.planetData.forEach((planetInfo, index) => {
+            // Create planet geometry with higher resolution
+            const geometry = new THREE.SphereGeometry(planetInfo.radius, 64, 64);
+
+            let material;
+            let clouds = null;
+
+            if (planetInfo.type === 'star') {
+                // Self-lit animated surface
+                material = createSunMaterial(planetInfo.color);
+                this.sunMaterial = material;
+            } else {
+                // Create realistic planet material
+                ({ material, clouds } = this.createPlanetMaterial(planetInfo));
+            }
+
+            const object = new THREE.Group();
+            const planet = new THREE.Mesh(geometry, material);
+            planet.userData.pick = { planetIndex: index, moonIndex: -1 };
+            this.pickTargets.push(planet);
+            object.add(planet);
+
+            // The mesh spins about its tilted axis (rotation order XYZ applies the spin first)
+            const axialTilt = THREE.MathUtils.degToRad(planetInfo.axialTilt);
+            planet.rotation.x = axialTilt;
+            const equator = new THREE.Group();
+            equator.rotation.x = axialTilt;
+            object.add(equator);
+
+            // Extras are children of the mesh so they spin and scale with it
+            if (planetInfo.type === 'star') {
+                // Add sun glow effect (scales with the star)
+                this.createSunGlow(planetInfo.radius).forEach(glow => planet.add(glow));
+            }
+            if (clouds) {
+                planet.add(new THREE.Mesh(new THREE.SphereGeometry(planetInfo.radius * 1.015, 64, 64), clouds));
+            }
+            if (planetInfo.atmosphere) {
+                planet.add(createAtmosphere(planetInfo.radius, planetInfo.atmosphere));
+            }
+
+            // Rings keep their tilt while the body spins, so they hang off the equator instead
+            // and applyLayout scales them with the mesh
+            const rings = planetInfo.rings ? createRings(planetInfo.radius, planetInfo.rings, planetInfo.name) : null;
+            if (rings) {
+                equator.add(rings);
+            }
+
+            const marker = createMarker(planetInfo.color);
+            object.add(marker);
+
+            // Add to scene
+            this.scene.add(object);
+
+            // Create moons for this planet
+            const moons = [];
+            planetInfo.moons.forEach((moonInfo, moonIndex) => {
+                const moonGeometry = new THREE.SphereGeometry(moonInfo.radius, 32, 32);
+                const moonMaterial = createSurfaceMaterial(moonInfo, { width: 128 }).material;
+                const moonObject = new THREE.Group();
+                const moon = new THREE.Mesh(moonGeometry, moonMaterial);
+                moon.userData.pick = { planetIndex: index, moonIndex };
+                this.pickTargets.push(moon);
+                moonObject.add(moon);
+
+                const moonMarker = createMarker(moonInfo.color);
+                moonObject.add(moonMarker);
+
+                // The orbital plane is inclined from the equator (past 90° the moon orbits
+                // retrograde); the pivot turns within it, carrying the moon at its orbital
+                // radius with the same face towards the planet
+                const orbitPlane = new THREE.Group();
+                orbitPlane.rotation.x = THREE.MathUtils.degToRad(moonInfo.inclination);
+                const pivot = new THREE.Group();
+                moonObject.position.x = moonInfo.distance;
+                pivot.add(moonObject);
+                orbitPlane.add(pivot);
+
+                // Add moon to the planet's equator (so it moves with the planet)
+                equator.add(orbitPlane);
+
+                // Store moon data
+                moons.push({
+                    object: moonObject,
+                    pivot,
+                    mesh: moon,
+                    marker: moonMarker,
+                    data: moonInfo,
+                    halted: false,
+                    rejoin: null
+                });
+            });
+
+            // Store reference with orbital data and moons
+            this.planets.push({
+                object,
+                mesh: planet,
+                marker,
+                rings,
+                data: planetInfo,
+                index: index,
+                // Scene units per AU: the orbit keeps its real shape and orientation but is
+                // scaled so its semi-major axis matches the current layout
+                orbitScale: 0,
+                orbitRing: null,
+                layout: layout[index],
+                rejoin: null,
+                equator,
+                moons: moons
+            });
+
+            // Add orbit ring for everything orbiting the star
+            if (planetInfo.type !== 'star') {
+                this.planets[index].orbitRing = this.createOrbitRing(this.planets[index]);
+            }
+
+            this.applyLayout(this.planets[index], layout[index]);
+        });
+    }
+
+    // Size the body, its orbit and its moons to a layout entry from computeLayout()
+    applyLayout(planet, layout) {
+        planet.layout = layout;
+        planet.mesh.scale.setScalar(layout.radius / planet.data.radius);
+        if (planet.rings) {
+            planet.rings.scale.setScalar(layout.radius / planet.data.radius);
+        }
+
+        if (planet.data.orbit) {
+            const orbitScale = layout.distance / planet.data.orbit.semiMajorAxis;
+            // A halted body is not moved by the ephemeris, so carry it along with its orbit
+            if (planet.mesh.userData.orbitalHalted && planet.orbitScale > 0) {
+                planet.object.position.multiplyScalar(orbitScale / planet.orbitScale);
+            }
+            planet.orbitScale = orbitScale;
+            planet.orbitRing.scale.setScalar(orbitScale);
+        }
+
+        planet.moons.forEach((moon, moonIndex) => {
+            const moonLayout = layout.moons[moonIndex];
+            moon.mesh.scale.setScalar(moonLayout.radius / moon.data.radius);
+            moon.object.position.x = moonLayout.distance;
+        });
+    }
+
+    // Switch to another scale mode with an animated transition; returns false if unchanged
+    setScaleMode(mode) {
+        if (mode === this.scaleMode || !SCALE_MODES.some(scaleMode => scaleMode.id === mode)) return false;
+
+        const targetLayout = computeLayout(this.planetData, mode);
+        this.scaleMode = mode;
+        this.scaleTransition = {
+            startTime: Date.now(),
+            from: this.planets.map(planet => planet.layout),
+            to: targetLayout
+        };
+        return true;
+    }
+
+    updateScaleTransition() {
+        if (!this.scaleTransition) return;
+
+        const { startTime, from, to } = this.scaleTransition;
+        const progress = Math.min((Date.now() - startTime) / this.scaleTransitionDuration, 1);
+        const easeProgress = easeInOutCubic(progress);
+
+        this.planets.forEach((planet, index) => {
+            this.applyLayout(planet, {
+                radius: interpolateSize(from[index].radius, to[index].radius, easeProgress),
+                distance: interpolateSize(from[index].distance, to[index].distance, easeProgress),
+                moons: from[index].moons.map((moonLayout, moonIndex) => ({
+                    radius: interpolateSize(moonLayout.radius, to[index].moons[moonIndex].radius, easeProgress),
+                    distance: interpolateSize(moonLayout.distance, to[index].moons[moonIndex].distance, easeProgress)
+                }))
+            });
+        });
+
+        if (progress >= 1) {
+            this.scaleTransition = null;
+        }
+    }
+
+    // Fade markers in for bodies that are too small on screen to find
+    updateMarkers() {
+        const worldPosition = new THREE.Vector3();
+        const pixelsPerUnitAtDistanceOne = this.viewportHeight / 2 / Math.tan(THREE.MathUtils.degToRad(this.camera.fov / 2));
+
+        const pixelRadius = (object, radius) => {
+            object.getWorldPosition(worldPosition);
+            const distance = Math.max(worldPosition.distanceTo(this.camera.position), 1e-6);
+            return radius / distance * pixelsPerUnitAtDistanceOne;
+        };
+
+        this.planets.forEach(planet => {
+            updateMarker(planet.marker, pixelRadius(planet.object, planet.layout.radius));
+            planet.moons.forEach((moon, moonIndex) => {
+                updateMarker(moon.marker, pixelRadius(moon.object, planet.layout.moons[moonIndex].radius));
+            });
+        });
+    }
+
+    // Create sun glow effect
+    createSunGlow(radius) {
+        // Create a larger sphere for the glow effect
+        const glowGeometry = new THREE.SphereGeometry(radius * 1.5, 32, 32);
+        const glowMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffaa00,
+            transparent: true,
+            opacity: 0.3,
+            blending: THREE.AdditiveBlending
+        });
+
+        const glow = new THREE.Mesh(glowGeometry, glowMaterial);
+        glow.position.set(0, 0, 0);
+
+        // Add corona effect
+        const coronaGeometry = new THREE.SphereGeometry(radius * 2, 32, 32);
+        const coronaMaterial = new THREE.MeshBasicMaterial({
+            color: 0xff6600,
+            transparent: true,
+            opacity: 0.1,
+            blending: THREE.AdditiveBlending
+        });
+
+        const corona = new THREE.Mesh(coronaGeometry, coronaMaterial);
+        corona.position.set(0, 0, 0);
+
+        return [glow, corona];
+    }
+
+    // Texture maps from the catalog, or a procedural surface in the catalog color
+    // until they load; returns { material, clouds } (see materials.js)
+    createPlanetMaterial(planetInfo) {
+        const surface = createSurfaceMaterial(planetInfo);
+        if (surface.material.userData.sunViewPosition || planetInfo.textures.nightMap) {
+            this.nightSideMaterials.push(surface.material);
+        }
+        return surface;
+    }
+
+    // Orbit path traced from the body's orbital elements, in AU; scaled to the layout by applyLayout
+    createOrbitRing(planet) {
+        const points = orbitPath(planet.data.orbit).map(point => toScenePosition(point, 1));
+        const ringGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        const ringMaterial = new THREE.LineBasicMaterial({
+            color: 0x444444,
+            transparent: true,
+            opacity: 0.4,
+            blending: THREE.AdditiveBlending
+        });
+
+        const ring = new THREE.LineLoop(ringGeometry, ringMaterial);
+        this.scene.add(ring);
+        return ring;
+    }
+
+    // Scene position of an orbiting body at a simulation date (ms since the Unix epoch)
+    positionAt(planet, dateMs) {
+        const position = orbitalPosition(planet.data.orbit, planet.data.orbitalPeriod, dateMs);
+        return toScenePosition(position, planet.orbitScale);
+    }
+
+    // { object, radius, data } for a pick target { planetIndex, moonIndex }
+    bodyAt({ planetIndex, moonIndex }) {
+        const planet = this.planets[planetIndex];
+        if (!planet) return null;
+        if (moonIndex >= 0) {
+            const moon = planet.moons[moonIndex];
+            return moon ? { object: moon.object, radius: planet.layout.moons[moonIndex].radius, data: moon.data } : null;
+        }
+        return { object: planet.object, radius: planet.layout.radius, data: planet.data };
+    }
+
+    // The body under a point of the viewport (x, y from 0 to 1, origin top left) as
+    // { planetIndex, moonIndex }, or null. Meshes are raycast first; bodies too small
+    // to hit are picked when their center is within pickRadius pixels.
+    pickBody(x, y) {
+        const pointer = new THREE.Vector2(x * 2 - 1, 1 - y * 2);
+        this.raycaster.setFromCamera(pointer, this.camera);
+        const hit = this.raycaster.intersectObjects(this.pickTargets, false)[0];
+        if (hit) {
+            return { ...hit.object.userData.pick };
+        }
+
+        const viewportWidth = this.viewportHeight * this.camera.aspect;
+        const worldPosition = new THREE.Vector3();
+        let closest = null;
+        let closestDistance = this.pickRadius;
+        this.pickTargets.forEach(mesh => {
+            mesh.getWorldPosition(worldPosition).project(this.camera);
+            if (worldPosition.z > 1) return; // Behind the camera
+            const distance = Math.hypot(
+                (worldPosition.x - pointer.x) / 2 * viewportWidth,
+                (worldPosition.y - pointer.y) / 2 * this.viewportHeight
+            );
+            if (distance < closestDistance) {
+                closest = mesh.userData.pick;
+                closestDistance = distance;
+            }
+        });
+        return closest ? { ...closest } : null;
+    }
+
+    // Ring the hovered body (null clears it) and show the mouse that it can be clicked
+    setHighlight(target) {
+        this.highlightTarget = target;
+        if (!target && this.highlight) {
+            this.highlight.visible = false;
+        }
+        if (this.canvas) {
+            this.canvas.style.cursor = target ? 'pointer' : '';
+        }
+    }
+
+    updateHighlight() {
+        const body = this.highlightTarget && this.bodyAt(this.highlightTarget);
+        if (!body) return;
+
+        updateHighlight(this.highlight, body.object.getWorldPosition(new THREE.Vector3()), body.radius, this.camera);
+    }
+
+    // Moon orbit angle at a simulation date, in radians around the pivot
+    moonAngleAt(moon, dateMs) {
+        const orbits = (dateMs - J2000) / MS_PER_DAY / moon.data.orbitalPeriod;
+        return (orbits - Math.floor(orbits)) * Math.PI * 2 + THREE.MathUtils.degToRad(moon.data.meanAnomalyAtEpoch);
+    }
+
+    focusOnPlanet(index) {
+        this.releaseFocusedMoon();
+        const planet = this.planets[index];
+        const targetPosition = planet.object.position.clone();
+
+        // Move camera to focus on planet
+        const targetCameraPosition = targetPosition.clone().add(this.cameraOffset);
+
+        // Smooth camera movement
+        this.animateCameraTo(targetCameraPosition, targetPosition);
+
+        // Enable continuous tracking
+        this.trackingPlanetIndex = index;
+    }
+
+    // Track one of a planet's moons, halting it for reading
+    focusOnMoon(planetIndex, moonIndex) {
+        const moon = this.planets[planetIndex].moons[moonIndex];
+        if (!moon) return false;
+
+        this.releaseFocusedMoon();
+        moon.halted = true;
+        moon.rejoin = null;
+        this.trackingPlanetIndex = planetIndex;
+        this.trackingMoonIndex = moonIndex;
+
+        const targetPosition = moon.object.getWorldPosition(new THREE.Vector3());
+        this.animateCameraTo(targetPosition.clone().add(this.cameraOffset), targetPosition);
+        return true;
+    }
+
+    // Scripted view of a body (guided tours): camera.distance in body radii, azimuth and
+    // elevation in degrees; anything missing comes from the standard overview
+    frameBody(target, camera = {}) {
+        const body = this.bodyAt(target);
+        if (!body) return false;
+
+        const view = { azimuth: 0, ...this.overviewView };
+        if (camera.distance !== undefined) {
+            view.distance = Math.max(camera.distance * body.radius, this.minCameraDistance());
+        }
+        if (camera.azimuth !== undefined) {
+            view.azimuth = THREE.MathUtils.degToRad(camera.azimuth);
+        }
+        if (camera.elevation !== undefined) {
+            const elevation = THREE.MathUtils.degToRad(camera.elevation);
+            view.elevation = Math.min(Math.max(elevation, -this.maxCameraElevation), this.maxCameraElevation);
+        }
+        this.animateRigTo(view);
+        return true;
+    }
+
+    // The focused moon glides back onto its orbit
+    releaseFocusedMoon() {
+        const moon = this.focusedMoon();
+        this.trackingMoonIndex = -1;
+        if (!moon) return;
+
+        moon.halted = false;
+        moon.rejoin = { from: moon.pivot.rotation.y, startTime: Date.now() };
+    }
+
+    focusedMoon() {
+        if (this.trackingPlanetIndex < 0 || this.trackingMoonIndex < 0) return null;
+        return this.planets[this.trackingPlanetIndex].moons[this.trackingMoonIndex] || null;
+    }
+
+    stopTracking() {
+        this.releaseFocusedMoon();
+        this.trackingPlanetIndex = -1;
+    }
+
+    // The point the camera follows: the tracked moon or body, the Sun's position once the
+    // user has zoomed or orbited without picking a body, otherwise null (camera left alone).
+    // The free-look pan offset is added on top.
+    focusPoint() {
+        let focus = null;
+        const moon = this.focusedMoon();
+        if (moon) {
+            focus = moon.object.getWorldPosition(new THREE.Vector3());
+        } else if (this.trackingPlanetIndex >= 0) {
+            focus = this.planets[this.trackingPlanetIndex].object.position.clone();
+        } else if (this.isOrbitingOrigin) {
+            focus = new THREE.Vector3();
+        }
+        return focus ? focus.add(this.panOffset) : null;
+    }
+
+    updateCameraTracking() {
+        const focus = this.focusPoint();
+        if (!focus) return;
+
+        // Calculate new camera position relative to the focus
+        const targetCameraPosition = focus.clone().add(this.cameraOffset);
+
+        // Smooth camera movement to follow the focus
+        this.camera.position.lerp(targetCameraPosition, this.isFreeLook ? this.freeLookDamping : 0.05);
+
+        // Always look at the focus
+        this.camera.lookAt(focus);
+    }
+
+    updateCameraOffset() {
+        const { distance, azimuth, elevation } = this.cameraRig;
+        this.cameraOffset.set(
+            distance * Math.cos(elevation) * Math.sin(azimuth),
+            distance * Math.sin(elevation),
+            distance * Math.cos(elevation) * Math.cos(azimuth)
+        );
+    }
+
+    // Start following the Sun from wherever the camera is, so the first zoom or orbit doesn't jump
+    ensureCameraFocus() {
+        if (this.focusPoint()) return;
+
+        const position = this.camera.position;
+        const distance = position.length();
+        this.cameraRig = {
+            distance,
+            azimuth: Math.atan2(position.x, position.z),
+            elevation: Math.asin(position.y / Math.max(distance, 1e-6))
+        };
+        this.updateCameraOffset();
+        this.isOrbitingOrigin = true;
+    }
+
+    // Returns true when free look was entered
+    enterFreeLook() {
+        if (this.isFreeLook) return false;
+
+        this.ensureCameraFocus();
+        this.finishRigTransition();
+        this.panOffset.set(0, 0, 0);
+        this.isFreeLook = true;
+        return true;
+    }
+
+    // Hand the camera back to tracking: the pan glides back to the focus and the
+    // rig returns to the standard view, the close-up one while locked
+    exitFreeLook({ closeUp = false } = {}) {
+        if (!this.isFreeLook) return false;
+
+        this.isFreeLook = false;
+        this.animateRigTo({ azimuth: 0, ...(closeUp ? this.closeUpViewFor() : this.overviewView) });
+        this.rigTransition.fromPan = this.panOffset.clone();
+        return true;
+    }
+
+    // Move the focus point across the screen; x/y in multiples of the camera distance
+    panCamera(x, y) {
+        if (!this.isFreeLook) return false;
+
+        this.camera.updateMatrixWorld();
+        const right = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 0);
+        const up = new THREE.Vector3().setFromMatrixColumn(this.camera.matrixWorld, 1);
+        const distance = this.cameraRig.distance;
+        this.panOffset.addScaledVector(right, -x * distance).addScaledVector(up, y * distance);
+        return true;
+    }
+
+    // Closest the camera may get: just outside the focused body's surface
+    minCameraDistance() {
+        if (this.trackingPlanetIndex >= 0) {
+            const layout = this.planets[this.trackingPlanetIndex].layout;
+            const radius = this.trackingMoonIndex >= 0 ? layout.moons[this.trackingMoonIndex].radius : layout.radius;
+            return Math.max(radius * 2, 0.2);
+        }
+        return 0.2;
+    }
+
+    // factor > 1 moves the camera closer (hands spreading apart), < 1 moves it away
+    zoomCamera(factor) {
+        if (!(factor > 0)) return false;
+
+        this.ensureCameraFocus();
+        this.finishRigTransition();
+
+        const distance = this.cameraRig.distance / factor;
+        this.cameraRig.distance = Math.min(Math.max(distance, this.minCameraDistance()), this.maxCameraDistance);
+        this.updateCameraOffset();
+        return true;
+    }
+
+    // Orbit the camera around the focus; angles in radians
+    orbitCamera(deltaAzimuth, deltaElevation) {
+        this.ensureCameraFocus();
+        this.finishRigTransition();
+
+        const rig = this.cameraRig;
+        rig.azimuth = normalizeRadians(rig.azimuth + deltaAzimuth);
+        rig.elevation = Math.min(Math.max(rig.elevation + deltaElevation, -this.maxCameraElevation), this.maxCameraElevation);
+        this.updateCameraOffset();
+        return true;
+    }
+
+    // Animate the rig's distance and elevation, and its azimuth if the view has one
+    // (otherwise the azimuth the user chose is kept)
+    animateRigTo(view) {
+        this.rigTransition = {
+            from: { ...this.cameraRig },
+            to: { azimuth: this.cameraRig.azimuth, ...view },
+            startTime: Date.now()
+        };
+    }
+
+    // The close-up of the tracked body: the standard one for a planet, closer in to suit
+    // a moon's size
+    closeUpViewFor() {
+        const planet = this.planets[this.trackingPlanetIndex];
+        if (!planet || this.trackingMoonIndex < 0) return this.closeUpView;
+
+        const radius = planet.layout.moons[this.trackingMoonIndex].radius;
+        return { ...this.closeUpView, distance: Math.max(radius * 10, this.minCameraDistance()) };
+    }
+
+    zoomToCloseUp() {
+        this.animateRigTo(this.closeUpViewFor());
+    }
+
+    zoomToOverview() {
+        this.animateRigTo(this.overviewView);
+    }
+
+    // Manual zoom or orbit takes over from a running lock/unlock animation
+    finishRigTransition() {
+        if (!this.rigTransition) return;
+
+        if (this.rigTransition.fromPan) {
+            this.panOffset.set(0, 0, 0);
+        }
+        this.rigTransition = null;
+        this.onRigSettled();
+    }
+
+    animateCameraTo(targetPosition, lookAtTarget) {
+        const startPosition = this.camera.position.clone();
+        const startLookAt = new THREE.Vector3();
+        this.camera.getWorldDirection(startLookAt);
+        startLookAt.multiplyScalar(20).add(this.camera.position);
+
+        const duration = 1000;
+        const startTime = Date.now();
+
+        const animate = () => {
+            const elapsed = Date.now() - startTime;
+            const progress = Math.min(elapsed / duration, 1);
+            const easeProgress = easeOutCubic(progress);
+
+            // Interpolate position
+            this.camera.position.lerpVectors(startPosition, targetPosition, easeProgress);
+
+            // Interpolate lookAt
+            const currentLookAt = new THREE.Vector3();
+            currentLookAt.lerpVectors(startLookAt, lookAtTarget, easeProgress);
+            this.camera.lookAt(currentLookAt);
+
+            if (progress < 1) {
+                requestAnimationFrame(animate);
+            }
+        };
+
+        animate();
+    }
+
+    resize(width, height) {
+        this.camera.aspect = width / height;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(width, height);
+        this.viewportHeight = height;
+    }
+
+    // Advance one animation frame.
+    // simDate: simulation date in ms since the Unix epoch; deltaSeconds: real time since the last frame
+    update(simDate, deltaSeconds) {
+        // Update camera rig and scale mode transitions
+        this.updateRigTransition();
+        this.updateScaleTransition();
+
+        this.planets.forEach(planet => {
+            if (planet.data.type !== 'star') {
+                // Rotate planet on its axis (always happens)
+                planet.mesh.rotation.y += 0.3 * deltaSeconds;
+
+                // Faster spin while being read up close
+                if (planet.mesh.userData.enhancedRotation) {
+                    planet.mesh.rotation.y += 1.2 * deltaSeconds; // 4x faster rotation
+                }
+
+                // Only follow the ephemeris if NOT halted
+                if (!planet.mesh.userData.orbitalHalted) {
+                    this.updateOrbitalPosition(planet, simDate);
+                }
+
+                // Moons follow the simulation clock unless one is halted for reading
+                planet.moons.forEach(moon => {
+                    if (!moon.halted) {
+                        this.updateMoonOrbit(moon, simDate);
+                    }
+                });
+            } else {
+                // Star rotates on its axis
+                planet.mesh.rotation.y += 0.12 * deltaSeconds;
+            }
+        });
+
+        // Animate the Sun's surface and keep city lights on the night side
+        if (this.sunMaterial) {
+            this.sunMaterial.uniforms.time.value += deltaSeconds;
+        }
+        this.nightSideMaterials.forEach(material => updateSunViewPosition(material, this.camera));
+
+        // Update camera tracking if enabled
+        this.updateCameraTracking();
+        this.updateMarkers();
+        this.updateHighlight();
+    }
+
+    updateOrbitalPosition(planet, simDate) {
+        const target = this.positionAt(planet, simDate);
+
+        // A body released from a halt glides back onto its ephemeris position
+        if (planet.rejoin) {
+            const progress = Math.min((Date.now() - planet.rejoin.startTime) / this.zoomTransitionDuration, 1);
+            planet.object.position.lerpVectors(planet.rejoin.from, target, easeOutCubic(progress));
+            if (progress >= 1) {
+                planet.rejoin = null;
+            }
+            return;
+        }
+
+        planet.object.position.copy(target);
+    }
+
+    updateMoonOrbit(moon, simDate) {
+        const target = this.moonAngleAt(moon, simDate);
+
+        if (moon.rejoin) {
+            const progress = Math.min((Date.now() - moon.rejoin.startTime) / this.zoomTransitionDuration, 1);
+            moon.pivot.rotation.y = moon.rejoin.from + normalizeRadians(target - moon.rejoin.from) * easeOutCubic(progress);
+            if (progress >= 1) {
+                moon.rejoin = null;
+            }
+            return;
+        }
+
+        moon.pivot.rotation.y = target;
+    }
+
+    render() {
+        this.renderer.render(this.scene, this.camera);
+    }
+
+    updateRigTransition() {
+        if (!this.rigTransition) return;
+
+        const { from, to, startTime } = this.rigTransition;
+        const progress = Math.min((Date.now() - startTime) / this.zoomTransitionDuration, 1);
+
+        // Smooth easing
+        const easeProgress = easeOutCubic(progress);
+        this.cameraRig.distance = from.distance + (to.distance - from.distance) * easeProgress;
+        this.cameraRig.elevation = from.elevation + (to.elevation - from.elevation) * easeProgress;
+        this.cameraRig.azimuth = from.azimuth + normalizeRadians(to.azimuth - from.azimuth) * easeProgress;
+        if (this.rigTransition.fromPan) {
+            this.panOffset.copy(this.rigTransition.fromPan).multiplyScalar(1 - easeProgress);
+        }
+        this.updateCameraOffset();
+
+        if (progress >= 1) {
+            this.finishRigTransition();
+        }
+    }
+
+    // Stop a planet on its orbit so it can be read; its moons keep orbiting
+    haltPlanet(index) {
+        const planet = this.planets[index];
+        if (!planet || planet.mesh.userData.orbitalHalted) return false;
+
+        planet.mesh.userData.orbitalHalted = true;
+        planet.rejoin = null;
+        return true;
+    }
+
+    // Let a halted planet glide back onto its orbit, along with its focused moon
+    releasePlanet(index) {
+        const planet = this.planets[index];
+        if (!planet) return false;
+
+        if (index === this.trackingPlanetIndex) {
+            this.releaseFocusedMoon();
+        }
+        if (!planet.mesh.userData.orbitalHalted) return false;
+
+        planet.mesh.userData.orbitalHalted = false;
+        if (planet.data.type !== 'star') {
+            planet.rejoin = { from: planet.object.position.clone(), startTime: Date.now() };
+        }
+        return true;
+    }
+
+    // The faster axial spin of a planet being read (not its orbit)
+    setSpinning(index, spinning) {
+        const planet = this.planets[index];
+        if (planet) {
+            planet.mesh.userData.enhancedRotation = spinning;
+        }
+    }
+}
+
+// Ecliptic coordinates (z = ecliptic north) to scene coordinates (y up)
+function toScenePosition(point, scale) {
+    return new THREE.Vector3(point.x * scale, point.z * scale, -point.y * scale);
+}
+
+function normalizeRadians(angle) {
+    return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+export function easeOutCubic(t) {
+    return 1 - Math.pow(1 - t, 3);
+}
+
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
@@ -0,0 +1,445 @@
+// Loads and validates the system catalog (data/solar-system.json by default).
+// Validation errors name the offending field, e.g. "bodies[4].moons[0].distance".
+// The schema is documented in the README under "System Catalog".
+
+import { J2000 } from '../sim/ephemeris.js';
+import { PROCEDURAL_SURFACES } from './proceduralTextures.js';
+
+export const BODY_TYPES = ['star', 'planet', 'dwarf-planet'];
+export const DETAIL_KEYS = ['overview', 'detailed', 'deep'];
+export const TEXTURE_KEYS = ['map', 'normalMap', 'specularMap', 'nightMap', 'cloudsMap'];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+const ABSOLUTE_ZERO_C = -273.15;
+
+export class CatalogError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'CatalogError';
+        this.path = path;
+    }
+}
+
+function expectObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new CatalogError(path, 'must be an object');
+    }
+}
+
+function expectArray(value, path) {
+    if (!Array.isArray(value)) {
+        throw new CatalogError(path, 'must be an array');
+    }
+}
+
+function expectString(value, path) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new CatalogError(path, 'must be a non-empty string');
+    }
+}
+
+function expectNumber(value, path, { min = -Infinity, exclusiveMin = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new CatalogError(path, 'must be a number');
+    }
+    if (exclusiveMin ? value <= min : value < min) {
+        throw new CatalogError(path, `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}, got ${value}`);
+    }
+}
+
+// "#rrggbb" string to the integer Three.js expects
+function parseColor(value, path) {
+    if (typeof value !== 'string' || !HEX_COLOR.test(value)) {
+        throw new CatalogError(path, `must be a "#rrggbb" color, got ${JSON.stringify(value)}`);
+    }
+    return parseInt(value.slice(1), 16);
+}
+
+// A body's detail pages, in order: either { overview, detailed, deep } for the usual three
+// (leaving out the last ones for fewer pages), or an array of any number of page texts.
+// Validated to an array either way; the dial steps through it.
+function validateDescription(description, path) {
+    if (Array.isArray(description)) {
+        if (description.length === 0) {
+            throw new CatalogError(path, 'must contain at least one page');
+        }
+        description.forEach((page, index) => expectString(page, `${path}[${index}]`));
+        return description.slice();
+    }
+
+    expectObject(description, path);
+    expectString(description.overview, `${path}.overview`);
+
+    const pages = [];
+    DETAIL_KEYS.forEach(key => {
+        if (description[key] === undefined) return;
+        if (pages.length < DETAIL_KEYS.indexOf(key)) {
+            throw new CatalogError(`${path}.${key}`, `needs ${DETAIL_KEYS[pages.length]} before it`);
+        }
+        expectString(description[key], `${path}.${key}`);
+        pages.push(description[key]);
+    });
+    return pages;
+}
+
+// Physical facts for the data panel; every field is optional and missing ones are null
+function validateFacts(facts, path) {
+    const validated = {
+        massKg: null,
+        surfaceGravity: null, // m/s²
+        dayLengthHours: null, // Sidereal rotation period; negative for retrograde rotation
+        meanTemperature: null, // °C
+        knownMoons: null, // All known moons, not just the ones in the catalog
+        discovery: null // 'antiquity', or { by, year }
+    };
+    if (facts === undefined) return validated;
+    expectObject(facts, path);
+
+    if (facts.massKg !== undefined) {
+        expectNumber(facts.massKg, `${path}.massKg`, { min: 0, exclusiveMin: true });
+        validated.massKg = facts.massKg;
+    }
+    if (facts.surfaceGravity !== undefined) {
+        expectNumber(facts.surfaceGravity, `${path}.surfaceGravity`, { min: 0, exclusiveMin: true });
+        validated.surfaceGravity = facts.surfaceGravity;
+    }
+    if (facts.dayLengthHours !== undefined) {
+        expectNumber(facts.dayLengthHours, `${path}.dayLengthHours`);
+        if (facts.dayLengthHours === 0) {
+            throw new CatalogError(`${path}.dayLengthHours`, 'must not be 0');
+        }
+        validated.dayLengthHours = facts.dayLengthHours;
+    }
+    if (facts.meanTemperature !== undefined) {
+        expectNumber(facts.meanTemperature, `${path}.meanTemperature`, { min: ABSOLUTE_ZERO_C });
+        validated.meanTemperature = facts.meanTemperature;
+    }
+    if (facts.knownMoons !== undefined) {
+        expectNumber(facts.knownMoons, `${path}.knownMoons`, { min: 0 });
+        if (!Number.isInteger(facts.knownMoons)) {
+            throw new CatalogError(`${path}.knownMoons`, `must be a whole number, got ${facts.knownMoons}`);
+        }
+        validated.knownMoons = facts.knownMoons;
+    }
+    if (facts.discovery === 'antiquity') {
+        validated.discovery = 'antiquity';
+    } else if (facts.discovery !== undefined) {
+        expectObject(facts.discovery, `${path}.discovery`);
+        expectString(facts.discovery.by, `${path}.discovery.by`);
+        expectNumber(facts.discovery.year, `${path}.discovery.year`);
+        validated.discovery = { by: facts.discovery.by, year: facts.discovery.year };
+    }
+    return validated;
+}
+
+// Quiz clues: phrases completing "Which planet …?", e.g. "has the Great Red Spot"
+function validateClues(clues, path) {
+    if (clues === undefined) return [];
+    expectArray(clues, path);
+    clues.forEach((clue, index) => expectString(clue, `${path}[${index}]`));
+    return clues.slice();
+}
+
+function validateMaterial(material, path) {
+    if (material === undefined) return {};
+    expectObject(material, path);
+
+    const validated = {};
+    if (material.shininess !== undefined) {
+        expectNumber(material.shininess, `${path}.shininess`, { min: 0 });
+        validated.shininess = material.shininess;
+    }
+    if (material.specular !== undefined) {
+        validated.specular = parseColor(material.specular, `${path}.specular`);
+    }
+    return validated;
+}
+
+// Paths to local texture maps; any subset may be given
+function validateTextures(textures, path) {
+    if (textures === undefined) return {};
+    expectObject(textures, path);
+
+    const validated = {};
+    Object.keys(textures).forEach(key => {
+        if (!TEXTURE_KEYS.includes(key)) {
+            throw new CatalogError(`${path}.${key}`, `unknown texture, expected one of ${TEXTURE_KEYS.join(', ')}`);
+        }
+        expectString(textures[key], `${path}.${key}`);
+        validated[key] = textures[key];
+    });
+    return validated;
+}
+
+function validateSurface(surface, path, fallback) {
+    if (surface === undefined) return fallback;
+    if (!PROCEDURAL_SURFACES.includes(surface)) {
+        throw new CatalogError(path, `must be one of ${PROCEDURAL_SURFACES.join(', ')}, got ${JSON.stringify(surface)}`);
+    }
+    return surface;
+}
+
+// Ring radii are in multiples of the body's radius; rings lie in the equatorial plane
+function validateRings(rings, path) {
+    if (rings === undefined) return null;
+    expectObject(rings, path);
+    expectNumber(rings.innerRadius, `${path}.innerRadius`, { min: 1, exclusiveMin: true });
+    expectNumber(rings.outerRadius, `${path}.outerRadius`, { min: rings.innerRadius, exclusiveMin: true });
+    if (rings.opacity !== undefined) {
+        expectNumber(rings.opacity, `${path}.opacity`, { min: 0 });
+        if (rings.opacity > 1) {
+            throw new CatalogError(`${path}.opacity`, `must be at most 1, got ${rings.opacity}`);
+        }
+    }
+
+    return {
+        innerRadius: rings.innerRadius,
+        outerRadius: rings.outerRadius,
+        color: parseColor(rings.color, `${path}.color`),
+        opacity: rings.opacity ?? 0.9
+    };
+}
+
+function validateAtmosphere(atmosphere, path) {
+    if (atmosphere === undefined) return null;
+    expectObject(atmosphere, path);
+    if (atmosphere.intensity !== undefined) {
+        expectNumber(atmosphere.intensity, `${path}.intensity`, { min: 0, exclusiveMin: true });
+    }
+    if (atmosphere.clouds !== undefined && typeof atmosphere.clouds !== 'boolean') {
+        throw new CatalogError(`${path}.clouds`, 'must be true or false');
+    }
+
+    return {
+        color: parseColor(atmosphere.color, `${path}.color`),
+        intensity: atmosphere.intensity ?? 1,
+        clouds: atmosphere.clouds ?? false
+    };
+}
+
+// Orbital elements; angles in degrees, epoch as an ISO date (defaults to J2000).
+// Bodies without elements get a circular orbit in the ecliptic plane.
+function validateOrbit(orbit, path) {
+    if (orbit === undefined) {
+        return {
+            semiMajorAxis: 1,
+            eccentricity: 0,
+            inclination: 0,
+            longitudeOfAscendingNode: 0,
+            argumentOfPerihelion: 0,
+            meanAnomalyAtEpoch: 0,
+            epoch: J2000
+        };
+    }
+    expectObject(orbit, path);
+
+    expectNumber(orbit.semiMajorAxis, `${path}.semiMajorAxis`, { min: 0, exclusiveMin: true });
+    expectNumber(orbit.eccentricity, `${path}.eccentricity`, { min: 0 });
+    if (orbit.eccentricity >= 1) {
+        throw new CatalogError(`${path}.eccentricity`, `must be below 1 for a closed orbit, got ${orbit.eccentricity}`);
+    }
+    ['inclination', 'longitudeOfAscendingNode', 'argumentOfPerihelion', 'meanAnomalyAtEpoch'].forEach(key => {
+        expectNumber(orbit[key], `${path}.${key}`);
+    });
+
+    let epoch = J2000;
+    if (orbit.epoch !== undefined) {
+        expectString(orbit.epoch, `${path}.epoch`);
+        epoch = Date.parse(orbit.epoch);
+        if (Number.isNaN(epoch)) {
+            throw new CatalogError(`${path}.epoch`, `must be an ISO date, got ${JSON.stringify(orbit.epoch)}`);
+        }
+    }
+
+    return {
+        semiMajorAxis: orbit.semiMajorAxis,
+        eccentricity: orbit.eccentricity,
+        inclination: orbit.inclination,
+        longitudeOfAscendingNode: orbit.longitudeOfAscendingNode,
+        argumentOfPerihelion: orbit.argumentOfPerihelion,
+        meanAnomalyAtEpoch: orbit.meanAnomalyAtEpoch,
+        epoch
+    };
+}
+
+function validateMoon(moon, path, parent) {
+    expectObject(moon, path);
+    expectString(moon.name, `${path}.name`);
+    expectNumber(moon.radius, `${path}.radius`, { min: 0, exclusiveMin: true });
+    expectNumber(moon.distance, `${path}.distance`, { min: 0, exclusiveMin: true });
+    expectNumber(moon.radiusKm, `${path}.radiusKm`, { min: 0, exclusiveMin: true });
+    expectNumber(moon.semiMajorAxisKm, `${path}.semiMajorAxisKm`, { min: 0, exclusiveMin: true });
+    expectNumber(moon.orbitalPeriod, `${path}.orbitalPeriod`, { min: 0, exclusiveMin: true });
+    ['inclination', 'meanAnomalyAtEpoch'].forEach(key => {
+        if (moon[key] !== undefined) {
+            expectNumber(moon[key], `${path}.${key}`);
+        }
+    });
+
+    // The moon must orbit clear of its parent's surface
+    if (moon.distance <= parent.radius + moon.radius) {
+        throw new CatalogError(
+            `${path}.distance`,
+            `${moon.distance} puts ${moon.name} inside ${parent.name} (parent radius ${parent.radius} + moon radius ${moon.radius})`
+        );
+    }
+    if (moon.semiMajorAxisKm <= parent.radiusKm + moon.radiusKm) {
+        throw new CatalogError(
+            `${path}.semiMajorAxisKm`,
+            `${moon.semiMajorAxisKm} km puts ${moon.name} inside ${parent.name} (parent radius ${parent.radiusKm} km + moon radius ${moon.radiusKm} km)`
+        );
+    }
+
+    return {
+        name: moon.name,
+        radius: moon.radius,
+        distance: moon.distance,
+        radiusKm: moon.radiusKm,
+        semiMajorAxisKm: moon.semiMajorAxisKm,
+        color: parseColor(moon.color, `${path}.color`),
+        orbitalPeriod: moon.orbitalPeriod, // Earth days
+        inclination: moon.inclination ?? 0, // Degrees from the parent's equator; above 90 orbits retrograde
+        meanAnomalyAtEpoch: moon.meanAnomalyAtEpoch ?? 0, // Degrees along the orbit at J2000
+        surface: validateSurface(moon.surface, `${path}.surface`, 'cratered'),
+        textures: validateTextures(moon.textures, `${path}.textures`),
+        facts: validateFacts(moon.facts, `${path}.facts`),
+        description: validateDescription(moon.description, `${path}.description`)
+    };
+}
+
+function validateBody(body, path) {
+    expectObject(body, path);
+    expectString(body.name, `${path}.name`);
+    if (!BODY_TYPES.includes(body.type)) {
+        throw new CatalogError(`${path}.type`, `must be one of ${BODY_TYPES.join(', ')}, got ${JSON.stringify(body.type)}`);
+    }
+    expectNumber(body.radius, `${path}.radius`, { min: 0, exclusiveMin: true });
+    expectNumber(body.radiusKm, `${path}.radiusKm`, { min: 0, exclusiveMin: true });
+    expectNumber(body.distance, `${path}.distance`, { min: 0 });
+    expectNumber(body.orbitalPeriod, `${path}.orbitalPeriod`, { min: 0 });
+    if (body.axialTilt !== undefined) {
+        expectNumber(body.axialTilt, `${path}.axialTilt`);
+    }
+
+    if (body.type === 'star' && body.distance !== 0) {
+        throw new CatalogError(`${path}.distance`, 'a star sits at the center and must have distance 0');
+    }
+    if (body.type !== 'star' && body.distance === 0) {
+        throw new CatalogError(`${path}.distance`, 'must be greater than 0 for bodies orbiting the star');
+    }
+    if (body.type !== 'star' && body.orbitalPeriod === 0) {
+        throw new CatalogError(`${path}.orbitalPeriod`, 'must be greater than 0 for bodies orbiting the star');
+    }
+
+    const moons = body.moons === undefined ? [] : body.moons;
+    expectArray(moons, `${path}.moons`);
+    if (body.type === 'star' && moons.length > 0) {
+        throw new CatalogError(`${path}.moons`, 'a star cannot have moons');
+    }
+    if (body.type === 'star' && (body.rings !== undefined || body.atmosphere !== undefined)) {
+        throw new CatalogError(path, 'a star cannot have rings or an atmosphere');
+    }
+
+    return {
+        name: body.name,
+        type: body.type,
+        radius: body.radius,
+        radiusKm: body.radiusKm,
+        distance: body.distance,
+        color: parseColor(body.color, `${path}.color`),
+        orbitalPeriod: body.orbitalPeriod, // Earth days
+        orbit: body.type === 'star' ? null : validateOrbit(body.orbit, `${path}.orbit`),
+        axialTilt: body.axialTilt ?? 0, // Degrees; tilts the spin axis, rings and moon orbits
+        material: validateMaterial(body.material, `${path}.material`),
+        surface: body.type === 'star' ? null : validateSurface(body.surface, `${path}.surface`, 'rocky'),
+        textures: validateTextures(body.textures, `${path}.textures`),
+        rings: validateRings(body.rings, `${path}.rings`),
+        atmosphere: validateAtmosphere(body.atmosphere, `${path}.atmosphere`),
+        moons: moons.map((moon, index) => validateMoon(moon, `${path}.moons[${index}]`, body)),
+        facts: validateFacts(body.facts, `${path}.facts`),
+        clues: validateClues(body.clues, `${path}.clues`),
+        description: validateDescription(body.description, `${path}.description`)
+    };
+}
+
+// Validate a parsed catalog and return it with colors converted to integers
+export function validateCatalog(catalog) {
+    expectObject(catalog, 'catalog');
+    expectString(catalog.name, 'name');
+    expectArray(catalog.bodies, 'bodies');
+    if (catalog.bodies.length === 0) {
+        throw new CatalogError('bodies', 'must contain at least one body');
+    }
+
+    const bodies = catalog.bodies.map((body, index) => validateBody(body, `bodies[${index}]`));
+
+    // Names are used as focus targets, so they must be unique across bodies and moons,
+    // ignoring case as findBody does
+    const seenNames = new Set();
+    bodies.forEach((body, index) => {
+        [body, ...body.moons].forEach((entry, entryIndex) => {
+            const path = entryIndex === 0 ? `bodies[${index}].name` : `bodies[${index}].moons[${entryIndex - 1}].name`;
+            const key = entry.name.toLowerCase();
+            if (seenNames.has(key)) {
+                throw new CatalogError(path, `duplicate name "${entry.name}"`);
+            }
+            seenNames.add(key);
+        });
+    });
+
+    // Orbits must clear the star's surface
+    const starRadius = Math.max(0, ...bodies.filter(body => body.type === 'star').map(body => body.radius));
+    bodies.forEach((body, index) => {
+        if (body.type !== 'star' && body.distance <= starRadius + body.radius) {
+            throw new CatalogError(`bodies[${index}].distance`, `${body.distance} puts ${body.name} inside the star (radius ${starRadius})`);
+        }
+    });
+
+    return { name: catalog.name, bodies };
+}
+
+// Number of detail pages the body's description has
+export function detailPageCount(body) {
+    return body.description.length;
+}
+
+// Page index of a detail level name ('overview' is 0), or -1 for an unknown name
+export function detailPageIndex(level) {
+    return DETAIL_KEYS.indexOf(level);
+}
+
+// Description text on a detail page, falling back to the overview
+export function describe(body, page) {
+    return body.description[page] || body.description[0];
+}
+
+// Find a body or moon by name, ignoring case, as { planetIndex, moonIndex } (moonIndex -1
+// for the body itself); null when there is no such body
+export function findBody(bodies, name) {
+    const wanted = name.trim().toLowerCase();
+    for (let planetIndex = 0; planetIndex < bodies.length; planetIndex++) {
+        if (bodies[planetIndex].name.toLowerCase() === wanted) {
+            return { planetIndex, moonIndex: -1 };
+        }
+        const moonIndex = bodies[planetIndex].moons.findIndex(moon => moon.name.toLowerCase() === wanted);
+        if (moonIndex >= 0) {
+            return { planetIndex, moonIndex };
+        }
+    }
+    return null;
+}
+
+export async function loadCatalog(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load catalog ${url}: HTTP ${response.status}`);
+    }
+
+    let catalog;
+    try {
+        catalog = await response.json();
+    } catch (error) {
+        throw new Error(`Catalog ${url} is not valid JSON: ${error.message}`);
+    }
+    return validateCatalog(catalog);
+}
@@ -0,0 +1,95 @@
+// Screen-space billboard markers that keep bodies findable when they shrink below a pixel,
+// and the ring that highlights the body under the mouse or hand cursor
+
+const MARKER_SIZE = 0.012; // Sprite scale with size attenuation off (~8px on a 1000px tall view)
+const MARKER_FADE_START = 6; // Body radius in pixels where the marker starts to fade in
+const MARKER_FADE_END = 2; // Body radius in pixels where the marker is fully visible
+
+const HIGHLIGHT_SIZE = 3; // Highlight diameter in body radii
+const HIGHLIGHT_MIN_SIZE = 0.04; // Smallest highlight, as a fraction of its distance from the camera
+
+let markerTexture = null;
+let highlightTexture = null;
+
+// Shared ring texture, drawn once
+function getMarkerTexture() {
+    if (!markerTexture) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 64;
+        canvas.height = 64;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 8;
+        ctx.beginPath();
+        ctx.arc(32, 32, 24, 0, 2 * Math.PI);
+        ctx.stroke();
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(32, 32, 8, 0, 2 * Math.PI);
+        ctx.fill();
+        markerTexture = new THREE.CanvasTexture(canvas);
+    }
+    return markerTexture;
+}
+
+export function createMarker(color) {
+    const material = new THREE.SpriteMaterial({
+        map: getMarkerTexture(),
+        color,
+        sizeAttenuation: false,
+        transparent: true,
+        depthWrite: false,
+        opacity: 0
+    });
+    const marker = new THREE.Sprite(material);
+    marker.scale.setScalar(MARKER_SIZE);
+    marker.visible = false;
+    return marker;
+}
+
+// Fade the marker in as the body's on-screen radius drops towards zero
+export function updateMarker(marker, pixelRadius) {
+    const opacity = Math.min(1, Math.max(0, (MARKER_FADE_START - pixelRadius) / (MARKER_FADE_START - MARKER_FADE_END)));
+    marker.material.opacity = opacity;
+    marker.visible = opacity > 0;
+}
+
+// Plain ring, so the highlighted body shows through the middle
+function getHighlightTexture() {
+    if (!highlightTexture) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 6;
+        ctx.beginPath();
+        ctx.arc(64, 64, 56, 0, 2 * Math.PI);
+        ctx.stroke();
+        highlightTexture = new THREE.CanvasTexture(canvas);
+    }
+    return highlightTexture;
+}
+
+// Drawn on top of everything; position it with updateHighlight()
+export function createHighlight(color = 0x00ffff) {
+    const material = new THREE.SpriteMaterial({
+        map: getHighlightTexture(),
+        color,
+        transparent: true,
+        depthTest: false,
+        depthWrite: false
+    });
+    const highlight = new THREE.Sprite(material);
+    highlight.renderOrder = 1;
+    highlight.visible = false;
+    return highlight;
+}
+
+// Ring the body at worldPosition, staying big enough to see when the body is tiny on screen
+export function updateHighlight(highlight, worldPosition, radius, camera) {
+    const minSize = worldPosition.distanceTo(camera.position) * HIGHLIGHT_MIN_SIZE;
+    highlight.position.copy(worldPosition);
+    highlight.scale.setScalar(Math.max(radius * HIGHLIGHT_SIZE, minSize));
+    highlight.visible = true;
+}
@@ -0,0 +1,257 @@
+// Materials for the Sun, planets and moons. Bodies with texture maps in the catalog
+// load them; until they arrive (or if they fail to load) the procedural surfaces from
+// proceduralTextures.js are used. Also builds the extras: clouds, atmosphere rim glow,
+// ring systems and the Sun's surface shader.
+// Uses the global THREE loaded by index.html.
+
+import { createSurfaceCanvases, createRingCanvas } from './proceduralTextures.js';
+
+const textureLoader = new THREE.TextureLoader();
+
+// Load a texture map, resolving to null (with a warning) when the file is missing
+function loadTexture(url, { color = false } = {}) {
+    return new Promise(resolve => {
+        textureLoader.load(
+            url,
+            texture => {
+                if (color) {
+                    texture.colorSpace = THREE.SRGBColorSpace;
+                }
+                resolve(texture);
+            },
+            undefined,
+            () => {
+                console.warn(`Texture ${url} could not be loaded, using the procedural surface`);
+                resolve(null);
+            }
+        );
+    });
+}
+
+function canvasTexture(canvas) {
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+// body: a catalog body or moon (see catalog.js). Returns { material, clouds }, where
+// clouds is a material for a slightly larger shell, or null.
+export function createSurfaceMaterial(body, { width = 512 } = {}) {
+    const textures = body.textures || {};
+    const hasClouds = Boolean(textures.cloudsMap) || body.surface === 'terrestrial' || Boolean(body.atmosphere && body.atmosphere.clouds);
+    const canvases = createSurfaceCanvases({
+        surface: body.surface,
+        color: body.color,
+        name: body.name,
+        width,
+        clouds: hasClouds
+    });
+
+    const material = new THREE.MeshPhongMaterial({
+        map: canvasTexture(canvases.map),
+        shininess: body.material?.shininess ?? 30,
+        specular: body.material?.specular ?? 0x111111
+    });
+    if (canvases.emissiveMap) {
+        material.emissiveMap = canvasTexture(canvases.emissiveMap);
+        material.emissive = new THREE.Color(0xffffff);
+        applyNightSideEmission(material);
+    }
+
+    const clouds = hasClouds ? new THREE.MeshPhongMaterial({
+        map: canvases.cloudsMap ? canvasTexture(canvases.cloudsMap) : null,
+        transparent: true,
+        depthWrite: false,
+        opacity: body.surface === 'terrestrial' ? 0.8 : 1
+    }) : null;
+
+    // Swap in the real maps as they arrive
+    if (textures.map) {
+        loadTexture(textures.map, { color: true }).then(texture => {
+            if (texture) replaceMap(material, 'map', texture);
+        });
+    }
+    if (textures.normalMap) {
+        loadTexture(textures.normalMap).then(texture => {
+            if (texture) replaceMap(material, 'normalMap', texture);
+        });
+    }
+    if (textures.specularMap) {
+        loadTexture(textures.specularMap).then(texture => {
+            if (!texture) return;
+            replaceMap(material, 'specularMap', texture);
+            material.specular = new THREE.Color(0x333333);
+        });
+    }
+    if (textures.nightMap) {
+        loadTexture(textures.nightMap, { color: true }).then(texture => {
+            if (!texture) return;
+            replaceMap(material, 'emissiveMap', texture);
+            material.emissive = new THREE.Color(0xffffff);
+            applyNightSideEmission(material);
+        });
+    }
+    if (textures.cloudsMap && clouds) {
+        loadTexture(textures.cloudsMap).then(texture => {
+            if (!texture) return;
+            // Cloud maps are usually greyscale: use them as the alpha channel
+            replaceMap(clouds, 'alphaMap', texture);
+            replaceMap(clouds, 'map', null);
+        });
+    }
+
+    return { material, clouds };
+}
+
+function replaceMap(material, slot, texture) {
+    if (material[slot]) {
+        material[slot].dispose();
+    }
+    material[slot] = texture;
+    material.needsUpdate = true;
+}
+
+// Limit a material's emission (city lights) to the side facing away from the Sun.
+// The Sun sits at the scene origin; its view-space position is updated every frame
+// through material.userData.sunViewPosition (see updateSunViewPosition).
+export function applyNightSideEmission(material) {
+    if (material.userData.sunViewPosition) return;
+
+    const sunViewPosition = { value: new THREE.Vector3() };
+    material.userData.sunViewPosition = sunViewPosition;
+    material.onBeforeCompile = shader => {
+        shader.uniforms.sunViewPosition = sunViewPosition;
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', '#include <common>\nuniform vec3 sunViewPosition;')
+            .replace(
+                '#include <emissivemap_fragment>',
+                [
+                    '#include <emissivemap_fragment>',
+                    'float daylight = dot( normal, normalize( sunViewPosition + vViewPosition ) );',
+                    'totalEmissiveRadiance *= smoothstep( 0.15, -0.15, daylight );'
+                ].join('\n')
+            );
+    };
+    material.needsUpdate = true;
+}
+
+export function updateSunViewPosition(material, camera) {
+    if (material.userData.sunViewPosition) {
+        material.userData.sunViewPosition.value.set(0, 0, 0).applyMatrix4(camera.matrixWorldInverse);
+    }
+}
+
+// Fresnel rim glow on a back-facing shell slightly larger than the body
+export function createAtmosphere(radius, { color, intensity }) {
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            glowColor: { value: new THREE.Color(color) },
+            intensity: { value: intensity }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            varying vec3 vViewDirection;
+            void main() {
+                vec4 viewPosition = modelViewMatrix * vec4(position, 1.0);
+                vNormal = normalize(normalMatrix * normal);
+                vViewDirection = normalize(-viewPosition.xyz);
+                gl_Position = projectionMatrix * viewPosition;
+            }
+        `,
+        fragmentShader: `
+            uniform vec3 glowColor;
+            uniform float intensity;
+            varying vec3 vNormal;
+            varying vec3 vViewDirection;
+            void main() {
+                float rim = pow(1.0 - abs(dot(vNormal, vViewDirection)), 3.0);
+                gl_FragColor = vec4(glowColor, rim * intensity);
+            }
+        `,
+        side: THREE.BackSide,
+        transparent: true,
+        depthWrite: false,
+        blending: THREE.AdditiveBlending
+    });
+
+    return new THREE.Mesh(new THREE.SphereGeometry(radius * 1.08, 64, 64), material);
+}
+
+// Flat ring system in the equatorial plane of an untilted body; radii in scene units
+export function createRings(bodyRadius, rings, name) {
+    const innerRadius = bodyRadius * rings.innerRadius;
+    const outerRadius = bodyRadius * rings.outerRadius;
+    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, 128, 1);
+
+    // RingGeometry's UVs are planar; remap u to run from the inner to the outer edge
+    const position = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < position.count; i++) {
+        const radius = Math.hypot(position.getX(i), position.getY(i));
+        uv.setXY(i, (radius - innerRadius) / (outerRadius - innerRadius), 0.5);
+    }
+
+    const material = new THREE.MeshPhongMaterial({
+        map: canvasTexture(createRingCanvas({ color: rings.color, name })),
+        transparent: true,
+        opacity: rings.opacity,
+        side: THREE.DoubleSide,
+        depthWrite: false
+    });
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.rotation.x = -Math.PI / 2;
+    return mesh;
+}
+
+// Animated granulation with limb darkening; advance uniforms.time every frame
+export function createSunMaterial(color) {
+    return new THREE.ShaderMaterial({
+        uniforms: {
+            time: { value: 0 },
+            baseColor: { value: new THREE.Color(color) }
+        },
+        vertexShader: `
+            varying vec3 vNormal;
+            varying vec3 vPosition;
+            void main() {
+                vNormal = normalize(normalMatrix * normal);
+                vPosition = normalize(position);
+                gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+            }
+        `,
+        fragmentShader: `
+            uniform float time;
+            uniform vec3 baseColor;
+            varying vec3 vNormal;
+            varying vec3 vPosition;
+
+            float hash(vec3 p) {
+                p = fract(p * 0.3183099 + 0.1);
+                p *= 17.0;
+                return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+            }
+
+            float noise(vec3 p) {
+                vec3 i = floor(p);
+                vec3 f = fract(p);
+                f = f * f * (3.0 - 2.0 * f);
+                return mix(
+                    mix(mix(hash(i), hash(i + vec3(1, 0, 0)), f.x), mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+                    mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x), mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y),
+                    f.z
+                );
+            }
+
+            void main() {
+                vec3 p = vPosition * 6.0;
+                float granules = noise(p + time * 0.3) * 0.5 + noise(p * 2.0 - time * 0.2) * 0.3 + noise(p * 4.0 + time * 0.5) * 0.2;
+                float limb = pow(max(dot(vNormal, vec3(0.0, 0.0, 1.0)), 0.0), 0.4);
+                vec3 hot = mix(baseColor, vec3(1.0), 0.35);
+                vec3 cool = baseColor * vec3(1.0, 0.55, 0.2);
+                vec3 surface = mix(cool, hot, granules);
+                gl_FragColor = vec4(surface * (0.55 + 0.45 * limb), 1.0);
+            }
+        `
+    });
+}
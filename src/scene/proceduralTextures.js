@@ -0,0 +1,255 @@
+// Procedurally generated surface textures, used when a body has no texture maps.
+// Every texture is an equirectangular canvas sampled from 3D noise on the unit sphere,
+// so there is no seam at the date line and no pinching at the poles. Generation is
+// seeded from the body name, so a body looks the same on every load.
+
+export const PROCEDURAL_SURFACES = ['rocky', 'cratered', 'terrestrial', 'banded', 'ice-giant'];
+
+// { map, emissiveMap?, cloudsMap? } canvases for a surface style
+export function createSurfaceCanvases({ surface, color, name, width = 512, clouds = false }) {
+    const height = width / 2;
+    const noise = createNoise(hashString(name));
+    const base = colorToRgb(color);
+
+    const canvases = {
+        map: paint(width, height, (point, latitude) => SURFACE_PAINTERS[surface](point, latitude, base, noise))
+    };
+
+    if (surface === 'cratered') {
+        addCraters(canvases.map, noise, base);
+    }
+    if (surface === 'terrestrial') {
+        canvases.emissiveMap = paint(width, height, (point, latitude) => cityLights(point, latitude, noise));
+    }
+    if (clouds) {
+        canvases.cloudsMap = paint(width, height, point => cloudCover(point, noise));
+    }
+    return canvases;
+}
+
+// Radial band texture for a ring system: x runs from the inner to the outer edge
+export function createRingCanvas({ color, name, width = 512 }) {
+    const noise = createNoise(hashString(`${name} rings`));
+    const base = colorToRgb(color);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = 1;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, 1);
+
+    for (let x = 0; x < width; x++) {
+        const t = x / (width - 1);
+        const bands = fbm(noise, t * 40, 0.5, 0.5, 3);
+        // Fade in and out at the edges, with a Cassini-like gap two thirds of the way out
+        const edge = smoothstep(0, 0.05, t) * smoothstep(1, 0.9, t);
+        const gap = 1 - 0.85 * Math.exp(-Math.pow((t - 0.66) / 0.02, 2));
+        const shade = 0.6 + 0.5 * bands;
+        const offset = x * 4;
+        image.data[offset] = clampByte(base[0] * shade);
+        image.data[offset + 1] = clampByte(base[1] * shade);
+        image.data[offset + 2] = clampByte(base[2] * shade);
+        image.data[offset + 3] = clampByte(255 * edge * gap * (0.4 + 0.6 * bands));
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// Each painter returns [r, g, b, a?] for a point on the unit sphere
+const SURFACE_PAINTERS = {
+    rocky(point, latitude, base, noise) {
+        const n = fbm(noise, point.x * 3, point.y * 3, point.z * 3, 5);
+        return shadeRgb(base, 0.7 + 0.6 * n);
+    },
+
+    cratered(point, latitude, base, noise) {
+        const n = fbm(noise, point.x * 4, point.y * 4, point.z * 4, 5);
+        const maria = smoothstep(0.55, 0.65, fbm(noise, point.x * 1.5 + 7, point.y * 1.5, point.z * 1.5, 3));
+        return shadeRgb(base, (0.75 + 0.5 * n) * (1 - 0.25 * maria));
+    },
+
+    terrestrial(point, latitude, base, noise) {
+        const elevation = fbm(noise, point.x * 2, point.y * 2, point.z * 2, 6);
+        const polar = smoothstep(0.75, 0.9, Math.abs(latitude) / (Math.PI / 2) + 0.1 * elevation);
+        if (polar > 0.5) return [235, 240, 245];
+        if (elevation < 0.52) {
+            // Ocean: the catalog color, deeper further from the coast
+            return shadeRgb(base, 0.6 + 0.6 * elevation);
+        }
+        // Land: green lowlands to brown highlands
+        const height = smoothstep(0.52, 0.75, elevation);
+        return mixRgb([70, 120, 50], [140, 110, 70], height);
+    },
+
+    banded(point, latitude, base, noise) {
+        // Bands follow latitude, bent by turbulence
+        const turbulence = fbm(noise, point.x * 3, point.y * 3, point.z * 3, 4);
+        const band = Math.sin(latitude * 14 + turbulence * 3) * 0.5 + 0.5;
+        const detail = fbm(noise, point.x * 12, point.y * 12, point.z * 12, 3);
+        const light = mixRgb(base, [250, 240, 220], 0.45);
+        const dark = shadeRgb(base, 0.6);
+        return shadeRgb(mixRgb(dark, light, band), 0.85 + 0.3 * detail);
+    },
+
+    'ice-giant'(point, latitude, base, noise) {
+        // Smooth latitude gradient with faint bands
+        const gradient = 0.85 + 0.2 * Math.cos(latitude * 2);
+        const bands = 0.04 * Math.sin(latitude * 10 + fbm(noise, point.x * 2, point.y * 2, point.z * 2, 3) * 2);
+        // Soften saturated catalog colors towards a hazy pastel
+        return shadeRgb(mixRgb(base, [200, 210, 215], 0.3), gradient + bands);
+    }
+};
+
+// Lights on the land, away from the polar ice
+function cityLights(point, latitude, noise) {
+    const elevation = fbm(noise, point.x * 2, point.y * 2, point.z * 2, 6);
+    if (elevation < 0.54 || Math.abs(latitude) > 1.1) return [0, 0, 0];
+    const cities = smoothstep(0.62, 0.72, fbm(noise, point.x * 20 + 3, point.y * 20, point.z * 20, 2));
+    return [255 * cities, 200 * cities, 120 * cities];
+}
+
+function cloudCover(point, noise) {
+    const n = fbm(noise, point.x * 3 + 11, point.y * 6, point.z * 3, 5);
+    const alpha = smoothstep(0.45, 0.7, n);
+    return [255, 255, 255, 255 * alpha];
+}
+
+// Craters: darker floors with a bright rim, placed by the seeded noise
+function addCraters(canvas, noise, base) {
+    const context = canvas.getContext('2d');
+    const count = Math.round(canvas.width / 4);
+    for (let i = 0; i < count; i++) {
+        const x = noise.random() * canvas.width;
+        const y = canvas.height * (0.1 + 0.8 * noise.random());
+        const radius = Math.pow(noise.random(), 3) * canvas.width * 0.02 + 1;
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fillStyle = `rgba(${shadeRgb(base, 0.55).join(',')}, 0.5)`;
+        context.fill();
+        context.lineWidth = Math.max(1, radius * 0.2);
+        context.strokeStyle = `rgba(${shadeRgb(base, 1.3).join(',')}, 0.4)`;
+        context.stroke();
+    }
+}
+
+// Fill an equirectangular canvas; painter(point, latitude) returns [r, g, b, a?]
+function paint(width, height, painter) {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(width, height);
+
+    for (let y = 0; y < height; y++) {
+        const latitude = Math.PI / 2 - (y + 0.5) / height * Math.PI;
+        const cosLatitude = Math.cos(latitude);
+        for (let x = 0; x < width; x++) {
+            const longitude = (x + 0.5) / width * Math.PI * 2;
+            const point = {
+                x: cosLatitude * Math.cos(longitude),
+                y: Math.sin(latitude),
+                z: cosLatitude * Math.sin(longitude)
+            };
+            const [r, g, b, a = 255] = painter(point, latitude);
+            const offset = (y * width + x) * 4;
+            image.data[offset] = clampByte(r);
+            image.data[offset + 1] = clampByte(g);
+            image.data[offset + 2] = clampByte(b);
+            image.data[offset + 3] = clampByte(a);
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// Seeded 3D value noise in [0, 1], plus a random() stream from the same seed
+function createNoise(seed) {
+    let state = seed || 1;
+    const random = () => {
+        // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        return (state >>> 0) / 4294967296;
+    };
+
+    const size = 256;
+    const values = Array.from({ length: size }, random);
+    const permutation = Array.from({ length: size }, (_, i) => i);
+    for (let i = size - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    const lattice = (x, y, z) => values[permutation[(permutation[(permutation[x & 255] + y) & 255] + z) & 255]];
+
+    const sample = (x, y, z) => {
+        const xi = Math.floor(x);
+        const yi = Math.floor(y);
+        const zi = Math.floor(z);
+        const u = fade(x - xi);
+        const v = fade(y - yi);
+        const w = fade(z - zi);
+
+        const x0 = lerp(lattice(xi, yi, zi), lattice(xi + 1, yi, zi), u);
+        const x1 = lerp(lattice(xi, yi + 1, zi), lattice(xi + 1, yi + 1, zi), u);
+        const x2 = lerp(lattice(xi, yi, zi + 1), lattice(xi + 1, yi, zi + 1), u);
+        const x3 = lerp(lattice(xi, yi + 1, zi + 1), lattice(xi + 1, yi + 1, zi + 1), u);
+        return lerp(lerp(x0, x1, v), lerp(x2, x3, v), w);
+    };
+
+    return { sample, random };
+}
+
+// Fractal sum of octaves, normalized back to [0, 1]
+function fbm(noise, x, y, z, octaves) {
+    let sum = 0;
+    let amplitude = 0.5;
+    let frequency = 1;
+    let total = 0;
+    for (let octave = 0; octave < octaves; octave++) {
+        sum += noise.sample(x * frequency, y * frequency, z * frequency) * amplitude;
+        total += amplitude;
+        amplitude *= 0.5;
+        frequency *= 2;
+    }
+    return sum / total;
+}
+
+function hashString(text) {
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+function colorToRgb(color) {
+    return [(color >> 16) & 255, (color >> 8) & 255, color & 255];
+}
+
+function shadeRgb(rgb, factor) {
+    return rgb.map(channel => channel * factor);
+}
+
+function mixRgb(a, b, t) {
+    return a.map((channel, i) => channel + (b[i] - channel) * t);
+}
+
+function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+}
+
+function fade(t) {
+    return t * t * (3 - 2 * t);
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function smoothstep(edge0, edge1, x) {
+    const t = Math.max(0, Math.min(1, (x - edge0) / (edge1 - edge0)));
+    return t * t * (3 - 2 * t);
+}
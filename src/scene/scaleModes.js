@@ -0,0 +1,67 @@
+// Layouts for the three scale modes. Pure functions: given the catalog bodies and a mode,
+// return the displayed radius and orbit size (in scene units) of every body and moon.
+//   compressed:  the catalog's illustrative radius and distance values
+//   logarithmic: catalog radii, orbit sizes on a log scale of the real semi-major axis
+//   true:        real radii and distances, all on the same scale
+
+export const AU_KM = 149597870.7;
+export const TRUE_SCALE_UNITS_PER_AU = 10;
+
+// Shown as the 'scale.<id>' message (src/i18n/messages.js)
+export const SCALE_MODES = [
+    { id: 'compressed' },
+    { id: 'logarithmic' },
+    { id: 'true' }
+];
+
+// Semi-major axis (AU) that maps to the start of the log curve; keeps inner planets apart
+const LOG_REFERENCE_AU = 0.1;
+
+function kmToTrueScale(km) {
+    return km / AU_KM * TRUE_SCALE_UNITS_PER_AU;
+}
+
+// Returns [{ radius, distance, moons: [{ radius, distance }] }] in catalog order.
+// distance is the scene-unit semi-major axis (0 for the star).
+export function computeLayout(bodies, mode) {
+    const orbiting = bodies.filter(body => body.orbit);
+    const maxDistance = Math.max(1, ...orbiting.map(body => body.distance));
+    const maxLogAxis = Math.log10(1 + Math.max(LOG_REFERENCE_AU, ...orbiting.map(body => body.orbit.semiMajorAxis)) / LOG_REFERENCE_AU);
+
+    return bodies.map(body => {
+        const axisAu = body.orbit ? body.orbit.semiMajorAxis : 0;
+
+        switch (mode) {
+            case 'logarithmic':
+                return {
+                    radius: body.radius,
+                    distance: body.orbit ? maxDistance * Math.log10(1 + axisAu / LOG_REFERENCE_AU) / maxLogAxis : 0,
+                    moons: body.moons.map(moon => ({ radius: moon.radius, distance: moon.distance }))
+                };
+            case 'true':
+                return {
+                    radius: kmToTrueScale(body.radiusKm),
+                    distance: axisAu * TRUE_SCALE_UNITS_PER_AU,
+                    moons: body.moons.map(moon => ({
+                        radius: kmToTrueScale(moon.radiusKm),
+                        distance: kmToTrueScale(moon.semiMajorAxisKm)
+                    }))
+                };
+            case 'compressed':
+            default:
+                return {
+                    radius: body.radius,
+                    distance: body.orbit ? body.distance : 0,
+                    moons: body.moons.map(moon => ({ radius: moon.radius, distance: moon.distance }))
+                };
+        }
+    });
+}
+
+// Interpolate sizes geometrically so transitions spanning orders of magnitude look even
+export function interpolateSize(from, to, t) {
+    if (from <= 0 || to <= 0) {
+        return from + (to - from) * t;
+    }
+    return Math.exp(Math.log(from) + (Math.log(to) - Math.log(from)) * t);
+}
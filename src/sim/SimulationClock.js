@@ -0,0 +1,90 @@
+// Simulation date advanced by real elapsed time, so motion is independent of frame rate.
+// Supports pause/resume, reverse, speed presets and jumping to a date.
+
+import { MS_PER_DAY } from './ephemeris.js';
+
+export const SPEED_PRESETS = [
+    { id: 'day', label: '1 day/s', daysPerSecond: 1 },
+    { id: 'month', label: '1 month/s', daysPerSecond: 365.25 / 12 },
+    { id: 'year', label: '1 year/s', daysPerSecond: 365.25 }
+];
+
+export class SimulationClock {
+    constructor({ date = Date.now(), speedIndex = 1 } = {}) {
+        this.date = date; // Milliseconds since the Unix epoch
+        this.speedIndex = speedIndex; // Index into SPEED_PRESETS
+        this.direction = 1; // 1 = forward, -1 = reverse
+        this.isPaused = false;
+    }
+
+    // Simulated days per real second, signed by direction; 0 while paused
+    get daysPerSecond() {
+        if (this.isPaused) return 0;
+        return this.direction * SPEED_PRESETS[this.speedIndex].daysPerSecond;
+    }
+
+    get speedLabel() {
+        return SPEED_PRESETS[this.speedIndex].label;
+    }
+
+    // Advance by real elapsed seconds; returns the simulated days that passed
+    advance(realSeconds) {
+        const simDays = realSeconds * this.daysPerSecond;
+        this.date += simDays * MS_PER_DAY;
+        return simDays;
+    }
+
+    getDate() {
+        return new Date(this.date);
+    }
+
+    pause() {
+        this.isPaused = true;
+    }
+
+    resume() {
+        this.isPaused = false;
+    }
+
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        return this.isPaused;
+    }
+
+    reverse() {
+        this.direction = -this.direction;
+        return this.direction;
+    }
+
+    // Returns false when already at the requested preset
+    setSpeedIndex(index) {
+        const clamped = Math.max(0, Math.min(SPEED_PRESETS.length - 1, index));
+        if (clamped === this.speedIndex) return false;
+
+        this.speedIndex = clamped;
+        return true;
+    }
+
+    faster() {
+        return this.setSpeedIndex(this.speedIndex + 1);
+    }
+
+    slower() {
+        return this.setSpeedIndex(this.speedIndex - 1);
+    }
+
+    // Step through the presets, wrapping from the fastest back to the slowest
+    cycleSpeed() {
+        this.speedIndex = (this.speedIndex + 1) % SPEED_PRESETS.length;
+        return this.speedIndex;
+    }
+
+    // date: Date, ISO string or milliseconds since the Unix epoch
+    jumpTo(date) {
+        const time = date instanceof Date ? date.getTime() : typeof date === 'string' ? Date.parse(date) : date;
+        if (typeof time !== 'number' || Number.isNaN(time)) {
+            throw new Error(`Invalid simulation date: ${date}`);
+        }
+        this.date = time;
+    }
+}
@@ -0,0 +1,72 @@
+// Keplerian orbit positions from classical orbital elements.
+// Pure math with no Three.js dependency: positions are heliocentric ecliptic
+// coordinates (x toward the vernal equinox, z toward ecliptic north) in the
+// same length unit as the semi-major axis.
+
+export const MS_PER_DAY = 86400000;
+export const J2000 = Date.UTC(2000, 0, 1, 12); // 2000-01-01 12:00 UTC
+
+const DEG_TO_RAD = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+// Solve Kepler's equation M = E - e sin E for the eccentric anomaly E (Newton's method)
+export function solveKepler(meanAnomaly, eccentricity, tolerance = 1e-10) {
+    const M = ((meanAnomaly % TWO_PI) + TWO_PI) % TWO_PI;
+    let E = eccentricity < 0.8 ? M : Math.PI;
+
+    for (let i = 0; i < 50; i++) {
+        const step = (E - eccentricity * Math.sin(E) - M) / (1 - eccentricity * Math.cos(E));
+        E -= step;
+        if (Math.abs(step) < tolerance) break;
+    }
+    return E;
+}
+
+// Mean anomaly (radians) at a date given in milliseconds since the Unix epoch
+export function meanAnomalyAt(orbit, periodDays, dateMs) {
+    const daysSinceEpoch = (dateMs - orbit.epoch) / MS_PER_DAY;
+    return orbit.meanAnomalyAtEpoch * DEG_TO_RAD + TWO_PI * daysSinceEpoch / periodDays;
+}
+
+// Position on the orbit for a given eccentric anomaly
+export function positionFromEccentricAnomaly(orbit, eccentricAnomaly) {
+    const a = orbit.semiMajorAxis;
+    const e = orbit.eccentricity;
+
+    // Position in the orbital plane, x toward perihelion
+    const xOrbit = a * (Math.cos(eccentricAnomaly) - e);
+    const yOrbit = a * Math.sqrt(1 - e * e) * Math.sin(eccentricAnomaly);
+
+    // Rotate by argument of perihelion, inclination and longitude of the ascending node
+    const w = orbit.argumentOfPerihelion * DEG_TO_RAD;
+    const i = orbit.inclination * DEG_TO_RAD;
+    const node = orbit.longitudeOfAscendingNode * DEG_TO_RAD;
+
+    const cosW = Math.cos(w);
+    const sinW = Math.sin(w);
+    const cosI = Math.cos(i);
+    const sinI = Math.sin(i);
+    const cosNode = Math.cos(node);
+    const sinNode = Math.sin(node);
+
+    return {
+        x: (cosNode * cosW - sinNode * sinW * cosI) * xOrbit + (-cosNode * sinW - sinNode * cosW * cosI) * yOrbit,
+        y: (sinNode * cosW + cosNode * sinW * cosI) * xOrbit + (-sinNode * sinW + cosNode * cosW * cosI) * yOrbit,
+        z: (sinW * sinI) * xOrbit + (cosW * sinI) * yOrbit
+    };
+}
+
+// Heliocentric position at a date (milliseconds since the Unix epoch)
+export function orbitalPosition(orbit, periodDays, dateMs) {
+    const eccentricAnomaly = solveKepler(meanAnomalyAt(orbit, periodDays, dateMs), orbit.eccentricity);
+    return positionFromEccentricAnomaly(orbit, eccentricAnomaly);
+}
+
+// Evenly spaced points around the full orbit, for drawing the orbit path
+export function orbitPath(orbit, segments = 256) {
+    const points = [];
+    for (let i = 0; i < segments; i++) {
+        points.push(positionFromEccentricAnomaly(orbit, TWO_PI * i / segments));
+    }
+    return points;
+}
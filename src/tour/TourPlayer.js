@@ -0,0 +1,109 @@
+// Steps through a validated tour (see tourScript.js): each step is shown for its duration,
+// then the next one starts. Pausing freezes the step timer; skipping and rewinding jump
+// between steps. Applying a step to the scene and overlay is left to onStep.
+
+const NOOP = () => {};
+
+export class TourPlayer {
+    // onStep(step, index) shows a step; onEnd() runs once when the tour finishes or is stopped.
+    // now: clock in milliseconds, replaceable for tests.
+    constructor({ tour, onStep = NOOP, onEnd = NOOP, now = () => Date.now() }) {
+        this.tour = tour;
+        this.onStep = onStep;
+        this.onEnd = onEnd;
+        this.now = now;
+
+        this.index = -1; // Current step, -1 when not playing
+        this.isPaused = false;
+        this.stepStart = 0;
+        this.pausedElapsed = 0; // Milliseconds into the step when it was paused
+        this.rewindRestartTime = 2000; // Rewinding later than this into a step restarts it instead
+    }
+
+    get isPlaying() {
+        return this.index >= 0;
+    }
+
+    get step() {
+        return this.isPlaying ? this.tour.steps[this.index] : null;
+    }
+
+    get stepCount() {
+        return this.tour.steps.length;
+    }
+
+    // Milliseconds into the current step
+    get elapsed() {
+        return this.isPaused ? this.pausedElapsed : this.now() - this.stepStart;
+    }
+
+    start() {
+        this.isPaused = false;
+        this.goTo(0);
+    }
+
+    // Show a step; going past either end stops the tour
+    goTo(index) {
+        if (index < 0 || index >= this.stepCount) {
+            this.stop();
+            return false;
+        }
+
+        this.index = index;
+        this.stepStart = this.now();
+        this.pausedElapsed = 0;
+        this.onStep(this.step, index);
+        return true;
+    }
+
+    next() {
+        if (!this.isPlaying) return false;
+        return this.goTo(this.index + 1);
+    }
+
+    // Back to the start of the current step, or to the previous step if this one just began
+    previous() {
+        if (!this.isPlaying) return false;
+
+        const index = this.elapsed > this.rewindRestartTime ? this.index : Math.max(this.index - 1, 0);
+        return this.goTo(index);
+    }
+
+    pause() {
+        if (!this.isPlaying || this.isPaused) return false;
+
+        this.pausedElapsed = this.elapsed;
+        this.isPaused = true;
+        return true;
+    }
+
+    resume() {
+        if (!this.isPlaying || !this.isPaused) return false;
+
+        this.stepStart = this.now() - this.pausedElapsed;
+        this.isPaused = false;
+        return true;
+    }
+
+    togglePause() {
+        return this.isPaused ? this.resume() : this.pause();
+    }
+
+    stop() {
+        if (!this.isPlaying) return false;
+
+        this.index = -1;
+        this.isPaused = false;
+        this.onEnd();
+        return true;
+    }
+
+    // Call once per frame: moves on when the current step's time is up
+    update() {
+        if (!this.isPlaying || this.isPaused) return;
+
+        if (this.elapsed >= this.step.duration * 1000) {
+            this.next();
+        }
+    }
+}
@@ -0,0 +1,167 @@
+// Loads and validates guided tour scripts (data/tours/*.json).
+// A tour is a list of timed steps, each focusing a body from a given camera angle with a
+// caption; see the README under "Guided Tours". Validation errors name the offending
+// field, e.g. "steps[2].target", like catalog errors do.
+
+import { DETAIL_KEYS, detailPageCount, detailPageIndex, findBody } from '../scene/catalog.js';
+import { SPEED_PRESETS } from '../sim/SimulationClock.js';
+
+export const TIME_SPEEDS = [...SPEED_PRESETS.map(preset => preset.label), 'paused'];
+
+export class TourError extends Error {
+    constructor(path, message) {
+        super(`${path}: ${message}`);
+        this.name = 'TourError';
+        this.path = path;
+    }
+}
+
+function expectObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new TourError(path, 'must be an object');
+    }
+}
+
+function expectString(value, path) {
+    if (typeof value !== 'string' || value.trim() === '') {
+        throw new TourError(path, 'must be a non-empty string');
+    }
+}
+
+function expectNumber(value, path, { min = -Infinity, exclusiveMin = false } = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new TourError(path, 'must be a number');
+    }
+    if (exclusiveMin ? value <= min : value < min) {
+        throw new TourError(path, `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}, got ${value}`);
+    }
+}
+
+// Camera offset from the target: distance in multiples of the body's radius (so it holds
+// in every scale mode), azimuth and elevation in degrees. Missing values keep the standard view.
+function validateCamera(camera, path) {
+    if (camera === undefined) return null;
+    expectObject(camera, path);
+
+    const validated = {};
+    if (camera.distance !== undefined) {
+        expectNumber(camera.distance, `${path}.distance`, { min: 1, exclusiveMin: true });
+        validated.distance = camera.distance;
+    }
+    if (camera.azimuth !== undefined) {
+        expectNumber(camera.azimuth, `${path}.azimuth`);
+        validated.azimuth = camera.azimuth;
+    }
+    if (camera.elevation !== undefined) {
+        expectNumber(camera.elevation, `${path}.elevation`);
+        if (Math.abs(camera.elevation) >= 90) {
+            throw new TourError(`${path}.elevation`, `must be between -90 and 90, got ${camera.elevation}`);
+        }
+        validated.elevation = camera.elevation;
+    }
+    return validated;
+}
+
+// Resolve a body or moon name to { planetIndex, moonIndex } (moonIndex -1 for the body itself)
+function resolveTarget(name, bodies, path) {
+    expectString(name, path);
+    const target = findBody(bodies, name);
+    if (!target) {
+        throw new TourError(path, `unknown body "${name}"`);
+    }
+    return target;
+}
+
+// The catalog entry of a resolved target
+function targetBody(bodies, { planetIndex, moonIndex }) {
+    const planet = bodies[planetIndex];
+    return moonIndex >= 0 ? planet.moons[moonIndex] : planet;
+}
+
+// A detail level name or a page number from 1, up to the target's pages, as a page index
+function validateDetail(detail, body, path) {
+    if (detail === undefined) return 0;
+
+    const pageCount = detailPageCount(body);
+    if (typeof detail === 'number') {
+        if (!Number.isInteger(detail) || detail < 1 || detail > pageCount) {
+            throw new TourError(path, `must be a page number from 1 to ${pageCount} for ${body.name}, got ${detail}`);
+        }
+        return detail - 1;
+    }
+    const page = detailPageIndex(detail);
+    if (page < 0) {
+        throw new TourError(path, `must be one of ${DETAIL_KEYS.join(', ')} or a page number, got ${JSON.stringify(detail)}`);
+    }
+    if (page >= pageCount) {
+        throw new TourError(path, `${body.name}'s description stops at page ${pageCount}, before ${detail}`);
+    }
+    return page;
+}
+
+function validateStep(step, path, bodies) {
+    expectObject(step, path);
+    expectString(step.caption, `${path}.caption`);
+    expectNumber(step.duration, `${path}.duration`, { min: 0, exclusiveMin: true });
+
+    if (step.timeSpeed !== undefined && !TIME_SPEEDS.includes(step.timeSpeed)) {
+        throw new TourError(`${path}.timeSpeed`, `must be one of ${TIME_SPEEDS.join(', ')}, got ${JSON.stringify(step.timeSpeed)}`);
+    }
+
+    let date = null;
+    if (step.date !== undefined) {
+        expectString(step.date, `${path}.date`);
+        date = Date.parse(step.date);
+        if (Number.isNaN(date)) {
+            throw new TourError(`${path}.date`, `must be an ISO date, got ${JSON.stringify(step.date)}`);
+        }
+    }
+
+    const target = resolveTarget(step.target, bodies, `${path}.target`);
+    return {
+        target,
+        targetName: step.target,
+        camera: validateCamera(step.camera, `${path}.camera`),
+        detail: validateDetail(step.detail, targetBody(bodies, target), `${path}.detail`), // Page index
+        date, // Milliseconds since the Unix epoch, or null to keep the current date
+        timeSpeed: step.timeSpeed ?? null, // Speed preset label, 'paused' or null to keep the current speed
+        caption: step.caption,
+        duration: step.duration // Seconds
+    };
+}
+
+// Validate a parsed tour against the catalog bodies its steps refer to
+export function validateTour(tour, bodies) {
+    expectObject(tour, 'tour');
+    expectString(tour.name, 'name');
+    if (!Array.isArray(tour.steps)) {
+        throw new TourError('steps', 'must be an array');
+    }
+    if (tour.steps.length === 0) {
+        throw new TourError('steps', 'must contain at least one step');
+    }
+
+    return {
+        name: tour.name,
+        steps: tour.steps.map((step, index) => validateStep(step, `steps[${index}]`, bodies))
+    };
+}
+
+// Parse tour JSON text, e.g. from a dropped file
+export function parseTour(text, bodies) {
+    let tour;
+    try {
+        tour = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Tour is not valid JSON: ${error.message}`);
+    }
+    return validateTour(tour, bodies);
+}
+
+export async function loadTour(url, bodies) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load tour ${url}: HTTP ${response.status}`);
+    }
+    return parseTour(await response.text(), bodies);
+}
@@ -0,0 +1,146 @@
+// Settings panel for the gesture binding table: one row per gesture with the action it
+// runs and, where they apply, its minimum recognizer confidence, hold time and dial step. Saving
+// stores the table (BindingStore) and hands it to the interpreters. Trained gestures are
+// listed after the built-in ones under their own names.
+
+import {
+    BINDABLE_ACTIONS,
+    BINDING_LIMITS,
+    CONFIDENCE_KINDS,
+    GESTURES,
+    HOLD_KINDS,
+    STEP_KINDS,
+    gestureKinds
+} from '../gestures/gestureBindings.js';
+import { Localizer } from '../i18n/Localizer.js';
+
+export class BindingsPanel {
+    // onApply(bindings) is called with the sanitized table after saving or resetting
+    constructor({ store, onApply, localizer = new Localizer(), doc = document }) {
+        this.store = store;
+        this.onApply = onApply;
+        this.t = (key, params) => localizer.t(key, params);
+
+        this.element = doc.getElementById('bindings');
+        this.rowsElement = doc.getElementById('bindings-rows');
+        this.statusElement = doc.getElementById('bindings-status');
+        this.doc = doc;
+
+        doc.getElementById('bindings-save').addEventListener('click', () => this.save());
+        doc.getElementById('bindings-reset').addEventListener('click', () => this.reset());
+        doc.getElementById('bindings-close').addEventListener('click', () => this.close());
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    // Returns false if it was already open
+    open() {
+        if (this.isOpen) return false;
+
+        this.render(this.store.get());
+        this.statusElement.textContent = this.t('bindings.intro');
+        this.element.classList.remove('hidden');
+        return true;
+    }
+
+    close() {
+        this.element.classList.add('hidden');
+    }
+
+    // Built-in gestures have a message each; trained ones are shown by name
+    gestureLabel(gesture) {
+        return gesture in GESTURES ? this.t(`gesture.${gesture}`) : gesture;
+    }
+
+    render(bindings) {
+        const kinds = gestureKinds(this.store.customGestures);
+        this.rowsElement.replaceChildren(...Object.keys(bindings).map(gesture => {
+            const { kind } = kinds[gesture];
+            const binding = bindings[gesture];
+            const row = this.doc.createElement('tr');
+            row.dataset.gesture = gesture;
+
+            const label = this.doc.createElement('td');
+            label.textContent = this.gestureLabel(gesture);
+            row.appendChild(label);
+            row.appendChild(this.cell(this.actionSelect(binding.action, gesture)));
+            row.appendChild(this.cell(CONFIDENCE_KINDS.includes(kind)
+                ? this.numberInput('minConfidence', binding.minConfidence, BINDING_LIMITS.minConfidence, 0.05, this.t('bindings.profileDefault'))
+                : null));
+            row.appendChild(this.cell(HOLD_KINDS.includes(kind)
+                ? this.numberInput('holdMs', binding.holdMs, BINDING_LIMITS.holdMs, 100, '0')
+                : null));
+            row.appendChild(this.cell(STEP_KINDS.includes(kind)
+                ? this.numberInput('stepDegrees', binding.stepDegrees, BINDING_LIMITS.stepDegrees, 5, '')
+                : null));
+            return row;
+        }));
+    }
+
+    cell(content) {
+        const cell = this.doc.createElement('td');
+        if (content) {
+            cell.appendChild(content);
+        }
+        return cell;
+    }
+
+    actionSelect(action, gesture) {
+        const select = this.doc.createElement('select');
+        select.name = 'action';
+        select.setAttribute('aria-label', this.t('bindings.actionFor', { gesture: this.gestureLabel(gesture) }));
+        [{ value: '', label: this.t('bindings.none') }, ...BINDABLE_ACTIONS.map(value => ({ value, label: this.t(`action.${value}`) }))]
+            .forEach(({ value, label }) => {
+                const option = this.doc.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = value === (action || '');
+                select.appendChild(option);
+            });
+        return select;
+    }
+
+    numberInput(name, value, [min, max], step, placeholder) {
+        const input = this.doc.createElement('input');
+        input.type = 'number';
+        input.name = name;
+        input.min = min;
+        input.max = max;
+        input.step = step;
+        input.placeholder = placeholder;
+        input.value = value === null ? '' : value;
+        return input;
+    }
+
+    // The table as edited; empty or unreadable fields fall back to their defaults in the store
+    readForm() {
+        const bindings = {};
+        [...this.rowsElement.children].forEach(row => {
+            const field = name => row.querySelector(`[name="${name}"]`);
+            const number = name => (field(name) && field(name).value !== '' ? Number(field(name).value) : null);
+            bindings[row.dataset.gesture] = {
+                action: field('action').value || null,
+                minConfidence: number('minConfidence'),
+                holdMs: number('holdMs') ?? 0,
+                stepDegrees: number('stepDegrees')
+            };
+        });
+        return bindings;
+    }
+
+    save() {
+        const bindings = this.store.save(this.readForm());
+        this.onApply(bindings);
+        this.render(bindings);
+        this.statusElement.textContent = this.t('bindings.saved');
+    }
+
+    reset() {
+        const bindings = this.store.reset();
+        this.onApply(bindings);
+        this.render(bindings);
+        this.statusElement.textContent = this.t('bindings.resetDone');
+    }
+}
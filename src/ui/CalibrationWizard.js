@@ -0,0 +1,169 @@
+// Guided gesture calibration: walks the user through each gesture a few times, records
+// the hand landmarks, derives personal thresholds (gestureProfile.js) and saves them
+// as a named profile. Also lets the user switch between or delete saved profiles.
+
+import { CALIBRATION_STEPS, deriveThresholds } from '../gestures/gestureProfile.js';
+import { Localizer } from '../i18n/Localizer.js';
+
+const GET_READY_MS = 1500;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CalibrationWizard {
+    // onApply(profile) is called with { name, thresholds } when a profile is chosen or
+    // calibrated, and with null when switching back to the defaults
+    constructor({ store, onApply, localizer = new Localizer(), doc = document }) {
+        this.store = store;
+        this.onApply = onApply;
+        this.t = (key, params) => localizer.t(key, params);
+
+        this.element = doc.getElementById('calibration');
+        this.profileSelect = doc.getElementById('calibration-profile');
+        this.nameInput = doc.getElementById('calibration-name');
+        this.promptElement = doc.getElementById('calibration-prompt');
+        this.progressElement = doc.getElementById('calibration-progress');
+        this.startButton = doc.getElementById('calibration-start');
+        this.doc = doc;
+
+        this.isRunning = false;
+        this.capture = null; // Frames of the repetition being recorded
+        this.runId = 0;
+
+        this.startButton.addEventListener('click', () => this.start(this.nameInput.value));
+        doc.getElementById('calibration-use').addEventListener('click', () => this.useSelected());
+        doc.getElementById('calibration-delete').addEventListener('click', () => this.deleteSelected());
+        doc.getElementById('calibration-close').addEventListener('click', () => this.close());
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    // Returns false if it was already open
+    open() {
+        if (this.isOpen) return false;
+
+        this.refreshProfiles();
+        this.showPrompt(this.t('calibration.intro'), '');
+        this.element.classList.remove('hidden');
+        return true;
+    }
+
+    close() {
+        this.cancel();
+        this.element.classList.add('hidden');
+    }
+
+    refreshProfiles() {
+        const active = this.store.getActive();
+        this.profileSelect.innerHTML = '';
+        [{ value: '', label: this.t('calibration.defaultThresholds') }, ...this.store.names().map(name => ({ value: name, label: name }))]
+            .forEach(({ value, label }) => {
+                const option = this.doc.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = active ? value === active.name : value === '';
+                this.profileSelect.appendChild(option);
+            });
+    }
+
+    useSelected() {
+        const name = this.profileSelect.value || null;
+        if (!this.store.setActive(name)) return;
+
+        this.onApply(name ? this.store.get(name) : null);
+        this.showPrompt(name ? this.t('calibration.usingProfile', { name }) : this.t('calibration.usingDefaults'), '');
+    }
+
+    deleteSelected() {
+        const name = this.profileSelect.value;
+        if (!name) return;
+
+        const wasActive = this.store.getActive();
+        this.store.remove(name);
+        if (wasActive && wasActive.name === name) {
+            this.onApply(null);
+        }
+        this.refreshProfiles();
+        this.showPrompt(this.t('calibration.deleted', { name }), '');
+    }
+
+    // Called with every frame of recognizer output while the app runs
+    processFrame(results, timestamp) {
+        if (!this.capture || !results || !results.landmarks || results.landmarks.length === 0) return;
+
+        const gestures = results.gestures && results.gestures[0];
+        this.capture.push({
+            landmarks: results.landmarks[0],
+            gesture: gestures && gestures.length > 0 ? gestures[0] : null,
+            time: timestamp
+        });
+    }
+
+    async start(name) {
+        if (this.isRunning) return;
+        if (!name.trim()) {
+            this.showPrompt(this.t('calibration.enterName'), '');
+            this.nameInput.focus();
+            return;
+        }
+
+        this.isRunning = true;
+        this.startButton.disabled = true;
+        const runId = ++this.runId;
+        const recording = {};
+        let handFrames = 0;
+
+        for (const step of CALIBRATION_STEPS) {
+            recording[step.id] = [];
+            for (let repetition = 1; repetition <= step.repetitions; repetition++) {
+                const label = this.t('calibration.repetition', {
+                    prompt: this.t(`calibration.step.${step.id}`),
+                    repetition,
+                    count: step.repetitions
+                });
+                this.showPrompt(label, this.t('calibration.getReady'));
+                await wait(GET_READY_MS);
+                if (runId !== this.runId) return;
+
+                this.showPrompt(label, this.t('calibration.now'));
+                this.capture = [];
+                await wait(step.duration);
+                if (runId !== this.runId) return;
+
+                recording[step.id].push(this.capture);
+                handFrames += this.capture.length;
+                this.capture = null;
+            }
+        }
+
+        this.isRunning = false;
+        this.startButton.disabled = false;
+
+        if (handFrames === 0) {
+            this.showPrompt(this.t('calibration.noHand'), '');
+            return;
+        }
+
+        const profile = this.store.save(name, deriveThresholds(recording));
+        this.store.setActive(profile.name);
+        this.onApply(profile);
+        this.refreshProfiles();
+        this.showPrompt(this.t('calibration.saved', { name: profile.name }), '');
+    }
+
+    // Abandon a calibration in progress; nothing is saved
+    cancel() {
+        if (!this.isRunning) return;
+
+        this.runId++;
+        this.isRunning = false;
+        this.capture = null;
+        this.startButton.disabled = false;
+    }
+
+    showPrompt(prompt, progress) {
+        this.promptElement.textContent = prompt;
+        this.progressElement.textContent = progress;
+    }
+}
@@ -0,0 +1,201 @@
+// Developer view: webcam frame with the hand skeleton drawn on top, and a text panel
+// with the recognizer output and gesture state. Hidden unless turned on (?debug=on or D);
+// people using the app get the GestureHud instead. Landmarks come in view coordinates
+// (cameraView.js), so the frame is turned and mirrored the same way under them.
+
+import { HAND_CONNECTIONS, FINGER_TIPS, fingerTipCenter } from '../gestures/handLandmarks.js';
+import { createCameraView, viewMatrix } from '../gestures/cameraView.js';
+import { Localizer } from '../i18n/Localizer.js';
+
+const FINGER_COLORS = ['#0066FF', '#00FF00', '#FFFF00', '#FF8800', '#FF00FF'];
+const FINGERS = ['thumb', 'index', 'middle', 'ring', 'pinky'];
+
+export class DebugView {
+    constructor({ localizer = new Localizer(), doc = document, visible = false, view = createCameraView() } = {}) {
+        this.t = (key, params) => localizer.t(key, params);
+        this.view = view;
+        this.fingerLabels = FINGERS.map(finger => this.t(`debug.finger.${finger}`));
+
+        // Create canvas for hand tracking visualization
+        this.canvas = doc.createElement('canvas');
+        this.canvas.id = 'debug-canvas';
+        this.canvas.width = 640;
+        this.canvas.height = 480;
+        doc.body.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Create debug info panel
+        this.panel = doc.createElement('div');
+        this.panel.id = 'debug-panel';
+        this.panel.innerHTML = `<strong>${this.t('debug.title')}</strong><br>${this.t('debug.waiting')}`;
+        doc.body.appendChild(this.panel);
+        this.setVisible(visible);
+    }
+
+    setVisible(visible) {
+        this.isVisible = visible;
+        this.canvas.classList.toggle('hidden', !visible);
+        this.panel.classList.toggle('hidden', !visible);
+    }
+
+    // view: the camera view the landmarks were normalized with
+    setView(view) {
+        this.view = view;
+    }
+
+    // state: { results, detailLabel, bodyName, isLocked, interactionState, lastPalmPosition, now, webcamRunning, profileName }
+    updatePanel(state) {
+        if (!this.isVisible) return;
+
+        const { results } = state;
+        const { t } = this;
+        let debugInfo = `<strong>${t('debug.title')}</strong><br>`;
+
+        if (results) {
+            if (results.gestures && results.gestures.length > 0 && results.gestures[0].length > 0) {
+                const gesture = results.gestures[0][0];
+                debugInfo += `${t('debug.gesture', { name: gesture.categoryName })}<br>`;
+                debugInfo += `${t('debug.confidence', { value: (gesture.score * 100).toFixed(1) })}<br>`;
+            } else {
+                debugInfo += `${t('debug.noGesture')}<br>`;
+            }
+
+            if (results.landmarks && results.landmarks.length > 0) {
+                const handedness = results.handedness || results.handednesses || [];
+                const labels = results.landmarks.map((landmarks, index) => (
+                    handedness[index] && handedness[index][0] ? handedness[index][0].categoryName : '?'
+                ));
+                debugInfo += `${t('debug.hands', { count: results.landmarks.length, labels: labels.join(', ') })}<br>`;
+                debugInfo += `${t('debug.detail', { level: state.detailLabel })}<br>`;
+                debugInfo += `${t('debug.body', { name: state.bodyName || t('debug.unknownBody') })}<br>`;
+
+                // Show lock status and mode
+                debugInfo += `${t(state.isLocked ? 'debug.locked' : 'debug.unlocked')}<br>`;
+                debugInfo += `${t('debug.state', { state: state.interactionState })}<br>`;
+
+                // Show palm velocity for swipe detection
+                if (state.lastPalmPosition && results.landmarks[0][9]) {
+                    const palmCenter = results.landmarks[0][9];
+                    const deltaTime = state.now - state.lastPalmPosition.time;
+                    if (deltaTime > 0) {
+                        const deltaX = palmCenter.x - state.lastPalmPosition.x;
+                        const velocity = Math.abs(deltaX) / deltaTime;
+                        debugInfo += `${t('debug.palmVelocity', { value: velocity.toFixed(4) })}<br>`;
+                        debugInfo += `${t('debug.deltaX', { value: deltaX.toFixed(4) })}<br>`;
+                        debugInfo += `${t('debug.deltaTime', { value: deltaTime })}<br>`;
+                    }
+                }
+            } else {
+                debugInfo += `${t('debug.noHand')}<br>`;
+            }
+        } else {
+            debugInfo += `${t('debug.noResults')}<br>`;
+        }
+
+        debugInfo += `<br>${t(state.webcamRunning ? 'debug.webcamActive' : 'debug.webcamInactive')}`;
+        debugInfo += `<br>${t('debug.profile', { name: state.profileName || t('calibration.defaultThresholds') })}`;
+
+        this.panel.innerHTML = debugInfo;
+    }
+
+    drawHandLandmarks(results, video) {
+        if (!this.isVisible) return;
+
+        const { ctx, canvas } = this;
+
+        // Clear canvas
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        if (!results || !results.landmarks || results.landmarks.length === 0) {
+            return;
+        }
+
+        // Draw video frame (scaled down), in the landmarks' view
+        if (video) {
+            const { width, height } = canvas;
+            const [a, b, c, d, e, f] = viewMatrix(this.view);
+            ctx.save();
+            ctx.setTransform(a, b * height / width, c * width / height, d, e * width, f * height);
+            ctx.drawImage(video, 0, 0, width, height);
+            ctx.restore();
+        }
+
+        results.landmarks.forEach(landmarks => this.drawHand(landmarks));
+    }
+
+    drawHand(landmarks) {
+        const { ctx, canvas } = this;
+        if (!landmarks) return;
+
+        const toX = point => point.x * canvas.width;
+        const toY = point => point.y * canvas.height;
+
+        // Draw hand connections
+        ctx.strokeStyle = '#00FF00';
+        ctx.lineWidth = 2;
+        HAND_CONNECTIONS.forEach(([start, end]) => {
+            if (landmarks[start] && landmarks[end]) {
+                ctx.beginPath();
+                ctx.moveTo(toX(landmarks[start]), toY(landmarks[start]));
+                ctx.lineTo(toX(landmarks[end]), toY(landmarks[end]));
+                ctx.stroke();
+            }
+        });
+
+        // Draw all landmarks with default color
+        landmarks.forEach((landmark, index) => {
+            ctx.fillStyle = '#FF0000';
+            ctx.beginPath();
+            ctx.arc(toX(landmark), toY(landmark), 3, 0, 2 * Math.PI);
+            ctx.fill();
+
+            // Add landmark number for debugging
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = '10px Arial';
+            ctx.fillText(index.toString(), toX(landmark) + 5, toY(landmark) - 5);
+        });
+
+        // Highlight all five finger tips used for dial detection with special colors
+        const fingerTips = FINGER_TIPS.map(tip => landmarks[tip]);
+        if (fingerTips.some(tip => !tip)) return;
+
+        fingerTips.forEach((tip, index) => {
+            ctx.fillStyle = FINGER_COLORS[index];
+            ctx.beginPath();
+            ctx.arc(toX(tip), toY(tip), 8, 0, 2 * Math.PI);
+            ctx.fill();
+        });
+
+        // Dial center point - WHITE with black border
+        const center = fingerTipCenter(landmarks);
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.fillStyle = '#FFFFFF';
+        ctx.beginPath();
+        ctx.arc(toX(center), toY(center), 8, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.stroke();
+
+        // Dashed lines from center to each finger tip
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([5, 5]);
+        fingerTips.forEach(tip => {
+            ctx.beginPath();
+            ctx.moveTo(toX(center), toY(center));
+            ctx.lineTo(toX(tip), toY(tip));
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+
+        // Add labels for all five finger tips
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 10px Arial';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        fingerTips.forEach((tip, index) => {
+            ctx.strokeText(this.fingerLabels[index], toX(tip) + 10, toY(tip) - 10);
+            ctx.fillText(this.fingerLabels[index], toX(tip) + 10, toY(tip) - 10);
+        });
+    }
+}
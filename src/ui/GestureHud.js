@@ -0,0 +1,92 @@
+// Gesture feedback for the people using the app, in a corner of the 3D view: the mode the
+// hands are in, how close a swipe or the next dial detent is (the dial pulses as it passes
+// one), the cooldowns still running and a warning when the tracked hand drops out of view.
+// Fed every recognizer frame with HandGestureSource.feedback(); the rings fill like the
+// hand cursor's dwell ring.
+
+import { Localizer } from '../i18n/Localizer.js';
+
+const HAND_LOST_MS = 1000; // Missing this long after being seen, a hand counts as lost
+const SWIPE_ARROWS = { swipeRight: '→', swipeLeft: '←', swipeUp: '↑', swipeDown: '↓' };
+const COOLDOWNS = ['swipe', 'pose'];
+const DETENT_PULSE_MS = 150;
+
+const degrees = share => `${Math.round(share * 360)}deg`;
+
+export class GestureHud {
+    constructor({ localizer = new Localizer(), doc = document } = {}) {
+        this.t = (key, params) => localizer.t(key, params);
+        this.element = doc.getElementById('gesture-hud');
+        this.modeElement = doc.getElementById('hud-mode');
+        this.swipeElement = doc.getElementById('hud-swipe');
+        this.swipeArrowElement = doc.getElementById('hud-swipe-arrow');
+        this.dialElement = doc.getElementById('hud-dial');
+        this.handLostElement = doc.getElementById('hud-hand-lost');
+        this.cooldownElements = Object.fromEntries(COOLDOWNS.map(name => [name, doc.getElementById(`hud-cooldown-${name}`)]));
+
+        this.lastHandTime = null; // When a hand was last in view, null until the first one
+        this.modeKey = null;
+        this.lastDetentTime = 0;
+        this.pulseTime = null; // When the dial's detent pulse started
+    }
+
+    // feedback: HandGestureSource.feedback(); now: the frame's timestamp
+    update(feedback, now) {
+        this.element.classList.remove('hidden');
+
+        if (feedback.handCount > 0) {
+            this.lastHandTime = now;
+        }
+        const isHandLost = this.lastHandTime !== null && now - this.lastHandTime > HAND_LOST_MS;
+        this.handLostElement.classList.toggle('hidden', !isHandLost);
+        this.element.classList.toggle('hand-lost', isHandLost);
+
+        this.showMode(feedback);
+        this.showSwipe(feedback.swipe);
+        this.showDial(feedback, now);
+        COOLDOWNS.forEach(name => {
+            const remaining = feedback.cooldowns[name];
+            this.cooldownElements[name].style.setProperty('--progress', degrees(remaining));
+            this.cooldownElements[name].parentElement.classList.toggle('active', remaining > 0);
+        });
+    }
+
+    // The mode badge; its key is kept on the element so a language switch translates it too
+    showMode({ isLocked, isPointing }) {
+        let key = 'hud.unlocked';
+        if (isPointing) {
+            key = 'hud.pointing';
+        } else if (isLocked) {
+            key = 'hud.locked';
+        }
+        this.element.classList.toggle('locked', isLocked && !isPointing);
+        this.element.classList.toggle('pointing', isPointing);
+        if (key === this.modeKey) return;
+
+        this.modeKey = key;
+        this.modeElement.dataset.i18n = key;
+        this.modeElement.textContent = this.t(key);
+    }
+
+    // Progress to the next detent, mirrored for counter-clockwise turns
+    showDial({ dial, lastDetentTime }, now) {
+        this.dialElement.style.setProperty('--progress', degrees(Math.abs(dial)));
+        this.dialElement.classList.toggle('counter-clockwise', dial < 0);
+
+        if (lastDetentTime > this.lastDetentTime) {
+            this.lastDetentTime = lastDetentTime;
+            this.pulseTime = now;
+        }
+        const isPulsing = this.pulseTime !== null && now - this.pulseTime < DETENT_PULSE_MS;
+        this.dialElement.classList.toggle('detent', isPulsing);
+    }
+
+    // The arrow of the swipe under way, filling up as the hand nears swipe speed
+    showSwipe(swipe) {
+        this.swipeElement.classList.toggle('active', swipe !== null);
+        this.swipeElement.style.setProperty('--progress', `${Math.round((swipe ? swipe.progress : 0) * 100)}%`);
+        if (swipe) {
+            this.swipeArrowElement.textContent = SWIPE_ARROWS[swipe.gesture];
+        }
+    }
+}
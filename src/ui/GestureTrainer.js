@@ -0,0 +1,238 @@
+// Teaches the app new gestures: records samples of a named pose or motion from the
+// camera, adds them to the trained gesture set (GestureSetStore) and lets the set be
+// exported to a file and imported from one, so a team can share its gestures. What the
+// gestures do is set in the bindings panel.
+
+import {
+    MAX_NAME_LENGTH,
+    addSample,
+    gestureSetToJson,
+    mergeGestureSets,
+    normalizeFrame,
+    normalizeMotion,
+    parseGestureSet,
+    removeGesture,
+    trimMotion
+} from '../gestures/customGestures.js';
+import { GESTURES } from '../gestures/gestureBindings.js';
+import { isCompleteHand } from '../gestures/handLandmarks.js';
+import { Localizer } from '../i18n/Localizer.js';
+
+const GET_READY_MS = 1500;
+const POSE_RECORD_MS = 1000;
+const MOTION_RECORD_MS = 2500;
+const POSES_PER_RECORDING = 5; // Frames of one pose recording kept as samples
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class GestureTrainer {
+    // onChange(set) is called with the saved set after recording, deleting or importing;
+    // getBindings() gives the current binding table, exported along with the gestures
+    constructor({ store, onChange, getBindings = () => ({}), localizer = new Localizer(), doc = document }) {
+        this.store = store;
+        this.onChange = onChange;
+        this.getBindings = getBindings;
+        this.t = (key, params) => localizer.t(key, params);
+
+        this.element = doc.getElementById('training');
+        this.gestureSelect = doc.getElementById('training-gesture');
+        this.nameInput = doc.getElementById('training-name');
+        this.typeSelect = doc.getElementById('training-type');
+        this.promptElement = doc.getElementById('training-prompt');
+        this.progressElement = doc.getElementById('training-progress');
+        this.recordButton = doc.getElementById('training-record');
+        this.fileInput = doc.getElementById('training-file');
+        this.doc = doc;
+
+        this.isRunning = false;
+        this.capture = null; // Frames of the sample being recorded
+        this.runId = 0;
+
+        this.recordButton.addEventListener('click', () => this.record(this.nameInput.value.trim(), this.typeSelect.value));
+        this.gestureSelect.addEventListener('change', () => this.selectGesture());
+        doc.getElementById('training-delete').addEventListener('click', () => this.deleteSelected());
+        doc.getElementById('training-export').addEventListener('click', () => this.download());
+        doc.getElementById('training-import').addEventListener('click', () => this.fileInput.click());
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) {
+                file.text().then(text => this.importSet(text));
+            }
+        });
+        doc.getElementById('training-close').addEventListener('click', () => this.close());
+    }
+
+    get isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    // Returns false if it was already open
+    open() {
+        if (this.isOpen) return false;
+
+        this.refreshGestures();
+        this.showPrompt(this.t('training.intro'), '');
+        this.element.classList.remove('hidden');
+        return true;
+    }
+
+    close() {
+        this.cancel();
+        this.element.classList.add('hidden');
+    }
+
+    refreshGestures(selected = this.gestureSelect.value) {
+        this.gestureSelect.innerHTML = '';
+        [{ value: '', label: this.t('training.newGesture') }, ...this.store.get().gestures.map(({ name, type, samples }) => ({
+            value: name,
+            label: this.t('training.entry', { name, type: this.t(`training.${type}`), count: samples.length })
+        }))].forEach(({ value, label }) => {
+            const option = this.doc.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            option.selected = value === selected;
+            this.gestureSelect.appendChild(option);
+        });
+    }
+
+    // Picking a trained gesture fills in its name and type, ready for more samples
+    selectGesture() {
+        const gesture = this.store.get().gestures.find(({ name }) => name === this.gestureSelect.value);
+        this.nameInput.value = gesture ? gesture.name : '';
+        if (gesture) {
+            this.typeSelect.value = gesture.type;
+        }
+    }
+
+    deleteSelected() {
+        const name = this.gestureSelect.value;
+        if (!name) return;
+
+        this.apply(removeGesture(this.store.get(), name));
+        this.refreshGestures('');
+        this.nameInput.value = '';
+        this.showPrompt(this.t('training.deleted', { name }), '');
+    }
+
+    // Called with every frame of recognizer output while the app runs
+    processFrame(results, timestamp) {
+        if (!this.capture || !results || !results.landmarks || results.landmarks.length === 0) return;
+
+        this.capture.push({ landmarks: results.landmarks[0], time: timestamp });
+    }
+
+    async record(name, type) {
+        if (this.isRunning) return;
+        if (!name) {
+            this.showPrompt(this.t('training.enterName'), '');
+            this.nameInput.focus();
+            return;
+        }
+        if (name in GESTURES || name === 'None') {
+            this.showPrompt(this.t('training.builtIn', { name }), '');
+            return;
+        }
+        if (name.length > MAX_NAME_LENGTH) {
+            this.showPrompt(this.t('training.nameTooLong', { count: MAX_NAME_LENGTH }), '');
+            return;
+        }
+
+        this.isRunning = true;
+        this.recordButton.disabled = true;
+        const runId = ++this.runId;
+        const prompt = this.t(type === 'static' ? 'training.holdPose' : 'training.makeMotion', { name });
+
+        this.showPrompt(prompt, this.t('training.getReady'));
+        await wait(GET_READY_MS);
+        if (runId !== this.runId) return;
+
+        this.showPrompt(prompt, this.t('training.now'));
+        this.capture = [];
+        await wait(type === 'static' ? POSE_RECORD_MS : MOTION_RECORD_MS);
+        if (runId !== this.runId) return;
+
+        const frames = this.capture.filter(frame => isCompleteHand(frame.landmarks));
+        this.capture = null;
+        this.isRunning = false;
+        this.recordButton.disabled = false;
+
+        if (frames.length === 0) {
+            this.showPrompt(this.t('training.noHand'), '');
+            return;
+        }
+        const samples = type === 'static' ? this.poseSamples(frames) : this.motionSamples(frames);
+        if (samples.length === 0) {
+            this.showPrompt(this.t('training.noMotion'), '');
+            return;
+        }
+
+        const set = this.apply(samples.reduce((current, sample) => addSample(current, name, type, sample), this.store.get()));
+        const gesture = set.gestures.find(other => other.name === name);
+        this.refreshGestures(name);
+        this.showPrompt(this.t('training.saved', { name, count: gesture.samples.length }), this.t('training.more'));
+    }
+
+    // A few evenly spaced frames of the held pose
+    poseSamples(frames) {
+        const count = Math.min(POSES_PER_RECORDING, frames.length);
+        return Array.from({ length: count }, (unused, index) =>
+            normalizeFrame(frames[Math.floor(index * frames.length / count)].landmarks));
+    }
+
+    // The recorded motion without the stillness around it
+    motionSamples(frames) {
+        const motion = trimMotion(frames);
+        if (!motion || motion.durationMs <= 0) return [];
+        return [{ durationMs: motion.durationMs, frames: normalizeMotion(motion.frames) }];
+    }
+
+    // Abandon a recording in progress; nothing is saved
+    cancel() {
+        if (!this.isRunning) return;
+
+        this.runId++;
+        this.isRunning = false;
+        this.capture = null;
+        this.recordButton.disabled = false;
+    }
+
+    importSet(text) {
+        try {
+            const incoming = parseGestureSet(text);
+            this.apply(mergeGestureSets(this.store.get(), incoming));
+            this.refreshGestures();
+            this.showPrompt(this.t('training.imported', { count: incoming.gestures.length }), '');
+        } catch (error) {
+            this.showPrompt(this.t('training.importError', { error: error.message }), '');
+        }
+    }
+
+    apply(set) {
+        const saved = this.store.save(set);
+        this.onChange(saved);
+        return saved;
+    }
+
+    toJson() {
+        return gestureSetToJson(this.store.get(), this.getBindings());
+    }
+
+    // Save the gesture set through a temporary download link
+    download(fileName = `gestures-${new Date().toISOString().replace(/[:.]/g, '-')}.json`) {
+        const blob = new Blob([this.toJson()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = this.doc.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        this.doc.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    showPrompt(prompt, progress) {
+        this.promptElement.textContent = prompt;
+        this.progressElement.textContent = progress;
+    }
+}
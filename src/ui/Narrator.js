@@ -0,0 +1,125 @@
+// Reads descriptions aloud with the browser's speech synthesis (Web Speech API).
+// Text is queued a sentence at a time: some browsers cut long utterances short, and a
+// sentence queue can be dropped cleanly when the user navigates away mid-description.
+
+const MIN_RATE = 0.5;
+const MAX_RATE = 2;
+
+export class Narrator {
+    // rate: speaking rate, 1 is normal; voiceName: a name from speechSynthesis.getVoices(),
+    // or null for the browser's default voice for lang
+    constructor({
+        synth = globalThis.speechSynthesis,
+        Utterance = globalThis.SpeechSynthesisUtterance,
+        rate = 1,
+        voiceName = null,
+        lang = 'en'
+    } = {}) {
+        this.synth = synth;
+        this.Utterance = Utterance;
+        this.rate = 1;
+        this.voiceName = voiceName;
+        this.lang = lang;
+        this.isEnabled = false; // Narrate every new description automatically
+        this.queue = [];
+        this.current = null; // Utterance being spoken
+        this.lastText = null;
+        this.setRate(rate);
+    }
+
+    get isSupported() {
+        return Boolean(this.synth && this.Utterance);
+    }
+
+    get isSpeaking() {
+        return this.current !== null;
+    }
+
+    // Returns true when narration changed
+    setEnabled(enabled) {
+        if (enabled === this.isEnabled || (enabled && !this.isSupported)) return false;
+
+        this.isEnabled = enabled;
+        if (!enabled) {
+            this.stop();
+        }
+        return true;
+    }
+
+    setRate(rate) {
+        this.rate = Math.min(Math.max(rate, MIN_RATE), MAX_RATE);
+        return this.rate;
+    }
+
+    setVoice(voiceName) {
+        this.voiceName = voiceName;
+    }
+
+    // Language of the text being read, e.g. 'es'; picks the default voice when none is set
+    setLanguage(lang) {
+        this.lang = lang;
+    }
+
+    // Narrate a new description, interrupting whatever is being read. Repeats of the
+    // text last narrated are skipped until stop(), so refreshing a description stays quiet.
+    narrate(text) {
+        if (!this.isEnabled || text === this.lastText) return false;
+
+        const started = this.say(text);
+        this.lastText = text;
+        return started;
+    }
+
+    // Read text now, whether or not narration is on; with interrupt false it is queued
+    // after what is already being read
+    say(text, { interrupt = true } = {}) {
+        if (!this.isSupported) return false;
+
+        if (interrupt) {
+            this.stop();
+        }
+        this.queue.push(...splitSentences(text));
+        if (!this.current) {
+            this.speakNext();
+        }
+        return true;
+    }
+
+    stop() {
+        this.queue = [];
+        this.lastText = null;
+        if (this.current) {
+            this.current = null;
+            this.synth.cancel();
+        }
+    }
+
+    speakNext() {
+        const sentence = this.queue.shift();
+        if (sentence === undefined) {
+            this.current = null;
+            return;
+        }
+
+        const utterance = new this.Utterance(sentence);
+        utterance.rate = this.rate;
+        utterance.lang = this.lang;
+        const voice = this.voiceName && this.synth.getVoices().find(candidate => candidate.name === this.voiceName);
+        if (voice) {
+            utterance.voice = voice;
+        }
+        // cancel() also ends the utterance it interrupts; only the current one moves the queue on
+        utterance.onend = utterance.onerror = () => {
+            if (this.current === utterance) {
+                this.speakNext();
+            }
+        };
+
+        this.current = utterance;
+        this.synth.speak(utterance);
+    }
+}
+
+function splitSentences(text) {
+    return text.split(/(?<=[.!?])\s+/).map(sentence => sentence.trim()).filter(Boolean);
+}
@@ -0,0 +1,253 @@
+// DOM overlay showing the focused body, its detail level and description.
+// Every string it shows goes through the localizer.
+
+import { SPEED_PRESETS } from '../sim/SimulationClock.js';
+import { Localizer } from '../i18n/Localizer.js';
+import { detailPageCount } from '../scene/catalog.js';
+
+export class Overlay {
+    constructor({ localizer = new Localizer(), doc = document } = {}) {
+        this.localizer = localizer;
+        this.nameElement = doc.getElementById('planet-name');
+        this.detailLevelElement = doc.getElementById('detail-level');
+        this.descriptionElement = doc.getElementById('planet-description');
+        this.statusElement = doc.getElementById('planet-status');
+        this.loadingElement = doc.getElementById('loading');
+        this.noticeElement = doc.getElementById('input-notice');
+        this.timeElement = doc.getElementById('sim-time');
+        this.dateElement = doc.getElementById('sim-date');
+        this.speedElement = doc.getElementById('sim-speed');
+        this.dateInputElement = doc.getElementById('sim-date-input');
+        this.scaleModeElement = doc.getElementById('scale-mode');
+        this.cameraModeElement = doc.getElementById('camera-mode');
+        this.pointingModeElement = doc.getElementById('pointing-mode');
+        this.handCursorElement = doc.getElementById('hand-cursor');
+        this.narrationModeElement = doc.getElementById('narration-mode');
+        this.voiceStatusElement = doc.getElementById('voice-status');
+        this.factsElement = doc.getElementById('planet-facts');
+        this.factsListElement = doc.getElementById('facts-list');
+        this.unitsToggleElement = doc.getElementById('units-toggle');
+        this.doc = doc;
+        this.tourElement = doc.getElementById('tour');
+        this.tourCaptionElement = doc.getElementById('tour-caption');
+        this.tourProgressElement = doc.getElementById('tour-progress');
+        this.uiElement = doc.getElementById('ui-overlay');
+        this.quizElement = doc.getElementById('quiz');
+        this.quizQuestionElement = doc.getElementById('quiz-question');
+        this.quizChoicesElement = doc.getElementById('quiz-choices');
+        this.quizFeedbackElement = doc.getElementById('quiz-feedback');
+        this.quizStatusElement = doc.getElementById('quiz-status');
+        this.quizExportElement = doc.getElementById('quiz-export');
+        this.quizCloseElement = doc.getElementById('quiz-close');
+        this.shownTime = { date: '', speed: '' };
+        this.shownQuizStatus = '';
+    }
+
+    // detailPage: index into the body's description pages
+    showBody(bodyInfo, detailPage) {
+        this.nameElement.textContent = this.localizer.bodyName(bodyInfo);
+        this.detailLevelElement.textContent = this.localizer.detailLabel(detailPage, detailPageCount(bodyInfo));
+
+        this.descriptionElement.textContent = this.localizer.describe(bodyInfo, detailPage);
+    }
+
+    // rows: from factSheet.buildFacts(); units: the unit system they're in, shown on the toggle
+    showFacts(rows, units) {
+        this.factsListElement.replaceChildren(...rows.flatMap(({ label, value, comparison }) => {
+            const term = this.doc.createElement('dt');
+            term.textContent = label;
+            const definition = this.doc.createElement('dd');
+            definition.textContent = value;
+            if (comparison) {
+                const ratio = this.doc.createElement('span');
+                ratio.className = 'comparison';
+                ratio.textContent = comparison;
+                definition.appendChild(ratio);
+            }
+            return [term, definition];
+        }));
+        this.unitsToggleElement.textContent = this.localizer.t(`units.${units}`);
+        this.factsElement.classList.toggle('hidden', rows.length === 0);
+    }
+
+    // Call handler when the metric/imperial toggle is clicked
+    onUnitsToggle(handler) {
+        this.unitsToggleElement.addEventListener('click', handler);
+    }
+
+    // Scale the status box up while a body is zoomed in for reading
+    setZoomed(isZoomed) {
+        this.statusElement.style.transform = isZoomed ? 'scale(1.2)' : 'scale(1)';
+        this.statusElement.style.transition = 'transform 0.3s ease';
+    }
+
+    // Show the simulation date and speed; called every frame, touches the DOM only on change
+    showTime(clock) {
+        const date = formatDate(clock.getDate());
+        const speedLabel = this.localizer.t(`speed.${SPEED_PRESETS[clock.speedIndex].id}`);
+        let speed = clock.isPaused ? this.localizer.t('time.paused', { speed: speedLabel }) : speedLabel;
+        if (clock.direction < 0) {
+            speed = `◀ ${speed}`;
+        }
+
+        if (date !== this.shownTime.date) {
+            this.dateElement.textContent = date;
+        }
+        if (speed !== this.shownTime.speed) {
+            this.speedElement.textContent = speed;
+            this.timeElement.classList.toggle('paused', clock.isPaused);
+        }
+        this.shownTime = { date, speed };
+    }
+
+    // mode: a scale mode id from scaleModes.js
+    showScaleMode(mode) {
+        this.scaleModeElement.textContent = this.localizer.t(`scale.${mode}`);
+    }
+
+    showFreeLook(isFreeLook) {
+        this.cameraModeElement.classList.toggle('hidden', !isFreeLook);
+    }
+
+    showPointing(isPointing) {
+        this.pointingModeElement.classList.toggle('hidden', !isPointing);
+        if (!isPointing) {
+            this.hideHandCursor();
+        }
+    }
+
+    showNarration(isNarrating) {
+        this.narrationModeElement.classList.toggle('hidden', !isNarrating);
+    }
+
+    // Voice command feedback: a message key ('voice.listening', 'voice.heard', ...) and its
+    // parameters; null hides it
+    showVoiceStatus(key, params) {
+        this.voiceStatusElement.textContent = key ? this.localizer.t(key, params) : '';
+        this.voiceStatusElement.classList.toggle('hidden', !key);
+    }
+
+    // Hand cursor at x, y (0 to 1 across the view), its ring filling up as the dwell runs
+    showHandCursor(x, y, dwell) {
+        const style = this.handCursorElement.style;
+        style.left = `${x * 100}%`;
+        style.top = `${y * 100}%`;
+        style.setProperty('--dwell', `${Math.round(dwell * 360)}deg`);
+        this.handCursorElement.classList.remove('hidden');
+    }
+
+    hideHandCursor() {
+        this.handCursorElement.classList.add('hidden');
+    }
+
+    // Caption of the current guided tour step, with the tour name and step count
+    showTourStep({ name, caption, index, count, isPaused }) {
+        this.tourCaptionElement.textContent = caption;
+        const progress = this.localizer.t('tour.progress', { name, step: index + 1, count });
+        this.tourProgressElement.textContent = isPaused ? this.localizer.t('tour.paused', { progress }) : progress;
+        this.tourElement.classList.remove('hidden');
+    }
+
+    hideTour() {
+        this.tourElement.classList.add('hidden');
+    }
+
+    // A quiz question and its candidates' names. While the quiz runs the description and
+    // data panel are hidden, so they can't give the answer away.
+    showQuizQuestion(text, choices) {
+        this.quizQuestionElement.textContent = text;
+        this.quizChoicesElement.replaceChildren(...choices.map(name => {
+            const item = this.doc.createElement('li');
+            item.textContent = name;
+            return item;
+        }));
+        this.quizFeedbackElement.textContent = this.localizer.t('quiz.hint');
+        this.quizExportElement.classList.add('hidden');
+        this.quizCloseElement.classList.add('hidden');
+        this.quizElement.classList.remove('hidden');
+        this.uiElement.classList.add('quiz');
+    }
+
+    // Mark the candidate in focus
+    showQuizChoice(choice) {
+        [...this.quizChoicesElement.children].forEach((item, index) => item.classList.toggle('current', index === choice));
+    }
+
+    // Mark the right answer (and a wrong choice, -1 for none) with a message key and its parameters
+    showQuizAnswer({ answer, chosen }, key, params) {
+        [...this.quizChoicesElement.children].forEach((item, index) => {
+            item.classList.toggle('correct', index === answer);
+            item.classList.toggle('wrong', index === chosen && chosen !== answer);
+        });
+        this.quizFeedbackElement.textContent = this.localizer.t(key, params);
+    }
+
+    // Score line (a message key and its parameters); called every frame, touches the DOM only on change
+    showQuizStatus(key, params) {
+        const status = this.localizer.t(key, params);
+        if (status !== this.shownQuizStatus) {
+            this.quizStatusElement.textContent = status;
+            this.shownQuizStatus = status;
+        }
+    }
+
+    // Final score, with the buttons to download the results and close the panel
+    showQuizResults(key, params) {
+        this.quizQuestionElement.textContent = this.localizer.t(key, params);
+        this.quizChoicesElement.replaceChildren();
+        this.quizFeedbackElement.textContent = '';
+        this.quizStatusElement.textContent = '';
+        this.shownQuizStatus = '';
+        this.quizExportElement.classList.remove('hidden');
+        this.quizCloseElement.classList.remove('hidden');
+        this.uiElement.classList.remove('quiz');
+    }
+
+    hideQuiz() {
+        this.quizElement.classList.add('hidden');
+        this.uiElement.classList.remove('quiz');
+    }
+
+    // Call handler when the download results button is clicked
+    onQuizExport(handler) {
+        this.quizExportElement.addEventListener('click', handler);
+    }
+
+    onQuizClose(handler) {
+        this.quizCloseElement.addEventListener('click', handler);
+    }
+
+    // Call handler with the "YYYY-MM-DD" string picked in the date input
+    onDateInput(handler) {
+        this.dateInputElement.addEventListener('change', () => {
+            if (this.dateInputElement.value) {
+                handler(this.dateInputElement.value);
+            }
+        });
+    }
+
+    // Persistent hint, e.g. when hand tracking is unavailable: a message key and its parameters
+    showNotice(key, params) {
+        this.noticeElement.textContent = this.localizer.t(key, params);
+        this.noticeElement.classList.remove('hidden');
+    }
+
+    hideNotice() {
+        this.noticeElement.classList.add('hidden');
+    }
+
+    // Keep the loading screen up with the reason the app could not start
+    showLoadingError(message) {
+        this.loadingElement.querySelector('.loading-text').textContent = message;
+        this.loadingElement.classList.add('error');
+    }
+
+    hideLoading() {
+        this.loadingElement.classList.add('hidden');
+    }
+}
+
+// "YYYY-MM-DD" in UTC, matching the ephemeris dates
+function formatDate(date) {
+    return date.toISOString().slice(0, 10);
+}
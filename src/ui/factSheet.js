@@ -0,0 +1,136 @@
+// Rows of the body data panel: physical facts from the catalog, converted to metric or
+// imperial units and compared to Earth. Turning the detail level up reveals more rows,
+// so the panel grows with the rotary dial alongside the description.
+
+import { detailPageCount } from '../scene/catalog.js';
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+export const REFERENCE_BODY = 'Earth'; // Ratios are given against this body
+
+// Fact ids shown from each detail page on (overview, detailed, deep); each page adds to
+// the one before
+const PAGE_FACTS = [
+    ['diameter', 'year', 'moons'],
+    ['mass', 'gravity', 'day', 'temperature'],
+    ['axialTilt', 'discovery']
+];
+
+const KM_TO_MI = 0.621371;
+const KG_TO_LB = 2.20462;
+const M_TO_FT = 3.28084;
+const DAYS_PER_YEAR = 365.25;
+const HOURS_PER_DAY = 24;
+
+// Fact ids visible on a detail page of a body with pageCount pages. The last page shows
+// them all, so a body with fewer pages still reaches every fact.
+export function factsOnPage(page, pageCount = PAGE_FACTS.length) {
+    const shown = page >= pageCount - 1 ? PAGE_FACTS : PAGE_FACTS.slice(0, page + 1);
+    return shown.flat();
+}
+
+// "5.97 × 10²⁴" for very large or small numbers, plain grouped digits otherwise
+export function formatNumber(value, locale) {
+    const magnitude = Math.abs(value);
+    if (magnitude !== 0 && (magnitude >= 1e7 || magnitude < 0.01)) {
+        const exponent = Math.floor(Math.log10(magnitude));
+        const mantissa = new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value / 10 ** exponent);
+        return `${mantissa} × 10${superscript(exponent)}`;
+    }
+    const options = magnitude >= 1000 ? { maximumFractionDigits: 0 } : { maximumSignificantDigits: 3 };
+    return new Intl.NumberFormat(locale, options).format(value);
+}
+
+// Ratios to the reference body; tiny ones (small moons) read better as "< 0.01"
+function formatRatio(ratio, locale) {
+    return ratio < 0.01 ? `< ${formatNumber(0.01, locale)}` : formatNumber(ratio, locale);
+}
+
+function superscript(exponent) {
+    return String(exponent).replace(/[-0-9]/g, digit => '⁻⁰¹²³⁴⁵⁶⁷⁸⁹'['-0123456789'.indexOf(digit)]);
+}
+
+// Build the rows for body on detailPage. localizer: the app's Localizer (labels and number
+// formatting); reference: the catalog entry to compare against (Earth), or null for no
+// comparisons; isMoon: body is a moon, so its period is an orbit of its planet.
+// Returns [{ id, label, value, comparison }] with comparison null where it doesn't apply.
+export function buildFacts(body, { detailPage, units = 'metric', reference = null, isMoon = false, localizer }) {
+    const t = (key, params) => localizer.t(key, params);
+    const number = value => formatNumber(value, localizer.locale);
+    const withUnit = (value, unit) => t('facts.value', { value: number(value), unit: t(`unit.${unit}`) });
+    const imperial = units === 'imperial';
+    const facts = body.facts || {};
+    const referenceFacts = reference && reference !== body ? reference.facts || {} : null;
+    const compare = (value, referenceValue) => (
+        referenceFacts && referenceValue
+            ? t('facts.vsReference', { ratio: formatRatio(value / referenceValue, localizer.locale), name: localizer.bodyName(reference) })
+            : null
+    );
+
+    const rows = [];
+    const add = (id, value, comparison = null) => rows.push({ id, label: t(`facts.${id}`), value, comparison });
+
+    factsOnPage(detailPage, detailPageCount(body)).forEach(id => {
+        switch (id) {
+            case 'diameter': {
+                const km = body.radiusKm * 2;
+                add(id, imperial ? withUnit(km * KM_TO_MI, 'mi') : withUnit(km, 'km'), compare(body.radiusKm, reference && reference.radiusKm));
+                break;
+            }
+            case 'year': {
+                // The star doesn't orbit anything
+                if (!body.orbitalPeriod) break;
+                const days = body.orbitalPeriod;
+                const value = days >= 2 * DAYS_PER_YEAR ? withUnit(days / DAYS_PER_YEAR, 'years') : withUnit(days, 'days');
+                if (isMoon) {
+                    add('orbit', value);
+                } else {
+                    add(id, value, compare(days, reference && reference.orbitalPeriod));
+                }
+                break;
+            }
+            case 'moons':
+                if (facts.knownMoons !== null && facts.knownMoons !== undefined) {
+                    add(id, number(facts.knownMoons));
+                }
+                break;
+            case 'mass':
+                if (facts.massKg) {
+                    add(id, imperial ? withUnit(facts.massKg * KG_TO_LB, 'lb') : withUnit(facts.massKg, 'kg'),
+                        compare(facts.massKg, referenceFacts && referenceFacts.massKg));
+                }
+                break;
+            case 'gravity':
+                if (facts.surfaceGravity) {
+                    add(id, imperial ? withUnit(facts.surfaceGravity * M_TO_FT, 'fts2') : withUnit(facts.surfaceGravity, 'ms2'),
+                        compare(facts.surfaceGravity, referenceFacts && referenceFacts.surfaceGravity));
+                }
+                break;
+            case 'day':
+                if (facts.dayLengthHours) {
+                    const hours = Math.abs(facts.dayLengthHours);
+                    const length = hours >= 2 * HOURS_PER_DAY ? withUnit(hours / HOURS_PER_DAY, 'days') : withUnit(hours, 'hours');
+                    add(id, facts.dayLengthHours < 0 ? t('facts.retrograde', { value: length }) : length,
+                        compare(hours, referenceFacts && Math.abs(referenceFacts.dayLengthHours || 0)));
+                }
+                break;
+            case 'temperature':
+                if (facts.meanTemperature !== null && facts.meanTemperature !== undefined) {
+                    add(id, imperial ? withUnit(facts.meanTemperature * 9 / 5 + 32, 'f') : withUnit(facts.meanTemperature, 'c'));
+                }
+                break;
+            case 'axialTilt':
+                if (!isMoon && body.axialTilt !== undefined) {
+                    add(id, t('facts.degrees', { value: number(body.axialTilt) }));
+                }
+                break;
+            case 'discovery':
+                if (facts.discovery === 'antiquity') {
+                    add(id, t('facts.antiquity'));
+                } else if (facts.discovery) {
+                    add(id, t('facts.discoveredBy', { name: facts.discovery.by, year: facts.discovery.year }));
+                }
+                break;
+        }
+    });
+    return rows;
+}
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCameraView, cameraViewFromParams, viewMatrix, toView, normalizeResults, CAMERA_ROTATIONS } from '../src/gestures/cameraView.js';
+import { ActionBus, ACTIONS } from '../src/input/ActionBus.js';
+import { HandGestureSource } from '../src/input/HandGestureSource.js';
+import { openHand, fist, category } from './syntheticHands.js';
+
+const TOP_LEFT = { x: 0, y: 0 };
+const TOP_RIGHT = { x: 1, y: 0 };
+
+const rounded = ({ x, y }) => ({ x: Math.round(x * 1e6) / 1e6 + 0, y: Math.round(y * 1e6) / 1e6 + 0 });
+const inView = (point, view) => rounded(toView(point, viewMatrix(view)));
+
+// Where the picture's top corners end up in the view: [rotation, top left, top right].
+// Turning the picture clockwise moves its top left corner to the top right, and so on.
+const UNMIRRORED_CORNERS = [
+    [0, { x: 0, y: 0 }, { x: 1, y: 0 }],
+    [90, { x: 1, y: 0 }, { x: 1, y: 1 }],
+    [180, { x: 1, y: 1 }, { x: 0, y: 1 }],
+    [270, { x: 0, y: 1 }, { x: 0, y: 0 }]
+];
+
+UNMIRRORED_CORNERS.forEach(([rotation, topLeft, topRight]) => {
+    test(`viewMatrix turns the picture ${rotation}° clockwise, mirrored or not`, () => {
+        assert.deepEqual(inView(TOP_LEFT, { mirror: false, rotation }), topLeft);
+        assert.deepEqual(inView(TOP_RIGHT, { mirror: false, rotation }), topRight);
+
+        // The mirror flips the turned picture left to right
+        assert.deepEqual(inView(TOP_LEFT, { mirror: true, rotation }), { x: 1 - topLeft.x, y: topLeft.y });
+        assert.deepEqual(inView(TOP_RIGHT, { mirror: true, rotation }), { x: 1 - topRight.x, y: topRight.y });
+        assert.deepEqual(inView({ x: 0.5, y: 0.5 }, { mirror: true, rotation }), { x: 0.5, y: 0.5 });
+    });
+});
+
+test('toView keeps depth and other fields', () => {
+    assert.deepEqual(toView({ x: 0.25, y: 0.5, z: -0.1, visibility: 1 }, viewMatrix({ mirror: true, rotation: 0 })), { x: 0.75, y: 0.5, z: -0.1, visibility: 1 });
+});
+
+test('the front camera is mirrored by default and the rear one is not', () => {
+    assert.deepEqual(createCameraView(), { facing: 'user', mirror: true, rotation: 0 });
+    assert.deepEqual(createCameraView({ facing: 'environment' }), { facing: 'environment', mirror: false, rotation: 0 });
+    assert.deepEqual(createCameraView({ facing: 'sideways', rotation: 45 }), { facing: 'user', mirror: true, rotation: 0 });
+    assert.deepEqual(
+        cameraViewFromParams(new URLSearchParams('camera=environment&mirror=on&rotate=270')),
+        { facing: 'environment', mirror: true, rotation: 270 }
+    );
+    assert.deepEqual(cameraViewFromParams(new URLSearchParams('mirror=off')), { facing: 'user', mirror: false, rotation: 0 });
+    assert.deepEqual(CAMERA_ROTATIONS, UNMIRRORED_CORNERS.map(([rotation]) => rotation));
+});
+
+const results = key => ({
+    landmarks: [[{ x: 0.2, y: 0.3, z: 0 }], [{ x: 0.8, y: 0.3, z: 0 }]],
+    [key]: [[category('Left', 0.97)], [category('Right', 0.95)]],
+    gestures: [[category('Open_Palm')], [category('None')]]
+});
+
+test('the front camera swaps the recognizer\'s Left and Right, under either key name', () => {
+    ['handedness', 'handednesses'].forEach(key => {
+        const raw = results(key);
+        const normalized = normalizeResults(raw, createCameraView());
+        assert.deepEqual(normalized[key], [[category('Right', 0.97)], [category('Left', 0.95)]]);
+        assert.deepEqual(normalized.landmarks.map(([point]) => rounded(point)), [{ x: 0.8, y: 0.3 }, { x: 0.2, y: 0.3 }]);
+        assert.equal(normalized.gestures, raw.gestures);
+        assert.deepEqual(raw, results(key), 'the recognizer\'s results are left as they were');
+    });
+});
+
+test('the rear camera keeps the recognizer\'s handedness, mirrored or not', () => {
+    [false, true].forEach(mirror => {
+        const normalized = normalizeResults(results('handedness'), createCameraView({ facing: 'environment', mirror }));
+        assert.deepEqual(normalized.handedness, results('handedness').handedness);
+    });
+});
+
+test('frames without landmarks pass through', () => {
+    assert.equal(normalizeResults(null, createCameraView()), null);
+    const empty = { gestures: [] };
+    assert.equal(normalizeResults(empty, createCameraView()), empty);
+});
+
+// The dial through the whole pipeline, fed what the front camera's recognizer reports:
+// the unmirrored picture (the default view's matrix is its own inverse) with Left and
+// Right swapped. Returns the detail actions dispatched.
+function turnDial(handInView, recognizerHandedness, view = createCameraView()) {
+    const bus = new ActionBus();
+    Object.values(ACTIONS).forEach(action => bus.handle(action, () => true));
+    const dispatched = [];
+    bus.subscribe(({ action }) => dispatched.push(action));
+
+    let frameTime = 1000;
+    const source = bus.addSource(new HandGestureSource({ now: () => frameTime }));
+    const pictureMatrix = viewMatrix(createCameraView());
+    const feed = (landmarks, gesture) => {
+        frameTime += 33;
+        source.processResults(normalizeResults({
+            landmarks: [landmarks.map(point => toView(point, pictureMatrix))],
+            handedness: [[category(recognizerHandedness)]],
+            gestures: [[category(gesture)]]
+        }, view));
+    };
+
+    for (let i = 0; i < 3; i++) feed(fist({ y: 0.6 }), 'Closed_Fist');
+    assert.deepEqual(dispatched, [ACTIONS.LOCK]);
+    // 8° a frame, clockwise as the user sees it
+    for (let i = 0; i < 20; i++) feed(handInView(i * 8 * Math.PI / 180), 'None');
+    return dispatched.filter(action => action === ACTIONS.DETAIL_UP || action === ACTIONS.DETAIL_DOWN);
+}
+
+const rightHand = angle => openHand({ angle });
+// A left hand is a right hand's mirror image: its thumb on the other side, the fingers
+// after it running counterclockwise. Mirroring turns angles around (π - angle), so the
+// thumb still sits at angle.
+const leftHand = angle => openHand({ angle: Math.PI - angle }).map(point => ({ ...point, x: 1 - point.x }));
+
+test('turning the dial clockwise in view steps detail up with either hand', () => {
+    // The recognizer names the user's right hand Left on the front camera, and vice versa
+    const right = turnDial(rightHand, 'Left');
+    const left = turnDial(leftHand, 'Right');
+    assert.ok(right.length > 0 && right.every(action => action === ACTIONS.DETAIL_UP), `right hand: ${right}`);
+    assert.deepEqual(left, right, 'the left hand turns the dial the same way');
+
+    // Read without the mirror, the same picture turns counterclockwise
+    const unmirrored = turnDial(rightHand, 'Left', createCameraView({ mirror: false }));
+    assert.ok(unmirrored.length > 0 && unmirrored.every(action => action === ACTIONS.DETAIL_DOWN), `unmirrored: ${unmirrored}`);
+});
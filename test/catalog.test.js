@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { validateCatalog, findBody, CatalogError } from '../src/scene/catalog.js';
+
+const CATALOG = JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8'));
+
+// The shipped catalog with changes applied to a copy
+function catalogWith(change) {
+    const catalog = structuredClone(CATALOG);
+    change(catalog);
+    return catalog;
+}
+
+test('the shipped catalog is valid', () => {
+    const { bodies } = validateCatalog(CATALOG);
+    assert.equal(bodies.length, CATALOG.bodies.length);
+});
+
+test('findBody matches bodies and moons ignoring case', () => {
+    const { bodies } = validateCatalog(CATALOG);
+    const earth = bodies.findIndex(body => body.name === 'Earth');
+    assert.deepEqual(findBody(bodies, ' earth '), { planetIndex: earth, moonIndex: -1 });
+    assert.deepEqual(findBody(bodies, 'MOON'), { planetIndex: earth, moonIndex: 0 });
+    assert.equal(findBody(bodies, 'Vulcan'), null);
+});
+
+test('names must be unique across bodies and moons', () => {
+    const catalog = catalogWith(({ bodies }) => {
+        bodies.find(body => body.name === 'Mars').moons[0].name = 'Moon';
+    });
+    assert.throws(() => validateCatalog(catalog), error => (
+        error instanceof CatalogError && /moons\[0\]\.name/.test(error.path) && /duplicate name "Moon"/.test(error.message)
+    ));
+});
+
+test('names differing only in case are duplicates, as findBody could not tell them apart', () => {
+    const catalog = catalogWith(({ bodies }) => {
+        bodies.find(body => body.name === 'Mars').moons[0].name = 'EARTH';
+    });
+    assert.throws(() => validateCatalog(catalog), /duplicate name "EARTH"/);
+});
+
+test('a moon must orbit clear of its parent, in the illustrative and the real sizes', () => {
+    // Mars has radius 1 and Phobos 0.15, so 1.15 just touches the surface
+    const touching = catalogWith(({ bodies }) => {
+        bodies.find(body => body.name === 'Mars').moons[0].distance = 1.15;
+    });
+    assert.throws(() => validateCatalog(touching), error => (
+        error instanceof CatalogError && /moons\[0\]\.distance$/.test(error.path) && /1\.15 puts Phobos inside Mars/.test(error.message)
+    ));
+
+    const inside = catalogWith(({ bodies }) => {
+        bodies.find(body => body.name === 'Mars').moons[0].semiMajorAxisKm = 3000;
+    });
+    assert.throws(() => validateCatalog(inside), error => (
+        error instanceof CatalogError && /moons\[0\]\.semiMajorAxisKm$/.test(error.path) && /3000 km puts Phobos inside Mars/.test(error.message)
+    ));
+});
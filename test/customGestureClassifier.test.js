@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CustomGestureClassifier } from '../src/gestures/CustomGestureClassifier.js';
+import { normalizeFrame, normalizeMotion } from '../src/gestures/customGestures.js';
+import { openHand, fist } from './syntheticHands.js';
+
+const FRAME_MS = 33;
+
+const pose = (name, ...hands) => ({ name, type: 'static', samples: hands.map(landmarks => normalizeFrame(landmarks)) });
+const classifier = (...gestures) => new CustomGestureClassifier({ gestures });
+
+// An open hand moving from one palm position to another over durationMs, a frame apart
+function move(from, to, durationMs = 600, start = 1000) {
+    const count = Math.round(durationMs / FRAME_MS);
+    return Array.from({ length: count + 1 }, (_, i) => ({
+        landmarks: openHand({ x: from.x + (to.x - from.x) * i / count, y: from.y + (to.y - from.y) * i / count }),
+        time: start + durationMs * i / count
+    }));
+}
+
+const motion = (name, frames) => ({
+    name,
+    type: 'dynamic',
+    samples: [{ durationMs: frames.at(-1).time - frames[0].time, frames: normalizeMotion(frames) }]
+});
+
+const SWIPE_RIGHT = motion('swipe-right', move({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }));
+const SWIPE_DOWN = motion('swipe-down', move({ x: 0.5, y: 0.3 }, { x: 0.5, y: 0.6 }));
+
+test('a trained pose is matched wherever the hand is in the picture', () => {
+    const poses = classifier(pose('spread', openHand(), openHand(), openHand()), pose('fist', fist(), fist(), fist()));
+    assert.deepEqual(poses.classifyPose(openHand({ x: 0.2, y: 0.3 })), { categoryName: 'spread', score: 1 });
+    assert.deepEqual(poses.classifyPose(fist({ x: 0.7 })), { categoryName: 'fist', score: 1 });
+});
+
+test('the nearest samples vote, and a split vote lowers the score', () => {
+    // The closest sample is 'near', but the next two are both 'tilted'
+    const poses = classifier(pose('near', openHand({ angle: 0.04 })), pose('tilted', openHand({ angle: 0.08 }), openHand({ angle: 0.1 })));
+    const { categoryName, score } = poses.classifyPose(openHand());
+    assert.equal(categoryName, 'tilted');
+    assert.ok(score > 0 && score < 2 / 3, `score ${score}`);
+});
+
+test('a pose scores less the further it is from the samples, and 0 past the limit', () => {
+    const poses = classifier(pose('spread', openHand(), openHand(), openHand()));
+    const scores = [0, 0.05, 0.1, 0.2].map(angle => poses.classifyPose(openHand({ angle })).score);
+    assert.equal(scores[0], 1);
+    scores.slice(1).forEach((score, i) => assert.ok(score < scores[i], `angle scores ${scores}`));
+    assert.ok(scores[1] > 0);
+
+    assert.deepEqual(poses.classifyPose(fist()), { categoryName: 'spread', score: 0 });
+});
+
+test('no pose without pose samples or a complete hand', () => {
+    assert.equal(classifier(SWIPE_RIGHT).classifyPose(openHand()), null);
+    assert.equal(classifier(pose('spread', openHand())).classifyPose(openHand().slice(0, 10)), null);
+});
+
+test('a trained motion is matched by the same movement elsewhere in the picture', () => {
+    const motions = classifier(SWIPE_RIGHT, SWIPE_DOWN);
+    const right = motions.classifyMotion(move({ x: 0.2, y: 0.6 }, { x: 0.5, y: 0.6 }));
+    assert.equal(right.categoryName, 'swipe-right');
+    assert.ok(right.score > 0.95, `score ${right.score}`);
+
+    const down = motions.classifyMotion(move({ x: 0.4, y: 0.2 }, { x: 0.4, y: 0.5 }));
+    assert.equal(down.categoryName, 'swipe-down');
+    assert.ok(down.score > 0.95, `score ${down.score}`);
+});
+
+test('only the frames within a sample\'s duration are matched against it', () => {
+    // Standing still, then the swipe: the still frames are older than the sample
+    const still = move({ x: 0.2, y: 0.5 }, { x: 0.2, y: 0.5 }, 900, 100).slice(0, -1);
+    const frames = [...still, ...move({ x: 0.2, y: 0.5 }, { x: 0.5, y: 0.5 })];
+    const { categoryName, score } = classifier(SWIPE_RIGHT).classifyMotion(frames);
+    assert.equal(categoryName, 'swipe-right');
+    assert.ok(score > 0.95, `score ${score}`);
+});
+
+test('a different movement scores 0', () => {
+    const motions = classifier(SWIPE_RIGHT);
+    assert.equal(motions.classifyMotion(move({ x: 0.6, y: 0.5 }, { x: 0.3, y: 0.5 })).score, 0, 'swiping left');
+    assert.ok(motions.classifyMotion(move({ x: 0.4, y: 0.5 }, { x: 0.4, y: 0.5 })).score < 0.5, 'holding still');
+});
+
+test('no motion until the frames cover most of the sample\'s duration', () => {
+    const motions = classifier(SWIPE_RIGHT);
+    assert.equal(motions.classifyMotion(move({ x: 0.3, y: 0.5 }, { x: 0.45, y: 0.5 }, 300)), null);
+    assert.equal(motions.classifyMotion(move({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 }).slice(0, 1)), null);
+    assert.equal(classifier(pose('spread', openHand())).classifyMotion(move({ x: 0.3, y: 0.5 }, { x: 0.6, y: 0.5 })), null);
+    assert.equal(motions.maxMotionMs, SWIPE_RIGHT.samples[0].durationMs);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateGestureSet, normalizeFrame, SEQUENCE_LENGTH, GESTURE_SET_VERSION } from '../src/gestures/customGestures.js';
+import { createCameraView, normalizeResults } from '../src/gestures/cameraView.js';
+import { WRIST } from '../src/gestures/handLandmarks.js';
+import { openHand } from './syntheticHands.js';
+
+// An open hand as the front camera's recognizer reports it (the unmirrored picture), and
+// as the user sees it
+const pictureHand = openHand({ x: 0.35, angle: 0.4 }).map(point => ({ ...point, x: 1 - point.x }));
+const viewHand = normalizeResults({ landmarks: [pictureHand] }, createCameraView()).landmarks[0];
+
+const assertFramesClose = (actual, expected) => {
+    actual.forEach((point, index) => point.forEach((value, axis) => {
+        assert.ok(Math.abs(value - expected[index][axis]) <= 1e-4, `point ${index} axis ${axis}: ${value} vs ${expected[index][axis]}`);
+    }));
+};
+
+const staticGesture = sample => ({ name: 'ok-sign', type: 'static', samples: [sample] });
+const dynamicGesture = frame => ({
+    name: 'wave',
+    type: 'dynamic',
+    samples: [{ durationMs: 600, frames: Array(SEQUENCE_LENGTH).fill(frame) }]
+});
+
+test('version 1 sets, trained on the unmirrored picture, are mirrored into view coordinates', () => {
+    const set = validateGestureSet({
+        version: 1,
+        gestures: [staticGesture(normalizeFrame(pictureHand)), dynamicGesture(normalizeFrame(pictureHand))]
+    });
+    assert.equal(set.version, GESTURE_SET_VERSION);
+
+    const [pose, motion] = set.gestures;
+    assertFramesClose(pose.samples[0], normalizeFrame(viewHand));
+    motion.samples[0].frames.forEach(frame => assertFramesClose(frame, normalizeFrame(viewHand)));
+    assert.equal(motion.samples[0].durationMs, 600);
+    // The wrist is the origin, and mirroring it gives 0 rather than -0
+    assert.ok(Object.is(pose.samples[0][WRIST][0], 0));
+});
+
+test('version 2 sets are already in view coordinates and are read as they are', () => {
+    const sample = normalizeFrame(viewHand);
+    const set = validateGestureSet({ version: 2, gestures: [staticGesture(sample)] });
+    assert.deepEqual(set.gestures[0].samples[0], sample);
+});
+
+test('other versions are rejected', () => {
+    assert.throws(() => validateGestureSet({ version: 3, gestures: [] }), /version: must be 2, got 3/);
+});
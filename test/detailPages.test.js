@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { validateCatalog, detailPageCount, describe, CatalogError } from '../src/scene/catalog.js';
+import { Localizer, validateLocale } from '../src/i18n/Localizer.js';
+import { factsOnPage } from '../src/ui/factSheet.js';
+import { validateTour } from '../src/tour/tourScript.js';
+
+const CATALOG = JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8'));
+
+// The shipped catalog's bodies with Mars's description replaced
+function bodiesWithMarsDescription(description) {
+    const catalog = structuredClone(CATALOG);
+    catalog.bodies.find(body => body.name === 'Mars').description = description;
+    return validateCatalog(catalog).bodies;
+}
+
+const mars = bodies => bodies.find(body => body.name === 'Mars');
+
+const FIVE_PAGES = ['Red planet.', 'Iron oxide dust.', 'Olympus Mons.', 'Ancient rivers.', 'Rovers and landers.'];
+
+test('the named levels give the usual three pages, in order', () => {
+    const { bodies } = validateCatalog(CATALOG);
+    const earth = bodies.find(body => body.name === 'Earth');
+    assert.equal(detailPageCount(earth), 3);
+    assert.equal(describe(earth, 0), CATALOG.bodies.find(body => body.name === 'Earth').description.overview);
+});
+
+test('an array description has as many pages as it lists', () => {
+    const body = mars(bodiesWithMarsDescription(FIVE_PAGES));
+    assert.equal(detailPageCount(body), 5);
+    assert.equal(describe(body, 4), 'Rovers and landers.');
+    assert.equal(describe(body, 9), 'Red planet.', 'falls back to the overview');
+});
+
+test('fewer named levels give fewer pages', () => {
+    assert.equal(detailPageCount(mars(bodiesWithMarsDescription({ overview: 'Red planet.' }))), 1);
+    assert.equal(detailPageCount(mars(bodiesWithMarsDescription({ overview: 'Red planet.', detailed: 'Dusty.' }))), 2);
+});
+
+test('descriptions must have an overview and no gaps', () => {
+    assert.throws(() => bodiesWithMarsDescription([]), /description: must contain at least one page/);
+    assert.throws(() => bodiesWithMarsDescription(['Red planet.', '']), error => (
+        error instanceof CatalogError && /description\[1\]$/.test(error.path)
+    ));
+    assert.throws(() => bodiesWithMarsDescription({ detailed: 'Dusty.' }), /description\.overview: must be a non-empty string/);
+    assert.throws(() => bodiesWithMarsDescription({ overview: 'Red planet.', deep: 'Olympus Mons.' }), /description\.deep: needs detailed before it/);
+});
+
+test('page labels name the first three levels and count the pages', () => {
+    const localizer = new Localizer();
+    assert.equal(localizer.detailLabel(0, 1), 'Overview');
+    assert.equal(localizer.detailLabel(1, 3), 'Detailed · 2/3');
+    assert.equal(localizer.detailLabel(4, 5), 'Page 5 · 5/5');
+});
+
+test('translations line up with the pages, by level name or as an array', () => {
+    const body = mars(bodiesWithMarsDescription(FIVE_PAGES));
+    const localizer = new Localizer();
+    localizer.use('es', validateLocale({ bodies: { Mars: { description: { overview: 'Planeta rojo.', detailed: 'Polvo.' } } } }));
+    assert.equal(localizer.describe(body, 1), 'Polvo.');
+    assert.equal(localizer.describe(body, 3), 'Ancient rivers.', 'untranslated pages stay in English');
+
+    localizer.use('es', validateLocale({ bodies: { Mars: { description: ['Planeta rojo.', 'Polvo.', 'Olympus Mons.', 'Ríos antiguos.'] } } }));
+    assert.equal(localizer.describe(body, 3), 'Ríos antiguos.');
+    assert.equal(localizer.describe(body, 4), 'Rovers and landers.');
+});
+
+test('facts grow page by page and the last page shows them all', () => {
+    assert.deepEqual(factsOnPage(0, 3), ['diameter', 'year', 'moons']);
+    assert.equal(factsOnPage(1, 3).length, 7);
+    assert.deepEqual(factsOnPage(2, 3), factsOnPage(4, 5));
+    assert.deepEqual(factsOnPage(0, 1), factsOnPage(2, 3), 'a single page shows every fact');
+    assert.deepEqual(factsOnPage(3, 5), factsOnPage(2, 3));
+});
+
+test('tour steps pick a page by level name or number, within the target\'s pages', () => {
+    const bodies = bodiesWithMarsDescription(FIVE_PAGES);
+    const tour = detail => validateTour({ name: 'Test', steps: [{ target: 'Mars', caption: 'Mars', duration: 5, detail }] }, bodies);
+    assert.equal(tour(undefined).steps[0].detail, 0);
+    assert.equal(tour('deep').steps[0].detail, 2);
+    assert.equal(tour(5).steps[0].detail, 4);
+    assert.throws(() => tour(6), /steps\[0\]\.detail: must be a page number from 1 to 5 for Mars, got 6/);
+    assert.throws(() => tour('deeper'), /must be one of overview, detailed, deep or a page number/);
+
+    const shortBodies = bodiesWithMarsDescription({ overview: 'Red planet.' });
+    assert.throws(
+        () => validateTour({ name: 'Test', steps: [{ target: 'Mars', caption: 'Mars', duration: 5, detail: 'deep' }] }, shortBodies),
+        /Mars's description stops at page 1, before deep/
+    );
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { solveKepler, orbitalPosition, orbitPath, J2000, MS_PER_DAY } from '../src/sim/ephemeris.js';
+import { validateCatalog } from '../src/scene/catalog.js';
+
+const { bodies } = validateCatalog(JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8')));
+const body = name => bodies.find(entry => entry.name === name);
+
+const TWO_PI = Math.PI * 2;
+const distance = ({ x, y, z }) => Math.hypot(x, y, z);
+const longitude = ({ x, y }) => Math.atan2(y, x) * 180 / Math.PI;
+
+// Sun distances over one full period, sampled steps times from J2000
+function distancesOverPeriod({ orbit, orbitalPeriod }, steps = 2000) {
+    return Array.from({ length: steps }, (_, i) => distance(orbitalPosition(orbit, orbitalPeriod, J2000 + orbitalPeriod * MS_PER_DAY * i / steps)));
+}
+
+test('solveKepler satisfies Kepler\'s equation, up to nearly parabolic orbits', () => {
+    [0, 0.2, 0.5, 0.9, 0.97, 0.99].forEach(eccentricity => {
+        for (let i = -8; i <= 40; i++) {
+            const meanAnomaly = i * 0.35;
+            const E = solveKepler(meanAnomaly, eccentricity);
+            const residual = E - eccentricity * Math.sin(E) - meanAnomaly;
+            // The mean anomaly is taken modulo a full turn
+            const wrapped = residual - TWO_PI * Math.round(residual / TWO_PI);
+            assert.ok(Math.abs(wrapped) < 1e-9, `e ${eccentricity}, M ${meanAnomaly}: off by ${wrapped}`);
+        }
+    });
+});
+
+test('a circular orbit\'s eccentric anomaly is its mean anomaly', () => {
+    assert.equal(solveKepler(1.25, 0), 1.25);
+    assert.ok(Math.abs(solveKepler(-1, 0) - (TWO_PI - 1)) < 1e-12);
+});
+
+test('the orbit is where the J2000 elements put it at the J2000 epoch', () => {
+    const earth = body('Earth');
+    assert.equal(earth.orbit.epoch, J2000);
+    // Early January, just past perihelion: 0.9833 AU out, at a heliocentric longitude of 100.38°
+    const position = orbitalPosition(earth.orbit, earth.orbitalPeriod, J2000);
+    assert.ok(Math.abs(distance(position) - 0.9833) < 1e-4, `${distance(position)} AU`);
+    assert.ok(Math.abs(longitude(position) - 100.38) < 0.01, `${longitude(position)}°`);
+    assert.equal(position.z, 0, 'Earth defines the ecliptic');
+});
+
+test('Earth stays near 1 AU and comes back after one year', () => {
+    const earth = body('Earth');
+    const distances = distancesOverPeriod(earth);
+    assert.ok(distances.every(value => value > 0.983 && value < 1.017), `${Math.min(...distances)} to ${Math.max(...distances)} AU`);
+
+    const start = orbitalPosition(earth.orbit, earth.orbitalPeriod, J2000);
+    const yearLater = orbitalPosition(earth.orbit, earth.orbitalPeriod, J2000 + earth.orbitalPeriod * MS_PER_DAY);
+    assert.ok(distance({ x: yearLater.x - start.x, y: yearLater.y - start.y, z: yearLater.z - start.z }) < 1e-9);
+});
+
+test('Mercury swings between its perihelion and aphelion distances', () => {
+    const mercury = body('Mercury');
+    const { semiMajorAxis: a, eccentricity: e } = mercury.orbit;
+    const distances = distancesOverPeriod(mercury);
+    // 0.3075 and 0.4667 AU
+    assert.ok(Math.abs(Math.min(...distances) - a * (1 - e)) < 1e-4, `perihelion ${Math.min(...distances)}`);
+    assert.ok(Math.abs(Math.max(...distances) - a * (1 + e)) < 1e-4, `aphelion ${Math.max(...distances)}`);
+
+    // The drawn path starts at perihelion and is halfway round at aphelion
+    const path = orbitPath(mercury.orbit, 8);
+    assert.ok(Math.abs(distance(path[0]) - a * (1 - e)) < 1e-12);
+    assert.ok(Math.abs(distance(path[4]) - a * (1 + e)) < 1e-12);
+});
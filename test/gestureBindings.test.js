@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { sanitizeBindings, gestureKinds, DEFAULT_BINDINGS, BINDING_LIMITS } from '../src/gestures/gestureBindings.js';
+import { ACTIONS } from '../src/input/ActionBus.js';
+
+const WAVE = { name: 'wave', type: 'dynamic' };
+const OK_SIGN = { name: 'ok-sign', type: 'static', action: ACTIONS.NEXT };
+
+test('nothing stored gives the defaults', () => {
+    [undefined, null, 'bindings', 42, {}].forEach(stored => {
+        assert.deepEqual(sanitizeBindings(stored), DEFAULT_BINDINGS, JSON.stringify(stored));
+    });
+    assert.notEqual(sanitizeBindings({}).pinch, DEFAULT_BINDINGS.pinch, 'a copy, not the defaults themselves');
+});
+
+test('unknown gestures are dropped and unknown actions keep the default', () => {
+    const bindings = sanitizeBindings({
+        Jazz_Hands: { action: ACTIONS.NEXT },
+        Victory: { action: 'launchRocket', holdMs: 500 },
+        Thumb_Up: { action: ACTIONS.JUMP_TO_DATE },
+        Open_Palm: { action: null },
+        pinch: 'next'
+    });
+    assert.equal('Jazz_Hands' in bindings, false);
+    assert.deepEqual(bindings.Victory, { ...DEFAULT_BINDINGS.Victory, holdMs: 500 }, 'the rest of the binding still counts');
+    assert.equal(bindings.Thumb_Up.action, DEFAULT_BINDINGS.Thumb_Up.action, 'only actions without a payload can be bound');
+    assert.equal(bindings.Open_Palm.action, null, 'null unbinds');
+    assert.deepEqual(bindings.pinch, DEFAULT_BINDINGS.pinch);
+});
+
+test('numbers are clamped to their limits and only kept where the gesture uses them', () => {
+    const bindings = sanitizeBindings({
+        Victory: { minConfidence: 2, holdMs: -5 },
+        Thumb_Up: { minConfidence: 0.1, holdMs: 1e6 },
+        pinch: { minConfidence: 0.8, holdMs: 250.4 },
+        swipeLeft: { minConfidence: 0.8, holdMs: 500 },
+        dialClockwise: { stepDegrees: 1, holdMs: 500 },
+        dialCounterClockwise: { stepDegrees: Infinity }
+    });
+    assert.deepEqual(bindings.Victory, { ...DEFAULT_BINDINGS.Victory, minConfidence: BINDING_LIMITS.minConfidence[1], holdMs: 0 });
+    assert.deepEqual(bindings.Thumb_Up, { ...DEFAULT_BINDINGS.Thumb_Up, minConfidence: BINDING_LIMITS.minConfidence[0], holdMs: BINDING_LIMITS.holdMs[1] });
+    assert.deepEqual(bindings.pinch, { ...DEFAULT_BINDINGS.pinch, holdMs: 250 }, 'a pinch has a hold time but no score');
+    assert.deepEqual(bindings.swipeLeft, DEFAULT_BINDINGS.swipeLeft);
+    assert.deepEqual(bindings.dialClockwise, { ...DEFAULT_BINDINGS.dialClockwise, stepDegrees: BINDING_LIMITS.stepDegrees[0] });
+    assert.deepEqual(bindings.dialCounterClockwise, DEFAULT_BINDINGS.dialCounterClockwise);
+});
+
+test('trained gestures start unbound or on their exported action, and are dropped with their set', () => {
+    const bindings = sanitizeBindings({}, [WAVE, OK_SIGN, { name: 'shrug', type: 'static', action: 'launchRocket' }]);
+    assert.deepEqual(bindings.wave, { action: null, minConfidence: null, holdMs: 0 });
+    assert.equal(bindings['ok-sign'].action, ACTIONS.NEXT);
+    assert.equal(bindings.shrug.action, null);
+
+    const edited = sanitizeBindings({ ...bindings, wave: { action: ACTIONS.PREVIOUS, minConfidence: 0.7, holdMs: 400 } }, [WAVE]);
+    assert.deepEqual(edited.wave, { action: ACTIONS.PREVIOUS, minConfidence: 0.7, holdMs: 0 }, 'a motion has no hold time');
+    assert.equal('ok-sign' in edited, false);
+});
+
+test('a name bound twice keeps its first binding', () => {
+    const clashing = [
+        { name: 'pinch', type: 'static', action: ACTIONS.NEXT },
+        { ...WAVE, action: ACTIONS.PREVIOUS },
+        { ...WAVE, type: 'static', action: ACTIONS.NEXT }
+    ];
+    const bindings = sanitizeBindings({ pinch: { holdMs: 300 } }, clashing);
+    assert.deepEqual(bindings.pinch, { ...DEFAULT_BINDINGS.pinch, holdMs: 300 }, 'the built-in pinch is kept');
+    assert.equal(bindings.wave.action, ACTIONS.PREVIOUS);
+
+    const kinds = gestureKinds(clashing);
+    assert.equal(kinds.pinch.kind, 'pinch');
+    assert.equal(kinds.wave.kind, 'motion');
+
+    const constructor = sanitizeBindings({}, [{ name: 'constructor', type: 'static' }]);
+    assert.deepEqual(constructor.constructor, { action: null, minConfidence: null, holdMs: 0 }, 'names are only taken by gestures');
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GestureInterpreter } from '../src/gestures/GestureInterpreter.js';
+import { openHand, fist, category, fakeClock } from './syntheticHands.js';
+
+const degrees = value => value * Math.PI / 180;
+
+// An interpreter on a fake clock whose actions record what they were asked to do
+function interpreterWithLog() {
+    const log = [];
+    const clock = fakeClock();
+    const record = name => () => {
+        log.push(name);
+        return true;
+    };
+    const interpreter = new GestureInterpreter({
+        actions: Object.fromEntries(['next', 'previous', 'lock', 'unlock', 'detailUp', 'detailDown'].map(name => [name, record(name)])),
+        now: clock
+    });
+    return { interpreter, clock, log };
+}
+
+// Feed frames of { landmarks, gesture } 33 ms apart
+function play(interpreter, clock, frames) {
+    frames.forEach(frame => {
+        clock.advance(33);
+        interpreter.processHand({ gesture: null, ...frame });
+    });
+}
+
+test('a fast palm movement to the right swipes to the next body, to the left to the previous one', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+    play(interpreter, clock, [{ landmarks: openHand({ x: 0.3 }) }, { landmarks: openHand({ x: 0.36 }) }]);
+    assert.deepEqual(log, ['next']);
+
+    clock.advance(1000);
+    play(interpreter, clock, [{ landmarks: openHand({ x: 0.36 }) }, { landmarks: openHand({ x: 0.3 }) }]);
+    assert.deepEqual(log, ['next', 'previous']);
+});
+
+test('slow, vertical or repeated movements do not swipe', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+
+    // 0.02 over 100 ms is slower than the swipe velocity
+    interpreter.processContinuousSwipe(openHand({ x: 0.3 }));
+    clock.advance(100);
+    interpreter.processContinuousSwipe(openHand({ x: 0.32 }));
+    assert.deepEqual(log, []);
+
+    // Up and down are unbound by default
+    clock.advance(1000);
+    play(interpreter, clock, [{ landmarks: openHand({ y: 0.4 }) }, { landmarks: openHand({ y: 0.48 }) }]);
+    assert.deepEqual(log, []);
+
+    // A second swipe within the cooldown is ignored
+    clock.advance(1000);
+    play(interpreter, clock, [0.3, 0.36, 0.42, 0.48].map(x => ({ landmarks: openHand({ x }) })));
+    assert.deepEqual(log, ['next']);
+    assert.equal(interpreter.swipeProgress.gesture, 'swipeRight');
+});
+
+test('a fist locks and an open palm unlocks, once per change of mode', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+
+    play(interpreter, clock, [
+        { landmarks: fist(), gesture: category('Closed_Fist') },
+        { landmarks: fist(), gesture: category('Closed_Fist') }
+    ]);
+    assert.equal(interpreter.isLocked, true);
+    assert.deepEqual(log, ['lock']);
+
+    play(interpreter, clock, [{ landmarks: openHand(), gesture: category('Open_Palm') }]);
+    assert.equal(interpreter.isLocked, false);
+    assert.deepEqual(log, ['lock', 'unlock']);
+});
+
+test('a category below the confidence threshold does not lock', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+    play(interpreter, clock, [{ landmarks: fist(), gesture: category('Closed_Fist', 0.4) }]);
+    assert.equal(interpreter.isLocked, false);
+    assert.deepEqual(log, []);
+});
+
+test('opening a fist calibrates the depth from the thumb tip', () => {
+    const depths = [];
+    const interpreter = new GestureInterpreter({ actions: { calibrate: z => depths.push(z) }, now: fakeClock() });
+    interpreter.processHand({ landmarks: fist(), gesture: null });
+    interpreter.processHand({ landmarks: openHand({ z: -0.2 }), gesture: null });
+    assert.deepEqual(depths, [-0.2]);
+});
+
+test('the dial forms only when the finger tips are spread', () => {
+    const interpreter = new GestureInterpreter();
+    assert.equal(interpreter.checkSimpleDialFormation(openHand({ radius: 0.1 })), true);
+    assert.equal(interpreter.checkSimpleDialFormation(openHand({ radius: 0.03 })), false);
+    assert.equal(interpreter.checkSimpleDialFormation(openHand().slice(0, 20)), false);
+    assert.equal(interpreter.checkSimpleDialFormation(null), false);
+});
+
+test('calculateCenterRotation reports the thumb turning around the finger tip center', () => {
+    const interpreter = new GestureInterpreter();
+    assert.equal(interpreter.calculateCenterRotation(openHand({ angle: 0 })), 0, 'the first frame only sets the reference');
+
+    const clockwise = interpreter.calculateCenterRotation(openHand({ angle: degrees(6) }));
+    assert.ok(Math.abs(clockwise - degrees(6)) < 1e-9, `expected 6° clockwise, got ${clockwise}`);
+
+    // Turning back counterclockwise: the smoothed turn is still clockwise, so the reverse frame doesn't count yet
+    const back = interpreter.calculateCenterRotation(openHand({ angle: 0 }));
+    assert.equal(back, 0);
+});
+
+test('calculateCenterRotation ignores jitter and a hand that moves instead of turning', () => {
+    const interpreter = new GestureInterpreter();
+    interpreter.calculateCenterRotation(openHand({ angle: 0 }));
+    assert.equal(interpreter.calculateCenterRotation(openHand({ angle: 0.01 })), 0, 'below the rotation threshold');
+
+    assert.equal(interpreter.calculateCenterRotation(openHand({ x: 0.6, angle: degrees(20) })), 0, 'the center moved');
+    assert.deepEqual(interpreter.rotationHistory, []);
+});
+
+test('turning the locked dial steps the detail level once per detent', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+    play(interpreter, clock, [{ landmarks: fist(), gesture: category('Closed_Fist') }]);
+    log.length = 0;
+
+    // 8° a frame: 32° after four frames passes the 30° detent once
+    play(interpreter, clock, [0, 8, 16, 24, 32].map(angle => ({ landmarks: openHand({ angle: degrees(angle) }) })));
+    assert.deepEqual(log, ['detailUp']);
+
+    // Turning back counts once the smoothed turn follows, then undoes the 2° left over
+    // before stepping down
+    play(interpreter, clock, [24, 16, 8, 0, -8, -16, -24, -32, -40].map(angle => ({ landmarks: openHand({ angle: degrees(angle) }) })));
+    assert.deepEqual(log, ['detailUp', 'detailDown']);
+});
+
+test('the dial is inactive while unlocked', () => {
+    const { interpreter, clock, log } = interpreterWithLog();
+    play(interpreter, clock, [0, 10, 20, 30, 40, 50].map(angle => ({ landmarks: openHand({ angle: degrees(angle) }) })));
+    assert.deepEqual(log, []);
+});
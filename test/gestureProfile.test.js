@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { deriveThresholds, sanitizeThresholds, DEFAULT_THRESHOLDS, THRESHOLD_LIMITS } from '../src/gestures/gestureProfile.js';
+import { openHand, category } from './syntheticHands.js';
+
+const FRAME_MS = 33;
+
+// One repetition: count frames a video frame apart, hand(i) giving each frame's landmarks
+const repetition = (count, hand, gesture = null) => Array.from({ length: count }, (_, i) => ({
+    landmarks: hand(i),
+    gesture,
+    time: 1000 + i * FRAME_MS
+}));
+
+// A calibration recording: still, swiping at swipeStep a frame, turning the dial by turnStep
+// while drifting by drift, and every pose recognized at score
+function recording({ jitter = 0.001, swipeStep = 0.04, turnStep = 0.06, drift = 0.01, radius = 0.1, score = 0.8 } = {}) {
+    const pose = name => [repetition(20, () => openHand(), category(name, score)), repetition(20, () => openHand(), category(name, score))];
+    return {
+        still: [repetition(60, i => openHand({ x: 0.5 + (i % 2) * jitter }), category('Open_Palm', score))],
+        swipe: Array.from({ length: 4 }, () => repetition(10, i => openHand({ x: 0.2 + i * swipeStep, y: 0.5 + i * swipeStep / 4 }))),
+        fist: pose('Closed_Fist'),
+        dial: Array.from({ length: 3 }, () => repetition(20, i => openHand({ x: 0.5 + i * drift, angle: i * turnStep, radius }))),
+        victory: pose('Victory'),
+        pointing: pose('Pointing_Up')
+    };
+}
+
+const assertClose = (actual, expected, key) => assert.ok(Math.abs(actual - expected) < 1e-9, `${key}: ${actual}, expected ${expected}`);
+
+test('nothing measured keeps the defaults', () => {
+    assert.deepEqual(deriveThresholds({}), DEFAULT_THRESHOLDS);
+    assert.deepEqual(deriveThresholds({ still: [], swipe: [[]], dial: [] }), DEFAULT_THRESHOLDS);
+
+    // Incomplete hands, and frames closer together than a video frame, measure nothing
+    const partial = repetition(10, i => openHand({ x: i * 0.05 }).slice(0, 8));
+    const burst = repetition(10, i => openHand({ x: i * 0.05 })).map((frame, i) => ({ ...frame, time: 1000 + i }));
+    assert.deepEqual(deriveThresholds({ swipe: [partial, burst], dial: [partial] }), DEFAULT_THRESHOLDS);
+});
+
+test('a normal calibration sets each threshold from what the user did', () => {
+    const thresholds = deriveThresholds(recording());
+    // Half the swipe's speed and step, and 0.7 of its direction ratio (4:1)
+    assertClose(thresholds.swipeVelocityThreshold, 0.04 / FRAME_MS * 0.5, 'swipeVelocityThreshold');
+    assertClose(thresholds.swipeMinDeltaX, 0.02, 'swipeMinDeltaX');
+    assertClose(thresholds.swipeDirectionRatio, 2.8, 'swipeDirectionRatio');
+    // 0.7 of the finger tip spread, half the turn, 1.5 times the drift
+    assertClose(thresholds.dialSpreadThreshold, 0.07, 'dialSpreadThreshold');
+    assertClose(thresholds.rotationThreshold, 0.03, 'rotationThreshold');
+    assertClose(thresholds.dialCenterMovementThreshold, 0.015, 'dialCenterMovementThreshold');
+    // 0.1 below the poses' scores
+    assertClose(thresholds.minGestureConfidence, 0.7, 'minGestureConfidence');
+});
+
+test('the least confidently recognized pose sets the confidence bar', () => {
+    const data = recording();
+    data.victory = [repetition(20, () => openHand(), category('Victory', 0.55))];
+    data.pointing.push(repetition(20, () => openHand(), category('None', 0.1)));
+    assertClose(deriveThresholds(data).minGestureConfidence, 0.45, 'minGestureConfidence');
+});
+
+test('a shaky hand raises the swipe and drift thresholds above its noise', () => {
+    // Twice the jitter of 0.02 a frame beats half of a slow swipe's 0.02, and 1.5 times the drift
+    const thresholds = deriveThresholds(recording({ jitter: 0.02, swipeStep: 0.02 }));
+    assertClose(thresholds.swipeMinDeltaX, 0.04, 'swipeMinDeltaX');
+    assertClose(thresholds.swipeVelocityThreshold, 0.02 / FRAME_MS * 2, 'swipeVelocityThreshold');
+    assertClose(thresholds.dialCenterMovementThreshold, 0.04, 'dialCenterMovementThreshold');
+});
+
+test('extreme calibrations are clamped to the limits', () => {
+    const high = deriveThresholds(recording({ swipeStep: 0.5, turnStep: 0.5, drift: 0.2, radius: 0.4, score: 1.2 }));
+    const low = deriveThresholds(recording({ swipeStep: 0.004, turnStep: 0.003, drift: 0, radius: 0.01, score: 0.2 }));
+    ['swipeVelocityThreshold', 'swipeMinDeltaX', 'dialSpreadThreshold', 'rotationThreshold', 'dialCenterMovementThreshold', 'minGestureConfidence'].forEach(key => {
+        assert.equal(high[key], THRESHOLD_LIMITS[key][1], `${key} high`);
+        assert.equal(low[key], THRESHOLD_LIMITS[key][0], `${key} low`);
+    });
+
+    // A swipe straight across has an endless direction ratio; straight down, none
+    const across = recording();
+    across.swipe = [repetition(10, i => openHand({ x: 0.2 + i * 0.04 }))];
+    assert.equal(deriveThresholds(across).swipeDirectionRatio, THRESHOLD_LIMITS.swipeDirectionRatio[1]);
+    const down = recording();
+    down.swipe = [repetition(10, i => openHand({ x: 0.2 + i * 0.001, y: 0.2 + i * 0.04 }))];
+    assert.equal(deriveThresholds(down).swipeDirectionRatio, THRESHOLD_LIMITS.swipeDirectionRatio[0]);
+});
+
+test('sanitizeThresholds keeps known finite values, clamped', () => {
+    assert.deepEqual(sanitizeThresholds(null), {});
+    assert.deepEqual(sanitizeThresholds({
+        minGestureConfidence: 0.99,
+        rotationThreshold: 0.05,
+        swipeMinDeltaX: Number.NaN,
+        dialSpreadThreshold: '0.1',
+        unknown: 1
+    }), { minGestureConfidence: THRESHOLD_LIMITS.minGestureConfidence[1], rotationThreshold: 0.05 });
+});
@@ -0,0 +1,173 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { HandFilter, HAND_FILTER_DEFAULTS } from '../src/gestures/HandFilter.js';
+import { OneEuroFilter } from '../src/gestures/OneEuroFilter.js';
+import { INDEX_TIP, PALM_CENTER } from '../src/gestures/handLandmarks.js';
+import { openHand, category, fakeClock } from './syntheticHands.js';
+
+const FRAME_MS = 33;
+// A cutoff so high the One Euro filters pass values straight through, to look at the
+// tracking on its own
+const UNSMOOTHED = { minCutoff: 1e9 };
+// The palm may move further the longer a track goes without a frame, so the jump tests
+// slow hands down to keep their jump past the limit for every dropped frame
+const SLOW_HANDS = { ...UNSMOOTHED, maxHandSpeed: 0.002 };
+
+const hand = (landmarks, handedness = 'Right') => ({ landmarks, gesture: category('Open_Palm'), handedness: category(handedness) });
+const palmX = result => result.landmarks[PALM_CENTER].x;
+
+// Feed one frame per entry of frames (each a list of hands) a frame apart; returns the outputs
+function run(filter, clock, frames) {
+    return frames.map(hands => filter.process(hands, clock.advance(FRAME_MS)));
+}
+
+// Small repeatable noise in [-amplitude, amplitude]
+const noise = (i, amplitude) => Math.sin(i * 12.9898) * amplitude;
+
+const spread = values => Math.max(...values) - Math.min(...values);
+
+test('One Euro: the first value passes through and a repeated timestamp adds nothing', () => {
+    const filter = new OneEuroFilter();
+    assert.equal(filter.filter(0.5, 1000), 0.5);
+    const next = filter.filter(0.6, 1033);
+    assert.ok(next > 0.5 && next < 0.6);
+    assert.equal(filter.filter(0.9, 1033), next);
+    assert.equal(filter.filter(0.9, 1000), next);
+
+    filter.reset();
+    assert.equal(filter.filter(0.2, 2000), 0.2);
+});
+
+test('One Euro: settles on a value held still', () => {
+    const filter = new OneEuroFilter({ minCutoff: 1.5, beta: 5 });
+    const clock = fakeClock();
+    filter.filter(0, clock.time);
+    let value;
+    for (let i = 0; i < 60; i++) {
+        value = filter.filter(1, clock.advance(FRAME_MS));
+    }
+    assert.ok(Math.abs(value - 1) < 1e-3, `settled at ${value}`);
+});
+
+test('One Euro: speed cuts the lag on a moving value', () => {
+    const lagAfterRamp = beta => {
+        const filter = new OneEuroFilter({ minCutoff: 1, beta });
+        const clock = fakeClock();
+        let value;
+        for (let i = 0; i <= 30; i++) {
+            value = filter.filter(i * 0.01, clock.time);
+            clock.advance(FRAME_MS);
+        }
+        return 0.3 - value;
+    };
+    assert.ok(lagAfterRamp(5) < lagAfterRamp(0) / 2);
+});
+
+test('smooths the jitter of a hand held still', () => {
+    const filter = new HandFilter();
+    const clock = fakeClock();
+    const raw = [];
+    const filtered = [];
+    for (let i = 0; i < 60; i++) {
+        const landmarks = openHand().map((point, index) => ({ ...point, x: point.x + noise(i * 21 + index, 0.005) }));
+        const [result] = filter.process([hand(landmarks)], clock.advance(FRAME_MS));
+        // Past the first frames, which the filter starts from
+        if (i >= 10) {
+            raw.push(landmarks[INDEX_TIP].x);
+            filtered.push(result.landmarks[INDEX_TIP].x);
+        }
+    }
+    assert.ok(spread(filtered) < spread(raw) / 2, `filtered spread ${spread(filtered)}, raw ${spread(raw)}`);
+});
+
+test('incomplete hands pass through unfiltered with a null id', () => {
+    const filter = new HandFilter();
+    const partial = hand(openHand().slice(0, 5));
+    assert.deepEqual(filter.process([partial], 1000), [{ ...partial, id: null }]);
+    assert.deepEqual(filter.tracks, []);
+});
+
+test('a palm jump is dropped, and becomes a new track after jumpFrames frames', () => {
+    const filter = new HandFilter(SLOW_HANDS);
+    const clock = fakeClock();
+    const [[first]] = run(filter, clock, [[hand(openHand({ x: 0.3 }))]]);
+
+    const jumped = [hand(openHand({ x: 0.8 }))];
+    const outputs = run(filter, clock, Array(HAND_FILTER_DEFAULTS.jumpFrames).fill(jumped));
+    assert.deepEqual(outputs.slice(0, -1), [[], []], 'dropped while it might be a glitch');
+
+    const [moved] = outputs.at(-1);
+    assert.notEqual(moved.id, first.id);
+    assert.ok(Math.abs(palmX(moved) - 0.8) < 1e-6);
+    assert.equal(filter.isTracking(first.id), false);
+});
+
+test('a one-frame glitch is dropped and the hand carries on in its track', () => {
+    const filter = new HandFilter(SLOW_HANDS);
+    const clock = fakeClock();
+    const outputs = run(filter, clock, [
+        [hand(openHand({ x: 0.3 }))],
+        [hand(openHand({ x: 0.8 }))],
+        [hand(openHand({ x: 0.31 }))]
+    ]);
+    assert.deepEqual(outputs[1], []);
+    assert.equal(outputs[2][0].id, outputs[0][0].id);
+    assert.ok(Math.abs(palmX(outputs[2][0]) - 0.31) < 1e-6);
+});
+
+test('a landmark leaping away from its hand is held, then released after jumpFrames frames', () => {
+    const filter = new HandFilter(UNSMOOTHED);
+    const clock = fakeClock();
+    const still = openHand();
+    const leapt = openHand();
+    leapt[INDEX_TIP] = { ...leapt[INDEX_TIP], x: leapt[INDEX_TIP].x + 0.2 };
+
+    const outputs = run(filter, clock, [[hand(still)], [hand(leapt)], [hand(leapt)], [hand(leapt)]]);
+    const tipX = outputs.map(([result]) => result.landmarks[INDEX_TIP].x);
+    assert.ok(Math.abs(tipX[1] - still[INDEX_TIP].x) < 1e-6, 'held');
+    assert.ok(Math.abs(tipX[2] - still[INDEX_TIP].x) < 1e-6, 'still held');
+    assert.ok(Math.abs(tipX[3] - leapt[INDEX_TIP].x) < 1e-6, 'released');
+    // The rest of the hand went through untouched
+    assert.ok(Math.abs(palmX(outputs[1][0]) - still[PALM_CENTER].x) < 1e-6);
+});
+
+test('two hands keep their ids when the recognizer lists them the other way round', () => {
+    const filter = new HandFilter();
+    const clock = fakeClock();
+    const [[left, right]] = run(filter, clock, [[hand(openHand({ x: 0.3 }), 'Left'), hand(openHand({ x: 0.7 }), 'Right')]]);
+    assert.notEqual(left.id, right.id);
+
+    const [swapped] = run(filter, clock, [[hand(openHand({ x: 0.72 }), 'Right'), hand(openHand({ x: 0.32 }), 'Left')]]);
+    assert.deepEqual(swapped.map(result => result.id), [right.id, left.id]);
+});
+
+test('hands are matched to tracks nearest first, not in the order they are listed', () => {
+    const filter = new HandFilter(UNSMOOTHED);
+    const clock = fakeClock();
+    const [[a, b]] = run(filter, clock, [[hand(openHand({ x: 0.3 })), hand(openHand({ x: 0.5 }))]]);
+
+    // The hand at 0.58 is nearer b than a, but the one at 0.44 is nearer still, so it gets b
+    const [next] = run(filter, clock, [[hand(openHand({ x: 0.58 })), hand(openHand({ x: 0.44 }))]]);
+    assert.deepEqual(next.map(result => result.id), [a.id, b.id]);
+});
+
+test('a hand missing for up to lossGraceMs keeps its id, and comes back as a new one after', () => {
+    const { lossGraceMs } = HAND_FILTER_DEFAULTS;
+    const filter = new HandFilter();
+    const clock = fakeClock();
+    const [first] = filter.process([hand(openHand())], clock.time);
+
+    filter.process([], clock.advance(lossGraceMs / 2));
+    assert.equal(filter.isTracking(first.id), true);
+    const [back] = filter.process([hand(openHand({ x: 0.52 }))], clock.advance(lossGraceMs / 2));
+    assert.equal(back.id, first.id);
+
+    filter.process([], clock.advance(lossGraceMs));
+    assert.equal(filter.isTracking(first.id), true, 'exactly lossGraceMs is still within the grace period');
+    filter.process([], clock.advance(1));
+    assert.equal(filter.isTracking(first.id), false);
+
+    const [again] = filter.process([hand(openHand())], clock.advance(FRAME_MS));
+    assert.notEqual(again.id, first.id);
+});
@@ -0,0 +1,144 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createInteractionMachine, INTERACTION_EFFECTS } from '../src/interaction/interactionStates.js';
+import { StateMachine, LOG_LIMIT } from '../src/interaction/StateMachine.js';
+import { fakeClock } from './syntheticHands.js';
+
+// A machine whose effects record their names, with the calls since the last look
+function machineWithEffects() {
+    const calls = [];
+    const effects = Object.fromEntries(INTERACTION_EFFECTS.map(name => [name, () => calls.push(name)]));
+    const clock = fakeClock();
+    const machine = createInteractionMachine({ effects, now: clock });
+    const takeCalls = () => calls.splice(0);
+    return { machine, takeCalls, clock };
+}
+
+const planet = (planetIndex, moonIndex = -1) => ({ planetIndex, moonIndex });
+
+test('idle → browsing → zoomingIn → focused → zoomingOut → browsing', () => {
+    const { machine, takeCalls } = machineWithEffects();
+    assert.equal(machine.state, 'idle');
+
+    assert.equal(machine.send('select', planet(3)), true);
+    assert.equal(machine.state, 'browsing');
+    assert.deepEqual(machine.context, planet(3));
+    assert.deepEqual(takeCalls(), ['follow']);
+
+    machine.send('lock');
+    assert.equal(machine.state, 'zoomingIn');
+    assert.deepEqual(takeCalls(), ['halt', 'zoomIn']);
+
+    machine.send('arrived');
+    assert.equal(machine.state, 'focused');
+    assert.deepEqual(takeCalls(), ['spin']);
+
+    machine.send('unlock');
+    assert.equal(machine.state, 'zoomingOut');
+    assert.deepEqual(takeCalls(), ['stopSpinning', 'release', 'zoomOut']);
+
+    machine.send('arrived');
+    assert.equal(machine.state, 'browsing');
+    assert.deepEqual(takeCalls(), []);
+});
+
+test('locking from idle follows the current body first', () => {
+    const { machine, takeCalls } = machineWithEffects();
+    machine.send('lock');
+    assert.equal(machine.state, 'zoomingIn');
+    assert.deepEqual(takeCalls(), ['follow', 'halt', 'zoomIn']);
+});
+
+test('unlocking clears the focused moon', () => {
+    const { machine } = machineWithEffects();
+    machine.send('select', planet(3, 0));
+    machine.send('lock');
+    machine.send('unlock');
+    assert.deepEqual(machine.context, planet(3));
+});
+
+test('samePlanet: a moon of the locked planet stays zoomed in without releasing it', () => {
+    const { machine, takeCalls } = machineWithEffects();
+    machine.send('select', planet(3));
+    machine.send('lock');
+    machine.send('arrived');
+    takeCalls();
+
+    machine.send('select', planet(3, 0));
+    assert.equal(machine.state, 'focused');
+    assert.deepEqual(machine.context, planet(3, 0));
+    assert.deepEqual(takeCalls(), ['stopSpinning', 'follow', 'zoomIn', 'spin']);
+
+    // The same while still zooming in
+    machine.send('unlock');
+    machine.send('lock');
+    takeCalls();
+    machine.send('select', planet(3, 0));
+    assert.equal(machine.state, 'zoomingIn');
+    assert.deepEqual(takeCalls(), ['follow', 'halt', 'zoomIn']);
+});
+
+test('otherPlanet: another planet releases the locked one and zooms in on the new one', () => {
+    const { machine, takeCalls } = machineWithEffects();
+    machine.send('select', planet(3));
+    machine.send('lock');
+    machine.send('arrived');
+    takeCalls();
+
+    machine.send('select', planet(5));
+    assert.equal(machine.state, 'zoomingIn');
+    assert.deepEqual(machine.context, planet(5));
+    assert.deepEqual(takeCalls(), ['stopSpinning', 'release', 'follow', 'halt', 'zoomIn']);
+
+    machine.send('select', planet(4));
+    assert.equal(machine.state, 'zoomingIn');
+    assert.deepEqual(takeCalls(), ['release', 'follow', 'halt', 'zoomIn']);
+});
+
+test('events a state has no transition for are ignored and logged with to: null', () => {
+    const { machine, takeCalls, clock } = machineWithEffects();
+    assert.equal(machine.can('unlock'), false);
+    assert.equal(machine.send('unlock'), false);
+    assert.equal(machine.send('arrived'), false);
+    assert.equal(machine.state, 'idle');
+    assert.deepEqual(takeCalls(), []);
+    assert.deepEqual(machine.log, [
+        { time: clock.time, event: 'unlock', from: 'idle', to: null },
+        { time: clock.time, event: 'arrived', from: 'idle', to: null }
+    ]);
+
+    machine.send('lock');
+    assert.equal(machine.send('lock'), false, 'already locked');
+    assert.deepEqual(machine.log.at(-1), { time: clock.time, event: 'lock', from: 'zoomingIn', to: null });
+});
+
+test('subscribers see every log entry until they unsubscribe', () => {
+    const { machine } = machineWithEffects();
+    const seen = [];
+    const unsubscribe = machine.subscribe(entry => seen.push(`${entry.from}→${entry.to}`));
+    machine.send('select', planet(2));
+    machine.send('arrived');
+    unsubscribe();
+    machine.send('lock');
+    assert.deepEqual(seen, ['idle→browsing', 'browsing→null']);
+});
+
+test(`the log keeps the last ${LOG_LIMIT} events`, () => {
+    const { machine, clock } = machineWithEffects();
+    for (let i = 0; i < LOG_LIMIT + 20; i++) {
+        clock.advance(1);
+        machine.send('select', planet(i % 9));
+    }
+    assert.equal(machine.log.length, LOG_LIMIT);
+    assert.equal(machine.log[0].time, clock.time - LOG_LIMIT + 1);
+    assert.equal(machine.log.at(-1).time, clock.time);
+});
+
+test('unknown states, guards and actions are caught when the machine is built', () => {
+    const build = definition => () => new StateMachine({ definition });
+    assert.throws(build({ initial: 'nowhere', states: { idle: {} } }), /unknown initial state "nowhere"/);
+    assert.throws(build({ initial: 'idle', states: { idle: { on: { go: 'gone' } } } }), /unknown target "gone" in idle\.on\.go/);
+    assert.throws(build({ initial: 'idle', states: { idle: { on: { go: { target: 'idle', guard: 'never' } } } } }), /unknown guard "never"/);
+    assert.throws(build({ initial: 'idle', states: { idle: { entry: ['wave'] } } }), /unknown action "wave" in idle\.entry/);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeyboardSource } from '../src/input/KeyboardSource.js';
+import { ACTIONS } from '../src/input/ActionBus.js';
+
+// A keyboard source on a fake event target; returns the source and the actions it dispatched
+function keyboard() {
+    const listeners = {};
+    const target = {
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        removeEventListener: type => {
+            delete listeners[type];
+        }
+    };
+    const dispatched = [];
+    const source = new KeyboardSource({ target });
+    source.attach(action => dispatched.push(action));
+
+    // Press key with the given modifiers; returns whether the default was prevented
+    const press = (key, modifiers = {}) => {
+        let prevented = false;
+        listeners.keydown({ key, target: { tagName: 'BODY' }, preventDefault: () => { prevented = true; }, ...modifiers });
+        return prevented;
+    };
+    return { source, dispatched, press, listeners };
+}
+
+test('letter keys dispatch their actions in either case', () => {
+    const { dispatched, press } = keyboard();
+    assert.equal(press('r'), true);
+    assert.equal(press('R', { shiftKey: true }), true);
+    press('ArrowUp');
+    assert.deepEqual(dispatched, [ACTIONS.TOGGLE_RECORDING, ACTIONS.TOGGLE_RECORDING, ACTIONS.DETAIL_UP]);
+});
+
+test('browser shortcuts with Ctrl, Cmd or Alt are left to the browser', () => {
+    const { dispatched, press } = keyboard();
+    ['ctrlKey', 'metaKey', 'altKey'].forEach(modifier => {
+        ['r', 'R', 'f', 'l', 'p', 'd', 's', 'k', 'ArrowLeft'].forEach(key => {
+            assert.equal(press(key, { [modifier]: true }), false, `${modifier}+${key}`);
+        });
+    });
+    assert.deepEqual(dispatched, []);
+});
+
+test('typing in form fields is left alone, and unmapped keys do nothing', () => {
+    const { dispatched, listeners, press } = keyboard();
+    ['INPUT', 'TEXTAREA', 'SELECT'].forEach(tagName => {
+        listeners.keydown({ key: 'r', target: { tagName }, preventDefault: () => assert.fail('prevented in a form field') });
+    });
+    assert.equal(press('z'), false);
+    assert.deepEqual(dispatched, []);
+});
+
+test('detach stops listening', () => {
+    const { source, listeners } = keyboard();
+    source.detach();
+    assert.equal(listeners.keydown, undefined);
+});
@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { LOCALES, validateLocale } from '../src/i18n/Localizer.js';
+import { DEFAULT_LOCALE, MESSAGES } from '../src/i18n/messages.js';
+
+const placeholders = text => (text.match(/\{\w+\}/g) || []).sort();
+
+Object.keys(LOCALES).filter(code => code !== DEFAULT_LOCALE).forEach(code => {
+    const locale = JSON.parse(readFileSync(new URL(`../data/locales/${code}.json`, import.meta.url), 'utf8'));
+
+    test(`${code}: translates every UI message`, () => {
+        const { messages } = validateLocale(locale);
+        const missing = Object.keys(MESSAGES).filter(key => !(key in messages));
+        assert.deepEqual(missing, []);
+        assert.deepEqual(Object.keys(locale.messages).filter(key => !(key in MESSAGES)), [], 'unknown keys');
+    });
+
+    test(`${code}: keeps the placeholders of the English messages`, () => {
+        Object.entries(locale.messages).forEach(([key, text]) => {
+            assert.deepEqual(placeholders(text), placeholders(MESSAGES[key]), key);
+        });
+    });
+});
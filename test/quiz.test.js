@@ -0,0 +1,205 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { QuizSession } from '../src/quiz/QuizSession.js';
+import { generateQuestion, QUESTION_KINDS } from '../src/quiz/quizQuestions.js';
+import { validateCatalog } from '../src/scene/catalog.js';
+import { fakeClock } from './syntheticHands.js';
+
+const { bodies: CATALOG_BODIES } = validateCatalog(JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8')));
+
+// A repeatable Math.random stand-in
+function seededRandom(seed = 1) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+// A planet with just what the questions read; facts default to the same value for every body
+const planet = (name, { radiusKm = 1000, orbitalPeriod = 100, clues = [], ...facts } = {}) => ({
+    name,
+    type: 'planet',
+    radiusKm,
+    orbitalPeriod,
+    clues,
+    facts: { knownMoons: 1, meanTemperature: 0, surfaceGravity: 5, dayLengthHours: 20, ...facts }
+});
+const SUN = { ...planet('Sun', { radiusKm: 700000 }), type: 'star' };
+
+test('questions about the shipped catalog are well formed', () => {
+    const random = seededRandom(7);
+    const kinds = new Set();
+    for (let i = 0; i < 200; i++) {
+        const question = generateQuestion(CATALOG_BODIES, { random });
+        kinds.add(question.kind);
+        assert.ok(question.candidates.includes(question.answer), question.id);
+        assert.equal(new Set(question.candidates).size, question.candidates.length, `${question.id}: repeated candidates`);
+        assert.ok(question.candidates.length >= 2 && question.candidates.length <= 4);
+        assert.ok(question.candidates.every(index => CATALOG_BODIES[index].type !== 'star'), `${question.id}: the star is a candidate`);
+    }
+    assert.deepEqual([...kinds].sort(), [...QUESTION_KINDS].sort(), 'every kind comes up');
+});
+
+test('superlatives with a tie for the answer are not asked', () => {
+    // Only the radius tells these apart, and only the largest is unique
+    const bodies = [SUN, planet('A', { radiusKm: 5000 }), planet('B'), planet('C')];
+    const random = seededRandom(3);
+    for (let i = 0; i < 50; i++) {
+        const question = generateQuestion(bodies, { random });
+        assert.equal(question.kind, 'largest');
+        assert.equal(bodies[question.answer].name, 'A');
+    }
+    assert.equal(generateQuestion([SUN, planet('A'), planet('B'), planet('C')], { random }), null, 'all tied, nothing to ask');
+});
+
+test('a value question leaves out candidates too close to the answer\'s value', () => {
+    const bodies = [planet('A', { orbitalPeriod: 100 }), planet('B', { orbitalPeriod: 105 }), planet('C', { orbitalPeriod: 200 }), planet('D', { orbitalPeriod: 400 })];
+    const random = seededRandom(11);
+    let asked = 0;
+    for (let i = 0; i < 300; i++) {
+        const question = generateQuestion(bodies, { random });
+        if (question.kind !== 'yearLength') continue;
+        asked++;
+        assert.equal(question.value, bodies[question.answer].orbitalPeriod);
+        question.candidates.filter(index => index !== question.answer).forEach(index => {
+            const difference = Math.abs(bodies[index].orbitalPeriod - question.value);
+            assert.ok(difference >= 0.1 * question.value, `${question.id}: ${bodies[index].name} is too close`);
+        });
+    }
+    assert.ok(asked > 0);
+});
+
+test('excluded questions are not asked again, until there are none left', () => {
+    const bodies = [SUN, planet('A', { radiusKm: 5000, clues: ['is big'] }), planet('B', { radiusKm: 500 }), planet('C')];
+    const random = seededRandom(5);
+    const asked = [];
+    let question;
+    while ((question = generateQuestion(bodies, { exclude: asked, random }))) {
+        assert.ok(!asked.includes(question.id), `${question.id} repeated`);
+        asked.push(question.id);
+    }
+    assert.deepEqual(asked.sort(), ['clue:A:0', 'largest:A', 'smallest:B']);
+});
+
+// A session on the shipped catalog with a fake clock; answers are recorded as they come
+function session(options = {}) {
+    const clock = fakeClock();
+    const answers = [];
+    const ends = [];
+    const quiz = new QuizSession({
+        bodies: CATALOG_BODIES,
+        questionCount: 5,
+        now: clock,
+        random: seededRandom(9),
+        onAnswer: record => answers.push(record),
+        onEnd: results => ends.push(results),
+        ...options
+    });
+    return { quiz, clock, answers, ends };
+}
+
+// Answer the current question right or wrong, then wait out the feedback
+function answer(quiz, clock, correct) {
+    const { candidates, answer: right } = quiz.question;
+    quiz.choose(correct ? right : candidates.find(index => index !== right));
+    const result = quiz.answer();
+    clock.advance(quiz.feedbackSeconds * 1000);
+    quiz.update();
+    return result;
+}
+
+test('scores right answers and keeps the current and best streaks', () => {
+    const { quiz, clock, answers, ends } = session();
+    assert.equal(quiz.start(), true);
+    [true, true, false, true].forEach(correct => assert.equal(answer(quiz, clock, correct), correct));
+
+    assert.equal(quiz.score, 3);
+    assert.equal(quiz.streak, 1);
+    assert.equal(quiz.bestStreak, 2);
+    assert.deepEqual(answers.map(record => record.correct), [true, true, false, true]);
+    assert.equal(new Set(answers.map(record => record.id)).size, 4, 'no question is asked twice in a round');
+
+    answer(quiz, clock, true);
+    assert.equal(quiz.isRunning, false, 'the round ends after questionCount questions');
+    assert.equal(ends.length, 1);
+    assert.equal(ends[0].score, 4);
+    assert.equal(ends[0].answered, 5);
+});
+
+test('the next question waits for the feedback time', () => {
+    const { quiz, clock } = session({ feedbackSeconds: 2 });
+    quiz.start();
+    quiz.answer();
+    clock.advance(1999);
+    quiz.update();
+    assert.equal(quiz.index, 0);
+    assert.equal(quiz.answer(), false, 'an answered question takes no second answer');
+    clock.advance(1);
+    quiz.update();
+    assert.equal(quiz.index, 1);
+});
+
+test('a timed question runs out, counts as wrong and ends the streak', () => {
+    const { quiz, clock, answers } = session({ secondsPerQuestion: 5 });
+    quiz.start();
+    answer(quiz, clock, true);
+    assert.equal(quiz.streak, 1);
+
+    clock.advance(3000);
+    assert.equal(quiz.remainingSeconds, 2);
+    quiz.update();
+    assert.equal(answers.length, 1, 'still time left');
+    clock.advance(2000);
+    quiz.update();
+
+    const record = answers.at(-1);
+    assert.equal(record.timedOut, true);
+    assert.equal(record.chosen, null);
+    assert.equal(record.correct, false);
+    assert.equal(record.seconds, 5);
+    assert.equal(quiz.streak, 0);
+    assert.equal(quiz.remainingSeconds, null);
+});
+
+test('an untimed question never runs out', () => {
+    const { quiz, clock, answers } = session();
+    quiz.start();
+    clock.advance(60 * 60 * 1000);
+    quiz.update();
+    assert.deepEqual(answers, []);
+    assert.equal(quiz.remainingSeconds, null);
+});
+
+test('stepping wraps around the candidates, and only candidates can be chosen', () => {
+    const { quiz } = session();
+    quiz.start();
+    const { candidates } = quiz.question;
+    quiz.step(-1);
+    assert.equal(quiz.choice, candidates.length - 1);
+    quiz.step(1);
+    assert.equal(quiz.choice, 0);
+
+    const star = CATALOG_BODIES.findIndex(body => body.type === 'star');
+    assert.equal(quiz.choose(star), false);
+});
+
+test('stopping ends the round without counting the open question', () => {
+    const { quiz, clock, ends } = session();
+    quiz.start();
+    answer(quiz, clock, true);
+    assert.equal(quiz.stop(), true);
+    assert.equal(quiz.stop(), false);
+    assert.equal(ends.length, 1);
+    assert.equal(ends[0].answered, 1);
+    assert.equal(ends[0].finishedAt, new Date(clock.time).toISOString());
+});
+
+test('a catalog with too little data gives no round', () => {
+    const { quiz, ends } = session({ bodies: [SUN, planet('A')] });
+    assert.equal(quiz.start(), false);
+    assert.equal(quiz.isRunning, false);
+    assert.deepEqual(ends, []);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ActionBus, ACTIONS } from '../src/input/ActionBus.js';
+import { HandGestureSource } from '../src/input/HandGestureSource.js';
+import { ReplaySource } from '../src/input/ReplaySource.js';
+import { parseRecording, RECORDING_FORMAT_VERSION } from '../src/input/landmarkStream.js';
+import { LandmarkRecorder } from '../src/input/LandmarkRecorder.js';
+import { createCameraView, normalizeResults } from '../src/gestures/cameraView.js';
+
+// A front camera session: an open right hand swipes to the user's right (the recognizer
+// names no category while it moves), makes a fist, then opens again. Recorded as the
+// recognizer reports it, in the unmirrored picture, with the default front camera view
+// in its header.
+const FIXTURE = new URL('./fixtures/swipe-lock-unlock.jsonl', import.meta.url);
+const fixtureText = () => readFileSync(FIXTURE, 'utf8');
+
+// Replay a recording through the hand source the way the app does, reading it with the
+// camera view in its header (the default one for version 1), and return the actions
+// dispatched on the bus
+function replay(text) {
+    const bus = new ActionBus();
+    Object.values(ACTIONS).forEach(action => bus.handle(action, () => true));
+    const dispatched = [];
+    bus.subscribe(({ action, source }) => dispatched.push({ action, source }));
+
+    let frameTime = 0;
+    const source = bus.addSource(new HandGestureSource({ now: () => frameTime }));
+    const { cameraView, frames } = parseRecording(text);
+    const view = cameraView || createCameraView();
+    let ended = false;
+    new ReplaySource({
+        frames,
+        startTime: 5000,
+        onResults: (results, timestamp) => {
+            frameTime = timestamp;
+            source.processResults(normalizeResults(results, view));
+        },
+        onEnd: () => {
+            ended = true;
+        }
+    }).runToEnd();
+
+    assert.ok(ended, 'runToEnd ends the replay');
+    return dispatched;
+}
+
+test('replaying a recording dispatches the gestures it holds', () => {
+    const dispatched = replay(fixtureText());
+    assert.deepEqual(dispatched, [
+        { action: ACTIONS.NEXT, source: 'hand' },
+        { action: ACTIONS.LOCK, source: 'hand' },
+        { action: ACTIONS.UNLOCK, source: 'hand' }
+    ]);
+});
+
+test('runToEnd feeds every frame with the recorded timing', () => {
+    const { frames } = parseRecording(fixtureText());
+    const timestamps = [];
+    new ReplaySource({ frames, startTime: 5000, onResults: (results, timestamp) => timestamps.push(timestamp) }).runToEnd();
+    assert.equal(timestamps.length, frames.length);
+    assert.deepEqual(timestamps.slice(0, 3), [5000, 5033, 5066]);
+});
+
+test('parseRecording names the line of a broken frame', () => {
+    assert.throws(() => parseRecording('{"t":0}\nnot json\n'), /Recording line 2: invalid JSON/);
+    assert.throws(() => parseRecording('{"t":10}\n{"t":5}\n'), /Recording line 2: timestamps must not go backwards/);
+    assert.throws(() => parseRecording('{"landmarks":[]}\n'), /Recording line 1: missing numeric "t"/);
+    assert.throws(() => parseRecording('{"t":0}\nnull\n'), /Recording line 2: must be a JSON object/);
+    assert.throws(() => parseRecording('null\n'), /Recording line 1: must be a JSON object/);
+    assert.throws(() => parseRecording('{"t":0}\n[1, 2]\n'), /Recording line 2: must be a JSON object/);
+});
+
+test('the camera view in the header is applied on replay', () => {
+    // The same frames read without the mirror: the swipe goes the other way
+    const unmirrored = fixtureText().replace('"mirror":true', '"mirror":false');
+    assert.deepEqual(replay(unmirrored).map(({ action }) => action), [ACTIONS.PREVIOUS, ACTIONS.LOCK, ACTIONS.UNLOCK]);
+});
+
+test('recordings without a header are version 1, read with the current view', () => {
+    const [, ...frameLines] = fixtureText().split('\n');
+    const recording = parseRecording(frameLines.join('\n'));
+    assert.equal(recording.version, 1);
+    assert.equal(recording.cameraView, null);
+    assert.equal(recording.frames.length, parseRecording(fixtureText()).frames.length);
+    assert.deepEqual(replay(frameLines.join('\n')).map(({ action }) => action), [ACTIONS.NEXT, ACTIONS.LOCK, ACTIONS.UNLOCK]);
+});
+
+test('the recorder writes the camera view it was started with', () => {
+    const recorder = new LandmarkRecorder();
+    const view = createCameraView({ facing: 'environment', rotation: 90 });
+    recorder.start(view);
+    recorder.capture({ landmarks: [], handedness: [], gestures: [] }, 1000);
+    recorder.capture({ landmarks: [], handedness: [], gestures: [] }, 1033);
+    recorder.stop();
+
+    const recording = parseRecording(recorder.toJsonl());
+    assert.equal(recording.version, RECORDING_FORMAT_VERSION);
+    assert.deepEqual(recording.cameraView, { facing: 'environment', mirror: false, rotation: 90 });
+    assert.deepEqual(recording.frames.map(frame => frame.t), [0, 33]);
+});
+
+test('parseRecording rejects a bad header', () => {
+    const header = fields => JSON.stringify({ version: 2, cameraView: { facing: 'user', mirror: true, rotation: 0, ...fields } });
+    assert.throws(() => parseRecording('{"version":3,"cameraView":{}}\n'), /Recording line 1: unsupported version 3/);
+    assert.throws(() => parseRecording('{"version":2}\n'), /Recording line 1: missing "cameraView"/);
+    assert.throws(() => parseRecording(header({ facing: 'side' })), /cameraView\.facing must be one of user, environment/);
+    assert.throws(() => parseRecording(header({ mirror: 'yes' })), /cameraView\.mirror must be true or false/);
+    assert.throws(() => parseRecording(header({ rotation: 45 })), /cameraView\.rotation must be one of 0, 90, 180, 270/);
+    assert.throws(() => parseRecording(`{"t":0}\n${header()}\n`), /Recording line 2: missing numeric "t"/, 'only the first line is a header');
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { computeLayout, interpolateSize, SCALE_MODES, AU_KM, TRUE_SCALE_UNITS_PER_AU } from '../src/scene/scaleModes.js';
+import { validateCatalog } from '../src/scene/catalog.js';
+
+const { bodies } = validateCatalog(JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8')));
+const indexOf = name => bodies.findIndex(body => body.name === name);
+
+const assertClose = (actual, expected, label) => assert.ok(Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected)), `${label}: ${actual}, expected ${expected}`);
+
+test('compressed mode shows the catalog\'s illustrative sizes', () => {
+    const layout = computeLayout(bodies, 'compressed');
+    layout.forEach((entry, index) => {
+        const body = bodies[index];
+        assert.equal(entry.radius, body.radius);
+        assert.equal(entry.distance, body.orbit ? body.distance : 0, body.name);
+        assert.deepEqual(entry.moons, body.moons.map(moon => ({ radius: moon.radius, distance: moon.distance })));
+    });
+    assert.deepEqual(computeLayout(bodies, 'unknown'), layout, 'the fallback for an unknown mode');
+});
+
+test('logarithmic mode keeps the order of the orbits and spans the compressed system', () => {
+    const layout = computeLayout(bodies, 'logarithmic');
+    const planets = bodies.map((body, index) => ({ body, entry: layout[index] })).filter(({ body }) => body.orbit)
+        .sort((a, b) => a.body.orbit.semiMajorAxis - b.body.orbit.semiMajorAxis);
+    planets.slice(1).forEach(({ body, entry }, i) => {
+        assert.ok(entry.distance > planets[i].entry.distance, `${body.name} is further out than ${planets[i].body.name}`);
+    });
+    const widest = Math.max(...planets.map(({ body }) => body.distance));
+    assertClose(planets.at(-1).entry.distance, widest, 'outermost orbit');
+    assert.equal(layout[indexOf('Sun')].distance, 0);
+    layout.forEach((entry, index) => assert.equal(entry.radius, bodies[index].radius));
+});
+
+test('true mode puts everything on one scale', () => {
+    const layout = computeLayout(bodies, 'true');
+    const earth = layout[indexOf('Earth')];
+    assertClose(earth.distance, TRUE_SCALE_UNITS_PER_AU, 'Earth\'s orbit');
+    assertClose(earth.radius, 6371 / AU_KM * TRUE_SCALE_UNITS_PER_AU, 'Earth\'s radius');
+    assertClose(earth.moons[0].distance, bodies[indexOf('Earth')].moons[0].semiMajorAxisKm / AU_KM * TRUE_SCALE_UNITS_PER_AU, 'the Moon\'s orbit');
+    assert.ok(layout[indexOf('Sun')].radius > earth.radius * 100, 'the Sun dwarfs Earth');
+});
+
+SCALE_MODES.forEach(({ id }) => {
+    test(`moons stay outside their parent in ${id} mode`, () => {
+        computeLayout(bodies, id).forEach((entry, index) => {
+            entry.moons.forEach((moon, moonIndex) => {
+                const name = `${bodies[index].moons[moonIndex].name} of ${bodies[index].name}`;
+                assert.ok(moon.distance > entry.radius + moon.radius, `${name}: orbit ${moon.distance}, parent ${entry.radius}, moon ${moon.radius}`);
+            });
+        });
+    });
+});
+
+test('interpolateSize moves evenly across orders of magnitude', () => {
+    assert.equal(interpolateSize(1, 100, 0), 1);
+    assertClose(interpolateSize(1, 100, 1), 100, 'end');
+    assertClose(interpolateSize(1, 100, 0.5), 10, 'geometric middle');
+    assert.equal(interpolateSize(0, 10, 0.5), 5, 'linear from zero');
+});
@@ -0,0 +1,49 @@
+// Synthetic 21-point hands for driving the gesture code from Node, in view coordinates
+// (x to the user's right, y downwards). Not a test file itself.
+
+import { LANDMARK_COUNT, WRIST, FINGER_TIPS, FINGER_BASES, PALM_CENTER } from '../src/gestures/handLandmarks.js';
+
+const point = (x, y, z = 0) => ({ x, y, z });
+
+// An open hand with its five finger tips spread on a circle of the given radius around
+// (x, y), the thumb at angle (radians, clockwise on screen from the user's right) and the
+// other tips 72° apart after it. The knuckles sit below the tips, so it never reads as a fist.
+export function openHand({ x = 0.5, y = 0.5, angle = 0, radius = 0.1, z = 0 } = {}) {
+    const knuckleY = y + radius + 0.1;
+    const landmarks = Array.from({ length: LANDMARK_COUNT }, () => point(x, knuckleY, z));
+    landmarks[WRIST] = point(x, knuckleY + 0.1, z);
+    FINGER_BASES.forEach((base, index) => {
+        landmarks[base] = point(x + (index - 2) * 0.03, knuckleY, z);
+    });
+    landmarks[PALM_CENTER] = point(x, knuckleY, z);
+    FINGER_TIPS.forEach((tip, index) => {
+        const tipAngle = angle + index * 2 * Math.PI / FINGER_TIPS.length;
+        landmarks[tip] = point(x + radius * Math.cos(tipAngle), y + radius * Math.sin(tipAngle), z);
+    });
+    return landmarks;
+}
+
+// A fist at (x, y): every finger tip curled below its knuckle, the thumb tucked over its joint
+export function fist({ x = 0.5, y = 0.5, z = 0 } = {}) {
+    const landmarks = Array.from({ length: LANDMARK_COUNT }, () => point(x, y, z));
+    landmarks[WRIST] = point(x, y + 0.1, z);
+    FINGER_BASES.forEach((base, index) => {
+        landmarks[base] = point(x + (index - 2) * 0.03, y, z);
+        landmarks[FINGER_TIPS[index]] = point(x + (index - 2) * 0.03, y + 0.03, z);
+    });
+    return landmarks;
+}
+
+// A recognizer category as the gesture recognizer reports it
+export const category = (categoryName, score = 0.9) => ({ categoryName, score });
+
+// A settable clock for the now option of the gesture classes
+export function fakeClock(start = 1000) {
+    const clock = () => clock.time;
+    clock.time = start;
+    clock.advance = ms => {
+        clock.time += ms;
+        return clock.time;
+    };
+    return clock;
+}
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { validateTour, parseTour, TourError } from '../src/tour/tourScript.js';
+import { validateCatalog } from '../src/scene/catalog.js';
+
+const { bodies } = validateCatalog(JSON.parse(readFileSync(new URL('../data/solar-system.json', import.meta.url), 'utf8')));
+const GRAND_TOUR = readFileSync(new URL('../data/tours/grand-tour.json', import.meta.url), 'utf8');
+
+const STEP = { target: 'Mars', caption: 'The red planet.', duration: 6 };
+
+// A one-step tour with the step's fields changed (undefined removes one)
+function tourWithStep(fields) {
+    const step = { ...STEP, ...fields };
+    Object.keys(step).filter(key => step[key] === undefined).forEach(key => delete step[key]);
+    return { name: 'Test', steps: [step] };
+}
+
+test('the shipped grand tour is valid', () => {
+    const tour = parseTour(GRAND_TOUR, bodies);
+    assert.equal(tour.name, 'Grand Tour');
+    assert.equal(tour.steps.length, JSON.parse(GRAND_TOUR).steps.length);
+});
+
+test('steps resolve their target and fill in the defaults', () => {
+    const [step] = validateTour(tourWithStep({ target: 'moon' }), bodies).steps;
+    const earth = bodies.findIndex(body => body.name === 'Earth');
+    assert.deepEqual(step, {
+        target: { planetIndex: earth, moonIndex: 0 },
+        targetName: 'moon',
+        camera: null,
+        detail: 0,
+        date: null,
+        timeSpeed: null,
+        caption: STEP.caption,
+        duration: STEP.duration
+    });
+
+    const [dated] = validateTour(tourWithStep({
+        date: '1969-07-20T20:17:00Z',
+        timeSpeed: 'paused',
+        camera: { distance: 4, azimuth: -30, elevation: 45 }
+    }), bodies).steps;
+    assert.equal(dated.date, Date.UTC(1969, 6, 20, 20, 17));
+    assert.equal(dated.timeSpeed, 'paused');
+    assert.deepEqual(dated.camera, { distance: 4, azimuth: -30, elevation: 45 });
+});
+
+test('an unknown body is named in the error', () => {
+    assert.throws(() => validateTour(tourWithStep({ target: 'Vulcan' }), bodies), error => (
+        error instanceof TourError && error.path === 'steps[0].target' && /unknown body "Vulcan"/.test(error.message)
+    ));
+});
+
+// [fields changed on the step, expected error]
+const BAD_STEPS = [
+    [{ target: undefined }, /steps\[0\]\.target: must be a non-empty string/],
+    [{ caption: '  ' }, /steps\[0\]\.caption: must be a non-empty string/],
+    [{ duration: 0 }, /steps\[0\]\.duration: must be greater than 0, got 0/],
+    [{ duration: '5' }, /steps\[0\]\.duration: must be a number/],
+    [{ timeSpeed: 'warp' }, /steps\[0\]\.timeSpeed: must be one of 1 day\/s, 1 month\/s, 1 year\/s, paused, got "warp"/],
+    [{ date: 'yesterday' }, /steps\[0\]\.date: must be an ISO date, got "yesterday"/],
+    [{ camera: [] }, /steps\[0\]\.camera: must be an object/],
+    [{ camera: { distance: 1 } }, /steps\[0\]\.camera\.distance: must be greater than 1, got 1/],
+    [{ camera: { elevation: 90 } }, /steps\[0\]\.camera\.elevation: must be between -90 and 90, got 90/],
+    [{ camera: { azimuth: 'north' } }, /steps\[0\]\.camera\.azimuth: must be a number/]
+];
+
+BAD_STEPS.forEach(([fields, expected]) => {
+    test(`rejects a step with ${JSON.stringify(fields)}`, () => {
+        assert.throws(() => validateTour(tourWithStep(fields), bodies), expected);
+    });
+});
+
+test('a tour needs a name and at least one step', () => {
+    assert.throws(() => validateTour([], bodies), /tour: must be an object/);
+    assert.throws(() => validateTour({ steps: [STEP] }, bodies), /name: must be a non-empty string/);
+    assert.throws(() => validateTour({ name: 'Test' }, bodies), /steps: must be an array/);
+    assert.throws(() => validateTour({ name: 'Test', steps: [] }, bodies), /steps: must contain at least one step/);
+    assert.throws(() => validateTour({ name: 'Test', steps: [STEP, null] }, bodies), /steps\[1\]: must be an object/);
+});
+
+test('parseTour reports invalid JSON', () => {
+    assert.throws(() => parseTour('{ "name": ', bodies), /Tour is not valid JSON/);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ACTIONS } from '../src/input/ActionBus.js';
+import { parseVoiceCommand, normalizeTranscript, voiceLanguage, speechLanguage } from '../src/input/voiceCommands.js';
+
+const BODY_NAMES = ['Sun', 'Earth', 'Moon', 'Mars', 'Jupiter', 'Io', 'Europa'];
+const SPANISH_NAMES = { Sun: 'Sol', Earth: 'Tierra', Moon: 'Luna', Mars: 'Marte', Jupiter: 'Júpiter', Io: 'Ío' };
+
+// [transcript, action, payload]
+const ENGLISH_COMMANDS = [
+    ['next', ACTIONS.NEXT],
+    ['Next planet.', ACTIONS.NEXT],
+    ['go back', ACTIONS.PREVIOUS],
+    ['previous one', ACTIONS.PREVIOUS],
+    ['more detail', ACTIONS.DETAIL_UP],
+    ['tell me more', ACTIONS.DETAIL_UP],
+    ['less details', ACTIONS.DETAIL_DOWN],
+    ['show the deep view', ACTIONS.SET_DETAIL, 'deep'],
+    ['overview', ACTIONS.SET_DETAIL, 'overview'],
+    ['zoom in', ACTIONS.LOCK],
+    ['final answer', ACTIONS.LOCK],
+    ['zoom out', ACTIONS.UNLOCK],
+    ['pause time', ACTIONS.PAUSE_TIME],
+    ['freeze', ACTIONS.PAUSE_TIME],
+    ['resume the clock', ACTIONS.RESUME_TIME],
+    ['speed up', ACTIONS.FASTER_TIME],
+    ['slow down time', ACTIONS.SLOWER_TIME],
+    ['reverse time', ACTIONS.REVERSE_TIME],
+    ['back to today', ACTIONS.JUMP_TO_NOW],
+    ['change scale', ACTIONS.CYCLE_SCALE_MODE],
+    ['switch to imperial units', ACTIONS.SET_UNITS, 'imperial'],
+    ['metric', ACTIONS.SET_UNITS, 'metric'],
+    ['stop the tour', ACTIONS.STOP_TOUR],
+    ['quiz me', ACTIONS.START_QUIZ],
+    ['end the quiz', ACTIONS.STOP_QUIZ],
+    ['read this aloud', ACTIONS.READ_ALOUD],
+    ['stop talking', ACTIONS.STOP_NARRATION],
+    ['speak faster', ACTIONS.NARRATION_RATE, 1.25],
+    ['talk slower', ACTIONS.NARRATION_RATE, 0.8],
+    ['OK, next please', ACTIONS.NEXT],
+    ['Can you zoom in, thanks', ACTIONS.LOCK],
+    ['go to Mars', ACTIONS.GO_TO, 'Mars'],
+    ['Take me to the Moon, please', ACTIONS.GO_TO, 'Moon'],
+    ['where is Europa?', ACTIONS.GO_TO, 'Europa'],
+    ['Jupiter', ACTIONS.GO_TO, 'Jupiter'],
+    ['i o', ACTIONS.GO_TO, 'Io']
+];
+
+const SPANISH_COMMANDS = [
+    ['siguiente', ACTIONS.NEXT],
+    ['El siguiente planeta', ACTIONS.NEXT],
+    ['anterior', ACTIONS.PREVIOUS],
+    ['atrás', ACTIONS.PREVIOUS],
+    ['más detalle', ACTIONS.DETAIL_UP],
+    ['cuéntame más', ACTIONS.DETAIL_UP],
+    ['menos detalles', ACTIONS.DETAIL_DOWN],
+    ['muestra el resumen', ACTIONS.SET_DETAIL, 'overview'],
+    ['a fondo', ACTIONS.SET_DETAIL, 'deep'],
+    ['acércate', ACTIONS.LOCK],
+    ['respuesta final', ACTIONS.LOCK],
+    ['aléjate', ACTIONS.UNLOCK],
+    ['pausa el tiempo', ACTIONS.PAUSE_TIME],
+    ['reanuda', ACTIONS.RESUME_TIME],
+    ['más rápido', ACTIONS.FASTER_TIME],
+    ['más despacio', ACTIONS.SLOWER_TIME],
+    ['rebobina el tiempo', ACTIONS.REVERSE_TIME],
+    ['vuelve a hoy', ACTIONS.JUMP_TO_NOW],
+    ['cambia la escala', ACTIONS.CYCLE_SCALE_MODE],
+    ['usa unidades imperiales', ACTIONS.SET_UNITS, 'imperial'],
+    ['sistema métrico', ACTIONS.SET_UNITS, 'metric'],
+    ['termina el recorrido', ACTIONS.STOP_TOUR],
+    ['empieza un cuestionario', ACTIONS.START_QUIZ],
+    ['sal del cuestionario', ACTIONS.STOP_QUIZ],
+    ['lee esto', ACTIONS.READ_ALOUD],
+    ['deja de hablar', ACTIONS.STOP_NARRATION],
+    ['habla más rápido', ACTIONS.NARRATION_RATE, 1.25],
+    ['lee más lento', ACTIONS.NARRATION_RATE, 0.8],
+    ['Oye, siguiente, por favor', ACTIONS.NEXT],
+    ['ve a Marte', ACTIONS.GO_TO, 'Mars'],
+    ['Llévame a la Luna', ACTIONS.GO_TO, 'Moon'],
+    ['¿Dónde está Júpiter?', ACTIONS.GO_TO, 'Jupiter'],
+    ['muéstrame Europa', ACTIONS.GO_TO, 'Europa'],
+    ['ve a Mars', ACTIONS.GO_TO, 'Mars'],
+    ['Ío', ACTIONS.GO_TO, 'Io'],
+    ['Tierra', ACTIONS.GO_TO, 'Earth']
+];
+
+// Not commands in either language
+const UNRECOGNIZED = ['', '   ', 'what is the weather', 'go to Vulcan', 've a Vulcano', 'next next', 'zoom', 'please', 'the', '¿?'];
+
+function expected(action, payload) {
+    return action ? { action, payload } : null;
+}
+
+ENGLISH_COMMANDS.forEach(([transcript, action, payload]) => {
+    test(`English: "${transcript}"`, () => {
+        assert.deepEqual(parseVoiceCommand(transcript, BODY_NAMES), expected(action, payload));
+    });
+});
+
+SPANISH_COMMANDS.forEach(([transcript, action, payload]) => {
+    test(`Spanish: "${transcript}"`, () => {
+        assert.deepEqual(
+            parseVoiceCommand(transcript, BODY_NAMES, { language: 'es', localNames: SPANISH_NAMES }),
+            expected(action, payload)
+        );
+    });
+});
+
+test('unrecognized phrases are not commands', () => {
+    UNRECOGNIZED.forEach(transcript => {
+        assert.equal(parseVoiceCommand(transcript, BODY_NAMES), null, transcript);
+        assert.equal(parseVoiceCommand(transcript, BODY_NAMES, { language: 'es', localNames: SPANISH_NAMES }), null, transcript);
+    });
+});
+
+test('each language has its own grammar', () => {
+    assert.equal(parseVoiceCommand('siguiente', BODY_NAMES), null);
+    assert.equal(parseVoiceCommand('next', BODY_NAMES, { language: 'es' }), null);
+});
+
+test('locales without a grammar listen for English commands', () => {
+    assert.equal(voiceLanguage('ar'), 'en');
+    assert.equal(voiceLanguage('es'), 'es');
+    assert.equal(speechLanguage('ar'), 'en-US');
+    assert.equal(speechLanguage('es'), 'es-ES');
+    assert.deepEqual(parseVoiceCommand('next', BODY_NAMES, { language: 'ar' }), { action: ACTIONS.NEXT, payload: undefined });
+});
+
+test('normalizeTranscript drops case, accents, punctuation and filler words', () => {
+    assert.equal(normalizeTranscript('  Hey, could you GO to Mars?! Thanks '), 'go to mars');
+    assert.equal(normalizeTranscript('Vale, ¡muéstrame Júpiter, por favor!', 'es'), 'muestrame jupiter');
+});